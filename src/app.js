@@ -1,18 +1,72 @@
 import * as duckdb from '@duckdb/duckdb-wasm';
 
+import { CONFIG, STORAGE_MODES } from './modules/shared/index.js';
+
 // Import from modules
 import {
   validateSQL,
   formatQueryResults,
-  createResultsTable
+  createResultsTable,
+  QueryCancelledError,
+  isPageableQuery,
+  buildCountSQL,
+  buildPageSQL,
+  QueryPager,
+  buildSummarizeSQL,
+  buildPresentCountsSQL,
+  buildColumnCountsSQL,
+  buildHistogramsSQL,
+  buildTopValuesSQL,
+  toHistograms,
+  buildColumnProfiles,
+  buildParquetRowCountSQL,
+  buildApproxUniqueRowsSQL,
+  buildDistinctRowsSQL,
+  buildDuplicateSummarySQL,
+  buildDuplicateGroupsSQL,
+  buildDuplicateRowsSQL,
+  buildDifferingColumnsSQL,
+  getRelationshipKey,
+  isRelationshipShape,
+  validateRelationship,
+  suggestRelationships,
+  buildUnmatchedRowsSQL,
+  buildUnmatchedCountSQL,
+  buildUnmatchedSampleSQL,
+  diffSchemas,
+  compareColumnStats,
+  buildUnionByNameSQL,
+  describeRule,
+  buildRuleViolationsSQL,
+  buildRuleCountSQL,
+  buildRuleSampleSQL,
+  buildValidatorMacrosSQL,
+  detectCodeColumns,
+  buildCodeQualitySQL,
+  toCodeQuality
 } from './modules/database/index.js';
 
 import {
   sanitizeTableName,
   generateUniqueTableName,
-  handleFileUpload
+  handleFileUpload,
+  getDefaultCSVOptions,
+  decodeCSVBuffer,
+  buildReadCSVSQL,
+  parseATIHFile,
+  tableToTSV,
+  getATIHColumnTypes,
+  getPartitionColumns,
+  buildReadParquetSQL,
+  DatasetCache,
+  REFERENCE_DATASETS,
+  getReferenceDatasetLabel,
+  getReferenceTableName,
+  getReferenceColumnTypes
 } from './modules/files/index.js';
 
+import { parseMacroFiles, registerMacros, buildParameterOptionsSQL } from './modules/templates/index.js';
+
 // Re-export for backwards compatibility
 export {
   validateSQL,
@@ -32,6 +86,25 @@ export class DuckDBApp {
     this.conn = null;
     this.initialized = false;
     this.loadedFiles = [];
+    this.cache = null;
+    this.runningQuery = null;
+    // Settles when the last query issued through executeQuery is done; queries run one at a time
+    this.queryQueue = Promise.resolve();
+    // Connection for background statistics, so that they do not hold the query connection;
+    // statsQueue settles when the last statistics query is done, they run one at a time
+    this.statsConn = null;
+    this.statsQueue = Promise.resolve();
+    // Exact statistics by table name, and tables being scanned for their upload statistics
+    this.statsJobs = new Map();
+    this.scanJobs = new Set();
+    // Tables being copied to the persistent cache
+    this.cacheJobs = new Set();
+    // Declared foreign keys between loaded tables, saved with the workspace
+    this.relationships = [];
+    // Macros of the macro library, with their registration status
+    this.macros = [];
+    // Tables of the last opened workspace waiting for their source files to be dropped in again
+    this.missingTables = [];
   }
 
   /**
@@ -58,15 +131,78 @@ export class DuckDBApp {
     this.conn = await this.db.connect();
     this.initialized = true;
 
+    // PMSI code validators and the macro library, usable in any query
+    await this.registerValidators();
+    this.macros = await registerMacros(this.conn, parseMacroFiles());
+
+    // Loaded files are cached in the Origin Private File System when available
+    this.cache = await DatasetCache.open();
+
     return this;
   }
 
+  /**
+   * Register the PMSI code validators (is_valid_cim10, is_valid_ccam, is_valid_ghm, is_error_ghm) as macros
+   */
+  async registerValidators() {
+    for (const sql of buildValidatorMacrosSQL()) {
+      await this.conn.query(sql);
+    }
+  }
+
+  /**
+   * Get the macros of the macro library and their registration status
+   * @returns {Array<Object>} - See registerMacros
+   */
+  getMacros() {
+    return this.macros.map(macro => ({ ...macro }));
+  }
+
+  /**
+   * Register again the macros waiting for a table, once tables have been loaded
+   * @returns {Promise<number>} - Number of macros registered
+   */
+  async registerPendingMacros() {
+    const pending = this.macros.filter(macro => macro.status === 'pending');
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    const results = await registerMacros(this.conn, pending);
+    this.macros = this.macros.map(macro => {
+      const index = pending.indexOf(macro);
+      return index === -1 ? macro : results[index];
+    });
+    return results.filter(result => result.status === 'registered').length;
+  }
+
+  /**
+   * Register the macros defined by user templates, in place of those of the previous user templates
+   * A user template defines macros when its SQL has CREATE MACRO statements; they join the macro library.
+   * @param {Array<Object>} templates - User templates
+   */
+  async registerUserMacros(templates) {
+    const macros = templates
+      .flatMap(template => parseMacroFiles([{ file: template.title, sql: template.sql }]))
+      .filter(macro => macro.name)
+      .map(macro => ({ ...macro, user: true }));
+    const results = await registerMacros(this.conn, macros);
+    this.macros = [...this.macros.filter(macro => !macro.user), ...results];
+  }
+
   /**
    * Execute a SQL query
+   * Queries issued while another one runs (a results block scrolled into view during a profile...) wait for it.
+   * The query is sent as a pending query so that cancelQuery can interrupt it.
+   * With params, it runs as a prepared statement with the values bound to its $1, $2... placeholders.
    * @param {string} sql - SQL query string
-   * @returns {Promise<Array>} - Query results as array of objects
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Cancel the query after this many milliseconds (0 disables)
+   * @param {Array} [options.params] - Values bound to the placeholders
+   * @returns {Promise<Array>} - Query results as array of objects, with the Arrow schema of the result as a schema property
+   * @throws {QueryCancelledError} - When the query is cancelled or times out
    */
-  async executeQuery(sql) {
+  async executeQuery(sql, { timeout = CONFIG.QUERY_TIMEOUT_MS, params = [] } = {}) {
     if (!this.initialized) {
       throw new Error('DuckDB not initialized');
     }
@@ -75,85 +211,1205 @@ export class DuckDBApp {
       throw new Error('Invalid SQL query');
     }
 
-    const result = await this.conn.query(sql);
-    return result.toArray();
+    const previous = this.queryQueue;
+    let done;
+    this.queryQueue = new Promise(resolve => {
+      done = resolve;
+    });
+
+    try {
+      await previous;
+      return await this.runQuery(sql, { timeout, params });
+    } finally {
+      done();
+    }
+  }
+
+  /**
+   * Run a query on the connection, once the queries issued before it are done
+   * @param {string} sql - SQL query string
+   * @param {Object} options - { timeout, params }, see executeQuery
+   * @returns {Promise<Array>}
+   */
+  async runQuery(sql, { timeout, params }) {
+    const query = { cancelled: false, reason: null };
+    this.runningQuery = query;
+    const timer = timeout > 0
+      ? setTimeout(() => this.cancelQuery(`Query cancelled after ${timeout / 1000} s timeout`), timeout)
+      : null;
+
+    let statement = null;
+    try {
+      let reader;
+      if (params.length > 0) {
+        statement = await this.conn.prepare(sql);
+        reader = await statement.send(...params);
+      } else {
+        reader = await this.conn.send(sql);
+      }
+      const rows = [];
+      for await (const batch of reader) {
+        if (query.cancelled) break;
+        for (const row of batch.toArray()) {
+          rows.push(row);
+        }
+      }
+
+      if (query.cancelled) {
+        throw new QueryCancelledError(query.reason);
+      }
+      // Keep the column types of the result for display
+      rows.schema = reader.schema;
+      return rows;
+    } catch (error) {
+      // An interrupted query fails with a DuckDB error; report it as a cancellation
+      if (query.cancelled && !(error instanceof QueryCancelledError)) {
+        throw new QueryCancelledError(query.reason);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.runningQuery = null;
+      if (statement) {
+        await statement.close();
+      }
+    }
+  }
+
+  /**
+   * Run a query for paged display
+   * Only the row count is computed up front; pages are fetched lazily by the returned pager.
+   * Statements that cannot be paged (CREATE, PRAGMA..., or several statements) are run once and paged in memory.
+   * @param {string} sql - SQL query string
+   * @param {number} [pageSize] - Rows per page
+   * @param {Array} [params] - Values bound to the $1, $2... placeholders of the query
+   * @returns {Promise<QueryPager>}
+   */
+  async openQuery(sql, pageSize = CONFIG.DEFAULT_PAGE_SIZE, params = []) {
+    if (!isPageableQuery(sql)) {
+      const rows = await this.executeQuery(sql, { params });
+      return new QueryPager(
+        async (offset, limit) => Object.assign(rows.slice(offset, offset + limit), { schema: rows.schema }),
+        rows.length,
+        pageSize
+      );
+    }
+
+    const [{ count }] = await this.executeQuery(buildCountSQL(sql), { params });
+    return new QueryPager(
+      (offset, limit) => this.executeQuery(buildPageSQL(sql, limit, offset), { params }),
+      Number(count),
+      pageSize
+    );
+  }
+
+  /**
+   * List the values a template parameter can take, from the distinct values of its source column
+   * @param {{table: string, column: string}} source - Source column
+   * @returns {Promise<string[]>}
+   */
+  async getParameterOptions(source) {
+    const rows = await this.executeQuery(buildParameterOptionsSQL(source));
+    return rows.map(row => row.value);
+  }
+
+  /**
+   * Cancel the query started by executeQuery, if one is running; queries waiting for it still run
+   * @param {string} [reason] - Message of the resulting QueryCancelledError
+   * @returns {Promise<boolean>} - Whether a query was running
+   */
+  async cancelQuery(reason) {
+    const query = this.runningQuery;
+    if (!query) {
+      return false;
+    }
+
+    query.cancelled = true;
+    query.reason = reason;
+    await this.conn.cancelSent();
+    return true;
   }
 
   /**
    * Load a parquet file into DuckDB
    * @param {string} fileName - Name of the file
+   * @param {ArrayBuffer|File} data - File content, or the File itself to register it by handle
+   * @returns {Promise<string>} - The sanitized table name
+   */
+  async loadParquetFile(fileName, data) {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const { fileSize, storageMode } = await this.registerFile(fileName, data);
+
+    const tableName = await this.createFileView(
+      fileName, `'${fileName}'`, { format: 'parquet', fileSize, storageMode }, sanitizeTableName(fileName), [fileName]
+    );
+    this.cacheTable(tableName, [{ fileName, data }]);
+
+    return tableName;
+  }
+
+  /**
+   * Register a file's bytes with DuckDB, by handle for File objects or as a buffer
+   * @param {string} fileName - Name to register the file under
+   * @param {ArrayBuffer|File} data - File content, or the File itself
+   * @returns {Promise<{fileSize: number, storageMode: string}>}
+   */
+  async registerFile(fileName, data) {
+    if (data instanceof Blob) {
+      // Register the file handle: DuckDB reads blocks lazily, nothing is copied up front
+      await this.db.registerFileHandle(fileName, data, duckdb.DuckDBDataProtocol.BROWSER_FILEREADER, true);
+      return { fileSize: data.size, storageMode: STORAGE_MODES.HANDLE };
+    }
+
+    // Register file buffer
+    await this.db.registerFileBuffer(fileName, new Uint8Array(data));
+    return { fileSize: data.byteLength, storageMode: STORAGE_MODES.BUFFER };
+  }
+
+  /**
+   * Attach a .duckdb database file read-only
+   * Its tables are queried with qualified names (alias.table or alias.schema.table).
+   * @param {string} fileName - Name of the file
+   * @param {ArrayBuffer|File} data - File content, or the File itself to register it by handle
+   * @returns {Promise<string>} - The database alias
+   */
+  async attachDatabaseFile(fileName, data) {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const { fileSize, storageMode } = await this.registerFile(fileName, data);
+
+    const existingNames = this.loadedFiles.map(f => f.tableName);
+    const alias = generateUniqueTableName(sanitizeTableName(fileName), existingNames);
+
+    await this.conn.query(`ATTACH '${fileName}' AS ${alias} (READ_ONLY)`);
+    const attachedTables = await this.getAttachedTables(alias);
+
+    this.loadedFiles.push({
+      tableName: alias,
+      originalName: fileName,
+      source: `'${fileName}'`,
+      format: 'duckdb',
+      attachedTables,
+      fileSize,
+      storageMode,
+      // DuckDB's estimate for the tables; views are not counted
+      rowCount: attachedTables.reduce((sum, t) => sum + (t.rowCount ?? 0), 0),
+      rowCountExact: false,
+      columnCount: attachedTables.reduce((sum, t) => sum + t.columnCount, 0),
+      uploadedAt: Date.now()
+    });
+    this.cacheTable(alias, [{ fileName, data }]);
+
+    return alias;
+  }
+
+  /**
+   * List the tables and views of an attached database
+   * Row counts are DuckDB's estimates, read from the catalog without scanning; views have none.
+   * @param {string} alias - Database alias
+   * @returns {Promise<Array<{schema: string, name: string, type: string, rowCount: number|null, columnCount: number}>>}
+   */
+  async getAttachedTables(alias) {
+    const result = await this.conn.query(`
+      SELECT schema_name, table_name AS name, 'table' AS type, estimated_size AS row_count, column_count
+      FROM duckdb_tables() WHERE database_name = '${alias}'
+      UNION ALL
+      SELECT schema_name, view_name AS name, 'view' AS type, NULL AS row_count, column_count
+      FROM duckdb_views() WHERE database_name = '${alias}' AND NOT internal
+      ORDER BY schema_name, name
+    `);
+
+    return result.toArray().map(row => ({
+      schema: row.schema_name,
+      name: row.name,
+      type: row.type,
+      rowCount: row.row_count === null ? null : Number(row.row_count),
+      columnCount: Number(row.column_count)
+    }));
+  }
+
+  /**
+   * Create the DuckDB object behind a loaded file (view, or attached database)
+   * @param {Object} file - Loaded file metadata
+   */
+  async createFileObject(file) {
+    if (file.format === 'duckdb') {
+      await this.conn.query(`ATTACH ${file.source} AS ${file.tableName} (READ_ONLY)`);
+    } else {
+      await this.conn.query(`CREATE VIEW ${file.tableName} AS SELECT * FROM ${file.source}`);
+    }
+  }
+
+  /**
+   * Drop the DuckDB object behind a loaded file (view, or attached database)
+   * @param {Object} file - Loaded file metadata
+   */
+  async dropFileObject(file) {
+    if (file.format === 'duckdb') {
+      await this.conn.query(`DETACH DATABASE IF EXISTS ${file.tableName}`);
+    } else {
+      await this.conn.query(`DROP VIEW IF EXISTS ${file.tableName}`);
+    }
+  }
+
+  /**
+   * Load a folder of Parquet part files as a single dataset view
+   * Folders named key=value (Hive partitioning) become columns of the view.
+   * @param {string} datasetName - Name of the dataset folder
+   * @param {Array<{path: string, file: File}>} parts - Part files with their path relative to the folder
+   * @returns {Promise<string>} - The sanitized table name
+   */
+  async loadParquetDataset(datasetName, parts) {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    if (parts.length === 0) {
+      throw new Error(`No .parquet files found in '${datasetName}'`);
+    }
+
+    // Keep the folder structure in the registered names so DuckDB can read the partitions
+    const files = parts.map(({ path, file }) => ({ fileName: `${datasetName}/${path}`, data: file }));
+    for (const { fileName, data } of files) {
+      await this.db.registerFileHandle(fileName, data, duckdb.DuckDBDataProtocol.BROWSER_FILEREADER, true);
+    }
+
+    const partitionColumns = getPartitionColumns(parts.map(p => p.path));
+    const source = buildReadParquetSQL(files.map(f => f.fileName), partitionColumns.length > 0);
+
+    const tableName = await this.createFileView(`${datasetName}/`, source, {
+      format: 'parquet-dataset',
+      fileCount: parts.length,
+      fileSize: parts.reduce((sum, p) => sum + p.file.size, 0),
+      storageMode: STORAGE_MODES.HANDLE,
+      partitionColumns
+    }, sanitizeTableName(datasetName), files.map(f => f.fileName));
+    this.cacheTable(tableName, files);
+
+    return tableName;
+  }
+
+  /**
+   * Load a CSV/TSV file into DuckDB using the CSV reader
+   * @param {string} fileName - Name of the file
    * @param {ArrayBuffer} buffer - File content
+   * @param {Object} [options] - Import options (delimiter, header, encoding, decimalSeparator, columnTypes)
    * @returns {Promise<string>} - The sanitized table name
    */
-  async loadParquetFile(fileName, buffer) {
+  async loadCSVFile(fileName, buffer, options = {}) {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const csvOptions = { ...getDefaultCSVOptions(fileName), ...options };
+
+    // DuckDB reads UTF-8, so other encodings are transcoded before registering
+    const data = decodeCSVBuffer(buffer, csvOptions.encoding);
+    await this.db.registerFileBuffer(fileName, data);
+
+    const tableName = await this.createFileView(fileName, buildReadCSVSQL(fileName, csvOptions), {
+      format: 'csv',
+      csvOptions,
+      fileSize: buffer.byteLength,
+      storageMode: STORAGE_MODES.BUFFER
+    });
+    this.cacheTable(tableName, [{ fileName, data }]);
+
+    return tableName;
+  }
+
+  /**
+   * Parse an ATIH fixed-width file (RSA, RSS, RUM) and load its normalized tables
+   * @param {string} fileName - Name of the file
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} [prefix] - Prefix for the table names (e.g. the archive the file came from)
+   * @returns {Promise<string[]>} - The table names created (fixe, diag, acte, um...)
+   */
+  async loadATIHFile(fileName, buffer, prefix = '') {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    // ATIH exports are Latin-1 encoded
+    const text = new TextDecoder('latin1').decode(buffer);
+    const { layout, tables } = parseATIHFile(text);
+
+    const tableNames = [];
+    for (const [name, table] of Object.entries(tables)) {
+      // Each normalized table is registered as TSV and read back with explicit column types
+      const registeredName = `${fileName}.${name}.tsv`;
+      const data = new TextEncoder().encode(tableToTSV(table));
+      await this.db.registerFileBuffer(registeredName, data);
+
+      const source = buildReadCSVSQL(registeredName, {
+        delimiter: '\t',
+        header: true,
+        columnTypes: getATIHColumnTypes(table)
+      });
+
+      const tableName = await this.createFileView(fileName, source, {
+        format: 'atih',
+        atihLayout: `${layout.format}-${layout.version}`,
+        atihTable: name,
+        fileSize: buffer.byteLength,
+        storageMode: STORAGE_MODES.BUFFER
+      }, prefix ? `${prefix}_${name}` : name);
+      this.cacheTable(tableName, [{ fileName: registeredName, data }]);
+      tableNames.push(tableName);
+    }
+
+    return tableNames;
+  }
+
+  /**
+   * Load a bundled reference nomenclature as a table, recorded in the registry as a reference table
+   * @param {string} datasetId - Reference dataset id, e.g. cim10-2024
+   * @param {Array<Object>} [datasets] - Available reference datasets
+   * @returns {Promise<string>} - The table name, e.g. ref_cim10_2024
+   */
+  async loadReferenceDataset(datasetId, datasets = REFERENCE_DATASETS) {
     if (!this.initialized) {
       throw new Error('DuckDB not initialized');
     }
 
-    // Sanitize table name
-    const baseName = sanitizeTableName(fileName);
+    const dataset = datasets.find(d => d.id === datasetId);
+    if (!dataset) {
+      throw new Error(`Unknown reference dataset '${datasetId}'`);
+    }
+    const label = getReferenceDatasetLabel(dataset);
+    if (this.loadedFiles.some(f => f.reference && f.referenceId === dataset.id)) {
+      throw new Error(`${label} is already loaded`);
+    }
+
+    const fileName = `reference/${dataset.file}`;
+    const data = new TextEncoder().encode(await dataset.load());
+    await this.db.registerFileBuffer(fileName, data);
+
+    const source = buildReadCSVSQL(fileName, {
+      delimiter: '\t',
+      header: true,
+      columnTypes: getReferenceColumnTypes(dataset.nomenclature)
+    });
+    const tableName = await this.createFileView(label, source, {
+      format: 'reference',
+      reference: true,
+      referenceId: dataset.id,
+      referenceSample: dataset.sample,
+      nomenclature: dataset.nomenclature,
+      nomenclatureYear: dataset.year,
+      fileSize: data.byteLength,
+      storageMode: STORAGE_MODES.BUFFER
+    }, getReferenceTableName(dataset));
+    this.cacheTable(tableName, [{ fileName, data }]);
+
+    return tableName;
+  }
+
+  /**
+   * Create a named view over a registered file and record its metadata
+   * @param {string} fileName - Original file name
+   * @param {string} source - SQL relation reading the file
+   * @param {Object} [details] - Extra metadata stored with the table
+   * @param {string} [baseName] - Table name to use instead of one derived from the file name
+   * @param {string[]} [parquetFiles] - Parquet files read by the view, whose metadata holds the row count
+   * @returns {Promise<string>} - The sanitized table name
+   */
+  async createFileView(fileName, source, details = {}, baseName = sanitizeTableName(fileName), parquetFiles = null) {
+    // Make table name unique
     const existingNames = this.loadedFiles.map(f => f.tableName);
     const tableName = generateUniqueTableName(baseName, existingNames);
 
-    // Register file buffer
-    await this.db.registerFileBuffer(fileName, new Uint8Array(buffer));
-
     // Create view with sanitized name
-    await this.conn.query(`CREATE VIEW ${tableName} AS SELECT * FROM '${fileName}'`);
+    await this.conn.query(`CREATE VIEW ${tableName} AS SELECT * FROM ${source}`);
 
-    // Get statistics
-    const stats = await this.getFileStatistics(fileName);
+    // Get statistics; those needing a full scan are filled in by scanTable
+    const stats = await this.getFileStatistics(fileName, source, { parquetFiles });
 
     // Store metadata
-    this.loadedFiles.push({
+    const file = {
       tableName,
       originalName: fileName,
+      source,
+      ...details,
       rowCount: stats.rowCount,
       columnCount: stats.columnCount,
+      uniqueRowCount: stats.rowCount === 0 ? 0 : null,
+      uniqueRowCountExact: stats.rowCount === 0,
+      codeQuality: stats.rowCount === 0 ? [] : null,
       uploadedAt: Date.now()
-    });
+    };
+    this.loadedFiles.push(file);
+    if (stats.rowCount > 0) {
+      this.scanTable(file, stats.tableInfo);
+    }
+
+    // Macros reading this table can now be created
+    await this.registerPendingMacros();
 
     return tableName;
   }
 
   /**
-   * Get table information for a parquet file
-   * @param {string} fileName - Name of the parquet file
+   * Record the files registered for a table and copy them to the persistent cache in the background
+   * The table is usable right away: copying a large upload takes a while and must not hold up the next file.
+   * @param {string} tableName - Name of the loaded table
+   * @param {Array<{fileName: string, data: ArrayBuffer|Uint8Array|Blob}>} files - Files registered for the table
+   * @returns {Promise<boolean>} - Settles once the table is cached or caching failed, see persistTable
+   */
+  cacheTable(tableName, files) {
+    const job = this.persistTable(tableName, files).finally(() => this.cacheJobs.delete(job));
+    this.cacheJobs.add(job);
+    return job;
+  }
+
+  /**
+   * Wait for the tables being cached in the background
+   * @returns {Promise<void>}
+   */
+  async waitForCaching() {
+    await Promise.all([...this.cacheJobs]);
+  }
+
+  /**
+   * Copy a table's registered files to the persistent cache and record it in the cache manifest
+   * Caching is best effort: when it fails (no OPFS, quota exceeded) the table stays loaded but is not cached.
+   * @param {string} tableName - Name of the loaded table
+   * @param {Array<{fileName: string, data: ArrayBuffer|Uint8Array|Blob}>} files - Files registered for the table
+   * @returns {Promise<boolean>} - Whether the table is cached
+   */
+  async persistTable(tableName, files) {
+    const file = this.getTableMetadata(tableName);
+    file.registeredFiles = files.map(f => f.fileName);
+    file.cached = false;
+
+    if (!this.cache) {
+      return false;
+    }
+
+    try {
+      for (const { fileName, data } of files) {
+        await this.cache.writeFile(fileName, data);
+      }
+      // The table may have been removed while its files were written
+      if (!this.loadedFiles.includes(file)) {
+        await this.deleteCachedFiles(file);
+        return false;
+      }
+      file.cached = true;
+      await this.saveCacheManifest();
+    } catch (error) {
+      console.warn(`Failed to cache ${tableName}:`, error);
+      file.cached = false;
+      await this.deleteCachedFiles(file);
+    }
+
+    return file.cached;
+  }
+
+  /**
+   * Write the metadata of the cached tables to the cache manifest
+   */
+  async saveCacheManifest() {
+    if (!this.cache) return;
+    await this.cache.writeManifest(this.loadedFiles.filter(f => f.cached));
+  }
+
+  /**
+   * Delete a table's files from the persistent cache
+   * @param {Object} file - Loaded file metadata
+   */
+  async deleteCachedFiles(file) {
+    if (!this.cache) return;
+    for (const fileName of file.registeredFiles || []) {
+      await this.cache.deleteFile(fileName);
+    }
+  }
+
+  /**
+   * Restore the tables cached by previous sessions
+   * Entries whose files cannot be read back are dropped from the cache.
+   * @returns {Promise<{restored: string[], failed: string[]}>} - Restored table names, and original names that failed
+   */
+  async restoreCachedTables() {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const restored = [];
+    const failed = [];
+    if (!this.cache) {
+      return { restored, failed };
+    }
+
+    for (const entry of await this.cache.readManifest()) {
+      try {
+        // OPFS files are Files, so they are registered by handle like large uploads
+        const file = await this.restoreTable(entry, fileName => this.cache.readFile(fileName));
+        file.cached = true;
+        restored.push(entry.tableName);
+      } catch (error) {
+        console.warn(`Failed to restore cached ${entry.originalName}:`, error);
+        failed.push(entry.originalName);
+        await this.deleteCachedFiles(entry);
+      }
+    }
+
+    if (failed.length > 0) {
+      await this.saveCacheManifest();
+    }
+
+    return { restored, failed };
+  }
+
+  /**
+   * Re-create a table from its registry entry
+   * @param {Object} entry - Table metadata with the registered files it reads
+   * @param {Function} readFile - (fileName) => Promise<ArrayBuffer|File>, content of a registered file
+   * @returns {Promise<Object>} - The loaded file metadata
+   */
+  async restoreTable(entry, readFile) {
+    if (this.getTableMetadata(entry.tableName)) {
+      throw new Error(`Table name '${entry.tableName}' already exists`);
+    }
+
+    let storageMode = STORAGE_MODES.BUFFER;
+    for (const fileName of entry.registeredFiles) {
+      ({ storageMode } = await this.registerFile(fileName, await readFile(fileName)));
+    }
+    await this.createFileObject(entry);
+
+    const file = { ...entry, storageMode, cached: false };
+    this.loadedFiles.push(file);
+    // Tables saved before their background scan finished are scanned again
+    if (file.uniqueRowCount === null) {
+      this.scanTable(file, await this.getTableInfo(file.tableName, file.source));
+    }
+    return file;
+  }
+
+  /**
+   * Read back the content of the files registered for the loaded tables, to bundle them in a workspace
+   * Large files registered by handle are left out: reading them into memory could crash the tab.
+   * @returns {Promise<{dataFiles: Map<string, Uint8Array>, skipped: Array<{tableName: string, originalName: string}>}>}
+   *   - Registered file name => content, and the tables whose files were left out
+   */
+  async getDataFiles() {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const dataFiles = new Map();
+    const skipped = [];
+    for (const file of this.loadedFiles) {
+      if (file.storageMode === STORAGE_MODES.HANDLE && file.fileSize > CONFIG.LARGE_FILE_THRESHOLD) {
+        skipped.push({ tableName: file.tableName, originalName: file.originalName });
+        continue;
+      }
+      for (const fileName of file.registeredFiles || []) {
+        dataFiles.set(fileName, await this.db.copyFileToBuffer(fileName));
+      }
+    }
+    return { dataFiles, skipped };
+  }
+
+  /**
+   * Rebuild the tables of a saved workspace
+   * Tables whose data files are not in the workspace are reported as missing.
+   * @param {Object} manifest - Workspace manifest, from readWorkspaceArchive
+   * @param {Map<string, ArrayBuffer>} [dataFiles] - Registered file name => content
+   * @returns {Promise<{restored: string[], missing: Array<{tableName: string, originalName: string}>, failed: string[]}>}
+   */
+  async loadWorkspace(manifest, dataFiles = new Map()) {
+    if (!this.initialized) {
+      throw new Error('DuckDB not initialized');
+    }
+
+    const restored = [];
+    const missing = [];
+    const failed = [];
+
+    for (const entry of manifest.tables) {
+      const files = (entry.registeredFiles || []).map(fileName => ({ fileName, data: dataFiles.get(fileName) }));
+      if (files.length === 0 || files.some(f => !f.data)) {
+        // Kept to be rebuilt as saved when the source file is dropped in again, see restoreMissingTables
+        this.missingTables.push(entry);
+        missing.push({ tableName: entry.tableName, originalName: entry.originalName });
+        continue;
+      }
+
+      try {
+        await this.restoreTable(entry, async fileName => dataFiles.get(fileName));
+        this.cacheTable(entry.tableName, files);
+        restored.push(entry.tableName);
+      } catch (error) {
+        console.warn(`Failed to restore ${entry.originalName}:`, error);
+        failed.push(entry.originalName);
+      }
+    }
+
+    // Relationships to missing tables are kept, for when their files are dropped in again
+    for (const relationship of manifest.relationships || []) {
+      if (!isRelationshipShape(relationship)) {
+        console.warn('Skipped a malformed relationship:', relationship);
+        continue;
+      }
+      const { fromTable, fromColumns, toTable, toColumns } = relationship;
+      const declared = { fromTable, fromColumns: [...fromColumns], toTable, toColumns: [...toColumns] };
+      if (!this.relationships.some(r => getRelationshipKey(r) === getRelationshipKey(declared))) {
+        this.relationships.push(declared);
+      }
+    }
+
+    return { restored, missing, failed };
+  }
+
+  /**
+   * Get the tables of the opened workspace still waiting for their source files
+   * @returns {Array<{tableName: string, originalName: string}>}
+   */
+  getMissingTables() {
+    return this.missingTables.map(({ tableName, originalName }) => ({ tableName, originalName }));
+  }
+
+  /**
+   * Rebuild the workspace tables waiting for a source file that has been dropped in again
+   * The tables keep their saved names and options (renames, CSV options, ATIH table).
+   * @param {string} originalName - Name of the dropped file, or of the dropped folder followed by / for datasets
+   * @param {ArrayBuffer|File|Array<{path: string, file: File}>} data - File content, or the part files of a folder
+   * @returns {Promise<string[]>} - Restored table names, empty when no missing table reads this file
+   */
+  async restoreMissingTables(originalName, data) {
+    const entries = this.missingTables.filter(entry => entry.originalName === originalName);
+    const restored = [];
+    // An ATIH file holds several tables and is parsed once for all of them
+    let atihTables = null;
+
+    for (const entry of entries) {
+      let files;
+      if (entry.format === 'csv') {
+        files = new Map([[entry.registeredFiles[0], decodeCSVBuffer(data, entry.csvOptions?.encoding)]]);
+      } else if (entry.format === 'atih') {
+        atihTables = atihTables || parseATIHFile(new TextDecoder('latin1').decode(data)).tables;
+        const table = atihTables[entry.atihTable];
+        files = new Map(table ? [[entry.registeredFiles[0], new TextEncoder().encode(tableToTSV(table))]] : []);
+      } else if (entry.format === 'parquet-dataset') {
+        files = new Map(data.map(({ path, file }) => [`${originalName}${path}`, file]));
+      } else {
+        files = new Map([[entry.registeredFiles[0], data]]);
+      }
+
+      if (entry.registeredFiles.some(fileName => !files.has(fileName))) {
+        throw new Error(`'${originalName}' does not hold the data of table ${entry.tableName}`);
+      }
+
+      await this.restoreTable(entry, async fileName => files.get(fileName));
+      this.cacheTable(entry.tableName, entry.registeredFiles.map(fileName => ({ fileName, data: files.get(fileName) })));
+      this.missingTables = this.missingTables.filter(missing => missing !== entry);
+      restored.push(entry.tableName);
+    }
+
+    if (restored.length > 0) {
+      await this.registerPendingMacros();
+    }
+    return restored;
+  }
+
+  /**
+   * Remove a table from the persistent cache, keeping it loaded for this session
+   * @param {string} tableName - Name of the table to evict
+   */
+  async evictTable(tableName) {
+    const file = this.getTableMetadata(tableName);
+    if (!file) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+
+    file.cached = false;
+    await this.deleteCachedFiles(file);
+    await this.saveCacheManifest();
+  }
+
+  /**
+   * Get table information for a registered file
+   * @param {string} fileName - Name of the registered file
+   * @param {string} [source] - SQL relation reading the file (defaults to the quoted file name)
    * @returns {Promise<Array>} - Column information
    */
-  async getTableInfo(fileName) {
-    const result = await this.conn.query(`DESCRIBE SELECT * FROM '${fileName}'`);
+  async getTableInfo(fileName, source = `'${fileName}'`) {
+    const result = await this.conn.query(`DESCRIBE SELECT * FROM ${source}`);
     return result.toArray();
   }
 
   /**
-   * Get file statistics (row count, column count, unique row count)
-   * @param {string} fileName - Name of the parquet file
-   * @returns {Promise<{rowCount: number, columnCount: number, uniqueRowCount: number}>}
+   * Get the statistics of a file that do not need a full scan (row count, column count)
+   * The row count of Parquet files comes from their metadata. See scanTable for the unique row count and invalid code rates.
+   * @param {string} fileName - Name of the registered file
+   * @param {string} [source] - SQL relation reading the file (defaults to the quoted file name)
+   * @param {Object} [options]
+   * @param {string[]} [options.parquetFiles] - Parquet files read by the source, to count rows from their metadata
+   * @returns {Promise<{rowCount: number, columnCount: number, tableInfo: Array<Object>}>}
    */
-  async getFileStatistics(fileName) {
+  async getFileStatistics(fileName, source = `'${fileName}'`, { parquetFiles = null } = {}) {
     if (!this.initialized) {
       throw new Error('DuckDB not initialized');
     }
 
-    // Get row count
-    const countResult = await this.conn.query(`SELECT COUNT(*) as count FROM '${fileName}'`);
-    const rowCount = countResult.toArray()[0].count;
+    // Get row count, from the Parquet footers when possible
+    const countSQL = parquetFiles ? buildParquetRowCountSQL(parquetFiles) : `SELECT COUNT(*) as count FROM ${source}`;
+    const countResult = await this.conn.query(countSQL);
+    const rowCount = Number(countResult.toArray()[0].count ?? 0);
 
     // Get column information
-    const tableInfo = await this.getTableInfo(fileName);
-    const columnCount = tableInfo.length;
+    const tableInfo = await this.getTableInfo(fileName, source);
+
+    return { rowCount, columnCount: tableInfo.length, tableInfo };
+  }
+
+  /**
+   * Estimate the unique row count of a table and check its code columns, in the background
+   * Both scan the whole table, so they run on the statistics connection once the table is usable, and stop when it
+   * is removed. Columns recognised as CIM-10, CCAM or GHM codes by their name are checked with the code validators.
+   * @param {Object} file - Loaded file metadata; uniqueRowCount and codeQuality (see toCodeQuality) are set on it
+   * @param {Array<Object>} tableInfo - Columns of the table, from getTableInfo
+   * @returns {Promise<boolean>} - Whether the statistics were stored
+   */
+  scanTable(file, tableInfo) {
+    const job = { file, cancelled: false, running: false };
+    job.promise = this.storeScanStatistics(file, tableInfo, job).finally(() => this.scanJobs.delete(job));
+    this.scanJobs.add(job);
+    return job.promise;
+  }
+
+  /**
+   * Run the scans of scanTable and store their results
+   * @param {Object} file - Loaded file metadata
+   * @param {Array<Object>} tableInfo - Columns of the table
+   * @param {Object} job - Scan job, see scanTable
+   * @returns {Promise<boolean>}
+   */
+  async storeScanStatistics(file, tableInfo, job) {
+    try {
+      // The estimate can slightly exceed the row count
+      const columns = tableInfo.map(col => col.column_name);
+      const unique = await this.runStatsQuery(buildApproxUniqueRowsSQL(file.source, columns), job);
+
+      const codeColumns = detectCodeColumns(tableInfo);
+      const quality = codeColumns.length > 0
+        ? await this.runStatsQuery(buildCodeQualitySQL(file.source, codeColumns), job)
+        : [];
 
-    // Get unique row count (distinct observations)
-    // We need to get all column names first to build the DISTINCT query
-    const columns = tableInfo.map(col => col.column_name).join(', ');
-    const uniqueResult = await this.conn.query(`SELECT COUNT(*) as count FROM (SELECT DISTINCT ${columns} FROM '${fileName}')`);
-    const uniqueRowCount = uniqueResult.toArray()[0].count;
+      if (!unique || !quality || !this.loadedFiles.includes(file)) {
+        return false;
+      }
+      // An exact count computed meanwhile is kept
+      if (!file.uniqueRowCountExact) {
+        file.uniqueRowCount = Math.min(file.rowCount, Number(unique[0].count));
+      }
+      file.codeQuality = codeColumns.length > 0 ? toCodeQuality(codeColumns, quality[0]) : [];
+      if (file.cached) {
+        await this.saveCacheManifest();
+      }
+      return true;
+    } catch (error) {
+      console.warn(`Failed to compute the statistics of ${file.tableName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Wait for the tables being scanned in the background
+   * @returns {Promise<void>}
+   */
+  async waitForScans() {
+    await Promise.all([...this.scanJobs].map(job => job.promise));
+  }
+
+  /**
+   * Stop the background scan of a table
+   * @param {Object} file - Loaded file metadata
+   */
+  cancelScan(file) {
+    for (const job of this.scanJobs) {
+      if (job.file === file) {
+        this.stopStatsJob(job);
+      }
+    }
+  }
+
+  /**
+   * Run a query on the statistics connection, once the statistics queries issued before it are done
+   * @param {string} sql - SQL query string
+   * @param {{cancelled: boolean, running: boolean}} job - Job running the query, see stopStatsJob
+   * @returns {Promise<Array|null>} - The rows, or null if the job was cancelled
+   */
+  async runStatsQuery(sql, job) {
+    const previous = this.statsQueue;
+    let done;
+    this.statsQueue = new Promise(resolve => {
+      done = resolve;
+    });
+
+    try {
+      await previous;
+      if (job.cancelled) {
+        return null;
+      }
+      if (!this.statsConn) {
+        this.statsConn = await this.db.connect();
+      }
+
+      job.running = true;
+      const reader = await this.statsConn.send(sql);
+      const rows = [];
+      for await (const batch of reader) {
+        for (const row of batch.toArray()) {
+          rows.push(row);
+        }
+      }
+      return job.cancelled ? null : rows;
+    } catch (error) {
+      // An interrupted query fails with a DuckDB error
+      if (job.cancelled) {
+        return null;
+      }
+      throw error;
+    } finally {
+      job.running = false;
+      done();
+    }
+  }
+
+  /**
+   * Cancel a statistics job, interrupting its query if it is running
+   * @param {{cancelled: boolean, running: boolean}} job - Statistics job
+   */
+  stopStatsJob(job) {
+    job.cancelled = true;
+    if (job.running) {
+      this.statsConn.cancelSent().catch(error => console.warn('Failed to cancel statistics query:', error));
+    }
+  }
+
+  /**
+   * Count the distinct rows of a table exactly, replacing the estimate made on upload
+   * The count runs on the statistics connection, so that other queries can run meanwhile, and can be cancelled.
+   * @param {string} tableName - Name of the table
+   * @returns {Promise<number|null>} - The exact unique row count, or null if the job was cancelled
+   */
+  async computeExactStatistics(tableName) {
+    const file = this.getTableMetadata(tableName);
+    if (!file) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+    if (this.statsJobs.has(tableName)) {
+      throw new Error(`Exact statistics are already being computed for '${tableName}'`);
+    }
+
+    const job = { cancelled: false, running: false };
+    this.statsJobs.set(tableName, job);
+
+    try {
+      const columns = (await this.getTableInfo(tableName, tableName)).map(col => col.column_name);
+      const rows = await this.runStatsQuery(buildDistinctRowsSQL(tableName, columns), job);
+
+      // The table may have been renamed or removed while the job ran
+      const current = this.loadedFiles.find(f => f === file);
+      if (!rows || !current) {
+        return null;
+      }
+      const uniqueRowCount = Number(rows[0].count);
+      current.uniqueRowCount = uniqueRowCount;
+      current.uniqueRowCountExact = true;
+      if (current.cached) {
+        await this.saveCacheManifest();
+      }
+      return uniqueRowCount;
+    } catch (error) {
+      // The columns of a cancelled job cannot be read once its table is dropped
+      if (job.cancelled) {
+        return null;
+      }
+      throw error;
+    } finally {
+      this.statsJobs.delete(tableName);
+    }
+  }
+
+  /**
+   * Stop an exact statistics job, interrupting its query
+   * @param {string} tableName - Name of the table
+   * @returns {boolean} - Whether a job was running
+   */
+  cancelExactStatistics(tableName) {
+    const job = this.statsJobs.get(tableName);
+    if (!job) {
+      return false;
+    }
+    this.stopStatsJob(job);
+    return true;
+  }
+
+  /**
+   * Profile every column of a table: missing values, distinct values, summary statistics,
+   * a histogram for numbers and dates, and the most frequent values for other columns
+   * The table is read by four queries whatever its width: SUMMARIZE, the present counts, the histograms and the top values.
+   * Queries go through executeQuery, so a long profile can be cancelled.
+   * @param {string} tableName - Name of the table
+   * @returns {Promise<{tableName: string, rowCount: number, columns: Array<Object>}>}
+   */
+  async profileTable(tableName) {
+    if (!this.getTableMetadata(tableName)) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+
+    const summary = await this.executeQuery(buildSummarizeSQL(tableName));
+    const [counts] = await this.executeQuery(buildPresentCountsSQL(tableName, summary.map(row => row.column_name)));
+    const columns = buildColumnProfiles(summary, counts);
+
+    const binned = columns.filter(column => column.kind !== 'categorical');
+    if (binned.length > 0) {
+      const histograms = toHistograms(await this.executeQuery(buildHistogramsSQL(tableName, binned)), binned.length);
+      binned.forEach((column, index) => { column.histogram = histograms[index]; });
+    }
+
+    const categorical = columns.filter(column => column.kind === 'categorical');
+    if (categorical.length > 0) {
+      categorical.forEach(column => { column.topValues = []; });
+      const rows = await this.executeQuery(buildTopValuesSQL(tableName, categorical.map(column => column.name)));
+      for (const row of rows) {
+        categorical[Number(row.column_index)].topValues.push({ value: row.value, count: Number(row.count) });
+      }
+    }
+
+    return { tableName, rowCount: Number(counts.row_count), columns };
+  }
+
+  /**
+   * Find the duplicated values of a business key, e.g. (finess, num_rss)
+   * @param {string} tableName - Name of the table
+   * @param {string[]} keys - Key column names
+   * @returns {Promise<{tableName: string, keys: string[], groupCount: number, rowCount: number, groups: Array<{values: Array<string|null>, count: number}>}>}
+   *   - groupCount keys are duplicated over rowCount rows; groups lists the most duplicated keys, values as text
+   */
+  async findDuplicates(tableName, keys) {
+    if (!this.getTableMetadata(tableName)) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+    if (keys.length === 0) {
+      throw new Error('Choose at least one key column');
+    }
+
+    const [summary] = await this.executeQuery(buildDuplicateSummarySQL(tableName, keys));
+    const rows = await this.executeQuery(buildDuplicateGroupsSQL(tableName, keys));
+
+    return {
+      tableName,
+      keys,
+      groupCount: Number(summary.group_count),
+      rowCount: Number(summary.row_count),
+      groups: rows.map(row => ({
+        values: keys.map((key, index) => row[`key_${index}`] ?? null),
+        count: Number(row.row_count)
+      }))
+    };
+  }
+
+  /**
+   * Get the query returning the rows of a duplicated key, and the columns whose values differ between them
+   * @param {string} tableName - Name of the table
+   * @param {string[]} keys - Key column names
+   * @param {Array<string|null>} values - Key values as text, from findDuplicates
+   * @returns {Promise<{sql: string, differingColumns: string[]}>}
+   */
+  async getDuplicateGroup(tableName, keys, values) {
+    if (!this.getTableMetadata(tableName)) {
+      throw new Error(`Table '${tableName}' not found`);
+    }
+
+    const columns = (await this.getTableInfo(tableName, tableName)).map(col => col.column_name);
+    const [differs] = await this.executeQuery(buildDifferingColumnsSQL(tableName, columns, keys, values));
+
+    return {
+      sql: buildDuplicateRowsSQL(tableName, keys, values),
+      differingColumns: columns.filter((column, index) => differs[`differs_${index}`])
+    };
+  }
+
+  /**
+   * Run data-quality rules against the loaded tables
+   * A rule that cannot run (table not loaded, unknown column, invalid predicate) is reported as an error.
+   * @param {Array<Object>} rules - Rules, see validateRule
+   * @param {Function} [onProgress] - (done, total) => void, called after each rule
+   * @returns {Promise<Array<Object>>} - One result per rule: { rule, description, status: 'pass'|'fail'|'error',
+   *   violations, sql, sample: { columns, rows, types } } or { rule, description, status: 'error', error }
+   */
+  async runRules(rules, onProgress = null) {
+    const results = [];
+
+    for (const rule of rules) {
+      const description = describeRule(rule);
+      try {
+        if (!this.getTableMetadata(rule.table)) {
+          throw new Error(`Table '${rule.table}' not found`);
+        }
+        const [{ count }] = await this.executeQuery(buildRuleCountSQL(rule));
+        const violations = Number(count);
+        results.push({
+          rule,
+          description,
+          status: violations === 0 ? 'pass' : 'fail',
+          violations,
+          sql: buildRuleViolationsSQL(rule),
+          sample: formatQueryResults(violations === 0 ? [] : await this.executeQuery(buildRuleSampleSQL(rule)))
+        });
+      } catch (error) {
+        // Cancelling, or a timeout, stops the run; a broken rule does not
+        if (error instanceof QueryCancelledError) {
+          throw error;
+        }
+        results.push({ rule, description, status: 'error', error: error.message });
+      }
+      if (onProgress) {
+        onProgress(results.length, rules.length);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare the schemas of two tables, e.g. the same ATIH file of two years
+   * @param {string} leftTable - First table, usually the older one
+   * @param {string} rightTable - Second table
+   * @returns {Promise<Object>} - { leftTable, rightTable, leftRowCount, rightRowCount, added, removed, retyped, columns, unionSQL },
+   *   columns comparing the null rate and distinct count of each shared column (see compareColumnStats)
+   */
+  async compareTables(leftTable, rightTable) {
+    for (const tableName of [leftTable, rightTable]) {
+      if (!this.getTableMetadata(tableName)) {
+        throw new Error(`Table '${tableName}' not found`);
+      }
+    }
+
+    const diff = diffSchemas(
+      await this.getTableInfo(leftTable, leftTable),
+      await this.getTableInfo(rightTable, rightTable)
+    );
+    const [leftCounts] = await this.executeQuery(buildColumnCountsSQL(leftTable, diff.shared));
+    const [rightCounts] = await this.executeQuery(buildColumnCountsSQL(rightTable, diff.shared));
 
     return {
-      rowCount: Number(rowCount),
-      columnCount,
-      uniqueRowCount: Number(uniqueRowCount)
+      leftTable,
+      rightTable,
+      leftRowCount: Number(leftCounts.row_count),
+      rightRowCount: Number(rightCounts.row_count),
+      added: diff.added,
+      removed: diff.removed,
+      retyped: diff.retyped,
+      columns: compareColumnStats(diff.shared, leftCounts, rightCounts),
+      unionSQL: buildUnionByNameSQL(leftTable, rightTable)
+    };
+  }
+
+  /**
+   * Get the column names of the loaded tables, attached databases left out
+   * @param {string[]} [tableNames] - Tables to describe, all by default
+   * @returns {Promise<Map<string, string[]>>} - Column names by table name
+   */
+  async getTableColumns(tableNames = this.loadedFiles.map(f => f.tableName)) {
+    const tableColumns = new Map();
+    for (const tableName of tableNames) {
+      const file = this.getTableMetadata(tableName);
+      if (file && file.format !== 'duckdb') {
+        const info = await this.getTableInfo(tableName, tableName);
+        tableColumns.set(tableName, info.map(col => col.column_name));
+      }
+    }
+    return tableColumns;
+  }
+
+  /**
+   * Get the declared relationships
+   * @returns {Array<Object>} - { fromTable, fromColumns, toTable, toColumns }, fromTable referencing toTable
+   */
+  getRelationships() {
+    return [...this.relationships];
+  }
+
+  /**
+   * Declare that the key columns of a table reference another table, e.g. diag(num_rss) -> fixe(num_rss)
+   * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+   * @returns {Promise<Object>} - The declared relationship
+   */
+  async addRelationship(relationship) {
+    const tableColumns = await this.getTableColumns([relationship.fromTable, relationship.toTable]);
+    const declared = validateRelationship(relationship, tableColumns);
+    const key = getRelationshipKey(declared);
+    if (this.relationships.some(r => getRelationshipKey(r) === key)) {
+      throw new Error(`Relationship ${key} is already declared`);
+    }
+    this.relationships.push(declared);
+    return declared;
+  }
+
+  /**
+   * Remove a declared relationship
+   * @param {string} key - Relationship key, from getRelationshipKey
+   */
+  removeRelationship(key) {
+    this.relationships = this.relationships.filter(r => getRelationshipKey(r) !== key);
+  }
+
+  /**
+   * Suggest relationships from the identifier columns shared by loaded tables
+   * @returns {Promise<Array<Object>>} - Relationships not declared yet
+   */
+  async suggestRelationships() {
+    const tableColumns = await this.getTableColumns();
+    const tables = [...tableColumns].map(([tableName, columns]) => ({
+      tableName,
+      columns,
+      rowCount: this.getTableMetadata(tableName).rowCount
+    }));
+    const declared = new Set(this.relationships.map(getRelationshipKey));
+    return suggestRelationships(tables).filter(r => !declared.has(getRelationshipKey(r)));
+  }
+
+  /**
+   * Count the rows left unmatched by a relationship, in both directions, with a sample of each
+   * orphans are rows of fromTable referencing no row of toTable (a diagnosis without its stay);
+   * unreferenced are rows of toTable no row of fromTable references (a stay without diagnoses).
+   * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+   * @returns {Promise<{key: string, orphans: Object, unreferenced: Object}>} - Each side is
+   *   { count, sql, sample: { columns, rows, types } }, sql returning every unmatched row
+   */
+  async checkRelationship(relationship) {
+    const { fromTable, fromColumns, toTable, toColumns } = relationship;
+    for (const tableName of [fromTable, toTable]) {
+      if (!this.getTableMetadata(tableName)) {
+        throw new Error(`Table '${tableName}' not found`);
+      }
+    }
+
+    const check = async (table, columns, other, otherColumns) => {
+      const [{ count }] = await this.executeQuery(buildUnmatchedCountSQL(table, columns, other, otherColumns));
+      const sample = await this.executeQuery(buildUnmatchedSampleSQL(table, columns, other, otherColumns));
+      return {
+        count: Number(count),
+        sql: buildUnmatchedRowsSQL(table, columns, other, otherColumns),
+        sample: formatQueryResults(sample)
+      };
+    };
+
+    return {
+      key: getRelationshipKey(relationship),
+      orphans: await check(fromTable, fromColumns, toTable, toColumns),
+      unreferenced: await check(toTable, toColumns, fromTable, fromColumns)
     };
   }
 
@@ -207,15 +1463,21 @@ export class DuckDBApp {
       throw new Error(`Table name '${sanitizedNewName}' already exists`);
     }
 
-    // Get original filename
-    const originalName = this.loadedFiles[fileIndex].originalName;
-
-    // Drop old view and create new view
-    await this.conn.query(`DROP VIEW IF EXISTS ${oldName}`);
-    await this.conn.query(`CREATE VIEW ${sanitizedNewName} AS SELECT * FROM '${originalName}'`);
+    // Drop the old view and create it under the new name (attached databases are re-attached)
+    const file = this.loadedFiles[fileIndex];
+    this.cancelExactStatistics(oldName);
+    await this.dropFileObject(file);
+    await this.createFileObject({ ...file, tableName: sanitizedNewName });
 
     // Update metadata
-    this.loadedFiles[fileIndex].tableName = sanitizedNewName;
+    file.tableName = sanitizedNewName;
+    for (const relationship of this.relationships) {
+      if (relationship.fromTable === oldName) relationship.fromTable = sanitizedNewName;
+      if (relationship.toTable === oldName) relationship.toTable = sanitizedNewName;
+    }
+    if (file.cached) {
+      await this.saveCacheManifest();
+    }
 
     return sanitizedNewName;
   }
@@ -230,24 +1492,39 @@ export class DuckDBApp {
       throw new Error(`Table '${tableName}' not found`);
     }
 
-    // Drop view
-    await this.conn.query(`DROP VIEW IF EXISTS ${tableName}`);
+    // Drop view or detach database
+    const file = this.loadedFiles[fileIndex];
+    this.cancelExactStatistics(tableName);
+    this.cancelScan(file);
+    await this.dropFileObject(file);
 
-    // Remove from metadata
+    // Remove from metadata; removed tables are not restored next session
     this.loadedFiles.splice(fileIndex, 1);
+    this.relationships = this.relationships.filter(r => r.fromTable !== tableName && r.toTable !== tableName);
+    if (file.cached) {
+      await this.deleteCachedFiles(file);
+      await this.saveCacheManifest();
+    }
   }
 
   /**
    * Clear all loaded tables
    */
   async clearAllTables() {
-    // Drop all views
+    // Drop all views and detach databases
     for (const file of this.loadedFiles) {
-      await this.conn.query(`DROP VIEW IF EXISTS ${file.tableName}`);
+      this.cancelExactStatistics(file.tableName);
+      this.cancelScan(file);
+      await this.dropFileObject(file);
     }
 
-    // Clear metadata
+    // Clear metadata and cache
     this.loadedFiles = [];
+    this.relationships = [];
+    this.missingTables = [];
+    if (this.cache) {
+      await this.cache.clear();
+    }
   }
 
   /**
@@ -257,6 +1534,9 @@ export class DuckDBApp {
     if (this.conn) {
       await this.conn.close();
     }
+    if (this.statsConn) {
+      await this.statsConn.close();
+    }
     if (this.db) {
       await this.db.terminate();
     }
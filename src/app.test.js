@@ -8,11 +8,13 @@ import {
   generateUniqueTableName,
   DuckDBApp
 } from './app.js';
+import { QueryCancelledError } from './modules/database/index.js';
+import { ATIH_LAYOUTS } from './modules/files/index.js';
 
 describe('formatQueryResults', () => {
   it('should format empty results', () => {
     const result = formatQueryResults([]);
-    expect(result).toEqual({ columns: [], rows: [] });
+    expect(result).toEqual({ columns: [], rows: [], types: [] });
   });
 
   it('should format results with data', () => {
@@ -85,12 +87,12 @@ describe('createResultsTable', () => {
 });
 
 describe('handleFileUpload', () => {
-  it('should reject non-parquet files', async () => {
+  it('should reject unsupported files', async () => {
     const file = {
-      name: 'test.csv',
+      name: 'test.xlsx',
       arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(8))
     };
-    await expect(handleFileUpload(file)).rejects.toThrow('Only .parquet files are supported');
+    await expect(handleFileUpload(file)).rejects.toThrow('Only .parquet, .csv, .tsv, .rsa, .rss, .rum, .txt, .zip, .duckdb files are supported');
   });
 
   it('should accept parquet files', async () => {
@@ -174,15 +176,28 @@ describe('DuckDBApp', () => {
   let mockDb;
   let mockConn;
 
+  /**
+   * Build a record batch reader yielding the given batches of rows
+   */
+  const batchReader = (...batches) => ({
+    async *[Symbol.asyncIterator]() {
+      for (const rows of batches) {
+        yield { toArray: () => rows };
+      }
+    }
+  });
+
   beforeEach(() => {
-    // Mock DuckDB connection
+    // Mock DuckDB connection; the statistics computed in the background after loads read one row from send
     mockConn = {
       query: vi.fn(),
+      send: vi.fn().mockResolvedValue(batchReader([{ count: 0 }])),
       close: vi.fn()
     };
     mockDb = {
       connect: vi.fn().mockResolvedValue(mockConn),
       registerFileBuffer: vi.fn().mockResolvedValue(undefined),
+      registerFileHandle: vi.fn().mockResolvedValue(undefined),
       terminate: vi.fn()
     };
 
@@ -192,26 +207,205 @@ describe('DuckDBApp', () => {
     app.initialized = true;
   });
 
-  afterEach(() => {
+  afterEach(async () => {
+    // Let the statistics started in the background by loads finish with the mocks of their test
+    await app.waitForScans();
     vi.restoreAllMocks();
   });
 
   describe('executeQuery', () => {
+    /**
+     * Make conn.send hang until conn.cancelSent interrupts it
+     */
+    const hangUntilCancelled = () => {
+      let interrupt;
+      mockConn.send = vi.fn(() => new Promise((_, reject) => {
+        interrupt = () => reject(new Error('INTERRUPT Error: Interrupted!'));
+      }));
+      mockConn.cancelSent = vi.fn(async () => {
+        interrupt();
+        return true;
+      });
+    };
+
     it('should execute a SQL query and return results', async () => {
-      const mockResult = {
-        toArray: vi.fn().mockReturnValue([
-          { id: 1, name: 'Test' }
-        ])
-      };
-      mockConn.query.mockResolvedValue(mockResult);
+      mockConn.send = vi.fn().mockResolvedValue(batchReader([{ id: 1, name: 'Test' }]));
 
       const results = await app.executeQuery('SELECT * FROM test');
 
-      expect(mockConn.query).toHaveBeenCalledWith('SELECT * FROM test');
+      expect(mockConn.send).toHaveBeenCalledWith('SELECT * FROM test');
       expect(results).toHaveLength(1);
       expect(results[0]).toEqual({ id: 1, name: 'Test' });
     });
 
+    it('should collect rows from every batch', async () => {
+      mockConn.send = vi.fn().mockResolvedValue(batchReader([{ id: 1 }, { id: 2 }], [{ id: 3 }]));
+
+      const results = await app.executeQuery('SELECT * FROM test');
+
+      expect(results.map(r => r.id)).toEqual([1, 2, 3]);
+    });
+
+    it('should keep the Arrow schema of the result', async () => {
+      const schema = { fields: [{ name: 'id', type: 'Int64' }] };
+      mockConn.send = vi.fn().mockResolvedValue({ ...batchReader([{ id: 1n }]), schema });
+
+      const results = await app.executeQuery('SELECT 1::BIGINT AS id');
+
+      expect(results.schema).toBe(schema);
+      expect(formatQueryResults(results).types[0].kind).toBe('bigint');
+    });
+
+    it('should reject with QueryCancelledError when cancelled', async () => {
+      hangUntilCancelled();
+
+      const running = app.executeQuery('SELECT * FROM diag a, diag b');
+      await vi.waitFor(() => expect(app.runningQuery).not.toBeNull());
+      expect(await app.cancelQuery()).toBe(true);
+
+      await expect(running).rejects.toThrow(QueryCancelledError);
+      await expect(running).rejects.toThrow('Query cancelled');
+      expect(mockConn.cancelSent).toHaveBeenCalled();
+      expect(app.runningQuery).toBeNull();
+    });
+
+    it('should cancel automatically after the timeout', async () => {
+      vi.useFakeTimers();
+      try {
+        hangUntilCancelled();
+
+        const running = app.executeQuery('SELECT * FROM diag a, diag b', { timeout: 30000 });
+        const assertion = expect(running).rejects.toThrow('Query cancelled after 30 s timeout');
+        await vi.advanceTimersByTimeAsync(30000);
+
+        await assertion;
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should report cancelling with no running query', async () => {
+      mockConn.cancelSent = vi.fn();
+      expect(await app.cancelQuery()).toBe(false);
+      expect(mockConn.cancelSent).not.toHaveBeenCalled();
+    });
+
+    it('should run a second query once the running one is done', async () => {
+      hangUntilCancelled();
+
+      const running = app.executeQuery('SELECT 1');
+      const waiting = app.executeQuery('SELECT 2');
+      await vi.waitFor(() => expect(app.runningQuery).not.toBeNull());
+      expect(mockConn.send).toHaveBeenCalledTimes(1);
+
+      mockConn.send.mockResolvedValue(batchReader([{ id: 2 }]));
+      await app.cancelQuery();
+
+      await expect(running).rejects.toThrow(QueryCancelledError);
+      await expect(waiting).resolves.toEqual([{ id: 2 }]);
+      expect(mockConn.send).toHaveBeenLastCalledWith('SELECT 2');
+    });
+
+    it('should run queued queries after a failed one', async () => {
+      mockConn.send = vi.fn()
+        .mockRejectedValueOnce(new Error('Binder Error'))
+        .mockResolvedValueOnce(batchReader([{ id: 1 }]));
+
+      const failing = app.executeQuery('SELECT nope');
+      const waiting = app.executeQuery('SELECT 1');
+
+      await expect(failing).rejects.toThrow('Binder Error');
+      await expect(waiting).resolves.toEqual([{ id: 1 }]);
+    });
+
+    it('should pass other query errors through', async () => {
+      mockConn.send = vi.fn().mockRejectedValue(new Error('Catalog Error: Table with name nope does not exist!'));
+      await expect(app.executeQuery('SELECT * FROM nope')).rejects.toThrow('Catalog Error');
+    });
+
+    it('should bind params through a prepared statement', async () => {
+      const statement = {
+        send: vi.fn().mockResolvedValue(batchReader([{ ghm: '05K061' }])),
+        close: vi.fn().mockResolvedValue(undefined)
+      };
+      mockConn.send = vi.fn();
+      mockConn.prepare = vi.fn().mockResolvedValue(statement);
+
+      const results = await app.executeQuery('SELECT ghm FROM fixe WHERE starts_with(ghm, $1)', { params: ['05K'] });
+
+      expect(mockConn.prepare).toHaveBeenCalledWith('SELECT ghm FROM fixe WHERE starts_with(ghm, $1)');
+      expect(statement.send).toHaveBeenCalledWith('05K');
+      expect(statement.close).toHaveBeenCalled();
+      expect(mockConn.send).not.toHaveBeenCalled();
+      expect(results).toEqual([{ ghm: '05K061' }]);
+    });
+
+    it('should close the prepared statement when the query fails', async () => {
+      const statement = {
+        send: vi.fn().mockRejectedValue(new Error('Binder Error')),
+        close: vi.fn().mockResolvedValue(undefined)
+      };
+      mockConn.prepare = vi.fn().mockResolvedValue(statement);
+
+      await expect(app.executeQuery('SELECT $1 + x', { params: [1] })).rejects.toThrow('Binder Error');
+      expect(statement.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('openQuery', () => {
+    const reader = (rows) => ({
+      async *[Symbol.asyncIterator]() {
+        yield { toArray: () => rows };
+      }
+    });
+
+    it('should count rows up front and fetch pages lazily', async () => {
+      mockConn.send = vi.fn(async (sql) => reader(sql.startsWith('SELECT COUNT(*)') ? [{ count: 1234n }] : [{ id: 51 }]));
+
+      const pager = await app.openQuery('SELECT * FROM diag;', 50);
+
+      expect(pager.totalRows).toBe(1234);
+      expect(mockConn.send).toHaveBeenCalledTimes(1);
+
+      const page = await pager.getPage(1);
+
+      expect(mockConn.send).toHaveBeenLastCalledWith('SELECT * FROM (\nSELECT * FROM diag\n) LIMIT 50 OFFSET 50');
+      expect(page.rows).toEqual([[51]]);
+    });
+
+    it('should run other statements once and page them in memory', async () => {
+      mockConn.send = vi.fn().mockResolvedValue(reader([{ name: 'fixe' }, { name: 'um' }]));
+
+      const pager = await app.openQuery('SHOW TABLES', 1);
+      const page = await pager.getPage(1);
+
+      expect(mockConn.send).toHaveBeenCalledTimes(1);
+      expect(mockConn.send).toHaveBeenCalledWith('SHOW TABLES');
+      expect(pager.totalRows).toBe(2);
+      expect(page.rows).toEqual([['um']]);
+    });
+
+    it('should bind params to the count and page queries', async () => {
+      const statements = [];
+      mockConn.prepare = vi.fn(async (sql) => {
+        const statement = {
+          sql,
+          send: vi.fn(async () => reader(sql.startsWith('SELECT COUNT(*)') ? [{ count: 3n }] : [{ um: 'U1' }])),
+          close: vi.fn()
+        };
+        statements.push(statement);
+        return statement;
+      });
+
+      const pager = await app.openQuery('SELECT * FROM um WHERE list_contains([$1, $2], um)', 50, ['U1', 'U2']);
+      await pager.getPage(0);
+
+      expect(pager.totalRows).toBe(3);
+      expect(statements).toHaveLength(2);
+      expect(statements[1].sql).toContain('LIMIT 50 OFFSET 0');
+      statements.forEach(statement => expect(statement.send).toHaveBeenCalledWith('U1', 'U2'));
+    });
+
     it('should throw error if not initialized', async () => {
       app.initialized = false;
       await expect(app.executeQuery('SELECT 1')).rejects.toThrow('DuckDB not initialized');
@@ -222,17 +416,31 @@ describe('DuckDBApp', () => {
     });
   });
 
+  describe('getParameterOptions', () => {
+    it('should list the distinct values of the source column', async () => {
+      mockConn.send = vi.fn().mockResolvedValue({
+        async *[Symbol.asyncIterator]() {
+          yield { toArray: () => [{ value: '750000001' }, { value: '750000002' }] };
+        }
+      });
+
+      const options = await app.getParameterOptions({ table: 'fixe', column: 'finess' });
+
+      expect(mockConn.send.mock.calls[0][0]).toContain('SELECT DISTINCT CAST("finess" AS VARCHAR) AS value FROM fixe');
+      expect(options).toEqual(['750000001', '750000002']);
+    });
+  });
+
   describe('loadParquetFile', () => {
     it('should register parquet file in DuckDB', async () => {
       // Mock for CREATE VIEW (1st call)
-      // Then mock for getFileStatistics: COUNT, DESCRIBE, COUNT DISTINCT
+      // Then mock for getFileStatistics: COUNT, DESCRIBE
       mockConn.query
         .mockResolvedValueOnce({}) // CREATE VIEW
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) }) // COUNT
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) }) // DESCRIBE
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) }); // COUNT DISTINCT
+        ]) }); // DESCRIBE
 
       const buffer = new ArrayBuffer(8);
       await app.loadParquetFile('test.parquet', buffer);
@@ -243,14 +451,32 @@ describe('DuckDBApp', () => {
       );
     });
 
-    it('should create view with sanitized table name', async () => {
+    it('should register the macros waiting for the loaded table', async () => {
+      app.macros = [{
+        name: 'get_casemix', file: 'casemix.sql', sql: 'CREATE MACRO get_casemix() AS TABLE SELECT * FROM fixe',
+        status: 'pending', error: 'Catalog Error: Table with name fixe does not exist!', missingTable: 'fixe'
+      }];
       mockConn.query
         .mockResolvedValueOnce({}) // CREATE VIEW
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) }) // COUNT
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
         ]) }) // DESCRIBE
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) }); // COUNT DISTINCT
+        .mockResolvedValueOnce({}); // CREATE MACRO
+
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+
+      expect(mockConn.query).toHaveBeenLastCalledWith('CREATE MACRO get_casemix() AS TABLE SELECT * FROM fixe');
+      expect(app.getMacros()[0].status).toBe('registered');
+    });
+
+    it('should create view with sanitized table name', async () => {
+      mockConn.query
+        .mockResolvedValueOnce({}) // CREATE VIEW
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) }) // COUNT
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
+          { column_name: 'id', column_type: 'INTEGER' }
+        ]) }); // DESCRIBE
 
       const buffer = new ArrayBuffer(8);
       const tableName = await app.loadParquetFile('my file.parquet', buffer);
@@ -268,8 +494,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' },
           { column_name: 'name', column_type: 'VARCHAR' }
-        ]) }) // DESCRIBE
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) }); // COUNT DISTINCT
+        ]) }); // DESCRIBE
 
       await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
       const metadata = app.getAllTablesMetadata();
@@ -284,6 +509,35 @@ describe('DuckDBApp', () => {
       });
     });
 
+    it('should record file size and buffer storage mode', async () => {
+      mockConn.query
+        .mockResolvedValueOnce({}) // CREATE VIEW
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
+          { column_name: 'id', column_type: 'INTEGER' }
+        ]) });
+
+      await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
+
+      expect(app.getTableMetadata('test')).toMatchObject({ fileSize: 8, storageMode: 'buffer' });
+    });
+
+    it('should register File objects by handle without reading them', async () => {
+      mockConn.query
+        .mockResolvedValueOnce({}) // CREATE VIEW
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
+          { column_name: 'id', column_type: 'INTEGER' }
+        ]) });
+
+      const file = new File(['PAR1'], 'national.parquet');
+      await app.loadParquetFile('national.parquet', file);
+
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('national.parquet', file, expect.any(Number), true);
+      expect(mockDb.registerFileBuffer).not.toHaveBeenCalled();
+      expect(app.getTableMetadata('national')).toMatchObject({ fileSize: 4, storageMode: 'handle' });
+    });
+
     it('should handle duplicate filenames', async () => {
       // First file
       mockConn.query
@@ -291,8 +545,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) });
+        ]) });
 
       await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
 
@@ -302,8 +555,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 50 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 40 }]) });
+        ]) });
 
       await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
 
@@ -319,6 +571,328 @@ describe('DuckDBApp', () => {
     });
   });
 
+  describe('loadParquetDataset', () => {
+    const parts = [
+      { path: 'annee=2023/part-0.parquet', file: new File(['abc'], 'part-0.parquet') },
+      { path: 'annee=2024/part-0.parquet', file: new File(['defg'], 'part-0.parquet') }
+    ];
+
+    beforeEach(() => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => sql.startsWith('DESCRIBE')
+          ? [{ column_name: 'ghm', column_type: 'VARCHAR' }, { column_name: 'annee', column_type: 'BIGINT' }]
+          : [{ count: 20 }]
+      }));
+    });
+
+    it('should register every part by handle under the dataset folder', async () => {
+      await app.loadParquetDataset('rsa', parts);
+
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('rsa/annee=2023/part-0.parquet', parts[0].file, expect.any(Number), true);
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('rsa/annee=2024/part-0.parquet', parts[1].file, expect.any(Number), true);
+    });
+
+    it('should create a single view with hive partitioning', async () => {
+      const tableName = await app.loadParquetDataset('rsa', parts);
+
+      expect(tableName).toBe('rsa');
+      expect(mockConn.query).toHaveBeenCalledWith(
+        "CREATE VIEW rsa AS SELECT * FROM read_parquet(['rsa/annee=2023/part-0.parquet', 'rsa/annee=2024/part-0.parquet'], hive_partitioning=true)"
+      );
+    });
+
+    it('should record one entry with file count and total size', async () => {
+      await app.loadParquetDataset('rsa', parts);
+      const tables = app.getAllTablesMetadata();
+
+      expect(tables).toHaveLength(1);
+      expect(tables[0]).toMatchObject({
+        tableName: 'rsa',
+        originalName: 'rsa/',
+        format: 'parquet-dataset',
+        fileCount: 2,
+        fileSize: 7,
+        storageMode: 'handle',
+        partitionColumns: ['annee'],
+        rowCount: 20,
+        columnCount: 2
+      });
+    });
+
+    it('should throw for a folder without parquet files', async () => {
+      await expect(app.loadParquetDataset('empty', [])).rejects.toThrow("No .parquet files found in 'empty'");
+    });
+  });
+
+  describe('loadCSVFile', () => {
+    const mockStats = () => {
+      mockConn.query
+        .mockResolvedValueOnce({}) // CREATE VIEW
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 10 }]) }) // COUNT
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
+          { column_name: 'finess', column_type: 'VARCHAR' }
+        ]) }); // DESCRIBE
+    };
+
+    it('should register file and create view with read_csv', async () => {
+      mockStats();
+      const tableName = await app.loadCSVFile('rsa.csv', new ArrayBuffer(8), { delimiter: ';' });
+
+      expect(tableName).toBe('rsa');
+      expect(mockDb.registerFileBuffer).toHaveBeenCalledWith('rsa.csv', expect.any(Uint8Array));
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining("CREATE VIEW rsa AS SELECT * FROM read_csv('rsa.csv', delim=';'")
+      );
+    });
+
+    it('should compute statistics through the CSV reader', async () => {
+      mockStats();
+      await app.loadCSVFile('rsa.csv', new ArrayBuffer(8));
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining("COUNT(*) as count FROM read_csv('rsa.csv'")
+      );
+    });
+
+    it('should store format and import options in metadata', async () => {
+      mockStats();
+      await app.loadCSVFile('rsa.tsv', new ArrayBuffer(8), { encoding: 'latin1' });
+
+      expect(app.getTableMetadata('rsa')).toMatchObject({
+        originalName: 'rsa.tsv',
+        format: 'csv',
+        csvOptions: { delimiter: '\t', encoding: 'latin1' },
+        rowCount: 10,
+        columnCount: 1
+      });
+    });
+
+    it('should recreate the CSV view when renamed', async () => {
+      mockStats();
+      await app.loadCSVFile('rsa.csv', new ArrayBuffer(8), { delimiter: ';' });
+      mockConn.query.mockClear();
+
+      await app.renameTable('rsa', 'sejours');
+
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining("CREATE VIEW sejours AS SELECT * FROM read_csv('rsa.csv', delim=';'")
+      );
+    });
+
+    it('should throw error if not initialized', async () => {
+      app.initialized = false;
+      await expect(app.loadCSVFile('rsa.csv', new ArrayBuffer(8)))
+        .rejects.toThrow('DuckDB not initialized');
+    });
+  });
+
+  describe('loadATIHFile', () => {
+    // Ungrouped RUM line with no variable zones
+    const rum = ATIH_LAYOUTS.find(l => l.format === 'rum');
+    const line = Array.from({ length: rum.fixedLength }, (_, i) => {
+      const field = rum.fields.find(f => i >= f.start - 1 && i < f.start - 1 + f.length);
+      if (!field) return ' ';
+      const values = { format_rss: '022', finess: '750000001', num_rss: '1', num_rum: '1', nb_da: '0', nb_dad: '0', nb_actes: '0' };
+      return String(values[field.name] ?? '').padEnd(field.length)[i - field.start + 1];
+    }).join('');
+    const buffer = new TextEncoder().encode(line + '\n').buffer;
+
+    beforeEach(() => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => sql.startsWith('DESCRIBE')
+          ? [{ column_name: 'finess', column_type: 'VARCHAR' }]
+          : [{ count: 1 }]
+      }));
+    });
+
+    it('should create one view per normalized table', async () => {
+      const tableNames = await app.loadATIHFile('750000001.2024.rum.txt', buffer);
+
+      expect(tableNames).toEqual(['fixe', 'um', 'diag', 'acte']);
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining("CREATE VIEW diag AS SELECT * FROM read_csv('750000001.2024.rum.txt.diag.tsv'")
+      );
+    });
+
+    it('should register each table as a TSV buffer', async () => {
+      await app.loadATIHFile('750000001.2024.rum.txt', buffer);
+
+      const [name, bytes] = mockDb.registerFileBuffer.mock.calls[0];
+      expect(name).toBe('750000001.2024.rum.txt.fixe.tsv');
+      expect(new TextDecoder().decode(bytes)).toMatch(/^finess\tnum_rss\t/);
+    });
+
+    it('should record layout and table in metadata', async () => {
+      await app.loadATIHFile('750000001.2024.rum.txt', buffer);
+
+      expect(app.getTableMetadata('fixe')).toMatchObject({
+        originalName: '750000001.2024.rum.txt',
+        format: 'atih',
+        atihLayout: 'rum-022',
+        atihTable: 'fixe',
+        rowCount: 1,
+        columnCount: 1
+      });
+    });
+
+    it('should prefix table names when given a prefix', async () => {
+      const tableNames = await app.loadATIHFile('750000001.2024.rum.txt', buffer, 'out_2024');
+
+      expect(tableNames).toEqual(['out_2024_fixe', 'out_2024_um', 'out_2024_diag', 'out_2024_acte']);
+    });
+
+    it('should throw for unrecognised content', async () => {
+      const text = new TextEncoder().encode('hello\n').buffer;
+      await expect(app.loadATIHFile('notes.txt', text)).rejects.toThrow('Unrecognised ATIH file format');
+    });
+
+    it('should throw error if not initialized', async () => {
+      app.initialized = false;
+      await expect(app.loadATIHFile('rum.txt', buffer)).rejects.toThrow('DuckDB not initialized');
+    });
+  });
+
+  describe('loadReferenceDataset', () => {
+    const datasets = [
+      { id: 'ghm-2024', nomenclature: 'ghm', year: 2024, file: 'ghm-2024.tsv', load: async () => 'ghm\tlibelle\tcmd\tcmd_libelle\n' },
+      { id: 'ghm-2023', nomenclature: 'ghm', year: 2023, file: 'ghm-2023.tsv', load: async () => 'ghm\tlibelle\tcmd\tcmd_libelle\n' },
+      { id: 'ghm-2024-sample', nomenclature: 'ghm', year: 2024, sample: true, file: 'ghm-2024.sample.tsv', load: async () => 'ghm\n' }
+    ];
+
+    beforeEach(() => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => (sql.startsWith('DESCRIBE') ? [{ column_name: 'ghm', column_type: 'VARCHAR' }] : [{ count: 14 }])
+      }));
+    });
+
+    it('should register the nomenclature as a reference table of its year', async () => {
+      const tableName = await app.loadReferenceDataset('ghm-2024', datasets);
+
+      expect(tableName).toBe('ref_ghm_2024');
+      const [fileName, data] = mockDb.registerFileBuffer.mock.calls[0];
+      expect(fileName).toBe('reference/ghm-2024.tsv');
+      expect(new TextDecoder().decode(data)).toBe('ghm\tlibelle\tcmd\tcmd_libelle\n');
+      expect(mockConn.query).toHaveBeenCalledWith(
+        expect.stringContaining("CREATE VIEW ref_ghm_2024 AS SELECT * FROM read_csv('reference/ghm-2024.tsv', delim='\t'")
+      );
+      expect(mockConn.query).toHaveBeenCalledWith(expect.stringContaining("'cmd': 'VARCHAR'"));
+      expect(app.getTableMetadata('ref_ghm_2024')).toMatchObject({
+        originalName: 'GHM 2024',
+        format: 'reference',
+        reference: true,
+        referenceId: 'ghm-2024',
+        nomenclature: 'ghm',
+        nomenclatureYear: 2024,
+        rowCount: 14
+      });
+    });
+
+    it('should load several years side by side, each once', async () => {
+      await app.loadReferenceDataset('ghm-2024', datasets);
+      await app.loadReferenceDataset('ghm-2023', datasets);
+
+      expect(app.getAllTablesMetadata().map(f => f.tableName)).toEqual(['ref_ghm_2024', 'ref_ghm_2023']);
+      await expect(app.loadReferenceDataset('ghm-2024', datasets)).rejects.toThrow('GHM 2024 is already loaded');
+    });
+
+    it('should label samples apart from the complete release', async () => {
+      const tableName = await app.loadReferenceDataset('ghm-2024-sample', datasets);
+
+      expect(tableName).toBe('ref_ghm_2024_sample');
+      expect(app.getTableMetadata('ref_ghm_2024_sample')).toMatchObject({
+        originalName: 'GHM 2024 (sample)',
+        reference: true,
+        referenceSample: true
+      });
+      await expect(app.loadReferenceDataset('ghm-2024-sample', datasets)).rejects.toThrow('GHM 2024 (sample) is already loaded');
+    });
+
+    it('should reject unknown datasets', async () => {
+      await expect(app.loadReferenceDataset('ghm-1999', datasets)).rejects.toThrow("Unknown reference dataset 'ghm-1999'");
+    });
+  });
+
+  describe('attachDatabaseFile', () => {
+    beforeEach(() => {
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => sql.includes('duckdb_tables()')
+          ? [
+            { schema_name: 'main', name: 'sejours', type: 'table', row_count: 120, column_count: 8 },
+            { schema_name: 'ref', name: 'cim10', type: 'table', row_count: 40000n, column_count: 3 },
+            { schema_name: 'main', name: 'sejours_2024', type: 'view', row_count: null, column_count: 8 }
+          ]
+          : []
+      }));
+    });
+
+    it('should register and attach the database read-only', async () => {
+      const alias = await app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8));
+
+      expect(alias).toBe('prepared');
+      expect(mockDb.registerFileBuffer).toHaveBeenCalledWith('prepared.duckdb', expect.any(Uint8Array));
+      expect(mockConn.query).toHaveBeenCalledWith("ATTACH 'prepared.duckdb' AS prepared (READ_ONLY)");
+    });
+
+    it('should register large database files by handle', async () => {
+      const file = new File(['db'], 'prepared.duckdb');
+      await app.attachDatabaseFile('prepared.duckdb', file);
+
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('prepared.duckdb', file, expect.any(Number), true);
+    });
+
+    it('should list attached schemas and tables in metadata', async () => {
+      await app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8));
+
+      expect(app.getTableMetadata('prepared')).toMatchObject({
+        format: 'duckdb',
+        attachedTables: [
+          { schema: 'main', name: 'sejours', type: 'table', rowCount: 120, columnCount: 8 },
+          { schema: 'ref', name: 'cim10', type: 'table', rowCount: 40000, columnCount: 3 },
+          { schema: 'main', name: 'sejours_2024', type: 'view', rowCount: null, columnCount: 8 }
+        ],
+        rowCount: 40120,
+        rowCountExact: false,
+        columnCount: 19
+      });
+    });
+
+    it('should detach the database when removed', async () => {
+      await app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8));
+      mockConn.query.mockClear();
+
+      await app.removeTable('prepared');
+
+      expect(mockConn.query).toHaveBeenCalledWith('DETACH DATABASE IF EXISTS prepared');
+      expect(mockConn.query).not.toHaveBeenCalledWith(expect.stringContaining('DROP VIEW'));
+      expect(app.getAllTablesMetadata()).toHaveLength(0);
+    });
+
+    it('should detach databases when clearing all tables', async () => {
+      await app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8));
+      mockConn.query.mockClear();
+
+      await app.clearAllTables();
+
+      expect(mockConn.query).toHaveBeenCalledWith('DETACH DATABASE IF EXISTS prepared');
+    });
+
+    it('should re-attach under the new alias when renamed', async () => {
+      await app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8));
+      mockConn.query.mockClear();
+
+      await app.renameTable('prepared', 'ref');
+
+      expect(mockConn.query).toHaveBeenCalledWith('DETACH DATABASE IF EXISTS prepared');
+      expect(mockConn.query).toHaveBeenCalledWith("ATTACH 'prepared.duckdb' AS ref (READ_ONLY)");
+    });
+
+    it('should throw error if not initialized', async () => {
+      app.initialized = false;
+      await expect(app.attachDatabaseFile('prepared.duckdb', new ArrayBuffer(8)))
+        .rejects.toThrow('DuckDB not initialized');
+    });
+  });
+
   describe('getTableInfo', () => {
     it('should return table information after loading parquet', async () => {
       const mockResult = {
@@ -336,35 +910,98 @@ describe('DuckDBApp', () => {
     });
   });
 
-  describe('getFileStatistics', () => {
-    it('should return row count, column count, and unique row count', async () => {
-      // Mock the responses for different queries
-      const mockCountResult = {
-        toArray: vi.fn().mockReturnValue([{ count: 100 }])
-      };
-      const mockTableInfo = {
-        toArray: vi.fn().mockReturnValue([
-          { column_name: 'id', column_type: 'INTEGER' },
-          { column_name: 'name', column_type: 'VARCHAR' }
-        ])
-      };
-      const mockUniqueResult = {
-        toArray: vi.fn().mockReturnValue([{ count: 85 }])
-      };
+  describe('registerValidators', () => {
+    it('should create the code validator macros', async () => {
+      mockConn.query.mockResolvedValue({});
+
+      await app.registerValidators();
+
+      const statements = mockConn.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toHaveLength(4);
+      expect(statements[0]).toMatch(/^CREATE OR REPLACE MACRO is_valid_cim10\(code\)/);
+      expect(statements[3]).toMatch(/^CREATE OR REPLACE MACRO is_error_ghm\(code\)/);
+    });
+  });
+
+  describe('registerPendingMacros', () => {
+    it('should register the macros whose table is now loaded', async () => {
+      app.macros = [
+        { name: 'one', file: 'one.sql', sql: 'CREATE MACRO one() AS 1', status: 'registered', error: null, missingTable: null },
+        { name: 'get_stays', file: 'stays.sql', sql: 'CREATE MACRO get_stays() AS TABLE SELECT * FROM fixe', status: 'pending', error: 'Catalog Error', missingTable: 'fixe' },
+        { name: 'get_diag', file: 'diag.sql', sql: 'CREATE MACRO get_diag() AS TABLE SELECT * FROM diag', status: 'pending', error: 'Catalog Error', missingTable: 'diag' }
+      ];
+      mockConn.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM diag')) throw new Error('Catalog Error: Table with name diag does not exist!');
+        return {};
+      });
 
+      expect(await app.registerPendingMacros()).toBe(1);
+
+      expect(mockConn.query).toHaveBeenCalledTimes(2);
+      expect(app.getMacros().map(m => [m.name, m.status])).toEqual([
+        ['one', 'registered'],
+        ['get_stays', 'registered'],
+        ['get_diag', 'pending']
+      ]);
+    });
+
+    it('should run nothing without pending macros', async () => {
+      expect(await app.registerPendingMacros()).toBe(0);
+      expect(mockConn.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registerUserMacros', () => {
+    it('should add the macros of user templates to the library, replacing the previous ones', async () => {
+      app.macros = [
+        { name: 'one', file: 'one.sql', sql: 'CREATE MACRO one() AS 1', status: 'registered', error: null, missingTable: null }
+      ];
+      mockConn.query.mockResolvedValue({});
+      const templates = [
+        { title: 'Stays of a unit', sql: 'SELECT * FROM um WHERE um = $unit' },
+        { title: 'Helpers', sql: 'CREATE MACRO cmd(ghm) AS substr(ghm, 1, 2);\nCREATE MACRO severity(ghm) AS right(ghm, 1);' }
+      ];
+
+      await app.registerUserMacros(templates);
+      await app.registerUserMacros(templates.slice(1, 2));
+
+      expect(mockConn.query).toHaveBeenCalledWith('CREATE MACRO cmd(ghm) AS substr(ghm, 1, 2)');
+      expect(app.getMacros().map(m => [m.name, m.file, m.status])).toEqual([
+        ['one', 'one.sql', 'registered'],
+        ['cmd', 'Helpers', 'registered'],
+        ['severity', 'Helpers', 'registered']
+      ]);
+    });
+  });
+
+  describe('getFileStatistics', () => {
+    it('should return row count and column count without scanning for unique rows', async () => {
+      const tableInfo = [
+        { column_name: 'id', column_type: 'INTEGER' },
+        { column_name: 'name', column_type: 'VARCHAR' }
+      ];
       mockConn.query
-        .mockResolvedValueOnce(mockCountResult) // First call: row count
-        .mockResolvedValueOnce(mockTableInfo)    // Second call: table info (DESCRIBE)
-        .mockResolvedValueOnce(mockUniqueResult); // Third call: unique count
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) }) // First call: row count
+        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue(tableInfo) }); // Second call: table info (DESCRIBE)
 
       const stats = await app.getFileStatistics('test.parquet');
 
-      expect(stats).toEqual({
-        rowCount: 100,
-        columnCount: 2,
-        uniqueRowCount: 85
-      });
-      expect(mockConn.query).toHaveBeenCalledTimes(3);
+      expect(stats).toEqual({ rowCount: 100, columnCount: 2, tableInfo });
+      expect(mockConn.query).toHaveBeenCalledTimes(2);
+      expect(mockConn.send).not.toHaveBeenCalled();
+    });
+
+    it('should read the row count of Parquet files from their metadata', async () => {
+      mockConn.query
+        .mockResolvedValueOnce({ toArray: () => [{ count: 10000000n }] })
+        .mockResolvedValueOnce({ toArray: () => [{ column_name: 'id', column_type: 'INTEGER' }] });
+
+      const stats = await app.getFileStatistics('diag.parquet', "'diag.parquet'", { parquetFiles: ['diag.parquet'] });
+
+      expect(mockConn.query.mock.calls[0][0]).toBe(
+        "SELECT SUM(num_rows) AS count FROM parquet_file_metadata(['diag.parquet'])"
+      );
+      expect(stats.rowCount).toBe(10000000);
     });
 
     it('should throw error if not initialized', async () => {
@@ -372,28 +1009,274 @@ describe('DuckDBApp', () => {
       await expect(app.getFileStatistics('test.parquet'))
         .rejects.toThrow('DuckDB not initialized');
     });
+  });
 
-    it('should handle files with all unique rows', async () => {
-      const mockCountResult = {
-        toArray: vi.fn().mockReturnValue([{ count: 50 }])
-      };
-      const mockTableInfo = {
-        toArray: vi.fn().mockReturnValue([
-          { column_name: 'id', column_type: 'INTEGER' }
-        ])
-      };
-      const mockUniqueResult = {
-        toArray: vi.fn().mockReturnValue([{ count: 50 }])
-      };
+  describe('scanTable', () => {
+    let statsConn;
+    let file;
+
+    beforeEach(() => {
+      file = { tableName: 'rss', source: "'rss.parquet'", rowCount: 100, uniqueRowCount: null, uniqueRowCountExact: false, codeQuality: null };
+      app.loadedFiles = [file];
+      statsConn = { send: vi.fn().mockResolvedValue(batchReader([{ count: 85n }])), close: vi.fn() };
+      mockDb.connect.mockResolvedValue(statsConn);
+    });
+
+    it('should estimate unique rows on the statistics connection', async () => {
+      const stored = await app.scanTable(file, [{ column_name: 'id', column_type: 'INTEGER' }, { column_name: 'name', column_type: 'VARCHAR' }]);
+
+      expect(stored).toBe(true);
+      expect(statsConn.send).toHaveBeenCalledWith(`SELECT approx_count_distinct(hash("id", "name")) AS count FROM 'rss.parquet'`);
+      expect(mockConn.query).not.toHaveBeenCalled();
+      expect(file).toMatchObject({ uniqueRowCount: 85, uniqueRowCountExact: false, codeQuality: [] });
+    });
+
+    it('should not estimate more unique rows than rows', async () => {
+      statsConn.send.mockResolvedValue(batchReader([{ count: 102n }]));
+
+      await app.scanTable(file, [{ column_name: 'id', column_type: 'INTEGER' }]);
 
+      expect(file.uniqueRowCount).toBe(100);
+    });
+
+    it('should check the columns holding PMSI codes', async () => {
+      statsConn.send
+        .mockResolvedValueOnce(batchReader([{ count: 100n }]))
+        .mockResolvedValueOnce(batchReader([{ checked_0: 98n, invalid_0: 2n, checked_1: 100n, invalid_1: 0n, errors_1: 3n }]));
+
+      await app.scanTable(file, [
+        { column_name: 'dp', column_type: 'VARCHAR' },
+        { column_name: 'ghm', column_type: 'VARCHAR' },
+        { column_name: 'nb_actes', column_type: 'INTEGER' }
+      ]);
+
+      expect(statsConn.send.mock.calls[1][0]).toContain('is_valid_cim10("dp")');
+      expect(file.codeQuality).toEqual([
+        { column: 'dp', kind: 'cim10', checked: 98, invalid: 2, invalidRate: 2 / 98 },
+        { column: 'ghm', kind: 'ghm', checked: 100, invalid: 0, invalidRate: 0, errors: 3 }
+      ]);
+    });
+
+    it('should run in the background after the file is loaded', async () => {
+      let finish;
+      statsConn.send.mockReturnValue(new Promise(resolve => {
+        finish = () => resolve(batchReader([{ count: 40n }]));
+      }));
+      app.loadedFiles = [];
       mockConn.query
-        .mockResolvedValueOnce(mockCountResult)
-        .mockResolvedValueOnce(mockTableInfo)
-        .mockResolvedValueOnce(mockUniqueResult);
+        .mockResolvedValueOnce({}) // CREATE VIEW
+        .mockResolvedValueOnce({ toArray: () => [{ count: 50 }] }) // COUNT
+        .mockResolvedValueOnce({ toArray: () => [{ column_name: 'id', column_type: 'INTEGER' }] }); // DESCRIBE
 
-      const stats = await app.getFileStatistics('test.parquet');
+      await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
+      expect(app.getTableMetadata('test')).toMatchObject({ uniqueRowCount: null, codeQuality: null });
+
+      finish();
+      await app.waitForScans();
+      expect(app.getTableMetadata('test')).toMatchObject({ uniqueRowCount: 40, codeQuality: [] });
+    });
+
+    it('should interrupt the scan of a removed table', async () => {
+      let interrupt;
+      statsConn.send = vi.fn(() => new Promise((_, reject) => {
+        interrupt = () => reject(new Error('INTERRUPT Error: Interrupted!'));
+      }));
+      statsConn.cancelSent = vi.fn(async () => {
+        interrupt();
+        return true;
+      });
+      app.dropFileObject = vi.fn();
+
+      const scan = app.scanTable(file, [{ column_name: 'id', column_type: 'INTEGER' }]);
+      await vi.waitFor(() => expect(statsConn.send).toHaveBeenCalled());
+      await app.removeTable('rss');
+
+      expect(await scan).toBe(false);
+      expect(statsConn.cancelSent).toHaveBeenCalled();
+      expect(file.uniqueRowCount).toBeNull();
+    });
+  });
+
+  describe('computeExactStatistics', () => {
+    let statsConn;
+
+    beforeEach(() => {
+      app.loadedFiles = [{ tableName: 'diag', rowCount: 10, uniqueRowCount: 9, uniqueRowCountExact: false }];
+      app.getTableInfo = vi.fn().mockResolvedValue([{ column_name: 'id' }, { column_name: 'dp' }]);
+      statsConn = { send: vi.fn().mockResolvedValue(batchReader([{ count: 8n }])), close: vi.fn() };
+      mockDb.connect.mockResolvedValue(statsConn);
+    });
+
+    it('should count the distinct rows in one query on a separate connection', async () => {
+      const count = await app.computeExactStatistics('diag');
+
+      expect(count).toBe(8);
+      expect(statsConn.send).toHaveBeenCalledTimes(1);
+      expect(statsConn.send).toHaveBeenCalledWith('SELECT COUNT(*) AS count FROM (SELECT DISTINCT "id", "dp" FROM diag)');
+      expect(mockConn.query).not.toHaveBeenCalled();
+      expect(app.loadedFiles[0]).toMatchObject({ uniqueRowCount: 8, uniqueRowCountExact: true });
+    });
+
+    it('should save the exact count of cached tables', async () => {
+      app.loadedFiles[0].cached = true;
+      app.saveCacheManifest = vi.fn();
 
-      expect(stats.rowCount).toBe(stats.uniqueRowCount);
+      await app.computeExactStatistics('diag');
+
+      expect(app.saveCacheManifest).toHaveBeenCalled();
+    });
+
+    it('should interrupt the running query when cancelled', async () => {
+      let interrupt;
+      statsConn.send = vi.fn(() => new Promise((_, reject) => {
+        interrupt = () => reject(new Error('INTERRUPT Error: Interrupted!'));
+      }));
+      statsConn.cancelSent = vi.fn(async () => {
+        interrupt();
+        return true;
+      });
+
+      const job = app.computeExactStatistics('diag');
+      await vi.waitFor(() => expect(statsConn.send).toHaveBeenCalled());
+      expect(app.cancelExactStatistics('diag')).toBe(true);
+
+      expect(await job).toBeNull();
+      expect(statsConn.cancelSent).toHaveBeenCalled();
+      expect(app.loadedFiles[0]).toMatchObject({ uniqueRowCount: 9, uniqueRowCountExact: false });
+      expect(app.cancelExactStatistics('diag')).toBe(false);
+    });
+
+    it('should wait for the statistics queries issued before it', async () => {
+      let finish;
+      statsConn.send.mockReturnValueOnce(new Promise(resolve => {
+        finish = () => resolve(batchReader([{ count: 5n }]));
+      }));
+      const scan = app.scanTable({ tableName: 'rss', source: 'rss', rowCount: 10 }, [{ column_name: 'id', column_type: 'INTEGER' }]);
+
+      const job = app.computeExactStatistics('diag');
+      await vi.waitFor(() => expect(statsConn.send).toHaveBeenCalledTimes(1));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(statsConn.send).toHaveBeenCalledTimes(1);
+
+      finish();
+      await scan;
+      expect(await job).toBe(8);
+    });
+
+    it('should reject a second job on the same table', async () => {
+      const first = app.computeExactStatistics('diag');
+
+      await expect(app.computeExactStatistics('diag')).rejects.toThrow('already being computed');
+      await first;
+    });
+
+    it('should throw for unknown tables', async () => {
+      await expect(app.computeExactStatistics('missing')).rejects.toThrow("Table 'missing' not found");
+    });
+  });
+
+  describe('findDuplicates', () => {
+    beforeEach(() => {
+      app.loadedFiles = [{ tableName: 'rsa' }];
+    });
+
+    it('should count duplicated keys and list the worst offenders', async () => {
+      app.executeQuery = vi.fn(async (sql) => sql.includes('group_count')
+        ? [{ group_count: 2n, row_count: 5n }]
+        : [{ key_0: '750000001', key_1: '42', row_count: 3n }, { key_0: '750000001', key_1: null, row_count: 2n }]);
+
+      const result = await app.findDuplicates('rsa', ['finess', 'num_rss']);
+
+      expect(result).toEqual({
+        tableName: 'rsa',
+        keys: ['finess', 'num_rss'],
+        groupCount: 2,
+        rowCount: 5,
+        groups: [
+          { values: ['750000001', '42'], count: 3 },
+          { values: ['750000001', null], count: 2 }
+        ]
+      });
+      expect(app.executeQuery.mock.calls[1][0]).toContain('GROUP BY ALL HAVING COUNT(*) > 1');
+    });
+
+    it('should require a key', async () => {
+      await expect(app.findDuplicates('rsa', [])).rejects.toThrow('Choose at least one key column');
+      await expect(app.findDuplicates('missing', ['id'])).rejects.toThrow("Table 'missing' not found");
+    });
+
+    it('should return the rows of a key with the columns that differ', async () => {
+      app.getTableInfo = vi.fn().mockResolvedValue([{ column_name: 'finess' }, { column_name: 'dp' }, { column_name: 'ghm' }]);
+      app.executeQuery = vi.fn().mockResolvedValue([{ differs_0: false, differs_1: true, differs_2: false }]);
+
+      const group = await app.getDuplicateGroup('rsa', ['finess'], ['750000001']);
+
+      expect(group).toEqual({
+        sql: 'SELECT * FROM rsa WHERE CAST("finess" AS VARCHAR) = \'750000001\'',
+        differingColumns: ['dp']
+      });
+    });
+  });
+
+  describe('profileTable', () => {
+    beforeEach(() => {
+      app.loadedFiles = [{ tableName: 'rsa' }];
+    });
+
+    it('should profile every column with a histogram or top values', async () => {
+      app.executeQuery = vi.fn(async (sql) => {
+        if (sql.includes('SUMMARIZE')) {
+          return [
+            { column_name: 'duree', column_type: 'INTEGER', min: '0', max: '9', avg: '2', std: '1', q25: '1', q50: '2', q75: '3',
+              approx_unique: 5n, count: 10n, null_percentage: 0 },
+            { column_name: 'dp', column_type: 'VARCHAR', min: 'A', max: 'Z', approx_unique: 3n, count: 10n, null_percentage: 20 },
+            { column_name: 'das', column_type: 'VARCHAR', min: 'A', max: 'Z', approx_unique: 1n, count: 10n, null_percentage: 90 }
+          ];
+        }
+        if (sql.includes('present_0')) {
+          return [{ row_count: 10n, present_0: 10n, present_1: 8n, present_2: 1n }];
+        }
+        if (sql.includes('AS bin')) {
+          return [{ column_index: 0, bin: 0, count: 6n }, { column_index: 0, bin: 19, count: 4n }];
+        }
+        return [
+          { column_index: 0, value: 'I500', count: 5n },
+          { column_index: 0, value: 'E119', count: 3n },
+          { column_index: 1, value: 'Z000', count: 1n }
+        ];
+      });
+
+      const profile = await app.profileTable('rsa');
+
+      expect(profile.tableName).toBe('rsa');
+      expect(profile.rowCount).toBe(10);
+      expect(profile.columns[0].histogram[0]).toBe(6);
+      expect(profile.columns[0].histogram[19]).toBe(4);
+      expect(profile.columns[1]).toMatchObject({ missing: 2, distinct: 3, topValues: [{ value: 'I500', count: 5 }, { value: 'E119', count: 3 }] });
+      expect(profile.columns[2]).toMatchObject({ missing: 9, missingRate: 0.9 });
+      expect(profile.columns[2].topValues).toEqual([{ value: 'Z000', count: 1 }]);
+    });
+
+    it('should read the table with four queries whatever its width', async () => {
+      app.executeQuery = vi.fn(async (sql) => {
+        if (sql.includes('SUMMARIZE')) {
+          return Array.from({ length: 150 }, (_, index) => ({
+            column_name: `c${index}`, column_type: index % 2 ? 'VARCHAR' : 'DOUBLE', approx_unique: 1n, count: 1n, null_percentage: 0
+          }));
+        }
+        if (sql.includes('present_0')) {
+          return [{ row_count: 1n }];
+        }
+        return [];
+      });
+
+      await app.profileTable('rsa');
+
+      expect(app.executeQuery).toHaveBeenCalledTimes(4);
+    });
+
+    it('should reject unknown tables', async () => {
+      await expect(app.profileTable('missing')).rejects.toThrow("Table 'missing' not found");
     });
   });
 
@@ -405,8 +1288,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) });
+        ]) });
 
       await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
       mockConn.query.mockClear();
@@ -439,8 +1321,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 50 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 40 }]) });
+        ]) });
 
       await app.loadParquetFile('other.parquet', new ArrayBuffer(8));
       mockConn.query.mockClear();
@@ -459,8 +1340,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) });
+        ]) });
       await app.loadParquetFile('test.parquet', new ArrayBuffer(8));
 
       // Second file
@@ -469,8 +1349,7 @@ describe('DuckDBApp', () => {
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
         .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
           { column_name: 'id', column_type: 'INTEGER' }
-        ]) })
-        .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) });
+        ]) });
       await app.loadParquetFile('test2.parquet', new ArrayBuffer(8));
 
       mockConn.query.mockClear();
@@ -507,8 +1386,7 @@ describe('DuckDBApp', () => {
           .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 100 }]) })
           .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([
             { column_name: 'id', column_type: 'INTEGER' }
-          ]) })
-          .mockResolvedValueOnce({ toArray: vi.fn().mockReturnValue([{ count: 85 }]) });
+          ]) });
         await app.loadParquetFile(`test${i}.parquet`, new ArrayBuffer(8));
       }
 
@@ -536,4 +1414,490 @@ describe('DuckDBApp', () => {
       );
     });
   });
+
+  describe('persistent cache', () => {
+    let mockCache;
+
+    beforeEach(() => {
+      mockCache = {
+        writeFile: vi.fn().mockResolvedValue(undefined),
+        readFile: vi.fn(async (fileName) => new File(['x'], fileName)),
+        deleteFile: vi.fn().mockResolvedValue(undefined),
+        readManifest: vi.fn().mockResolvedValue([]),
+        writeManifest: vi.fn().mockResolvedValue(undefined),
+        clear: vi.fn().mockResolvedValue(undefined)
+      };
+      app.cache = mockCache;
+
+      mockConn.query.mockImplementation(async (sql) => ({
+        toArray: () => sql.startsWith('DESCRIBE')
+          ? [{ column_name: 'id', column_type: 'INTEGER' }]
+          : [{ count: 10 }]
+      }));
+    });
+
+    it('should cache loaded files and record them in the manifest', async () => {
+      const buffer = new ArrayBuffer(8);
+      await app.loadParquetFile('fixe.parquet', buffer);
+      await app.waitForCaching();
+
+      expect(mockCache.writeFile).toHaveBeenCalledWith('fixe.parquet', buffer);
+      expect(app.getTableMetadata('fixe')).toMatchObject({ cached: true, registeredFiles: ['fixe.parquet'] });
+
+      const manifest = mockCache.writeManifest.mock.calls.at(-1)[0];
+      expect(manifest).toHaveLength(1);
+      expect(manifest[0]).toMatchObject({ tableName: 'fixe', originalName: 'fixe.parquet', rowCount: 10, columnCount: 1 });
+    });
+
+    it('should cache every part of a dataset', async () => {
+      const parts = [
+        { path: 'annee=2023/part-0.parquet', file: new File(['a'], 'part-0.parquet') },
+        { path: 'annee=2024/part-0.parquet', file: new File(['b'], 'part-0.parquet') }
+      ];
+      await app.loadParquetDataset('rsa', parts);
+      await app.waitForCaching();
+
+      expect(mockCache.writeFile).toHaveBeenCalledWith('rsa/annee=2023/part-0.parquet', parts[0].file);
+      expect(mockCache.writeFile).toHaveBeenCalledWith('rsa/annee=2024/part-0.parquet', parts[1].file);
+    });
+
+    it('should keep the table loaded when caching fails', async () => {
+      mockCache.writeFile.mockRejectedValue(new DOMException('Quota exceeded', 'QuotaExceededError'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const tableName = await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.waitForCaching();
+
+      expect(tableName).toBe('fixe');
+      expect(app.getTableMetadata('fixe').cached).toBe(false);
+      expect(mockCache.deleteFile).toHaveBeenCalledWith('fixe.parquet');
+      expect(mockCache.writeManifest).not.toHaveBeenCalled();
+    });
+
+    it('should return the table before its files are cached', async () => {
+      let finishWrite;
+      mockCache.writeFile.mockReturnValue(new Promise(resolve => { finishWrite = resolve; }));
+
+      const tableName = await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+
+      expect(tableName).toBe('fixe');
+      expect(app.getTableMetadata('fixe').cached).toBe(false);
+
+      finishWrite();
+      await app.waitForCaching();
+      expect(app.getTableMetadata('fixe').cached).toBe(true);
+    });
+
+    it('should drop the cached files of a table removed while it was cached', async () => {
+      let finishWrite;
+      mockCache.writeFile.mockReturnValue(new Promise(resolve => { finishWrite = resolve; }));
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.removeTable('fixe');
+
+      finishWrite();
+      await app.waitForCaching();
+
+      expect(mockCache.deleteFile).toHaveBeenCalledWith('fixe.parquet');
+      expect(mockCache.writeManifest).not.toHaveBeenCalled();
+    });
+
+    it('should not cache when OPFS is unavailable', async () => {
+      app.cache = null;
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+
+      expect(app.getTableMetadata('fixe').cached).toBe(false);
+    });
+
+    it('should restore cached tables by handle', async () => {
+      mockCache.readManifest.mockResolvedValue([{
+        tableName: 'fixe',
+        originalName: 'fixe.parquet',
+        source: "'fixe.parquet'",
+        format: 'parquet',
+        registeredFiles: ['fixe.parquet'],
+        rowCount: 10,
+        columnCount: 1,
+        uploadedAt: 1700000000000,
+        cached: true
+      }]);
+
+      const { restored, failed } = await app.restoreCachedTables();
+
+      expect(restored).toEqual(['fixe']);
+      expect(failed).toEqual([]);
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('fixe.parquet', expect.anything(), expect.any(Number), true);
+      expect(mockConn.query).toHaveBeenCalledWith("CREATE VIEW fixe AS SELECT * FROM 'fixe.parquet'");
+      expect(app.getTableMetadata('fixe')).toMatchObject({ uploadedAt: 1700000000000, cached: true, storageMode: 'handle' });
+    });
+
+    it('should re-attach cached databases', async () => {
+      mockCache.readManifest.mockResolvedValue([{
+        tableName: 'prepared',
+        originalName: 'prepared.duckdb',
+        source: "'prepared.duckdb'",
+        format: 'duckdb',
+        registeredFiles: ['prepared.duckdb'],
+        attachedTables: []
+      }]);
+
+      await app.restoreCachedTables();
+
+      expect(mockConn.query).toHaveBeenCalledWith("ATTACH 'prepared.duckdb' AS prepared (READ_ONLY)");
+    });
+
+    it('should drop cache entries that cannot be restored', async () => {
+      mockCache.readManifest.mockResolvedValue([{
+        tableName: 'fixe',
+        originalName: 'fixe.parquet',
+        source: "'fixe.parquet'",
+        format: 'parquet',
+        registeredFiles: ['fixe.parquet']
+      }]);
+      mockCache.readFile.mockRejectedValue(Object.assign(new Error('Not found'), { name: 'NotFoundError' }));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { restored, failed } = await app.restoreCachedTables();
+
+      expect(restored).toEqual([]);
+      expect(failed).toEqual(['fixe.parquet']);
+      expect(app.getAllTablesMetadata()).toHaveLength(0);
+      expect(mockCache.writeManifest).toHaveBeenCalledWith([]);
+    });
+
+    it('should evict a table from the cache but keep it loaded', async () => {
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.waitForCaching();
+      mockCache.writeManifest.mockClear();
+
+      await app.evictTable('fixe');
+
+      expect(mockCache.deleteFile).toHaveBeenCalledWith('fixe.parquet');
+      expect(mockCache.writeManifest).toHaveBeenCalledWith([]);
+      expect(app.getTableMetadata('fixe').cached).toBe(false);
+    });
+
+    it('should throw when evicting an unknown table', async () => {
+      await expect(app.evictTable('nope')).rejects.toThrow("Table 'nope' not found");
+    });
+
+    it('should update the manifest when a cached table is renamed', async () => {
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.waitForCaching();
+      await app.renameTable('fixe', 'sejours');
+
+      const manifest = mockCache.writeManifest.mock.calls.at(-1)[0];
+      expect(manifest[0].tableName).toBe('sejours');
+    });
+
+    it('should delete cached files of removed tables', async () => {
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.waitForCaching();
+      await app.removeTable('fixe');
+
+      expect(mockCache.deleteFile).toHaveBeenCalledWith('fixe.parquet');
+      expect(mockCache.writeManifest).toHaveBeenLastCalledWith([]);
+    });
+
+    it('should clear the cache with all tables', async () => {
+      await app.loadParquetFile('fixe.parquet', new ArrayBuffer(8));
+      await app.clearAllTables();
+
+      expect(mockCache.clear).toHaveBeenCalled();
+    });
+  });
+
+  describe('workspaces', () => {
+    const entry = {
+      tableName: 'sejours',
+      originalName: 'fixe.parquet',
+      source: "'fixe.parquet'",
+      format: 'parquet',
+      registeredFiles: ['fixe.parquet'],
+      rowCount: 10,
+      columnCount: 3,
+      uploadedAt: 1700000000000
+    };
+
+    beforeEach(() => {
+      mockConn.query.mockResolvedValue({ toArray: () => [] });
+    });
+
+    it('should rebuild renamed views from bundled data files', async () => {
+      const data = new ArrayBuffer(8);
+      const { restored, missing } = await app.loadWorkspace({ tables: [entry] }, new Map([['fixe.parquet', data]]));
+
+      expect(restored).toEqual(['sejours']);
+      expect(missing).toEqual([]);
+      expect(mockDb.registerFileBuffer).toHaveBeenCalledWith('fixe.parquet', expect.any(Uint8Array));
+      expect(mockConn.query).toHaveBeenCalledWith("CREATE VIEW sejours AS SELECT * FROM 'fixe.parquet'");
+      expect(app.getTableMetadata('sejours')).toMatchObject({ originalName: 'fixe.parquet', rowCount: 10, storageMode: 'buffer' });
+    });
+
+    it('should report tables whose data files are missing', async () => {
+      const { restored, missing } = await app.loadWorkspace({ tables: [entry] });
+
+      expect(restored).toEqual([]);
+      expect(missing).toEqual([{ tableName: 'sejours', originalName: 'fixe.parquet' }]);
+      expect(mockConn.query).not.toHaveBeenCalled();
+      expect(app.getAllTablesMetadata()).toHaveLength(0);
+    });
+
+    it('should report tables that conflict with loaded ones as failed', async () => {
+      const data = new Map([['fixe.parquet', new ArrayBuffer(8)]]);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await app.loadWorkspace({ tables: [entry] }, data);
+
+      const { failed } = await app.loadWorkspace({ tables: [entry] }, data);
+
+      expect(failed).toEqual(['fixe.parquet']);
+      expect(app.getAllTablesMetadata()).toHaveLength(1);
+    });
+
+    it('should read back the registered files of loaded tables', async () => {
+      mockDb.copyFileToBuffer = vi.fn(async (fileName) => new TextEncoder().encode(fileName));
+      await app.loadWorkspace({ tables: [entry] }, new Map([['fixe.parquet', new ArrayBuffer(8)]]));
+
+      const { dataFiles, skipped } = await app.getDataFiles();
+
+      expect([...dataFiles.keys()]).toEqual(['fixe.parquet']);
+      expect(skipped).toEqual([]);
+      expect(mockDb.copyFileToBuffer).toHaveBeenCalledWith('fixe.parquet');
+    });
+
+    it('should leave out large files registered by handle', async () => {
+      mockDb.copyFileToBuffer = vi.fn(async (fileName) => new TextEncoder().encode(fileName));
+      app.loadedFiles = [
+        { tableName: 'fixe', originalName: 'fixe.parquet', registeredFiles: ['fixe.parquet'], storageMode: 'handle', fileSize: 4e9 },
+        { tableName: 'um', originalName: 'um.parquet', registeredFiles: ['um.parquet'], storageMode: 'handle', fileSize: 1000 }
+      ];
+
+      const { dataFiles, skipped } = await app.getDataFiles();
+
+      expect([...dataFiles.keys()]).toEqual(['um.parquet']);
+      expect(skipped).toEqual([{ tableName: 'fixe', originalName: 'fixe.parquet' }]);
+      expect(mockDb.copyFileToBuffer).not.toHaveBeenCalledWith('fixe.parquet');
+    });
+
+    it('should rebuild a missing table under its saved name when its file is dropped in again', async () => {
+      await app.loadWorkspace({ tables: [entry] });
+      expect(app.getMissingTables()).toEqual([{ tableName: 'sejours', originalName: 'fixe.parquet' }]);
+
+      const restored = await app.restoreMissingTables('fixe.parquet', new ArrayBuffer(8));
+
+      expect(restored).toEqual(['sejours']);
+      expect(mockConn.query).toHaveBeenCalledWith("CREATE VIEW sejours AS SELECT * FROM 'fixe.parquet'");
+      expect(app.getMissingTables()).toEqual([]);
+      expect(await app.restoreMissingTables('fixe.parquet', new ArrayBuffer(8))).toEqual([]);
+    });
+
+    it('should transcode a dropped CSV file with the saved options', async () => {
+      const csvEntry = {
+        tableName: 'actes',
+        originalName: 'actes.csv',
+        source: "read_csv('actes.csv', delim=';')",
+        format: 'csv',
+        csvOptions: { delimiter: ';', header: true, encoding: 'latin1', decimalSeparator: '.', columnTypes: {} },
+        registeredFiles: ['actes.csv']
+      };
+      await app.loadWorkspace({ tables: [csvEntry] });
+
+      await app.restoreMissingTables('actes.csv', new Uint8Array([0x63, 0xe9]).buffer);
+
+      const [fileName, data] = mockDb.registerFileBuffer.mock.calls.at(-1);
+      expect(fileName).toBe('actes.csv');
+      expect(new TextDecoder().decode(data)).toBe('cé');
+      expect(app.getTableMetadata('actes').csvOptions.delimiter).toBe(';');
+    });
+
+    it('should rebuild a missing dataset from the dropped folder', async () => {
+      const datasetEntry = {
+        tableName: 'rsa',
+        originalName: 'rsa/',
+        source: "read_parquet(['rsa/annee=2024/part-0.parquet'], hive_partitioning = true)",
+        format: 'parquet-dataset',
+        registeredFiles: ['rsa/annee=2024/part-0.parquet']
+      };
+      await app.loadWorkspace({ tables: [datasetEntry] });
+      const part = new File(['p'], 'part-0.parquet');
+
+      await expect(app.restoreMissingTables('rsa/', [])).rejects.toThrow("'rsa/' does not hold the data of table rsa");
+      expect(await app.restoreMissingTables('rsa/', [{ path: 'annee=2024/part-0.parquet', file: part }])).toEqual(['rsa']);
+      expect(mockDb.registerFileHandle).toHaveBeenCalledWith('rsa/annee=2024/part-0.parquet', part, expect.any(Number), true);
+    });
+
+    it('should restore the relationships of a workspace once', async () => {
+      const relationship = { fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'sejours', toColumns: ['num_rss'] };
+
+      await app.loadWorkspace({ tables: [], relationships: [relationship] });
+      await app.loadWorkspace({ tables: [], relationships: [relationship] });
+
+      expect(app.getRelationships()).toEqual([relationship]);
+    });
+
+    it('should skip malformed relationships of a workspace', async () => {
+      const relationship = { fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'sejours', toColumns: ['num_rss'] };
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await app.loadWorkspace({
+        tables: [],
+        relationships: [{ fromTable: 'diag', toTable: 'sejours', toColumns: ['num_rss'] }, null, relationship]
+      });
+
+      expect(app.getRelationships()).toEqual([relationship]);
+    });
+
+    it('should throw error if not initialized', async () => {
+      app.initialized = false;
+      await expect(app.loadWorkspace({ tables: [] })).rejects.toThrow('DuckDB not initialized');
+    });
+  });
+
+  describe('runRules', () => {
+    beforeEach(() => {
+      app.loadedFiles = [{ tableName: 'fixe' }];
+    });
+
+    it('should report passing, failing and broken rules with sample rows', async () => {
+      app.executeQuery = vi.fn(async (sql) => {
+        if (sql.includes('"sexe"')) {
+          return sql.startsWith('SELECT COUNT(*)') ? [{ count: 2n }] : [{ num_rss: '1', sexe: '3' }];
+        }
+        if (sql.includes('bad_column')) {
+          throw new Error('Binder Error: Referenced column "bad_column" not found');
+        }
+        return [{ count: 0n }];
+      });
+      const progress = [];
+
+      const results = await app.runRules([
+        { table: 'fixe', type: 'not_null', column: 'num_rss' },
+        { table: 'fixe', type: 'allowed_values', column: 'sexe', values: ['1', '2'] },
+        { table: 'fixe', type: 'not_null', column: 'bad_column' },
+        { table: 'diag', type: 'not_null', column: 'num_rss' }
+      ], (done, total) => progress.push([done, total]));
+
+      expect(results.map(r => r.status)).toEqual(['pass', 'fail', 'error', 'error']);
+      expect(results[0]).toMatchObject({ description: 'num_rss is not null', violations: 0, sample: { rows: [] } });
+      expect(results[1]).toMatchObject({ violations: 2, sample: { columns: ['num_rss', 'sexe'], rows: [['1', '3']] } });
+      expect(results[1].sql).toContain('NOT IN (\'1\', \'2\')');
+      expect(results[2].error).toContain('bad_column');
+      expect(results[3].error).toBe("Table 'diag' not found");
+      expect(progress).toEqual([[1, 4], [2, 4], [3, 4], [4, 4]]);
+    });
+
+    it('should stop when cancelled', async () => {
+      app.executeQuery = vi.fn().mockRejectedValue(new QueryCancelledError());
+
+      await expect(app.runRules([{ table: 'fixe', type: 'not_null', column: 'a' }])).rejects.toThrow(QueryCancelledError);
+    });
+  });
+
+  describe('compareTables', () => {
+    beforeEach(() => {
+      app.loadedFiles = [{ tableName: 'fixe_2023' }, { tableName: 'fixe_2024' }];
+      const schemas = {
+        fixe_2023: [{ column_name: 'finess', column_type: 'VARCHAR' }, { column_name: 'duree', column_type: 'INTEGER' }],
+        fixe_2024: [{ column_name: 'finess', column_type: 'VARCHAR' }, { column_name: 'duree', column_type: 'BIGINT' }, { column_name: 'uhcd', column_type: 'BOOLEAN' }]
+      };
+      app.getTableInfo = vi.fn(async (tableName) => schemas[tableName]);
+    });
+
+    it('should diff the columns and compare how the shared ones are filled', async () => {
+      app.executeQuery = vi.fn(async (sql) => sql.endsWith('FROM fixe_2023')
+        ? [{ row_count: 10n, present_0: 10n, distinct_0: 1n, present_1: 10n, distinct_1: 5n }]
+        : [{ row_count: 20n, present_0: 20n, distinct_0: 1n, present_1: 10n, distinct_1: 5n }]);
+
+      const diff = await app.compareTables('fixe_2023', 'fixe_2024');
+
+      expect(diff).toMatchObject({
+        leftTable: 'fixe_2023',
+        rightTable: 'fixe_2024',
+        leftRowCount: 10,
+        rightRowCount: 20,
+        added: [{ name: 'uhcd', type: 'BOOLEAN' }],
+        removed: [],
+        retyped: [{ name: 'duree', leftType: 'INTEGER', rightType: 'BIGINT' }]
+      });
+      expect(diff.columns.map(c => [c.name, c.changed])).toEqual([['finess', false], ['duree', true]]);
+      expect(diff.unionSQL).toContain('UNION ALL BY NAME');
+    });
+
+    it('should throw for unknown tables', async () => {
+      await expect(app.compareTables('fixe_2023', 'fixe_2025')).rejects.toThrow("Table 'fixe_2025' not found");
+    });
+  });
+
+  describe('relationships', () => {
+    const relationship = { fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'fixe', toColumns: ['num_rss'] };
+
+    beforeEach(() => {
+      app.loadedFiles = [
+        { tableName: 'fixe', rowCount: 100 },
+        { tableName: 'diag', rowCount: 400 },
+        { tableName: 'base', format: 'duckdb' }
+      ];
+      const columns = {
+        fixe: ['finess', 'num_rss', 'dp'],
+        diag: ['finess', 'num_rss', 'diag']
+      };
+      app.getTableInfo = vi.fn(async (tableName) => columns[tableName].map(column_name => ({ column_name })));
+    });
+
+    it('should declare a relationship between existing columns once', async () => {
+      await app.addRelationship({ ...relationship, fromColumns: [' num_rss '] });
+
+      expect(app.getRelationships()).toEqual([relationship]);
+      await expect(app.addRelationship(relationship)).rejects.toThrow('already declared');
+      await expect(app.addRelationship({ ...relationship, toColumns: ['nas'] }))
+        .rejects.toThrow("Column 'nas' not found in 'fixe'");
+    });
+
+    it('should suggest the identifier columns shared by tables, attached databases left out', async () => {
+      const suggestions = await app.suggestRelationships();
+
+      expect(suggestions).toEqual([
+        { fromTable: 'diag', fromColumns: ['finess', 'num_rss'], toTable: 'fixe', toColumns: ['finess', 'num_rss'] }
+      ]);
+      expect(app.getTableInfo).not.toHaveBeenCalledWith('base', 'base');
+    });
+
+    it('should count and sample unmatched rows in both directions', async () => {
+      app.executeQuery = vi.fn(async (sql) => {
+        const orphans = sql.startsWith('SELECT COUNT(*) AS count FROM diag') || sql.startsWith('SELECT r.* FROM diag');
+        if (sql.includes('COUNT(*)')) {
+          return [{ count: orphans ? 3n : 0n }];
+        }
+        return orphans ? [{ num_rss: '9', diag: 'I10' }] : [];
+      });
+
+      const report = await app.checkRelationship(relationship);
+
+      expect(report.key).toBe('diag(num_rss) -> fixe(num_rss)');
+      expect(report.orphans).toMatchObject({ count: 3, sample: { columns: ['num_rss', 'diag'], rows: [['9', 'I10']] } });
+      expect(report.orphans.sql).toContain('SELECT r.* FROM diag AS r WHERE r."num_rss" IS NOT NULL AND NOT EXISTS');
+      expect(report.unreferenced.count).toBe(0);
+      expect(report.unreferenced.sql).toContain('FROM fixe AS r');
+    });
+
+    it('should follow renamed tables and forget removed ones', async () => {
+      mockConn.query.mockResolvedValue({ toArray: () => [] });
+      app.loadedFiles = [
+        { tableName: 'fixe', source: "'fixe.parquet'", format: 'parquet' },
+        { tableName: 'diag', source: "'diag.parquet'", format: 'parquet' }
+      ];
+      app.relationships = [{ ...relationship }];
+
+      await app.renameTable('fixe', 'sejours');
+      expect(app.getRelationships()[0].toTable).toBe('sejours');
+
+      await app.removeTable('diag');
+      expect(app.getRelationships()).toEqual([]);
+    });
+
+    it('should remove a relationship by key', () => {
+      app.relationships = [relationship];
+      app.removeRelationship('diag(num_rss) -> fixe(num_rss)');
+      expect(app.getRelationships()).toEqual([]);
+    });
+  });
 });
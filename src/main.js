@@ -1,39 +1,167 @@
-import { getApp, formatQueryResults, handleFileUpload } from './app.js';
-import { DOM_IDS, MESSAGES, CONFIG } from './modules/shared/index.js';
-import { exportToCSV } from './modules/files/index.js';
+import { getApp, handleFileUpload } from './app.js';
+import { DOM_IDS, MESSAGES, CONFIG, CSS_CLASSES } from './modules/shared/index.js';
+import {
+  SavedQueries,
+  QueryCancelledError,
+  isPageableQuery,
+  buildViewSQL,
+  getRelationshipKey,
+  RuleSet,
+  exportRuleSet,
+  parseRuleSet
+} from './modules/database/index.js';
+import {
+  exportToCSV,
+  downloadFile,
+  generateFilename,
+  getFileFormat,
+  detectTextFormat,
+  getQueryableTableNames,
+  readZipEntries,
+  extractZipEntry,
+  getArchivePrefix,
+  getArchiveMemberName,
+  groupFilesByFolder,
+  readDirectoryEntry,
+  splitDroppedItems,
+  getStorageEstimate,
+  isWorkspaceArchive,
+  getWorkspaceFileName,
+  buildWorkspaceManifest,
+  createWorkspaceArchive,
+  readWorkspaceArchive,
+  REFERENCE_DATASETS
+} from './modules/files/index.js';
 import {
   StatusIndicator,
   ResultsTableUI,
   FileListUI,
   DiagnosticsUI,
-  SQLEditor
+  ProfileUI,
+  DuplicatesUI,
+  RelationshipsUI,
+  SchemaDiffUI,
+  RulesUI,
+  CodeQualityUI,
+  SQLEditor,
+  CSVImportDialog,
+  ZipImportDialog,
+  StorageUsageUI,
+  SavedQueriesUI,
+  MacroLibraryUI,
+  CommandPaletteUI,
+  ParameterFormUI,
+  TemplateEditorUI,
+  ReferenceTablesUI
 } from './modules/ui/index.js';
+import {
+  getAllTemplates,
+  bindParameters,
+  findPlaceholders,
+  ParameterValues,
+  TemplateStore,
+  detectRequiredTables,
+  exportTemplatePack,
+  parseTemplatePack
+} from './modules/templates/index.js';
 
 // DOM Elements
 const statusEl = document.getElementById(DOM_IDS.STATUS);
 const dropZone = document.getElementById(DOM_IDS.DROP_ZONE);
 const uploadBtn = document.getElementById(DOM_IDS.UPLOAD_BTN);
 const fileInput = document.getElementById(DOM_IDS.FILE_INPUT);
+const uploadFolderBtn = document.getElementById(DOM_IDS.UPLOAD_FOLDER_BTN);
+const folderInput = document.getElementById(DOM_IDS.FOLDER_INPUT);
 const fileListBody = document.getElementById(DOM_IDS.FILE_LIST_BODY);
 const clearAllBtn = document.getElementById(DOM_IDS.CLEAR_ALL_BTN);
+const saveWorkspaceBtn = document.getElementById(DOM_IDS.SAVE_WORKSPACE_BTN);
+const storageUsageEl = document.getElementById(DOM_IDS.STORAGE_USAGE);
+const referenceTablesEl = document.getElementById(DOM_IDS.REFERENCE_TABLES);
 const diagnosticsDashboard = document.getElementById(DOM_IDS.DIAGNOSTICS_DASHBOARD);
 const diagnosticsBody = document.getElementById(DOM_IDS.DIAGNOSTICS_BODY);
+const profilePanel = document.getElementById(DOM_IDS.PROFILE_PANEL);
+const duplicatesPanel = document.getElementById(DOM_IDS.DUPLICATES_PANEL);
+const relationshipsPanel = document.getElementById(DOM_IDS.RELATIONSHIPS_PANEL);
+const schemaDiffPanel = document.getElementById(DOM_IDS.SCHEMA_DIFF_PANEL);
+const rulesPanel = document.getElementById(DOM_IDS.RULES_PANEL);
+const codeQualityPanel = document.getElementById(DOM_IDS.CODE_QUALITY_PANEL);
 const sqlInput = document.getElementById(DOM_IDS.SQL_INPUT);
 const executeBtn = document.getElementById(DOM_IDS.EXECUTE_BTN);
+const cancelBtn = document.getElementById(DOM_IDS.CANCEL_BTN);
+const savedQueriesSelect = document.getElementById(DOM_IDS.SAVED_QUERIES_SELECT);
+const saveQueryBtn = document.getElementById(DOM_IDS.SAVE_QUERY_BTN);
+const deleteQueryBtn = document.getElementById(DOM_IDS.DELETE_QUERY_BTN);
+const macroLibrary = document.getElementById(DOM_IDS.MACRO_LIBRARY);
+const templatesBtn = document.getElementById(DOM_IDS.TEMPLATES_BTN);
+const commandPalette = document.getElementById(DOM_IDS.COMMAND_PALETTE);
+const parameterFormEl = document.getElementById(DOM_IDS.PARAMETER_FORM);
+const saveTemplateBtn = document.getElementById(DOM_IDS.SAVE_TEMPLATE_BTN);
+const exportTemplatesBtn = document.getElementById(DOM_IDS.EXPORT_TEMPLATES_BTN);
+const importTemplatesBtn = document.getElementById(DOM_IDS.IMPORT_TEMPLATES_BTN);
+const templatePackInput = document.getElementById(DOM_IDS.TEMPLATE_PACK_INPUT);
+const templateEditorEl = document.getElementById(DOM_IDS.TEMPLATE_EDITOR);
 const resultsBox = document.getElementById(DOM_IDS.RESULTS_BOX);
 const exportBtn = document.getElementById(DOM_IDS.EXPORT_BTN);
 const sqlSection = document.getElementById(DOM_IDS.SQL_SECTION);
 const resultsSection = document.getElementById(DOM_IDS.RESULTS_SECTION);
+const csvImportDialogEl = document.getElementById(DOM_IDS.CSV_IMPORT_DIALOG);
+const zipImportDialogEl = document.getElementById(DOM_IDS.ZIP_IMPORT_DIALOG);
 
 // App instance
 let app = null;
 
+// Pager over the results of the last executed query
+let currentPager = null;
+// Query the current results come from, before sorting and filtering, with its $name placeholders
+let currentSQL = null;
+// Parameters and values of the last template run with parameters: editor text using its $name placeholders runs with them
+let boundTemplate = null;
+
+// Tables whose exact statistics are being computed
+const statsRunning = new Set();
+
+// Relationship checker state: check reports by relationship key, and the last suggestions
+const relationshipReports = new Map();
+let relationshipSuggestions = [];
+
+// Schema comparison state: the last comparison, or why it failed
+let schemaDiff = { diff: null, loading: false, error: null };
+
+// Saved queries, kept across sessions
+const savedQueries = new SavedQueries();
+
+// Last values entered for each template's parameters, kept across sessions
+const parameterValues = new ParameterValues();
+
+// User templates, kept across sessions in IndexedDB (null when the browser cannot store them)
+let templateStore = null;
+let userTemplates = [];
+
+// Data-quality rules, kept across sessions, and the state of their last run
+const ruleSet = new RuleSet();
+let rulesReport = { results: null, progress: null, error: null };
+
 // UI Components
 const status = new StatusIndicator(statusEl);
 const resultsUI = new ResultsTableUI(resultsBox, exportBtn);
 const fileListUI = new FileListUI(fileListBody, clearAllBtn);
 const diagnosticsUI = new DiagnosticsUI(diagnosticsDashboard, diagnosticsBody);
-const sqlEditor = new SQLEditor(sqlInput, executeBtn);
+const profileUI = new ProfileUI(profilePanel);
+const duplicatesUI = new DuplicatesUI(duplicatesPanel);
+const relationshipsUI = new RelationshipsUI(relationshipsPanel);
+const schemaDiffUI = new SchemaDiffUI(schemaDiffPanel);
+const rulesUI = new RulesUI(rulesPanel);
+const codeQualityUI = new CodeQualityUI(codeQualityPanel);
+const sqlEditor = new SQLEditor(sqlInput, executeBtn, cancelBtn);
+const csvImportDialog = new CSVImportDialog(csvImportDialogEl);
+const zipImportDialog = new ZipImportDialog(zipImportDialogEl);
+const storageUsageUI = new StorageUsageUI(storageUsageEl);
+const referenceTablesUI = new ReferenceTablesUI(referenceTablesEl);
+const savedQueriesUI = new SavedQueriesUI(savedQueriesSelect, saveQueryBtn, deleteQueryBtn);
+const macroLibraryUI = new MacroLibraryUI(macroLibrary);
+const commandPaletteUI = new CommandPaletteUI(commandPalette);
+const parameterFormUI = new ParameterFormUI(parameterFormEl);
+const templateEditorUI = new TemplateEditorUI(templateEditorEl);
 
 /**
  * Update all UI components after file changes
@@ -41,7 +169,8 @@ const sqlEditor = new SQLEditor(sqlInput, executeBtn);
 function updateUI() {
   const files = app.getAllTablesMetadata();
 
-  // Show/hide SQL and results sections based on file upload
+  // Show/hide workspace, SQL and results sections based on file upload
+  saveWorkspaceBtn.classList.toggle(CSS_CLASSES.VISIBLE, files.length > 0);
   if (files.length === 0) {
     if (sqlSection) sqlSection.style.display = 'none';
     if (resultsSection) resultsSection.style.display = 'none';
@@ -51,43 +180,480 @@ function updateUI() {
   }
 
   // Update UI components
-  fileListUI.render(files);
-  diagnosticsUI.render(files);
+  renderTableStatus();
+  referenceTablesUI.render(REFERENCE_DATASETS, files);
+  renderRelationships();
+  renderSchemaDiff();
+  renderRules();
   sqlEditor.updateExampleQuery(files);
+  macroLibraryUI.render(app.getMacros());
+}
+
+/**
+ * Render the file list and diagnostics again, when background jobs change the statistics or cache state
+ * of the tables but not the set of tables
+ */
+function renderTableStatus() {
+  const files = app.getAllTablesMetadata();
+  fileListUI.render(files);
+  diagnosticsUI.render(files, statsRunning);
+  codeQualityUI.render(files);
+  updateStorageUsage();
+}
+
+/**
+ * Render the table status again once the tables loaded are scanned and cached in the background,
+ * to show their statistics and cache badges
+ */
+function updateUIAfterBackgroundJobs() {
+  app.waitForScans().then(renderTableStatus);
+  app.waitForCaching().then(renderTableStatus);
+}
+
+/**
+ * Show the declared relationships and their check reports
+ * @param {string} [error] - Why the last relationship could not be added
+ */
+function renderRelationships(error = null) {
+  relationshipsUI.render({
+    tables: app.getAllTablesMetadata().filter(f => f.format !== 'duckdb').map(f => f.tableName),
+    relationships: app.getRelationships(),
+    reports: relationshipReports,
+    suggestions: relationshipSuggestions,
+    error
+  });
+}
+
+/**
+ * Show the schema comparison of two loaded tables
+ */
+function renderSchemaDiff() {
+  const tables = app.getAllTablesMetadata().filter(f => f.format !== 'duckdb').map(f => f.tableName);
+  // Forget a comparison whose tables were renamed or removed
+  if (schemaDiff.diff && !(tables.includes(schemaDiff.diff.leftTable) && tables.includes(schemaDiff.diff.rightTable))) {
+    schemaDiff = { diff: null, loading: false, error: null };
+  }
+  schemaDiffUI.render({ tables, ...schemaDiff });
+}
+
+/**
+ * Show the data-quality rules and their last report
+ */
+function renderRules() {
+  rulesUI.render({
+    tables: app.getAllTablesMetadata().filter(f => f.format !== 'duckdb').map(f => f.tableName),
+    rules: ruleSet.list(),
+    ...rulesReport
+  });
+}
+
+/**
+ * Refresh the browser storage usage display
+ */
+async function updateStorageUsage() {
+  try {
+    storageUsageUI.render(await getStorageEstimate());
+  } catch (error) {
+    storageUsageUI.render(null);
+  }
+}
+
+/**
+ * Restore the tables cached by previous sessions
+ */
+async function restoreCachedTables() {
+  const { restored, failed } = await app.restoreCachedTables();
+  updateUI();
+
+  if (restored.length > 0) {
+    resultsUI.showSuccess(`Restored ${restored.length} cached table${restored.length > 1 ? 's' : ''}: ${restored.join(', ')}${failed.length > 0 ? ` (${failed.length} could not be restored)` : ''}`);
+  } else if (failed.length > 0) {
+    resultsUI.showError(`Could not restore cached files: ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Load one file through the loader matching its format
+ * @param {string} name - File name
+ * @param {ArrayBuffer|File} buffer - File content (a File for large Parquet files registered by handle)
+ * @param {string} format - Format from getFileFormat
+ * @param {string} [prefix] - Table name prefix (archive members)
+ * @returns {Promise<string[]|null>} - Created table names, or null if cancelled
+ */
+async function loadFile(name, buffer, format, prefix = '') {
+  // Source files of the tables a workspace is waiting for rebuild them with their saved names and options
+  const restored = await app.restoreMissingTables(name, buffer);
+  if (restored.length > 0) {
+    return restored;
+  }
+
+  if (format === 'csv') {
+    const options = await csvImportDialog.open(name, buffer);
+    if (!options) return null; // Import cancelled by the user
+    return [await app.loadCSVFile(name, buffer, options)];
+  }
+
+  if (format === 'atih') {
+    return app.loadATIHFile(name, buffer, prefix);
+  }
+
+  if (format === 'duckdb') {
+    return [await app.attachDatabaseFile(name, buffer)];
+  }
+
+  return [await app.loadParquetFile(name, buffer)];
+}
+
+/**
+ * Run a load and record its outcome in the upload summary
+ * @param {Object} summary - { successCount, errorCount, tables }
+ * @param {string} name - File name, for error logging
+ * @param {Function} load - () => Promise<string[]|null>
+ */
+async function recordLoad(summary, name, load) {
+  try {
+    const tables = await load();
+    if (!tables) return;
+    summary.tables.push(...tables);
+    summary.successCount++;
+  } catch (error) {
+    summary.errorCount++;
+    console.error(`Failed to load ${name}:`, error);
+  }
+}
+
+/**
+ * Let the user pick members of a ZIP archive and load them
+ * @param {string} archiveName - Archive filename
+ * @param {ArrayBuffer} buffer - Archive content
+ * @param {Array<Object>} entries - Archive members, from readZipEntries
+ * @param {Object} summary - Upload summary to record member loads in
+ */
+async function loadArchive(archiveName, buffer, entries, summary) {
+  const selected = await zipImportDialog.open(archiveName, entries);
+  if (!selected) return;
+
+  const prefix = getArchivePrefix(archiveName);
+  for (const entry of selected) {
+    await recordLoad(summary, `${archiveName}/${entry.name}`, async () => {
+      const data = await extractZipEntry(buffer, entry);
+      const memberName = getArchiveMemberName(archiveName, entry.name);
+      const format = getFileFormat(entry.name);
+      return loadFile(memberName, data, format === 'text' ? detectTextFormat(data) : format, prefix);
+    });
+  }
+}
+
+/**
+ * Replace the loaded tables, saved queries and editor contents with a saved workspace
+ * @param {ArrayBuffer} buffer - Workspace archive content
+ * @param {Array<Object>} entries - Archive members, from readZipEntries
+ * @param {Object} summary - Upload summary to record restored tables in
+ */
+async function openWorkspace(buffer, entries, summary) {
+  const { manifest, dataFiles } = await readWorkspaceArchive(buffer, entries);
+
+  if (app.getAllTablesMetadata().length > 0 &&
+      !confirm(`Open workspace "${manifest.name}"? Currently loaded tables will be removed.`)) {
+    return;
+  }
+
+  await app.clearAllTables();
+  const { restored, missing, failed } = await app.loadWorkspace(manifest, dataFiles);
+
+  savedQueries.replaceAll(manifest.savedQueries || []);
+  savedQueriesUI.render(savedQueries.list());
+
+  summary.tables.push(...restored);
+  summary.successCount += restored.length;
+  summary.errorCount += failed.length;
+  summary.missing.push(...missing);
+  summary.editorSQL = manifest.editorSQL || '';
 }
 
 /**
  * Handle multiple file uploads
+ * @param {Iterable<File>} files - Individual files
+ * @param {Array<Object>} [datasets] - Folders of Parquet parts, from groupFilesByFolder or readDirectoryEntry
  */
-async function processFiles(files) {
+async function processFiles(files, datasets = []) {
   const fileArray = Array.from(files);
-  let successCount = 0;
-  let errorCount = 0;
+  const summary = { successCount: 0, errorCount: 0, tables: [], missing: [], editorSQL: null };
+
+  for (const dataset of datasets) {
+    await recordLoad(summary, dataset.name, async () => {
+      const restored = await app.restoreMissingTables(`${dataset.name}/`, dataset.files);
+      return restored.length > 0 ? restored : [await app.loadParquetDataset(dataset.name, dataset.files)];
+    });
+  }
 
   for (const file of fileArray) {
-    try {
-      const { name, buffer } = await handleFileUpload(file);
-      await app.loadParquetFile(name, buffer);
-      successCount++;
-    } catch (error) {
-      errorCount++;
-      console.error(`Failed to load ${file.name}:`, error);
-    }
+    await recordLoad(summary, file.name, async () => {
+      const { name, buffer, file: handle, format } = await handleFileUpload(file);
+
+      if (format === 'zip') {
+        // Workspace tables and archive members are recorded individually
+        const entries = readZipEntries(buffer);
+        if (isWorkspaceArchive(entries)) {
+          await openWorkspace(buffer, entries, summary);
+        } else {
+          await loadArchive(name, buffer, entries, summary);
+        }
+        return null;
+      }
+
+      return loadFile(name, buffer || handle, format);
+    });
   }
 
-  // Update UI after all files processed
+  // Update UI after all files processed, then restore a workspace's editor contents over the example query
   updateUI();
+  updateUIAfterBackgroundJobs();
+  if (summary.editorSQL !== null) {
+    sqlEditor.setValue(summary.editorSQL);
+  }
 
-  if (successCount > 0) {
-    const tables = app.getAllTablesMetadata();
-    const tableNames = tables.slice(-successCount).map(t => t.tableName).join(', ');
+  const { successCount, errorCount, missing } = summary;
+  if (missing.length > 0) {
+    const tables = missing.map(t => `${t.tableName} (${t.originalName})`).join(', ');
+    resultsUI.showError(`Workspace data files are missing. Drop the source files in again for: ${tables}`);
+  } else if (successCount > 0) {
+    const tableNames = summary.tables.join(', ');
     const message = `Successfully loaded ${successCount} file${successCount > 1 ? 's' : ''}: ${tableNames}${errorCount > 0 ? ` (${errorCount} failed)` : ''}`;
     resultsUI.showSuccess(message);
-  } else {
+  } else if (errorCount > 0) {
     resultsUI.showError('Failed to load any files');
   }
 }
 
+/**
+ * Load a bundled reference nomenclature
+ * @param {string} datasetId - Reference dataset id, e.g. cim10-2024
+ */
+async function loadReferenceTable(datasetId) {
+  try {
+    const tableName = await app.loadReferenceDataset(datasetId);
+    updateUI();
+    updateUIAfterBackgroundJobs();
+    resultsUI.showSuccess(`Loaded reference table ${tableName}`);
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Download the loaded tables, saved queries and editor contents as a workspace archive
+ */
+async function saveWorkspace() {
+  const name = prompt('Save workspace as:', CONFIG.DEFAULT_WORKSPACE_NAME);
+  if (!name) return;
+
+  const includeData = confirm(
+    'Include the data files in the workspace?\n\n' +
+    'Without them, the workspace is small but the source files must be dropped in again after opening it.'
+  );
+
+  try {
+    const manifest = buildWorkspaceManifest({
+      name,
+      tables: app.getAllTablesMetadata(),
+      savedQueries: savedQueries.list(),
+      editorSQL: sqlEditor.getValue(),
+      relationships: app.getRelationships(),
+      includeData
+    });
+    const { dataFiles, skipped } = includeData ? await app.getDataFiles() : { dataFiles: new Map(), skipped: [] };
+
+    downloadFile(createWorkspaceArchive(manifest, dataFiles), getWorkspaceFileName(name), 'application/zip');
+    if (skipped.length > 0) {
+      const tables = skipped.map(t => `${t.tableName} (${t.originalName})`).join(', ');
+      resultsUI.showSuccess(`Saved workspace "${name}". Files too large to include, to drop in again after opening it: ${tables}`);
+    } else {
+      resultsUI.showSuccess(`Saved workspace "${name}"`);
+    }
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Save the editor contents as a named query
+ * @param {string} selectedName - Currently selected saved query, offered as the default name
+ */
+function saveQuery(selectedName) {
+  const sql = sqlEditor.getValue();
+  if (!sql) {
+    resultsUI.showError('Please enter a SQL query');
+    return;
+  }
+
+  const name = prompt('Save query as:', selectedName);
+  if (!name) return;
+
+  try {
+    savedQueries.save(name, sql);
+    savedQueriesUI.render(savedQueries.list(), name.trim());
+    resultsUI.showSuccess(`Saved query "${name.trim()}"`);
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Load a saved query into the editor
+ * @param {string} name - Saved query name
+ */
+function selectQuery(name) {
+  const query = savedQueries.get(name);
+  if (query) {
+    sqlEditor.setValue(query.sql);
+  }
+}
+
+/**
+ * Open the command palette over the query templates
+ */
+function openCommandPalette() {
+  const loadedTables = getLoadedTableNames();
+  commandPaletteUI.open(getAllTemplates(userTemplates), loadedTables);
+}
+
+/**
+ * Get the names of the loaded tables templates can read
+ * @returns {string[]}
+ */
+function getLoadedTableNames() {
+  return app.getAllTablesMetadata().flatMap(getQueryableTableNames);
+}
+
+/**
+ * Load the user templates and register the macros they define
+ */
+async function loadUserTemplates() {
+  userTemplates = templateStore ? await templateStore.list() : [];
+  await app.registerUserMacros(userTemplates);
+  macroLibraryUI.render(app.getMacros());
+}
+
+/**
+ * Save the query in the editor as a user template
+ */
+async function saveAsTemplate() {
+  const sql = sqlEditor.getValue();
+  if (!sql) {
+    resultsUI.showError('Please enter a SQL query');
+    return;
+  }
+  if (!templateStore) {
+    resultsUI.showError('Templates cannot be saved: this browser does not support IndexedDB');
+    return;
+  }
+
+  const template = await templateEditorUI.open(sql, { requiredTables: detectRequiredTables(sql, getLoadedTableNames()) });
+  if (!template) return;
+  if (userTemplates.some(t => t.id === template.id) && !confirm(`Replace the template "${template.title}"?`)) {
+    return;
+  }
+
+  try {
+    await templateStore.save(template);
+    await loadUserTemplates();
+    resultsUI.showSuccess(`Template "${template.title}" saved`);
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Delete a user template
+ * @param {Object} template - User template
+ */
+async function deleteTemplate(template) {
+  if (!confirm(`Delete template "${template.title}"?`)) return;
+
+  try {
+    await templateStore.remove(template.id);
+    await loadUserTemplates();
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Add the templates of a JSON template pack, replacing user templates with the same name
+ * @param {string} json - Template pack file content
+ */
+async function importTemplates(json) {
+  if (!templateStore) {
+    resultsUI.showError('Templates cannot be saved: this browser does not support IndexedDB');
+    return;
+  }
+
+  try {
+    const templates = await templateStore.saveAll(parseTemplatePack(json));
+    await loadUserTemplates();
+    resultsUI.showSuccess(`Imported ${templates.length} template${templates.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Download the user templates as a JSON template pack
+ */
+function exportTemplates() {
+  if (userTemplates.length === 0) {
+    resultsUI.showError('No templates to export: save a query as a template first');
+    return;
+  }
+  downloadFile(exportTemplatePack(userTemplates), generateFilename('templates', '.json'), 'application/json');
+}
+
+/**
+ * Insert a template picked in the command palette into the editor
+ * Templates with parameters ask for their values first, then run with the values bound.
+ * @param {Object} template - Query template
+ */
+async function insertTemplate(template) {
+  if (!template.parameters) {
+    sqlEditor.setValue(template.sql);
+    sqlInput.focus();
+    return;
+  }
+
+  // Offer the values found in the loaded data for parameters picking from a column
+  const choices = {};
+  try {
+    for (const parameter of template.parameters) {
+      if (parameter.source) {
+        choices[parameter.name] = await app.getParameterOptions(parameter.source);
+      }
+    }
+  } catch (error) {
+    showQueryError(error);
+    return;
+  }
+
+  const values = await parameterFormUI.open(template, { values: parameterValues.get(template.id), choices });
+  if (!values) return;
+
+  parameterValues.set(template.id, values);
+  sqlEditor.setValue(template.sql);
+  boundTemplate = { parameters: template.parameters, values };
+  await executeQuery();
+}
+
+/**
+ * Delete a saved query
+ * @param {string} name - Saved query name
+ */
+function deleteQuery(name) {
+  if (!confirm(`Delete saved query "${name}"?`)) return;
+
+  savedQueries.remove(name);
+  savedQueriesUI.render(savedQueries.list());
+}
+
 /**
  * Handle renaming a table
  */
@@ -119,16 +685,35 @@ async function removeFile(tableName) {
   }
 }
 
+/**
+ * Remove a table from the browser cache, keeping it loaded
+ */
+async function evictFile(tableName) {
+  try {
+    await app.evictTable(tableName);
+    resultsUI.showSuccess(`Removed "${tableName}" from the browser cache`);
+    updateUI();
+  } catch (error) {
+    resultsUI.showError(error.message);
+  }
+}
+
 /**
  * Clear all files
  */
 async function clearAllFiles() {
-  if (!confirm('Remove all loaded files?')) return;
+  if (!confirm('Remove all loaded files? They will also be removed from the browser cache.')) return;
 
   try {
     await app.clearAllTables();
+    relationshipReports.clear();
+    relationshipSuggestions = [];
     resultsUI.showSuccess('All files cleared');
     updateUI();
+    currentPager = null;
+    currentSQL = null;
+    profileUI.hide();
+    duplicatesUI.hide();
     resultsUI.showPlaceholder();
   } catch (error) {
     resultsUI.showError(error.message);
@@ -145,34 +730,388 @@ async function executeQuery() {
     return;
   }
 
+  currentSQL = sql;
+  resultsUI.resetView();
+  await openResults();
+}
+
+/**
+ * Run the current query with the sorting and filtering chosen in the results grid
+ */
+async function openResults() {
+  sqlEditor.setExecuting();
+
+  try {
+    // Keep the page size the user picked for previous results
+    const pageSize = currentPager ? currentPager.pageSize : CONFIG.DEFAULT_PAGE_SIZE;
+    const { sql, params } = bindTemplateValues(buildViewSQL(currentSQL, resultsUI.getView(), resultsUI.getColumnTypes()));
+    currentPager = await app.openQuery(sql, pageSize, params);
+    renderPage(await currentPager.getPage(0));
+  } catch (error) {
+    showQueryError(error);
+  } finally {
+    sqlEditor.enableExecute();
+  }
+}
+
+/**
+ * Bind the $name placeholders of a query to the values of the last template run with parameters
+ * Placeholders survive editing and the sorting and filtering pushed from the results grid, so they are bound on each run.
+ * @param {string} sql - Query, e.g. the editor text
+ * @returns {{sql: string, params: Array}} - The query unchanged and no values when it has no placeholders
+ */
+function bindTemplateValues(sql) {
+  if (!boundTemplate || findPlaceholders(sql).length === 0) {
+    return { sql, params: [] };
+  }
+  return bindParameters(sql, boundTemplate.parameters, boundTemplate.values);
+}
+
+/**
+ * Show a page of the current results
+ * @param {Object} page - Page returned by QueryPager.getPage
+ */
+function renderPage(page) {
+  resultsUI.render(page, currentPager.getState(), { queryable: isPageableQuery(currentSQL) });
+}
+
+/**
+ * Fetch and show a page of the current results
+ * @param {number} page - Zero-based page index
+ */
+async function showPage(page) {
+  if (!currentPager) return;
+
+  sqlEditor.setExecuting();
+
+  try {
+    renderPage(await currentPager.getPage(page));
+  } catch (error) {
+    showQueryError(error);
+  } finally {
+    sqlEditor.enableExecute();
+  }
+}
+
+/**
+ * Rewrite the query in the editor with the sorting and filtering of the results grid, and run it
+ * @param {Object} view - { sort, filters } from the results grid
+ */
+async function pushViewToSQL(view) {
+  if (!currentSQL) return;
+  sqlEditor.setValue(buildViewSQL(currentSQL, view, resultsUI.getColumnTypes()));
+  await executeQuery();
+}
+
+/**
+ * Change the number of rows per page of the current results
+ * @param {number} pageSize - Rows per page
+ */
+function changePageSize(pageSize) {
+  if (!currentPager) return;
+  showPage(currentPager.setPageSize(pageSize));
+}
+
+/**
+ * Show a query failure, distinguishing cancellations from errors
+ * @param {Error} error - Error thrown by the query
+ */
+function showQueryError(error) {
+  if (error instanceof QueryCancelledError) {
+    resultsUI.showCancelled(error.message);
+  } else {
+    resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * Profile the columns of a table in the diagnostics dashboard
+ * @param {string} tableName - Table name
+ */
+async function profileTable(tableName) {
+  profileUI.showLoading(tableName);
   sqlEditor.setExecuting();
 
   try {
-    const results = await app.executeQuery(sql);
-    const formatted = formatQueryResults(results, CONFIG.MAX_RESULT_ROWS);
-    resultsUI.render(formatted);
+    profileUI.render(await app.profileTable(tableName));
+  } catch (error) {
+    profileUI.showError(error.message);
+  } finally {
+    sqlEditor.enableExecute();
+  }
+}
+
+/**
+ * Open the duplicate inspector of a table
+ * @param {string} tableName - Table name
+ */
+async function inspectDuplicates(tableName) {
+  try {
+    const columns = await app.getTableInfo(tableName, tableName);
+    duplicatesUI.open(tableName, columns.map(col => col.column_name));
   } catch (error) {
     resultsUI.showError(error.message);
+  }
+}
+
+/**
+ * List the duplicated values of a business key
+ * @param {string} tableName - Table name
+ * @param {string[]} keys - Key column names
+ */
+async function findDuplicates(tableName, keys) {
+  duplicatesUI.showLoading();
+  sqlEditor.setExecuting();
+
+  try {
+    duplicatesUI.render(await app.findDuplicates(tableName, keys));
+  } catch (error) {
+    duplicatesUI.showError(error.message);
+  } finally {
+    sqlEditor.enableExecute();
+  }
+}
+
+/**
+ * Show the rows of a duplicated key in the results grid, highlighting the columns that differ
+ * @param {string} tableName - Table name
+ * @param {string[]} keys - Key column names
+ * @param {Array<string|null>} values - Key values
+ */
+async function openDuplicateGroup(tableName, keys, values) {
+  sqlEditor.setExecuting();
+
+  let group;
+  try {
+    group = await app.getDuplicateGroup(tableName, keys, values);
+  } catch (error) {
+    showQueryError(error);
+    sqlEditor.enableExecute();
+    return;
+  }
+
+  sqlEditor.setValue(group.sql);
+  currentSQL = group.sql;
+  resultsUI.resetView();
+  resultsUI.setHighlightedColumns(group.differingColumns);
+  await openResults();
+}
+
+/**
+ * Declare a relationship between two tables
+ * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+ */
+async function addRelationship(relationship) {
+  try {
+    await app.addRelationship(relationship);
+    relationshipSuggestions = relationshipSuggestions.filter(
+      s => getRelationshipKey(s) !== getRelationshipKey(relationship)
+    );
+    renderRelationships();
+  } catch (error) {
+    renderRelationships(error.message);
+  }
+}
+
+/**
+ * Forget a declared relationship
+ * @param {string} key - Relationship key
+ */
+function removeRelationship(key) {
+  app.removeRelationship(key);
+  relationshipReports.delete(key);
+  renderRelationships();
+}
+
+/**
+ * Suggest relationships from the column names shared by loaded tables
+ */
+async function suggestRelationships() {
+  try {
+    relationshipSuggestions = await app.suggestRelationships();
+    renderRelationships(relationshipSuggestions.length === 0 ? 'No shared identifier columns found' : null);
+  } catch (error) {
+    renderRelationships(error.message);
+  }
+}
+
+/**
+ * Count the orphans of a relationship in both directions
+ * @param {Object} relationship - Declared relationship
+ */
+async function checkRelationship(relationship) {
+  const key = getRelationshipKey(relationship);
+  relationshipReports.set(key, { loading: true });
+  renderRelationships();
+  sqlEditor.setExecuting();
+
+  try {
+    relationshipReports.set(key, await app.checkRelationship(relationship));
+  } catch (error) {
+    relationshipReports.set(key, { error: error.message });
+  } finally {
+    sqlEditor.enableExecute();
+    renderRelationships();
+  }
+}
+
+/**
+ * Compare the schemas of two loaded tables
+ * @param {string} leftTable - First table
+ * @param {string} rightTable - Second table
+ */
+async function compareTables(leftTable, rightTable) {
+  schemaDiff = { diff: null, loading: true, error: null };
+  renderSchemaDiff();
+  sqlEditor.setExecuting();
+
+  try {
+    schemaDiff = { diff: await app.compareTables(leftTable, rightTable), loading: false, error: null };
+  } catch (error) {
+    schemaDiff = { diff: null, loading: false, error: error.message };
   } finally {
     sqlEditor.enableExecute();
+    renderSchemaDiff();
+  }
+}
+
+/**
+ * Declare a data-quality rule
+ * @param {Object} rule - Rule built from the rule form
+ */
+function addRule(rule) {
+  try {
+    ruleSet.add(rule);
+    rulesReport = { ...rulesReport, error: null };
+  } catch (error) {
+    rulesReport = { ...rulesReport, error: error.message };
+  }
+  renderRules();
+}
+
+/**
+ * Delete a data-quality rule
+ * @param {number} index - Rule position
+ */
+function removeRule(index) {
+  ruleSet.remove(index);
+  renderRules();
+}
+
+/**
+ * Run every data-quality rule and show the report
+ */
+async function runRules() {
+  const rules = ruleSet.list();
+  rulesReport = { results: null, progress: { done: 0, total: rules.length }, error: null };
+  renderRules();
+  sqlEditor.setExecuting();
+
+  try {
+    const results = await app.runRules(rules, (done, total) => {
+      rulesReport = { ...rulesReport, progress: { done, total } };
+      renderRules();
+    });
+    rulesReport = { results, progress: null, error: null };
+  } catch (error) {
+    rulesReport = { results: null, progress: null, error: error.message };
+  } finally {
+    sqlEditor.enableExecute();
+    renderRules();
+  }
+}
+
+/**
+ * Replace the rules with an imported rule set
+ * @param {string} json - Rule set file content
+ */
+function importRules(json) {
+  try {
+    const rules = parseRuleSet(json);
+    if (ruleSet.list().length > 0 && !confirm(`Replace the current rules with the ${rules.length} imported rules?`)) {
+      return;
+    }
+    ruleSet.replaceAll(rules);
+    rulesReport = { results: null, progress: null, error: null };
+  } catch (error) {
+    rulesReport = { ...rulesReport, error: error.message };
+  }
+  renderRules();
+}
+
+/**
+ * Download the rules as a JSON rule set
+ */
+function exportRules() {
+  downloadFile(exportRuleSet(ruleSet.list()), generateFilename('rules', '.json'), 'application/json');
+}
+
+/**
+ * Run a query from the editor, e.g. every orphan row of a relationship
+ * @param {string} sql - Query
+ */
+async function runSQL(sql) {
+  sqlEditor.setValue(sql);
+  await executeQuery();
+}
+
+/**
+ * Count the duplicate rows of a table exactly, in the background
+ * @param {string} tableName - Table name
+ */
+async function computeExactStatistics(tableName) {
+  statsRunning.add(tableName);
+  renderTableStatus();
+
+  try {
+    await app.computeExactStatistics(tableName);
+  } catch (error) {
+    // Tables removed while their job was running have nothing left to report
+    if (app.getTableMetadata(tableName)) {
+      resultsUI.showError(error.message);
+    }
+  } finally {
+    statsRunning.delete(tableName);
+    renderTableStatus();
+  }
+}
+
+/**
+ * Stop the exact count of a table
+ * @param {string} tableName - Table name
+ */
+function cancelExactStatistics(tableName) {
+  app.cancelExactStatistics(tableName);
+}
+
+/**
+ * Cancel the running query
+ */
+async function cancelQuery() {
+  sqlEditor.setCancelling();
+
+  try {
+    await app.cancelQuery();
+  } catch (error) {
+    console.error('Failed to cancel query:', error);
   }
 }
 
 /**
  * Handle export button click
  */
-function handleExport() {
-  const results = resultsUI.getLastResults();
-  if (!results || !results.columns || results.rows.length === 0) return;
+async function handleExport() {
+  if (!currentPager || currentPager.totalRows === 0) return;
 
   let defaultName = CONFIG.DEFAULT_EXPORT_FILENAME;
   let filename = prompt('Export results as CSV. Enter filename:', defaultName);
   if (!filename) filename = defaultName;
 
   try {
-    exportToCSV(results, filename);
+    // Export every row of the result, not just the page on screen
+    exportToCSV(await currentPager.getAllRows(), filename);
   } catch (error) {
-    resultsUI.showError(error.message);
+    showQueryError(error);
   }
 }
 
@@ -189,7 +1128,68 @@ async function init() {
     // Set up UI component callbacks
     fileListUI.onRename(handleRename);
     fileListUI.onRemove(removeFile);
+    fileListUI.onEvict(evictFile);
+    referenceTablesUI.onLoad(loadReferenceTable);
+    diagnosticsUI.onProfile(profileTable);
+    diagnosticsUI.onDuplicates(inspectDuplicates);
+    duplicatesUI.onSearch(findDuplicates);
+    duplicatesUI.onOpenGroup(openDuplicateGroup);
+    relationshipsUI.onAdd(addRelationship);
+    relationshipsUI.onRemove(removeRelationship);
+    relationshipsUI.onSuggest(suggestRelationships);
+    relationshipsUI.onCheck(checkRelationship);
+    relationshipsUI.onOpenRows(runSQL);
+    schemaDiffUI.onCompare(compareTables);
+    schemaDiffUI.onOpenUnion(runSQL);
+    rulesUI.onAdd(addRule);
+    rulesUI.onRemove(removeRule);
+    rulesUI.onRun(runRules);
+    rulesUI.onImport(importRules);
+    rulesUI.onExport(exportRules);
+    rulesUI.onOpenRows(runSQL);
+    codeQualityUI.onOpenRows(runSQL);
+    diagnosticsUI.onComputeExact(computeExactStatistics);
+    diagnosticsUI.onCancelExact(cancelExactStatistics);
     sqlEditor.onExecute(executeQuery);
+    sqlEditor.onCancel(cancelQuery);
+    resultsUI.onPageChange(showPage);
+    resultsUI.onPageSizeChange(changePageSize);
+    resultsUI.onError(showQueryError);
+    resultsUI.onViewChange(openResults);
+    resultsUI.onPushToSQL(pushViewToSQL);
+    savedQueriesUI.onSelect(selectQuery);
+    savedQueriesUI.onSave(saveQuery);
+    savedQueriesUI.onDelete(deleteQuery);
+    savedQueriesUI.render(savedQueries.list());
+    commandPaletteUI.onSelect(insertTemplate);
+    commandPaletteUI.onDelete(deleteTemplate);
+    templatesBtn.addEventListener('click', openCommandPalette);
+    saveTemplateBtn.addEventListener('click', saveAsTemplate);
+    exportTemplatesBtn.addEventListener('click', exportTemplates);
+    importTemplatesBtn.addEventListener('click', () => templatePackInput.click());
+    templatePackInput.addEventListener('change', async () => {
+      const file = templatePackInput.files[0];
+      templatePackInput.value = '';
+      if (file) {
+        await importTemplates(await file.text());
+      }
+    });
+    // Ctrl+K (Cmd+K on macOS) toggles the command palette
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (commandPaletteUI.isOpen()) {
+          commandPaletteUI.close();
+        } else {
+          openCommandPalette();
+        }
+      }
+    });
+
+    templateStore = await TemplateStore.open();
+    await loadUserTemplates().catch(error => console.warn('Could not load user templates:', error));
+
+    await restoreCachedTables();
 
   } catch (error) {
     status.setLoading(`Failed: ${error.message}`);
@@ -212,6 +1212,19 @@ fileInput.addEventListener('change', (e) => {
   }
 });
 
+// Folder upload button click
+uploadFolderBtn.addEventListener('click', () => {
+  folderInput.click();
+});
+
+// Folder input change
+folderInput.addEventListener('change', (e) => {
+  const files = e.target.files;
+  if (files && files.length > 0) {
+    processFiles([], groupFilesByFolder(files));
+  }
+});
+
 // Drag and drop
 dropZone.addEventListener('dragover', (e) => {
   e.preventDefault();
@@ -222,18 +1235,30 @@ dropZone.addEventListener('dragleave', () => {
   dropZone.classList.remove('dragover');
 });
 
-dropZone.addEventListener('drop', (e) => {
+dropZone.addEventListener('drop', async (e) => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  const files = e.dataTransfer.files;
-  if (files && files.length > 0) {
-    processFiles(files);
+
+  // Dropped folders are loaded as Parquet datasets
+  const { files, directories } = splitDroppedItems(e.dataTransfer);
+  if (files.length === 0 && directories.length === 0) return;
+
+  let datasets;
+  try {
+    datasets = await Promise.all(directories.map(readDirectoryEntry));
+  } catch (error) {
+    resultsUI.showError(`Could not read the dropped folder: ${error.message}`);
+    return;
   }
+  processFiles(files, datasets);
 });
 
 // Clear all button
 clearAllBtn.addEventListener('click', clearAllFiles);
 
+// Save workspace button
+saveWorkspaceBtn.addEventListener('click', saveWorkspace);
+
 // Execute button click
 executeBtn.addEventListener('click', executeQuery);
 
@@ -0,0 +1,72 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteIdentifier, quoteLiteral } from './queries.js';
+
+/**
+ * Build the query counting the duplicated key groups of a table and the rows they hold
+ * @param {string} relation - Table or view name
+ * @param {string[]} keys - Key column names
+ * @returns {string} - One row of { group_count, row_count }
+ */
+export function buildDuplicateSummarySQL(relation, keys) {
+  const list = keys.map(quoteIdentifier).join(', ');
+  return `SELECT COUNT(*) AS group_count, COALESCE(SUM(n), 0) AS row_count FROM (SELECT COUNT(*) AS n FROM ${relation} GROUP BY ${list} HAVING COUNT(*) > 1)`;
+}
+
+/**
+ * Build the query listing the most duplicated keys of a table
+ * Key values are returned as text, aliased by position (key_0, key_1...) so that any column name works.
+ * @param {string} relation - Table or view name
+ * @param {string[]} keys - Key column names
+ * @param {number} [limit] - Number of keys
+ * @returns {string} - Rows of { key_0..., row_count }, most duplicated first
+ */
+export function buildDuplicateGroupsSQL(relation, keys, limit = CONFIG.DUPLICATE_TOP_GROUPS) {
+  const values = keys.map((key, index) => `CAST(${quoteIdentifier(key)} AS VARCHAR) AS key_${index}`);
+  const order = keys.map((key, index) => `key_${index}`).join(', ');
+  return `SELECT ${values.join(', ')}, COUNT(*) AS row_count FROM ${relation} GROUP BY ALL HAVING COUNT(*) > 1 ORDER BY row_count DESC, ${order} LIMIT ${limit}`;
+}
+
+/**
+ * Build the condition matching the rows of one key group, NULL keys included
+ * @param {string[]} keys - Key column names
+ * @param {Array<string|null>} values - Key values as text, as returned by buildDuplicateGroupsSQL
+ * @returns {string}
+ */
+export function buildKeyCondition(keys, values) {
+  return keys
+    .map((key, index) => {
+      const value = values[index];
+      return value === null || value === undefined
+        ? `${quoteIdentifier(key)} IS NULL`
+        : `CAST(${quoteIdentifier(key)} AS VARCHAR) = ${quoteLiteral(value)}`;
+    })
+    .join(' AND ');
+}
+
+/**
+ * Build the query returning the rows of one key group
+ * @param {string} relation - Table or view name
+ * @param {string[]} keys - Key column names
+ * @param {Array<string|null>} values - Key values as text
+ * @returns {string}
+ */
+export function buildDuplicateRowsSQL(relation, keys, values) {
+  return `SELECT * FROM ${relation} WHERE ${buildKeyCondition(keys, values)}`;
+}
+
+/**
+ * Build the query telling which columns take more than one value within a key group
+ * A NULL counts as a value of its own, so NULL next to a value is a difference.
+ * @param {string} relation - Table or view name
+ * @param {string[]} columns - Column names
+ * @param {string[]} keys - Key column names
+ * @param {Array<string|null>} values - Key values as text
+ * @returns {string} - One row of { differs_0, differs_1... }, aliased by position
+ */
+export function buildDifferingColumnsSQL(relation, columns, keys, values) {
+  const checks = columns.map((column, index) => {
+    const identifier = quoteIdentifier(column);
+    return `COUNT(DISTINCT ${identifier}) + (COUNT(*) > COUNT(${identifier}))::INTEGER > 1 AS differs_${index}`;
+  });
+  return `SELECT ${checks.join(', ')} FROM ${relation} WHERE ${buildKeyCondition(keys, values)}`;
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildDuplicateSummarySQL,
+  buildDuplicateGroupsSQL,
+  buildKeyCondition,
+  buildDuplicateRowsSQL,
+  buildDifferingColumnsSQL
+} from './duplicates.js';
+
+describe('buildDuplicateSummarySQL', () => {
+  it('should count duplicated key groups and their rows', () => {
+    expect(buildDuplicateSummarySQL('rsa', ['finess', 'num_rss'])).toBe(
+      'SELECT COUNT(*) AS group_count, COALESCE(SUM(n), 0) AS row_count FROM (SELECT COUNT(*) AS n FROM rsa GROUP BY "finess", "num_rss" HAVING COUNT(*) > 1)'
+    );
+  });
+});
+
+describe('buildDuplicateGroupsSQL', () => {
+  it('should list the most duplicated keys as text', () => {
+    expect(buildDuplicateGroupsSQL('rsa', ['ano', 'date_entree'], 5)).toBe(
+      'SELECT CAST("ano" AS VARCHAR) AS key_0, CAST("date_entree" AS VARCHAR) AS key_1, COUNT(*) AS row_count FROM rsa GROUP BY ALL HAVING COUNT(*) > 1 ORDER BY row_count DESC, key_0, key_1 LIMIT 5'
+    );
+  });
+});
+
+describe('buildKeyCondition', () => {
+  it('should match key values as text and NULL keys with IS NULL', () => {
+    expect(buildKeyCondition(['finess', 'num_rss'], ["75'1", null])).toBe(
+      'CAST("finess" AS VARCHAR) = \'75\'\'1\' AND "num_rss" IS NULL'
+    );
+  });
+});
+
+describe('buildDuplicateRowsSQL', () => {
+  it('should select the rows of one key group', () => {
+    expect(buildDuplicateRowsSQL('rsa', ['finess'], ['750000001'])).toBe(
+      'SELECT * FROM rsa WHERE CAST("finess" AS VARCHAR) = \'750000001\''
+    );
+  });
+});
+
+describe('buildDifferingColumnsSQL', () => {
+  it('should count NULL as a value of its own', () => {
+    expect(buildDifferingColumnsSQL('rsa', ['finess', 'dp'], ['finess'], ['1'])).toBe(
+      'SELECT COUNT(DISTINCT "finess") + (COUNT(*) > COUNT("finess"))::INTEGER > 1 AS differs_0, ' +
+      'COUNT(DISTINCT "dp") + (COUNT(*) > COUNT("dp"))::INTEGER > 1 AS differs_1 ' +
+      'FROM rsa WHERE CAST("finess" AS VARCHAR) = \'1\''
+    );
+  });
+});
@@ -1,4 +1,76 @@
 /**
  * Database module exports
  */
-export { validateSQL, formatQueryResults, createResultsTable } from './queries.js';
+export {
+  validateSQL,
+  splitStatements,
+  isPageableQuery,
+  buildCountSQL,
+  buildPageSQL,
+  parseColumnFilter,
+  buildFilterCondition,
+  buildViewSQL,
+  quoteIdentifier,
+  quoteLiteral,
+  describeColumnType,
+  formatQueryResults,
+  createResultsTable,
+  QueryCancelledError
+} from './queries.js';
+export { QueryPager } from './pager.js';
+export {
+  getProfileKind,
+  buildSummarizeSQL,
+  buildPresentCountsSQL,
+  buildColumnCountsSQL,
+  buildHistogramsSQL,
+  buildTopValuesSQL,
+  toHistograms,
+  buildColumnProfiles
+} from './profile.js';
+export { SavedQueries } from './saved-queries.js';
+export {
+  buildParquetRowCountSQL,
+  buildApproxUniqueRowsSQL,
+  buildDistinctRowsSQL
+} from './statistics.js';
+export {
+  buildDuplicateSummarySQL,
+  buildDuplicateGroupsSQL,
+  buildKeyCondition,
+  buildDuplicateRowsSQL,
+  buildDifferingColumnsSQL
+} from './duplicates.js';
+export {
+  getRelationshipKey,
+  isRelationshipShape,
+  validateRelationship,
+  suggestRelationships,
+  buildUnmatchedRowsSQL,
+  buildUnmatchedCountSQL,
+  buildUnmatchedSampleSQL
+} from './relationships.js';
+export { diffSchemas, compareColumnStats, buildUnionByNameSQL } from './schema-diff.js';
+export {
+  RULE_SET_VERSION,
+  RULE_TYPES,
+  validateRule,
+  describeRule,
+  buildRuleViolationsSQL,
+  buildRuleCountSQL,
+  buildRuleSampleSQL,
+  exportRuleSet,
+  parseRuleSet
+} from './rules.js';
+export { RuleSet } from './rule-set.js';
+export {
+  CODE_VALIDATORS,
+  ERROR_GHM_MACRO,
+  buildValidatorMacrosSQL,
+  isValidCode,
+  detectCodeColumns,
+  buildCodeQualitySQL,
+  toCodeQuality,
+  buildInvalidCodesSQL,
+  buildErrorGhmSQL
+} from './validators.js';
@@ -0,0 +1,84 @@
+import { CONFIG } from '../shared/constants.js';
+import { formatQueryResults } from './queries.js';
+
+/**
+ * Page-by-page access to the rows of a query result
+ * Rows are fetched on demand, one page at a time.
+ */
+export class QueryPager {
+  /**
+   * @param {Function} fetchRows - (offset, limit) => Promise<Array<Object>>, rows of the result
+   * @param {number} totalRows - Number of rows in the result
+   * @param {number} [pageSize] - Rows per page
+   */
+  constructor(fetchRows, totalRows, pageSize = CONFIG.DEFAULT_PAGE_SIZE) {
+    this.fetchRows = fetchRows;
+    this.totalRows = totalRows;
+    this.pageSize = pageSize;
+    this.page = 0;
+  }
+
+  /**
+   * Number of pages, at least one so that empty results still have a page
+   * @returns {number}
+   */
+  get pageCount() {
+    return Math.max(1, Math.ceil(this.totalRows / this.pageSize));
+  }
+
+  /**
+   * Fetch one page of the result
+   * Only the first block of rows is fetched; the rest of the page is pulled through fetchRows as it is scrolled into view.
+   * @param {number} page - Zero-based page index, clamped to the available pages
+   * @returns {Promise<Object>} - { columns: string[], rows: any[][], types: Array<Object|null>, rowCount: number, fetchRows: Function }
+   */
+  async getPage(page) {
+    const index = Math.min(Math.max(0, Math.floor(page)), this.pageCount - 1);
+    const offset = index * this.pageSize;
+    const rowCount = Math.max(0, Math.min(this.pageSize, this.totalRows - offset));
+    const blockSize = Math.min(this.pageSize, CONFIG.GRID_BLOCK_SIZE);
+    const { columns, rows, types } = formatQueryResults(await this.fetchRows(offset, blockSize), blockSize);
+    this.page = index;
+
+    const fetchRows = async (start, count) => {
+      const limit = Math.min(count, rowCount - start);
+      const data = await this.fetchRows(offset + start, limit);
+      return data.map(row => columns.map(col => row[col]));
+    };
+
+    return { columns, rows, types, rowCount: Math.max(rowCount, rows.length), fetchRows };
+  }
+
+  /**
+   * Change the page size, staying on the page that holds the first visible row
+   * @param {number} pageSize - Rows per page
+   * @returns {number} - The page to show next
+   */
+  setPageSize(pageSize) {
+    const firstRow = this.page * this.pageSize;
+    this.pageSize = pageSize;
+    this.page = Math.floor(firstRow / pageSize);
+    return this.page;
+  }
+
+  /**
+   * Fetch every row of the result (e.g. for export)
+   * @returns {Promise<Object>} - { columns: string[], rows: any[][], types: Array<Object|null> }
+   */
+  async getAllRows() {
+    return formatQueryResults(await this.fetchRows(0, this.totalRows), this.totalRows);
+  }
+
+  /**
+   * Describe the current page for the pagination controls
+   * @returns {{page: number, pageCount: number, pageSize: number, totalRows: number}}
+   */
+  getState() {
+    return {
+      page: this.page,
+      pageCount: this.pageCount,
+      pageSize: this.pageSize,
+      totalRows: this.totalRows
+    };
+  }
+}
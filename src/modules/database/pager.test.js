@@ -0,0 +1,86 @@
+import { describe, it, expect, vi } from 'vitest';
+import { QueryPager } from './pager.js';
+import { CONFIG } from '../shared/constants.js';
+
+const rows = Array.from({ length: 120 }, (_, i) => ({ id: i + 1 }));
+const fetchRows = () => vi.fn(async (offset, limit) => rows.slice(offset, offset + limit));
+
+describe('QueryPager', () => {
+  it('should compute the page count', () => {
+    expect(new QueryPager(fetchRows(), 120, 50).pageCount).toBe(3);
+    expect(new QueryPager(fetchRows(), 100, 50).pageCount).toBe(2);
+  });
+
+  it('should have one page for empty results', () => {
+    expect(new QueryPager(fetchRows(), 0, 50).pageCount).toBe(1);
+  });
+
+  it('should fetch only the requested page', async () => {
+    const fetch = fetchRows();
+    const pager = new QueryPager(fetch, 120, 50);
+
+    const page = await pager.getPage(1);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(50, 50);
+    expect(page.columns).toEqual(['id']);
+    expect(page.rows[0]).toEqual([51]);
+    expect(page.rows).toHaveLength(50);
+    expect(pager.page).toBe(1);
+  });
+
+  it('should fetch the rest of a large page on demand', async () => {
+    const many = Array.from({ length: 1000 }, (_, i) => ({ id: i + 1, label: `r${i + 1}` }));
+    const fetch = vi.fn(async (offset, limit) => many.slice(offset, offset + limit));
+    const pager = new QueryPager(fetch, 1000, 500);
+
+    const page = await pager.getPage(1);
+
+    expect(fetch).toHaveBeenCalledWith(500, CONFIG.GRID_BLOCK_SIZE);
+    expect(page.rows).toHaveLength(CONFIG.GRID_BLOCK_SIZE);
+    expect(page.rowCount).toBe(500);
+
+    const rows = await page.fetchRows(400, CONFIG.GRID_BLOCK_SIZE);
+    expect(fetch).toHaveBeenLastCalledWith(900, 100);
+    expect(rows[0]).toEqual([901, 'r901']);
+  });
+
+  it('should clamp the page index', async () => {
+    const fetch = fetchRows();
+    const pager = new QueryPager(fetch, 120, 50);
+
+    const page = await pager.getPage(10);
+
+    expect(fetch).toHaveBeenCalledWith(100, 50);
+    expect(page.rows).toHaveLength(20);
+    expect(pager.page).toBe(2);
+  });
+
+  it('should keep the current page when the fetch fails', async () => {
+    const pager = new QueryPager(vi.fn().mockRejectedValue(new Error('boom')), 120, 50);
+    await expect(pager.getPage(1)).rejects.toThrow('boom');
+    expect(pager.page).toBe(0);
+  });
+
+  it('should stay on the first visible row when the page size changes', async () => {
+    const pager = new QueryPager(fetchRows(), 120, 25);
+    await pager.getPage(3); // rows 76-100
+
+    expect(pager.setPageSize(50)).toBe(1); // rows 51-100
+    expect(pager.pageSize).toBe(50);
+  });
+
+  it('should fetch every row', async () => {
+    const fetch = fetchRows();
+    const all = await new QueryPager(fetch, 120, 50).getAllRows();
+
+    expect(fetch).toHaveBeenCalledWith(0, 120);
+    expect(all.rows).toHaveLength(120);
+  });
+
+  it('should describe its state', async () => {
+    const pager = new QueryPager(fetchRows(), 120, 50);
+    await pager.getPage(2);
+    expect(pager.getState()).toEqual({ page: 2, pageCount: 3, pageSize: 50, totalRows: 120 });
+  });
+});
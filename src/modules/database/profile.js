@@ -0,0 +1,153 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteIdentifier } from './queries.js';
+
+/**
+ * Get how a column is profiled from its DuckDB type
+ * @param {string} columnType - DuckDB type name, as returned by SUMMARIZE ('BIGINT', 'DECIMAL(18,2)', 'DATE'...)
+ * @returns {'numeric'|'temporal'|'categorical'}
+ */
+export function getProfileKind(columnType) {
+  const type = String(columnType).toUpperCase();
+  // Anchored to the whole type, so that lists such as BIGINT[] and DATE[] are not binned
+  if (/^(U?(TINY|SMALL|BIG|HUGE)?INT(EGER)?|FLOAT|REAL|DOUBLE|DECIMAL|NUMERIC)(\(\d+,\s*\d+\))?$/.test(type)) {
+    return 'numeric';
+  }
+  if (/^(DATE|TIMESTAMP(_S|_MS|_NS|TZ)?( WITH TIME ZONE)?)$/.test(type)) {
+    return 'temporal';
+  }
+  return 'categorical';
+}
+
+/**
+ * Build the query summarizing every column of a table (type, min, max, approx_unique, mean, sd, quartiles, count,
+ * null_percentage)
+ * null_percentage is read as a DOUBLE, as Arrow decimals do not convert to numbers.
+ * @param {string} relation - Table or view name
+ * @returns {string}
+ */
+export function buildSummarizeSQL(relation) {
+  return `SELECT * REPLACE (CAST(null_percentage AS DOUBLE) AS null_percentage) FROM (SUMMARIZE SELECT * FROM ${relation})`;
+}
+
+/**
+ * Build the query counting the present values of each column, for exact missing counts
+ * Columns are aliased by position (present_0, present_1...) so that any column name works.
+ * @param {string} relation - Table or view name
+ * @param {string[]} columns - Column names
+ * @returns {string}
+ */
+export function buildPresentCountsSQL(relation, columns) {
+  const counts = columns.map((column, index) => `COUNT(${quoteIdentifier(column)}) AS present_${index}`);
+  return `SELECT ${['COUNT(*) AS row_count', ...counts].join(', ')} FROM ${relation}`;
+}
+
+/**
+ * Build the query counting present and distinct values of each column
+ * Columns are aliased by position (present_0, distinct_0...) so that any column name works.
+ * @param {string} relation - Table or view name
+ * @param {string[]} columns - Column names
+ * @returns {string}
+ */
+export function buildColumnCountsSQL(relation, columns) {
+  const counts = columns.flatMap((column, index) => [
+    `COUNT(${quoteIdentifier(column)}) AS present_${index}`,
+    `COUNT(DISTINCT ${quoteIdentifier(column)}) AS distinct_${index}`
+  ]);
+  return `SELECT ${['COUNT(*) AS row_count', ...counts].join(', ')} FROM ${relation}`;
+}
+
+/**
+ * Build the query binning the values of numeric and temporal columns into equal-width buckets, in one pass
+ * Dates and timestamps are binned on their epoch; a constant column falls in the first bucket.
+ * @param {string} relation - Table or view name
+ * @param {Array<{name: string, kind: 'numeric'|'temporal'}>} columns - Columns to bin
+ * @param {number} [bins] - Number of buckets
+ * @returns {string} - Rows of { column_index, bin, count }, bin being 0-based
+ */
+export function buildHistogramsSQL(relation, columns, bins = CONFIG.PROFILE_HISTOGRAM_BINS) {
+  const values = columns.map(({ name, kind }, index) => {
+    const identifier = quoteIdentifier(name);
+    return `CAST(${kind === 'temporal' ? `epoch(${identifier})` : identifier} AS DOUBLE) AS x_${index}`;
+  });
+  const bounds = columns.map((column, index) => `MIN(x_${index}) AS lo_${index}, MAX(x_${index}) AS hi_${index}`);
+  const binned = columns.map((column, index) =>
+    `LEAST(COALESCE(CAST(FLOOR((x_${index} - lo_${index}) / NULLIF(hi_${index} - lo_${index}, 0) * ${bins}) AS INTEGER), 0), ${bins - 1})`
+  );
+  return [
+    `WITH v AS (SELECT ${values.join(', ')} FROM ${relation}),`,
+    `b AS (SELECT ${bounds.join(', ')} FROM v),`,
+    `u AS (SELECT UNNEST([${columns.map((column, index) => index).join(', ')}]) AS column_index,`,
+    `  UNNEST([${columns.map((column, index) => `CASE WHEN x_${index} IS NOT NULL THEN ${binned[index]} END`).join(', ')}]) AS bin FROM v, b)`,
+    'SELECT column_index, bin, COUNT(*) AS count FROM u WHERE bin IS NOT NULL GROUP BY ALL ORDER BY column_index, bin'
+  ].join('\n');
+}
+
+/**
+ * Build the query listing the most frequent values of several columns, in one pass
+ * @param {string} relation - Table or view name
+ * @param {string[]} columns - Column names
+ * @param {number} [limit] - Number of values per column
+ * @returns {string} - Rows of { column_index, value, count }, most frequent first within each column
+ */
+export function buildTopValuesSQL(relation, columns, limit = CONFIG.PROFILE_TOP_VALUES) {
+  return [
+    `WITH u AS (SELECT UNNEST([${columns.map((column, index) => index).join(', ')}]) AS column_index,`,
+    `  UNNEST([${columns.map(column => `CAST(${quoteIdentifier(column)} AS VARCHAR)`).join(', ')}]) AS value FROM ${relation}),`,
+    'c AS (SELECT column_index, value, COUNT(*) AS count FROM u WHERE value IS NOT NULL GROUP BY ALL)',
+    'SELECT column_index, value, count FROM c',
+    `QUALIFY row_number() OVER (PARTITION BY column_index ORDER BY count DESC, value) <= ${limit}`,
+    'ORDER BY column_index, count DESC, value'
+  ].join('\n');
+}
+
+/**
+ * Turn histogram query rows into one count per bucket for each column, empty buckets included
+ * @param {Array<{column_index: number, bin: number, count: number|bigint}>} rows - Rows of the histograms query
+ * @param {number} columnCount - Number of binned columns
+ * @param {number} [bins] - Number of buckets
+ * @returns {number[][]} - Bucket counts by column index
+ */
+export function toHistograms(rows, columnCount, bins = CONFIG.PROFILE_HISTOGRAM_BINS) {
+  const histograms = Array.from({ length: columnCount }, () => new Array(bins).fill(0));
+  for (const row of rows) {
+    histograms[Number(row.column_index)][Number(row.bin)] = Number(row.count);
+  }
+  return histograms;
+}
+
+/**
+ * Turn the SUMMARIZE rows and the present counts into one profile per column
+ * Missing counts are exact; distinct counts are approx_unique estimates, capped at the number of present values.
+ * @param {Array<Object>} summary - Rows of the SUMMARIZE query
+ * @param {Object} counts - Row of the present counts query, columns in the SUMMARIZE order
+ * @returns {Array<Object>} - { name, type, kind, missing, missingRate, distinct, min, max, mean?, sd?, q25?, q50?, q75? }
+ */
+export function buildColumnProfiles(summary, counts) {
+  const rowCount = Number(counts.row_count);
+  return summary.map((row, index) => {
+    const kind = getProfileKind(row.column_type);
+    const missing = rowCount - Number(counts[`present_${index}`]);
+    const missingRate = rowCount > 0 ? missing / rowCount : 0;
+    const profile = {
+      name: row.column_name,
+      type: row.column_type,
+      kind,
+      missing,
+      missingRate,
+      distinct: Math.min(Number(row.approx_unique), rowCount - missing),
+      min: row.min ?? null,
+      max: row.max ?? null
+    };
+
+    if (kind === 'numeric') {
+      Object.assign(profile, {
+        mean: row.avg ?? null,
+        sd: row.std ?? null,
+        q25: row.q25 ?? null,
+        q50: row.q50 ?? null,
+        q75: row.q75 ?? null
+      });
+    }
+    return profile;
+  });
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getProfileKind,
+  buildSummarizeSQL,
+  buildPresentCountsSQL,
+  buildColumnCountsSQL,
+  buildHistogramsSQL,
+  buildTopValuesSQL,
+  toHistograms,
+  buildColumnProfiles
+} from './profile.js';
+
+describe('getProfileKind', () => {
+  it('should classify numeric types', () => {
+    for (const type of ['TINYINT', 'INTEGER', 'BIGINT', 'UBIGINT', 'HUGEINT', 'DOUBLE', 'FLOAT', 'DECIMAL(18,2)']) {
+      expect(getProfileKind(type)).toBe('numeric');
+    }
+  });
+
+  it('should classify dates and timestamps', () => {
+    expect(getProfileKind('DATE')).toBe('temporal');
+    expect(getProfileKind('TIMESTAMP WITH TIME ZONE')).toBe('temporal');
+    expect(getProfileKind('TIMESTAMP_MS')).toBe('temporal');
+  });
+
+  it('should treat other types as categorical', () => {
+    for (const type of ['VARCHAR', 'BOOLEAN', 'VARCHAR[]', 'INTERVAL', 'TIME']) {
+      expect(getProfileKind(type)).toBe('categorical');
+    }
+  });
+
+  it('should not bin lists, structs or maps of numbers and dates', () => {
+    for (const type of ['BIGINT[]', 'DOUBLE[]', 'DECIMAL(18,2)[]', 'DATE[]', 'TIMESTAMP[3]', 'STRUCT(a INTEGER)', 'MAP(VARCHAR, BIGINT)']) {
+      expect(getProfileKind(type)).toBe('categorical');
+    }
+  });
+});
+
+describe('buildSummarizeSQL', () => {
+  it('should summarize every column of the table', () => {
+    expect(buildSummarizeSQL('rsa')).toBe(
+      'SELECT * REPLACE (CAST(null_percentage AS DOUBLE) AS null_percentage) FROM (SUMMARIZE SELECT * FROM rsa)'
+    );
+  });
+});
+
+describe('buildPresentCountsSQL', () => {
+  it('should count the present values of each column by position', () => {
+    expect(buildPresentCountsSQL('rsa', ['duree', 'date sortie'])).toBe(
+      'SELECT COUNT(*) AS row_count, COUNT("duree") AS present_0, COUNT("date sortie") AS present_1 FROM rsa'
+    );
+  });
+});
+
+describe('buildColumnCountsSQL', () => {
+  it('should count present and distinct values by column position', () => {
+    expect(buildColumnCountsSQL('rsa', ['dp', 'age"x'])).toBe(
+      'SELECT COUNT(*) AS row_count, COUNT("dp") AS present_0, COUNT(DISTINCT "dp") AS distinct_0, ' +
+      'COUNT("age""x") AS present_1, COUNT(DISTINCT "age""x") AS distinct_1 FROM rsa'
+    );
+  });
+
+  it('should only count rows without columns', () => {
+    expect(buildColumnCountsSQL('rsa', [])).toBe('SELECT COUNT(*) AS row_count FROM rsa');
+  });
+});
+
+describe('buildHistogramsSQL', () => {
+  it('should bin the values of every column in one query', () => {
+    const sql = buildHistogramsSQL('rsa', [{ name: 'duree', kind: 'numeric' }, { name: 'sortie', kind: 'temporal' }], 10);
+    expect(sql).toContain('SELECT CAST("duree" AS DOUBLE) AS x_0, CAST(epoch("sortie") AS DOUBLE) AS x_1 FROM rsa');
+    expect(sql).toContain('MIN(x_0) AS lo_0, MAX(x_0) AS hi_0, MIN(x_1) AS lo_1, MAX(x_1) AS hi_1');
+    expect(sql).toContain('UNNEST([0, 1]) AS column_index');
+    expect(sql).toContain('CASE WHEN x_1 IS NOT NULL THEN LEAST(COALESCE(CAST(FLOOR((x_1 - lo_1) / NULLIF(hi_1 - lo_1, 0) * 10) AS INTEGER), 0), 9) END');
+    expect(sql).toContain('WHERE bin IS NOT NULL');
+  });
+});
+
+describe('buildTopValuesSQL', () => {
+  it('should list the most frequent values of every column in one query', () => {
+    const sql = buildTopValuesSQL('rsa', ['dp', 'a"b'], 3);
+    expect(sql).toContain('UNNEST([CAST("dp" AS VARCHAR), CAST("a""b" AS VARCHAR)]) AS value FROM rsa');
+    expect(sql).toContain('QUALIFY row_number() OVER (PARTITION BY column_index ORDER BY count DESC, value) <= 3');
+  });
+});
+
+describe('toHistograms', () => {
+  it('should fill empty buckets with zeros', () => {
+    expect(toHistograms([{ column_index: 0, bin: 0, count: 3n }, { column_index: 1, bin: 3, count: 1n }], 2, 5))
+      .toEqual([[3, 0, 0, 0, 0], [0, 0, 0, 1, 0]]);
+  });
+});
+
+describe('buildColumnProfiles', () => {
+  const summary = [
+    { column_name: 'duree', column_type: 'INTEGER', min: '0', max: '45', approx_unique: 40n, avg: '3.2', std: '4.1',
+      q25: '1', q50: '2', q75: '4', count: 200n, null_percentage: 0 },
+    { column_name: 'sortie', column_type: 'DATE', min: '2024-01-01', max: '2024-12-31', approx_unique: 300n,
+      avg: null, std: null, count: 200n, null_percentage: 5 },
+    { column_name: 'dp', column_type: 'VARCHAR', min: 'A000', max: 'Z999', approx_unique: 90n, avg: null, std: null,
+      count: 200n, null_percentage: 25 }
+  ];
+  const counts = { row_count: 200n, present_0: 200n, present_1: 190n, present_2: 150n };
+
+  it('should compute exact missing counts and rates from the present counts', () => {
+    const [duree, sortie, dp] = buildColumnProfiles(summary, counts);
+    expect(duree).toMatchObject({ missing: 0, missingRate: 0, distinct: 40 });
+    expect(sortie).toMatchObject({ missing: 10, missingRate: 0.05 });
+    expect(dp).toMatchObject({ missing: 50, missingRate: 0.25, distinct: 90 });
+  });
+
+  it('should keep numeric statistics for numeric columns only', () => {
+    const [duree, sortie] = buildColumnProfiles(summary, counts);
+    expect(duree).toMatchObject({ kind: 'numeric', min: '0', max: '45', mean: '3.2', sd: '4.1', q25: '1', q50: '2', q75: '4' });
+    expect(sortie).toEqual({
+      name: 'sortie', type: 'DATE', kind: 'temporal', missing: 10, missingRate: 0.05, distinct: 190, min: '2024-01-01', max: '2024-12-31'
+    });
+  });
+
+  it('should cap estimated distinct counts at the present values', () => {
+    const [, sortie] = buildColumnProfiles(summary, counts);
+    expect(sortie.distinct).toBe(190);
+  });
+
+  it('should handle empty tables', () => {
+    const [column] = buildColumnProfiles(
+      [{ ...summary[0], count: 0n, approx_unique: 0n, null_percentage: null }],
+      { row_count: 0n, present_0: 0n }
+    );
+    expect(column).toMatchObject({ missing: 0, missingRate: 0, distinct: 0 });
+  });
+});
@@ -1,4 +1,18 @@
-import { CONFIG } from '../shared/constants.js';
+import { CONFIG, MESSAGES } from '../shared/constants.js';
+import { formatCellValue } from '../shared/format.js';
+
+/**
+ * Error thrown when a running query is cancelled, by the user or by the query timeout
+ */
+export class QueryCancelledError extends Error {
+  /**
+   * @param {string} [message] - Why the query was cancelled
+   */
+  constructor(message = MESSAGES.QUERY_CANCELLED) {
+    super(message);
+    this.name = 'QueryCancelledError';
+  }
+}
 
 /**
  * Validate SQL query string
@@ -13,26 +27,247 @@ export function validateSQL(sql) {
   return trimmed.length > 0;
 }
 
+/**
+ * Split a SQL script into statements, dropping comments
+ * Semicolons inside string literals and quoted identifiers do not end a statement.
+ * @param {string} sql - SQL script
+ * @returns {string[]} - Non-empty statements, without their semicolon
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      current += char;
+      quote = char;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      // Line comment: skip to the end of the line
+      while (i < sql.length && sql[i] !== '\n') i++;
+      current += '\n';
+    } else if (char === ';') {
+      statements.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  statements.push(current);
+
+  return statements.map(statement => statement.trim()).filter(Boolean);
+}
+
+/**
+ * Remove leading comments and trailing semicolons from a query
+ * @param {string} sql - SQL query string
+ * @returns {string}
+ */
+function trimQuery(sql) {
+  return String(sql)
+    .replace(/^(\s*(--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/))*\s*/, '')
+    .replace(/[\s;]+$/, '');
+}
+
+/**
+ * Check whether a query returns rows that can be paged with LIMIT/OFFSET
+ * Statements such as CREATE, INSERT or PRAGMA cannot be wrapped in a subquery, nor can scripts of several statements.
+ * @param {string} sql - SQL query string
+ * @returns {boolean}
+ */
+export function isPageableQuery(sql) {
+  return splitStatements(String(sql)).length === 1 &&
+    /^(\(|select\b|with\b|from\b|values\b|table\b)/i.test(trimQuery(sql));
+}
+
+/**
+ * Build a query counting the rows of another query
+ * @param {string} sql - Pageable SQL query
+ * @returns {string}
+ */
+export function buildCountSQL(sql) {
+  // Newlines keep a trailing line comment from swallowing the closing parenthesis
+  return `SELECT COUNT(*) AS count FROM (\n${trimQuery(sql)}\n)`;
+}
+
+/**
+ * Build a query fetching one page of another query
+ * @param {string} sql - Pageable SQL query
+ * @param {number} limit - Page size
+ * @param {number} offset - Index of the first row
+ * @returns {string}
+ */
+export function buildPageSQL(sql, limit, offset) {
+  return `SELECT * FROM (\n${trimQuery(sql)}\n) LIMIT ${limit} OFFSET ${offset}`;
+}
+
+/**
+ * Quote a column name as a SQL identifier
+ * @param {string} name - Column name
+ * @returns {string}
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a value as a SQL string literal
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+export function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+const NUMERIC_KINDS = ['integer', 'bigint', 'float', 'decimal'];
+
+/**
+ * Quote a filter value, leaving numbers unquoted for numeric columns only
+ * Quoted values are cast by DuckDB to the column type, so dates compare as dates and text codes such as 01 stay text.
+ * @param {string} value - Value typed by the user
+ * @param {Object|null} [type] - Column type from describeColumnType
+ * @returns {string}
+ */
+function quoteValue(value, type) {
+  const numeric = NUMERIC_KINDS.includes(type?.kind) && /^-?\d+(\.\d+)?$/.test(value);
+  return numeric ? value : quoteLiteral(value);
+}
+
+/**
+ * Parse the text of a column filter input
+ * '=value' matches exactly, 'min..max' (either bound optional) matches a range, anything else matches a substring.
+ * @param {string} text - Filter input text
+ * @returns {Object|null} - { operator: 'contains'|'equals'|'range', value?, min?, max? }, null for an empty filter
+ */
+export function parseColumnFilter(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  if (trimmed.startsWith('=')) {
+    const value = trimmed.slice(1).trim();
+    return value ? { operator: 'equals', value } : null;
+  }
+
+  const range = trimmed.match(/^(.*?)\.\.(.*)$/);
+  if (range && (range[1].trim() || range[2].trim())) {
+    return { operator: 'range', min: range[1].trim() || null, max: range[2].trim() || null };
+  }
+
+  return { operator: 'contains', value: trimmed };
+}
+
+/**
+ * Build the WHERE condition of a column filter
+ * @param {string} column - Column name
+ * @param {Object} filter - Filter returned by parseColumnFilter
+ * @param {Object|null} [type] - Column type from describeColumnType
+ * @returns {string}
+ */
+export function buildFilterCondition(column, filter, type = null) {
+  const identifier = quoteIdentifier(column);
+
+  switch (filter.operator) {
+    case 'contains':
+      return `contains(lower(CAST(${identifier} AS VARCHAR)), lower(${quoteLiteral(filter.value)}))`;
+    case 'equals':
+      return `${identifier} = ${quoteValue(filter.value, type)}`;
+    case 'range': {
+      const bounds = [];
+      if (filter.min) bounds.push(`${identifier} >= ${quoteValue(filter.min, type)}`);
+      if (filter.max) bounds.push(`${identifier} <= ${quoteValue(filter.max, type)}`);
+      return bounds.join(' AND ');
+    }
+    default:
+      throw new Error(`Unknown filter operator: ${filter.operator}`);
+  }
+}
+
+/**
+ * Wrap a query with the sorting and filtering chosen in the results grid
+ * @param {string} sql - Pageable SQL query
+ * @param {Object} view - { sort: {column, direction}|null, filters: {[column]: string} }
+ * @param {Object} [columnTypes] - Column name => type from describeColumnType
+ * @returns {string} - The query unchanged when there is nothing to apply
+ */
+export function buildViewSQL(sql, { sort = null, filters = {} } = {}, columnTypes = {}) {
+  const conditions = Object.entries(filters)
+    .map(([column, text]) => [column, parseColumnFilter(text)])
+    .filter(([, filter]) => filter !== null)
+    .map(([column, filter]) => buildFilterCondition(column, filter, columnTypes[column]));
+
+  if (conditions.length === 0 && !sort) {
+    return sql;
+  }
+
+  let view = `SELECT * FROM (\n${trimQuery(sql)}\n)`;
+  if (conditions.length > 0) {
+    view += `\nWHERE ${conditions.join('\n  AND ')}`;
+  }
+  if (sort) {
+    view += `\nORDER BY ${quoteIdentifier(sort.column)} ${sort.direction === 'desc' ? 'DESC' : 'ASC'}`;
+  }
+  return view;
+}
+
+/**
+ * Describe an Arrow column type for display
+ * @param {Object} type - Arrow DataType (its string form is e.g. 'Int64', 'Date32<DAY>', 'Decimal[18e+2]')
+ * @returns {{kind: string, name: string, scale?: number, timezone?: string|null, unit?: string}}
+ */
+export function describeColumnType(type) {
+  const name = String(type);
+  const kinds = [
+    [/^u?int64$/i, 'bigint'],
+    [/^u?int\d+$/i, 'integer'],
+    [/^float/i, 'float'],
+    [/^decimal/i, 'decimal'],
+    [/^date/i, 'date'],
+    [/^timestamp/i, 'timestamp'],
+    [/^time/i, 'time'],
+    [/^bool/i, 'boolean'],
+    [/^(large)?utf8/i, 'string'],
+    [/^(fixedsize)?list/i, 'list'],
+    [/^struct/i, 'struct'],
+    [/^map/i, 'map']
+  ];
+  const kind = (kinds.find(([pattern]) => pattern.test(name)) || [null, 'other'])[1];
+
+  const description = { kind, name };
+  if (kind === 'decimal') description.scale = type.scale ?? 0;
+  if (kind === 'timestamp') description.timezone = type.timezone ?? null;
+  if (kind === 'time') description.unit = (name.match(/<(\w+)>/) || [null, 'MICROSECOND'])[1];
+  return description;
+}
+
 /**
  * Format query results into a structured format
- * @param {Array} data - Array of row objects from DuckDB
+ * Rows returned by executeQuery carry the Arrow schema of the result, which is kept as column types.
+ * @param {Array} data - Array of row objects from DuckDB, with an optional Arrow schema property
  * @param {number} [limit] - Maximum number of rows to return
- * @returns {Object} - { columns: string[], rows: any[][] }
+ * @returns {Object} - { columns: string[], rows: any[][], types: Array<Object|null> }
  */
 export function formatQueryResults(data, limit = CONFIG.MAX_RESULT_ROWS) {
-  if (!data || data.length === 0) {
-    return { columns: [], rows: [] };
+  const fields = data?.schema?.fields;
+  if (!data || (data.length === 0 && !fields)) {
+    return { columns: [], rows: [], types: [] };
   }
 
-  const columns = Object.keys(data[0]);
+  const columns = fields ? fields.map(field => field.name) : Object.keys(data[0]);
+  const types = fields ? fields.map(field => describeColumnType(field.type)) : columns.map(() => null);
   const rows = data.slice(0, limit).map(row => columns.map(col => row[col]));
 
-  return { columns, rows };
+  return { columns, rows, types };
 }
 
 /**
  * Create an HTML table element from query results
- * @param {Object} data - { columns: string[], rows: any[][] }
+ * @param {Object} data - { columns: string[], rows: any[][], types?: Array<Object|null> }
  * @returns {HTMLTableElement}
  */
 export function createResultsTable(data) {
@@ -54,11 +289,11 @@ export function createResultsTable(data) {
   const tbody = document.createElement('tbody');
   for (const row of data.rows) {
     const tr = document.createElement('tr');
-    for (const cell of row) {
+    row.forEach((cell, index) => {
       const td = document.createElement('td');
-      td.textContent = cell !== null && cell !== undefined ? String(cell) : 'NULL';
+      td.textContent = formatCellValue(cell, data.types?.[index]);
       tr.appendChild(td);
-    }
+    });
     tbody.appendChild(tr);
   }
   table.appendChild(tbody);
@@ -1,5 +1,17 @@
 import { describe, it, expect } from 'vitest';
-import { validateSQL, formatQueryResults, createResultsTable } from './queries.js';
+import {
+  validateSQL,
+  splitStatements,
+  isPageableQuery,
+  buildCountSQL,
+  buildPageSQL,
+  parseColumnFilter,
+  buildFilterCondition,
+  buildViewSQL,
+  describeColumnType,
+  formatQueryResults,
+  createResultsTable
+} from './queries.js';
 
 describe('validateSQL', () => {
   it('should return true for valid SELECT statement', () => {
@@ -28,15 +40,174 @@ describe('validateSQL', () => {
   });
 });
 
+describe('splitStatements', () => {
+  it('should split on semicolons and drop comments', () => {
+    const sql = `-- Macro: a
+CREATE MACRO a() AS TABLE SELECT 1; -- trailing; comment
+CREATE MACRO b() AS TABLE SELECT 2;
+`;
+    expect(splitStatements(sql)).toEqual([
+      'CREATE MACRO a() AS TABLE SELECT 1',
+      'CREATE MACRO b() AS TABLE SELECT 2'
+    ]);
+  });
+
+  it('should keep semicolons and dashes inside quotes', () => {
+    expect(splitStatements(`SELECT 'a;b', '--', "c;d" FROM t`)).toEqual([`SELECT 'a;b', '--', "c;d" FROM t`]);
+  });
+
+  it('should return nothing for an empty script', () => {
+    expect(splitStatements('-- nothing\n\n')).toEqual([]);
+  });
+});
+
+describe('isPageableQuery', () => {
+  it('should accept queries returning rows', () => {
+    expect(isPageableQuery('SELECT * FROM fixe')).toBe(true);
+    expect(isPageableQuery('with t AS (SELECT 1) SELECT * FROM t')).toBe(true);
+    expect(isPageableQuery('FROM fixe')).toBe(true);
+    expect(isPageableQuery('(SELECT 1) UNION ALL (SELECT 2)')).toBe(true);
+  });
+
+  it('should skip leading comments', () => {
+    expect(isPageableQuery('-- Available tables: fixe, um\nSELECT * FROM fixe')).toBe(true);
+    expect(isPageableQuery('/* top GHM */ SELECT 1')).toBe(true);
+  });
+
+  it('should reject other statements', () => {
+    expect(isPageableQuery('CREATE TABLE t AS SELECT 1')).toBe(false);
+    expect(isPageableQuery('PRAGMA show_tables')).toBe(false);
+    expect(isPageableQuery('DESCRIBE fixe')).toBe(false);
+  });
+
+  it('should reject scripts of several statements', () => {
+    expect(isPageableQuery('SELECT 1; SELECT 2')).toBe(false);
+    expect(isPageableQuery("SELECT ';' AS sep;\n")).toBe(true);
+  });
+});
+
+describe('buildCountSQL', () => {
+  it('should count the rows of the query without its trailing semicolon', () => {
+    expect(buildCountSQL('SELECT * FROM fixe;')).toBe('SELECT COUNT(*) AS count FROM (\nSELECT * FROM fixe\n)');
+  });
+});
+
+describe('buildPageSQL', () => {
+  it('should wrap the query with LIMIT and OFFSET', () => {
+    expect(buildPageSQL('SELECT * FROM fixe', 50, 100)).toBe('SELECT * FROM (\nSELECT * FROM fixe\n) LIMIT 50 OFFSET 100');
+  });
+
+  it('should keep trailing line comments inside the subquery', () => {
+    expect(buildPageSQL('SELECT 1 -- one', 10, 0)).toBe('SELECT * FROM (\nSELECT 1 -- one\n) LIMIT 10 OFFSET 0');
+  });
+});
+
+describe('parseColumnFilter', () => {
+  it('should ignore empty filters', () => {
+    expect(parseColumnFilter('  ')).toBeNull();
+    expect(parseColumnFilter('=')).toBeNull();
+  });
+
+  it('should parse substring filters', () => {
+    expect(parseColumnFilter(' I50 ')).toEqual({ operator: 'contains', value: 'I50' });
+  });
+
+  it('should parse exact matches', () => {
+    expect(parseColumnFilter('= 750000001')).toEqual({ operator: 'equals', value: '750000001' });
+  });
+
+  it('should parse ranges with optional bounds', () => {
+    expect(parseColumnFilter('1.5..10')).toEqual({ operator: 'range', min: '1.5', max: '10' });
+    expect(parseColumnFilter('2024-01-01..')).toEqual({ operator: 'range', min: '2024-01-01', max: null });
+    expect(parseColumnFilter('..5')).toEqual({ operator: 'range', min: null, max: '5' });
+  });
+});
+
+describe('buildFilterCondition', () => {
+  it('should match substrings case-insensitively', () => {
+    expect(buildFilterCondition('dp', { operator: 'contains', value: "l'I50" }))
+      .toBe(`contains(lower(CAST("dp" AS VARCHAR)), lower('l''I50'))`);
+  });
+
+  it('should leave numbers unquoted for numeric columns', () => {
+    expect(buildFilterCondition('age', { operator: 'equals', value: '42' }, { kind: 'integer' })).toBe('"age" = 42');
+    expect(buildFilterCondition('ghm', { operator: 'equals', value: '05M09T' }, { kind: 'string' })).toBe(`"ghm" = '05M09T'`);
+  });
+
+  it('should quote numbers for text columns and unknown types', () => {
+    expect(buildFilterCondition('code', { operator: 'equals', value: '01' }, { kind: 'string' })).toBe(`"code" = '01'`);
+    expect(buildFilterCondition('code', { operator: 'range', min: '1', max: '2' }))
+      .toBe(`"code" >= '1' AND "code" <= '2'`);
+  });
+
+  it('should build range bounds', () => {
+    expect(buildFilterCondition('date sortie', { operator: 'range', min: '2024-01-01', max: '2024-06-30' }))
+      .toBe(`"date sortie" >= '2024-01-01' AND "date sortie" <= '2024-06-30'`);
+    expect(buildFilterCondition('duree', { operator: 'range', min: null, max: '3' }, { kind: 'bigint' })).toBe('"duree" <= 3');
+  });
+
+  it('should quote identifiers with double quotes', () => {
+    expect(buildFilterCondition('a"b', { operator: 'equals', value: '1' }, { kind: 'float' })).toBe('"a""b" = 1');
+  });
+});
+
+describe('buildViewSQL', () => {
+  it('should leave the query unchanged without sorting or filters', () => {
+    expect(buildViewSQL('SELECT * FROM rsa', { sort: null, filters: { dp: ' ' } })).toBe('SELECT * FROM rsa');
+  });
+
+  it('should add WHERE and ORDER BY clauses around the query', () => {
+    const sql = buildViewSQL('SELECT * FROM rsa;', {
+      sort: { column: 'duree', direction: 'desc' },
+      filters: { dp: 'I50', duree: '2..' }
+    }, { dp: { kind: 'string' }, duree: { kind: 'integer' } });
+
+    expect(sql).toBe([
+      'SELECT * FROM (',
+      'SELECT * FROM rsa',
+      ')',
+      `WHERE contains(lower(CAST("dp" AS VARCHAR)), lower('I50'))`,
+      '  AND "duree" >= 2',
+      'ORDER BY "duree" DESC'
+    ].join('\n'));
+  });
+
+  it('should sort ascending by default', () => {
+    expect(buildViewSQL('SELECT 1 AS a', { sort: { column: 'a' } })).toBe('SELECT * FROM (\nSELECT 1 AS a\n)\nORDER BY "a" ASC');
+  });
+});
+
+describe('describeColumnType', () => {
+  it('should classify Arrow types', () => {
+    const kinds = ['Int32', 'Uint8', 'Int64', 'Float64', 'Date32<DAY>', 'Time64<MICROSECOND>', 'Bool', 'Utf8', 'List<Utf8>', 'Struct<{a:Int32}>', 'Map<{key:Utf8, value:Int32}>', 'Interval<DAY_TIME>']
+      .map(type => describeColumnType(type).kind);
+    expect(kinds).toEqual(['integer', 'integer', 'bigint', 'float', 'date', 'time', 'boolean', 'string', 'list', 'struct', 'map', 'other']);
+  });
+
+  it('should keep the scale of decimals', () => {
+    const type = { scale: 2, toString: () => 'Decimal[18e+2]' };
+    expect(describeColumnType(type)).toEqual({ kind: 'decimal', name: 'Decimal[18e+2]', scale: 2 });
+  });
+
+  it('should keep the time zone of timestamps', () => {
+    expect(describeColumnType({ timezone: 'UTC', toString: () => 'Timestamp<MICROSECOND, UTC>' }).timezone).toBe('UTC');
+    expect(describeColumnType('Timestamp<MICROSECOND>').timezone).toBeNull();
+  });
+
+  it('should keep the unit of times', () => {
+    expect(describeColumnType('Time64<MICROSECOND>').unit).toBe('MICROSECOND');
+  });
+});
+
 describe('formatQueryResults', () => {
   it('should format empty results', () => {
     const result = formatQueryResults([]);
-    expect(result).toEqual({ columns: [], rows: [] });
+    expect(result).toEqual({ columns: [], rows: [], types: [] });
   });
 
   it('should format null/undefined results', () => {
-    expect(formatQueryResults(null)).toEqual({ columns: [], rows: [] });
-    expect(formatQueryResults(undefined)).toEqual({ columns: [], rows: [] });
+    expect(formatQueryResults(null)).toEqual({ columns: [], rows: [], types: [] });
+    expect(formatQueryResults(undefined)).toEqual({ columns: [], rows: [], types: [] });
   });
 
   it('should format results with data', () => {
@@ -56,6 +227,21 @@ describe('formatQueryResults', () => {
     expect(result.rows).toHaveLength(10);
   });
 
+  it('should keep the column types of the Arrow schema', () => {
+    const data = Object.assign([{ n: 1n, d: 19723 * 86400000 }], {
+      schema: { fields: [{ name: 'n', type: 'Int64' }, { name: 'd', type: 'Date32<DAY>' }] }
+    });
+    const result = formatQueryResults(data);
+
+    expect(result.columns).toEqual(['n', 'd']);
+    expect(result.types.map(type => type.kind)).toEqual(['bigint', 'date']);
+  });
+
+  it('should keep the columns of empty results that have a schema', () => {
+    const data = Object.assign([], { schema: { fields: [{ name: 'dp', type: 'Utf8' }] } });
+    expect(formatQueryResults(data)).toEqual({ columns: ['dp'], rows: [], types: [{ kind: 'string', name: 'Utf8' }] });
+  });
+
   it('should use default limit of 50', () => {
     const data = Array.from({ length: 100 }, (_, i) => ({ id: i }));
     const result = formatQueryResults(data);
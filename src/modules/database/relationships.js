@@ -0,0 +1,137 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteIdentifier } from './queries.js';
+
+/**
+ * Column names that look like identifiers, the only shared columns suggested as keys
+ * (num_rss, finess, nas, ano, id_sejour, code_um...)
+ */
+const KEY_COLUMN_PATTERN = /(^id$|^id_|_id$|^num|^no_|^n_|^nas$|^ano$|finess|rss|rsa|sejour|^code_um$|^um$|^cle)/i;
+
+/**
+ * Get the key identifying a relationship, e.g. 'diag(num_rss) -> fixe(num_rss)'
+ * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+ * @returns {string}
+ */
+export function getRelationshipKey({ fromTable, fromColumns, toTable, toColumns }) {
+  return `${fromTable}(${fromColumns.join(', ')}) -> ${toTable}(${toColumns.join(', ')})`;
+}
+
+/**
+ * Check that a value has the shape of a relationship: two table names and non-empty column lists of equal length
+ * @param {*} value - Value to check, e.g. read from a workspace file
+ * @returns {boolean}
+ */
+export function isRelationshipShape(value) {
+  const isColumnList = columns => Array.isArray(columns) && columns.length > 0 && columns.every(column => typeof column === 'string');
+  return Boolean(value) &&
+    typeof value.fromTable === 'string' &&
+    typeof value.toTable === 'string' &&
+    isColumnList(value.fromColumns) &&
+    isColumnList(value.toColumns) &&
+    value.fromColumns.length === value.toColumns.length;
+}
+
+/**
+ * Check that a relationship joins existing columns of two tables
+ * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+ * @param {Map<string, string[]>} tableColumns - Column names by table name
+ * @returns {Object} - The relationship, with its column names trimmed
+ */
+export function validateRelationship(relationship, tableColumns) {
+  const fromColumns = relationship.fromColumns.map(column => column.trim()).filter(Boolean);
+  const toColumns = relationship.toColumns.map(column => column.trim()).filter(Boolean);
+
+  if (fromColumns.length === 0 || fromColumns.length !== toColumns.length) {
+    throw new Error('A relationship needs the same number of columns on both sides');
+  }
+
+  for (const [table, columns] of [[relationship.fromTable, fromColumns], [relationship.toTable, toColumns]]) {
+    const existing = tableColumns.get(table);
+    if (!existing) {
+      throw new Error(`Table '${table}' not found`);
+    }
+    const unknown = columns.find(column => !existing.includes(column));
+    if (unknown) {
+      throw new Error(`Column '${unknown}' not found in '${table}'`);
+    }
+  }
+
+  return { fromTable: relationship.fromTable, fromColumns, toTable: relationship.toTable, toColumns };
+}
+
+/**
+ * Suggest relationships between tables sharing identifier columns
+ * The table with more rows is taken to reference the other, e.g. diagnoses referencing stays.
+ * @param {Array<{tableName: string, columns: string[], rowCount?: number}>} tables - Loaded tables
+ * @returns {Array<Object>} - Relationships { fromTable, fromColumns, toTable, toColumns }
+ */
+export function suggestRelationships(tables) {
+  const suggestions = [];
+
+  for (let i = 0; i < tables.length; i++) {
+    for (let j = i + 1; j < tables.length; j++) {
+      const shared = tables[i].columns.filter(column =>
+        KEY_COLUMN_PATTERN.test(column) && tables[j].columns.includes(column)
+      );
+      if (shared.length === 0) continue;
+
+      const [from, to] = (tables[i].rowCount || 0) >= (tables[j].rowCount || 0)
+        ? [tables[i], tables[j]]
+        : [tables[j], tables[i]];
+      suggestions.push({ fromTable: from.tableName, fromColumns: shared, toTable: to.tableName, toColumns: shared });
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Build the condition finding no matching row of another table
+ * Rows with a NULL key reference nothing and are left out.
+ * @param {string[]} columns - Key columns of the rows checked
+ * @param {string} other - Table the rows should match
+ * @param {string[]} otherColumns - Key columns of that table
+ * @returns {string}
+ */
+function buildUnmatchedCondition(columns, other, otherColumns) {
+  const present = columns.map(column => `r.${quoteIdentifier(column)} IS NOT NULL`);
+  const join = columns.map((column, index) => `o.${quoteIdentifier(otherColumns[index])} = r.${quoteIdentifier(column)}`);
+  return `${present.join(' AND ')} AND NOT EXISTS (SELECT 1 FROM ${other} AS o WHERE ${join.join(' AND ')})`;
+}
+
+/**
+ * Build the query returning the rows of a table with no match in another table
+ * @param {string} table - Table checked
+ * @param {string[]} columns - Its key columns
+ * @param {string} other - Table the rows should match
+ * @param {string[]} otherColumns - Key columns of that table
+ * @returns {string}
+ */
+export function buildUnmatchedRowsSQL(table, columns, other, otherColumns) {
+  return `SELECT r.* FROM ${table} AS r WHERE ${buildUnmatchedCondition(columns, other, otherColumns)}`;
+}
+
+/**
+ * Build the query counting the rows of a table with no match in another table
+ * @param {string} table - Table checked
+ * @param {string[]} columns - Its key columns
+ * @param {string} other - Table the rows should match
+ * @param {string[]} otherColumns - Key columns of that table
+ * @returns {string}
+ */
+export function buildUnmatchedCountSQL(table, columns, other, otherColumns) {
+  return `SELECT COUNT(*) AS count FROM ${table} AS r WHERE ${buildUnmatchedCondition(columns, other, otherColumns)}`;
+}
+
+/**
+ * Build the query returning a few rows of a table with no match in another table
+ * @param {string} table - Table checked
+ * @param {string[]} columns - Its key columns
+ * @param {string} other - Table the rows should match
+ * @param {string[]} otherColumns - Key columns of that table
+ * @param {number} [limit] - Number of rows
+ * @returns {string}
+ */
+export function buildUnmatchedSampleSQL(table, columns, other, otherColumns, limit = CONFIG.RELATIONSHIP_SAMPLE_ROWS) {
+  return `${buildUnmatchedRowsSQL(table, columns, other, otherColumns)} LIMIT ${limit}`;
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRelationshipKey,
+  isRelationshipShape,
+  validateRelationship,
+  suggestRelationships,
+  buildUnmatchedRowsSQL,
+  buildUnmatchedCountSQL,
+  buildUnmatchedSampleSQL
+} from './relationships.js';
+
+const relationship = { fromTable: 'diag', fromColumns: ['finess', 'num_rss'], toTable: 'fixe', toColumns: ['finess', 'num_rss'] };
+
+describe('getRelationshipKey', () => {
+  it('should describe the referencing and referenced columns', () => {
+    expect(getRelationshipKey(relationship)).toBe('diag(finess, num_rss) -> fixe(finess, num_rss)');
+  });
+});
+
+describe('isRelationshipShape', () => {
+  it('should accept table names with column lists of equal length', () => {
+    expect(isRelationshipShape(relationship)).toBe(true);
+  });
+
+  it('should reject malformed values', () => {
+    expect(isRelationshipShape(null)).toBe(false);
+    expect(isRelationshipShape({ ...relationship, fromColumns: undefined })).toBe(false);
+    expect(isRelationshipShape({ ...relationship, toTable: 3 })).toBe(false);
+    expect(isRelationshipShape({ ...relationship, fromColumns: [], toColumns: [] })).toBe(false);
+    expect(isRelationshipShape({ ...relationship, toColumns: ['num_rss'] })).toBe(false);
+    expect(isRelationshipShape({ ...relationship, fromColumns: ['finess', 1] })).toBe(false);
+  });
+});
+
+describe('validateRelationship', () => {
+  const tableColumns = new Map([
+    ['diag', ['finess', 'num_rss', 'diag']],
+    ['fixe', ['finess', 'num_rss', 'dp']]
+  ]);
+
+  it('should trim column names', () => {
+    expect(validateRelationship({ ...relationship, fromColumns: [' finess', 'num_rss '] }, tableColumns)).toEqual(relationship);
+  });
+
+  it('should require matching column counts', () => {
+    expect(() => validateRelationship({ ...relationship, toColumns: ['num_rss'] }, tableColumns))
+      .toThrow('same number of columns');
+    expect(() => validateRelationship({ ...relationship, fromColumns: [], toColumns: [] }, tableColumns))
+      .toThrow('same number of columns');
+  });
+
+  it('should reject unknown tables and columns', () => {
+    expect(() => validateRelationship({ ...relationship, toTable: 'um' }, tableColumns)).toThrow("Table 'um' not found");
+    expect(() => validateRelationship({ ...relationship, fromColumns: ['finess', 'dp'] }, tableColumns))
+      .toThrow("Column 'dp' not found in 'diag'");
+  });
+});
+
+describe('suggestRelationships', () => {
+  it('should relate the larger table to the smaller on shared identifier columns', () => {
+    const suggestions = suggestRelationships([
+      { tableName: 'fixe', columns: ['finess', 'num_rss', 'dp', 'annee'], rowCount: 100 },
+      { tableName: 'diag', columns: ['finess', 'num_rss', 'dp', 'annee'], rowCount: 400 },
+      { tableName: 'ref_ghm', columns: ['ghm', 'libelle'], rowCount: 2000 }
+    ]);
+
+    expect(suggestions).toEqual([
+      { fromTable: 'diag', fromColumns: ['finess', 'num_rss'], toTable: 'fixe', toColumns: ['finess', 'num_rss'] }
+    ]);
+  });
+});
+
+describe('unmatched rows', () => {
+  const condition = 'r."finess" IS NOT NULL AND r."num_rss" IS NOT NULL AND NOT EXISTS ' +
+    '(SELECT 1 FROM fixe AS o WHERE o."finess" = r."finess" AND o."num_rss" = r."num_rss")';
+
+  it('should select rows with a key and no match', () => {
+    expect(buildUnmatchedRowsSQL('diag', ['finess', 'num_rss'], 'fixe', ['finess', 'num_rss']))
+      .toBe(`SELECT r.* FROM diag AS r WHERE ${condition}`);
+  });
+
+  it('should count them', () => {
+    expect(buildUnmatchedCountSQL('diag', ['finess', 'num_rss'], 'fixe', ['finess', 'num_rss']))
+      .toBe(`SELECT COUNT(*) AS count FROM diag AS r WHERE ${condition}`);
+  });
+
+  it('should sample them', () => {
+    expect(buildUnmatchedSampleSQL('diag', ['finess', 'num_rss'], 'fixe', ['finess', 'num_rss'], 3))
+      .toBe(`SELECT r.* FROM diag AS r WHERE ${condition} LIMIT 3`);
+  });
+});
@@ -0,0 +1,59 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { LocalStore } from '../shared/local-store.js';
+import { validateRule } from './rules.js';
+
+/**
+ * Data-quality rules kept in the browser's localStorage
+ */
+export class RuleSet {
+  /**
+   * @param {Storage|null} [storage] - Where rules are kept; null keeps them in memory only
+   */
+  constructor(storage) {
+    this.store = new LocalStore(STORAGE_KEYS.RULES, storage);
+    // Invalid rules are ignored
+    this.rules = this.store.read([], Array.isArray).filter(rule => {
+      try {
+        validateRule(rule);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get all rules
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule, see validateRule
+   */
+  add(rule) {
+    this.rules.push(validateRule(rule));
+    this.store.write(this.rules);
+  }
+
+  /**
+   * Delete a rule
+   * @param {number} index - Rule position in list()
+   */
+  remove(index) {
+    this.rules.splice(index, 1);
+    this.store.write(this.rules);
+  }
+
+  /**
+   * Replace all rules (e.g. when importing a rule set)
+   * @param {Array<Object>} rules - New rules
+   */
+  replaceAll(rules) {
+    this.rules = rules.map(validateRule);
+    this.store.write(this.rules);
+  }
+}
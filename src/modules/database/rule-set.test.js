@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { RuleSet } from './rule-set.js';
+import { createMemoryStorage } from '../../test-utils/memory-storage.js';
+
+describe('RuleSet', () => {
+  const rule = { table: 'fixe', type: 'not_null', column: 'num_rss' };
+  let storage;
+  let ruleSet;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    ruleSet = new RuleSet(storage);
+  });
+
+  it('should add rules and keep them across sessions', () => {
+    ruleSet.add(rule);
+    expect(ruleSet.list()).toEqual([rule]);
+    expect(new RuleSet(storage).list()).toEqual([rule]);
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => ruleSet.add({ table: 'fixe', type: 'regex', column: 'finess' })).toThrow('needs a pattern');
+    expect(ruleSet.list()).toEqual([]);
+  });
+
+  it('should remove a rule by position', () => {
+    ruleSet.add(rule);
+    ruleSet.add({ ...rule, column: 'finess' });
+    ruleSet.remove(0);
+    expect(ruleSet.list()).toEqual([{ ...rule, column: 'finess' }]);
+  });
+
+  it('should replace all rules', () => {
+    ruleSet.add(rule);
+    ruleSet.replaceAll([{ ...rule, table: 'diag' }]);
+    expect(new RuleSet(storage).list()).toEqual([{ ...rule, table: 'diag' }]);
+  });
+
+  it('should ignore unreadable and invalid stored rules', () => {
+    expect(new RuleSet(createMemoryStorage({ 'duckmsi-rules': 'not json' })).list()).toEqual([]);
+    const stored = JSON.stringify([rule, { table: 'fixe', type: 'unknown' }]);
+    expect(new RuleSet(createMemoryStorage({ 'duckmsi-rules': stored })).list()).toEqual([rule]);
+  });
+
+  it('should work without storage', () => {
+    const memory = new RuleSet(null);
+    memory.add(rule);
+    expect(memory.list()).toEqual([rule]);
+  });
+});
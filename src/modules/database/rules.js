@@ -0,0 +1,198 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteIdentifier, quoteLiteral } from './queries.js';
+
+/**
+ * Version of the rule set export format
+ */
+export const RULE_SET_VERSION = 1;
+
+/**
+ * Kinds of data-quality rules
+ * - not_null: column has a value
+ * - unique: columns identify a single row
+ * - range: column value is between min and max (either may be left out)
+ * - regex: column value, as text, fully matches pattern
+ * - allowed_values: column value, as text, is one of values
+ * - sql: predicate, an SQL condition, holds
+ */
+export const RULE_TYPES = ['not_null', 'unique', 'range', 'regex', 'allowed_values', 'sql'];
+
+/**
+ * Quote a range bound: numbers as is, anything else (dates) as a string literal
+ * @param {number|string} value - Bound
+ * @returns {string}
+ */
+function quoteBound(value) {
+  return typeof value === 'number' ? String(value) : quoteLiteral(value);
+}
+
+/**
+ * Check that a rule is complete, e.g. once read from JSON
+ * @param {Object} rule - { table, type, column?, columns?, min?, max?, pattern?, values?, predicate?, name? }
+ * @returns {Object} - The rule
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('A rule must be an object');
+  }
+  if (!rule.table) {
+    throw new Error('A rule needs a table');
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new Error(`Unknown rule type '${rule.type}'`);
+  }
+
+  if (rule.type === 'unique') {
+    if (!Array.isArray(rule.columns) || rule.columns.length === 0) {
+      throw new Error('A unique rule needs columns');
+    }
+  } else if (rule.type === 'sql') {
+    if (!rule.predicate || typeof rule.predicate !== 'string') {
+      throw new Error('An SQL rule needs a predicate');
+    }
+  } else if (!rule.column) {
+    throw new Error(`A ${rule.type} rule needs a column`);
+  }
+
+  if (rule.type === 'range' && (rule.min ?? null) === null && (rule.max ?? null) === null) {
+    throw new Error('A range rule needs a min or a max');
+  }
+  if (rule.type === 'regex') {
+    if (!rule.pattern || typeof rule.pattern !== 'string') {
+      throw new Error('A regex rule needs a pattern');
+    }
+  }
+  if (rule.type === 'allowed_values' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+    throw new Error('An allowed values rule needs values');
+  }
+
+  return rule;
+}
+
+/**
+ * Describe a rule in words, e.g. 'age between 0 and 120'
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  if (rule.name) {
+    return rule.name;
+  }
+
+  switch (rule.type) {
+    case 'not_null':
+      return `${rule.column} is not null`;
+    case 'unique':
+      return `(${rule.columns.join(', ')}) is unique`;
+    case 'range':
+      if ((rule.min ?? null) === null) return `${rule.column} ≤ ${rule.max}`;
+      if ((rule.max ?? null) === null) return `${rule.column} ≥ ${rule.min}`;
+      return `${rule.column} between ${rule.min} and ${rule.max}`;
+    case 'regex':
+      return `${rule.column} matches ${rule.pattern}`;
+    case 'allowed_values':
+      return `${rule.column} in (${rule.values.join(', ')})`;
+    default:
+      return rule.predicate;
+  }
+}
+
+/**
+ * Build the condition matching the rows that break a row-level rule
+ * Values a rule does not apply to, such as NULL for a range, do not break it; not_null covers them.
+ * @param {Object} rule - Rule of any type but unique
+ * @returns {string}
+ */
+function buildViolationCondition(rule) {
+  const column = rule.column && quoteIdentifier(rule.column);
+
+  switch (rule.type) {
+    case 'not_null':
+      return `${column} IS NULL`;
+    case 'range': {
+      const bounds = [];
+      if ((rule.min ?? null) !== null) bounds.push(`${column} < ${quoteBound(rule.min)}`);
+      if ((rule.max ?? null) !== null) bounds.push(`${column} > ${quoteBound(rule.max)}`);
+      return `${column} IS NOT NULL AND (${bounds.join(' OR ')})`;
+    }
+    case 'regex':
+      return `${column} IS NOT NULL AND NOT regexp_full_match(CAST(${column} AS VARCHAR), ${quoteLiteral(rule.pattern)})`;
+    case 'allowed_values':
+      return `${column} IS NOT NULL AND CAST(${column} AS VARCHAR) NOT IN (${rule.values.map(quoteLiteral).join(', ')})`;
+    default:
+      // A predicate evaluating to NULL does not hold
+      return `NOT COALESCE((${rule.predicate}), FALSE)`;
+  }
+}
+
+/**
+ * Build the query returning the rows that break a rule
+ * For unique rules, every row sharing its key with another row is returned.
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function buildRuleViolationsSQL(rule) {
+  if (rule.type === 'unique') {
+    const columns = rule.columns.map(quoteIdentifier).join(', ');
+    return `SELECT * FROM ${rule.table} QUALIFY COUNT(*) OVER (PARTITION BY ${columns}) > 1`;
+  }
+  return `SELECT * FROM ${rule.table} WHERE ${buildViolationCondition(rule)}`;
+}
+
+/**
+ * Build the query counting the rows that break a rule
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function buildRuleCountSQL(rule) {
+  return `SELECT COUNT(*) AS count FROM (${buildRuleViolationsSQL(rule)})`;
+}
+
+/**
+ * Build the query returning a few rows that break a rule
+ * @param {Object} rule - Rule
+ * @param {number} [limit] - Number of rows
+ * @returns {string}
+ */
+export function buildRuleSampleSQL(rule, limit = CONFIG.RULE_SAMPLE_ROWS) {
+  return `${buildRuleViolationsSQL(rule)} LIMIT ${limit}`;
+}
+
+/**
+ * Serialize a rule set as JSON
+ * @param {Array<Object>} rules - Rules
+ * @returns {string}
+ */
+export function exportRuleSet(rules) {
+  return JSON.stringify({ version: RULE_SET_VERSION, rules }, null, 2);
+}
+
+/**
+ * Read a rule set exported by exportRuleSet; a bare array of rules is accepted too
+ * @param {string} json - JSON text
+ * @returns {Array<Object>} - Validated rules
+ */
+export function parseRuleSet(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Rule set is not valid JSON');
+  }
+
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Rule set has no rules');
+  }
+  if (data.version > RULE_SET_VERSION) {
+    throw new Error(`Rule set version ${data.version} is not supported`);
+  }
+
+  return rules.map((rule, index) => {
+    try {
+      return validateRule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${index + 1}: ${error.message}`);
+    }
+  });
+}
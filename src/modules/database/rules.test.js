@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RULE_SET_VERSION,
+  validateRule,
+  describeRule,
+  buildRuleViolationsSQL,
+  buildRuleCountSQL,
+  buildRuleSampleSQL,
+  exportRuleSet,
+  parseRuleSet
+} from './rules.js';
+
+describe('validateRule', () => {
+  it('should accept complete rules', () => {
+    const rule = { table: 'fixe', type: 'range', column: 'age', min: 0, max: 120 };
+    expect(validateRule(rule)).toBe(rule);
+    expect(() => validateRule({ table: 'fixe', type: 'range', column: 'age', min: 0 })).not.toThrow();
+  });
+
+  it('should reject incomplete rules', () => {
+    expect(() => validateRule(null)).toThrow('must be an object');
+    expect(() => validateRule({ type: 'not_null', column: 'a' })).toThrow('needs a table');
+    expect(() => validateRule({ table: 't', type: 'between' })).toThrow("Unknown rule type 'between'");
+    expect(() => validateRule({ table: 't', type: 'not_null' })).toThrow('A not_null rule needs a column');
+    expect(() => validateRule({ table: 't', type: 'unique', columns: [] })).toThrow('needs columns');
+    expect(() => validateRule({ table: 't', type: 'sql' })).toThrow('needs a predicate');
+    expect(() => validateRule({ table: 't', type: 'range', column: 'a', min: null })).toThrow('needs a min or a max');
+    expect(() => validateRule({ table: 't', type: 'regex', column: 'a' })).toThrow('needs a pattern');
+    expect(() => validateRule({ table: 't', type: 'allowed_values', column: 'a', values: [] })).toThrow('needs values');
+  });
+});
+
+describe('describeRule', () => {
+  it('should describe each rule type', () => {
+    expect(describeRule({ type: 'not_null', column: 'num_rss' })).toBe('num_rss is not null');
+    expect(describeRule({ type: 'unique', columns: ['finess', 'num_rss'] })).toBe('(finess, num_rss) is unique');
+    expect(describeRule({ type: 'range', column: 'age', min: 0, max: 120 })).toBe('age between 0 and 120');
+    expect(describeRule({ type: 'range', column: 'age', min: 0 })).toBe('age ≥ 0');
+    expect(describeRule({ type: 'range', column: 'age', max: 120 })).toBe('age ≤ 120');
+    expect(describeRule({ type: 'regex', column: 'finess', pattern: '^[0-9]{9}$' })).toBe('finess matches ^[0-9]{9}$');
+    expect(describeRule({ type: 'allowed_values', column: 'sexe', values: ['1', '2'] })).toBe('sexe in (1, 2)');
+    expect(describeRule({ type: 'sql', predicate: 'date_sortie >= date_entree' })).toBe('date_sortie >= date_entree');
+  });
+
+  it('should prefer the rule name', () => {
+    expect(describeRule({ type: 'not_null', column: 'a', name: 'Stay ID present' })).toBe('Stay ID present');
+  });
+});
+
+describe('buildRuleViolationsSQL', () => {
+  it('should select NULL values for not_null', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'not_null', column: 'num_rss' }))
+      .toBe('SELECT * FROM fixe WHERE "num_rss" IS NULL');
+  });
+
+  it('should select every row of a duplicated key for unique', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'unique', columns: ['finess', 'num_rss'] }))
+      .toBe('SELECT * FROM fixe QUALIFY COUNT(*) OVER (PARTITION BY "finess", "num_rss") > 1');
+  });
+
+  it('should select values out of range, quoting date bounds', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'range', column: 'age', min: 0, max: 120 }))
+      .toBe('SELECT * FROM fixe WHERE "age" IS NOT NULL AND ("age" < 0 OR "age" > 120)');
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'range', column: 'date_sortie', min: '2024-01-01', max: null }))
+      .toBe('SELECT * FROM fixe WHERE "date_sortie" IS NOT NULL AND ("date_sortie" < \'2024-01-01\')');
+  });
+
+  it('should select values not matching a pattern', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'regex', column: 'finess', pattern: "^[0-9]{9}$" }))
+      .toBe('SELECT * FROM fixe WHERE "finess" IS NOT NULL AND NOT regexp_full_match(CAST("finess" AS VARCHAR), \'^[0-9]{9}$\')');
+  });
+
+  it('should select values outside the allowed ones, compared as text', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'allowed_values', column: 'sexe', values: ['1', "2'"] }))
+      .toBe('SELECT * FROM fixe WHERE "sexe" IS NOT NULL AND CAST("sexe" AS VARCHAR) NOT IN (\'1\', \'2\'\'\')');
+  });
+
+  it('should select rows where a predicate does not hold, NULL included', () => {
+    expect(buildRuleViolationsSQL({ table: 'fixe', type: 'sql', predicate: 'date_sortie >= date_entree' }))
+      .toBe('SELECT * FROM fixe WHERE NOT COALESCE((date_sortie >= date_entree), FALSE)');
+  });
+});
+
+describe('buildRuleCountSQL and buildRuleSampleSQL', () => {
+  const rule = { table: 'fixe', type: 'not_null', column: 'num_rss' };
+
+  it('should count violations', () => {
+    expect(buildRuleCountSQL(rule)).toBe('SELECT COUNT(*) AS count FROM (SELECT * FROM fixe WHERE "num_rss" IS NULL)');
+  });
+
+  it('should sample violations', () => {
+    expect(buildRuleSampleSQL(rule, 3)).toBe('SELECT * FROM fixe WHERE "num_rss" IS NULL LIMIT 3');
+  });
+});
+
+describe('rule set JSON', () => {
+  const rules = [
+    { table: 'fixe', type: 'not_null', column: 'num_rss' },
+    { table: 'fixe', type: 'allowed_values', column: 'sexe', values: ['1', '2'] }
+  ];
+
+  it('should export and read back a rule set', () => {
+    const json = exportRuleSet(rules);
+    expect(JSON.parse(json).version).toBe(RULE_SET_VERSION);
+    expect(parseRuleSet(json)).toEqual(rules);
+  });
+
+  it('should accept a bare array of rules', () => {
+    expect(parseRuleSet(JSON.stringify(rules))).toEqual(rules);
+  });
+
+  it('should reject invalid rule sets', () => {
+    expect(() => parseRuleSet('{')).toThrow('not valid JSON');
+    expect(() => parseRuleSet('{"version": 1}')).toThrow('has no rules');
+    expect(() => parseRuleSet('{"version": 99, "rules": []}')).toThrow('version 99 is not supported');
+    expect(() => parseRuleSet('[{"table": "fixe", "type": "not_null"}]')).toThrow('Rule 1: A not_null rule needs a column');
+  });
+});
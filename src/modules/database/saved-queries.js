@@ -0,0 +1,71 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { LocalStore } from '../shared/local-store.js';
+
+/**
+ * Named SQL queries kept in the browser's localStorage
+ */
+export class SavedQueries {
+  /**
+   * @param {Storage|null} [storage] - Where queries are kept; null keeps them in memory only
+   */
+  constructor(storage) {
+    this.store = new LocalStore(STORAGE_KEYS.SAVED_QUERIES, storage);
+    // Unreadable entries are ignored
+    this.queries = this.store.read([], Array.isArray).filter(q => q && q.name && typeof q.sql === 'string');
+  }
+
+  /**
+   * Get all saved queries
+   * @returns {Array<{name: string, sql: string}>}
+   */
+  list() {
+    return this.queries.map(q => ({ ...q }));
+  }
+
+  /**
+   * Get a saved query by name
+   * @param {string} name - Query name
+   * @returns {{name: string, sql: string}|undefined}
+   */
+  get(name) {
+    return this.queries.find(q => q.name === name);
+  }
+
+  /**
+   * Save a query, replacing any query with the same name
+   * @param {string} name - Query name
+   * @param {string} sql - SQL text
+   */
+  save(name, sql) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('Query name is required');
+    }
+
+    const existing = this.get(trimmedName);
+    if (existing) {
+      existing.sql = sql;
+    } else {
+      this.queries.push({ name: trimmedName, sql });
+    }
+    this.store.write(this.queries);
+  }
+
+  /**
+   * Delete a saved query
+   * @param {string} name - Query name
+   */
+  remove(name) {
+    this.queries = this.queries.filter(q => q.name !== name);
+    this.store.write(this.queries);
+  }
+
+  /**
+   * Replace all saved queries (e.g. when opening a workspace)
+   * @param {Array<{name: string, sql: string}>} queries - New queries
+   */
+  replaceAll(queries) {
+    this.queries = queries.map(q => ({ name: q.name, sql: q.sql }));
+    this.store.write(this.queries);
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SavedQueries } from './saved-queries.js';
+import { createMemoryStorage } from '../../test-utils/memory-storage.js';
+
+describe('SavedQueries', () => {
+  let storage;
+  let queries;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    queries = new SavedQueries(storage);
+  });
+
+  it('should start empty', () => {
+    expect(queries.list()).toEqual([]);
+  });
+
+  it('should save and get queries', () => {
+    queries.save('count', 'SELECT COUNT(*) FROM fixe');
+    expect(queries.get('count')).toEqual({ name: 'count', sql: 'SELECT COUNT(*) FROM fixe' });
+  });
+
+  it('should replace a query saved under the same name', () => {
+    queries.save('count', 'SELECT 1');
+    queries.save('count', 'SELECT 2');
+    expect(queries.list()).toEqual([{ name: 'count', sql: 'SELECT 2' }]);
+  });
+
+  it('should require a name', () => {
+    expect(() => queries.save('  ', 'SELECT 1')).toThrow('Query name is required');
+  });
+
+  it('should remove queries', () => {
+    queries.save('a', 'SELECT 1');
+    queries.save('b', 'SELECT 2');
+    queries.remove('a');
+    expect(queries.list().map(q => q.name)).toEqual(['b']);
+  });
+
+  it('should persist queries to storage', () => {
+    queries.save('count', 'SELECT 1');
+    expect(new SavedQueries(storage).list()).toEqual([{ name: 'count', sql: 'SELECT 1' }]);
+  });
+
+  it('should replace all queries', () => {
+    queries.save('old', 'SELECT 1');
+    queries.replaceAll([{ name: 'new', sql: 'SELECT 2' }]);
+    expect(new SavedQueries(storage).list()).toEqual([{ name: 'new', sql: 'SELECT 2' }]);
+  });
+
+  it('should ignore unreadable storage', () => {
+    const broken = createMemoryStorage({ 'duckmsi-saved-queries': '{not json' });
+    expect(new SavedQueries(broken).list()).toEqual([]);
+  });
+
+  it('should work without storage', () => {
+    const memory = new SavedQueries(null);
+    memory.save('count', 'SELECT 1');
+    expect(memory.list()).toHaveLength(1);
+  });
+});
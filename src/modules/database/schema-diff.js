@@ -0,0 +1,74 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteLiteral } from './queries.js';
+
+/**
+ * Compare the columns of two tables
+ * @param {Array<{column_name: string, column_type: string}>} left - DESCRIBE rows of the first table
+ * @param {Array<{column_name: string, column_type: string}>} right - DESCRIBE rows of the second table
+ * @returns {{added: Array<Object>, removed: Array<Object>, retyped: Array<Object>, shared: string[]}}
+ *   - added and removed are { name, type }, retyped is { name, leftType, rightType }; shared lists every common column
+ */
+export function diffSchemas(left, right) {
+  const leftTypes = new Map(left.map(col => [col.column_name, col.column_type]));
+  const rightTypes = new Map(right.map(col => [col.column_name, col.column_type]));
+
+  return {
+    added: right
+      .filter(col => !leftTypes.has(col.column_name))
+      .map(col => ({ name: col.column_name, type: col.column_type })),
+    removed: left
+      .filter(col => !rightTypes.has(col.column_name))
+      .map(col => ({ name: col.column_name, type: col.column_type })),
+    retyped: left
+      .filter(col => rightTypes.has(col.column_name) && rightTypes.get(col.column_name) !== col.column_type)
+      .map(col => ({ name: col.column_name, leftType: col.column_type, rightType: rightTypes.get(col.column_name) })),
+    shared: left.filter(col => rightTypes.has(col.column_name)).map(col => col.column_name)
+  };
+}
+
+/**
+ * Compare the null rate and distinct count of the columns two tables share
+ * A column is flagged as changed when its null rate moves, or its distinct count changes,
+ * by more than CONFIG.SCHEMA_DIFF_THRESHOLD.
+ * @param {string[]} columns - Shared column names
+ * @param {Object} leftCounts - Row of buildColumnCountsSQL over the shared columns of the first table
+ * @param {Object} rightCounts - Same row for the second table
+ * @returns {Array<{name: string, left: Object, right: Object, changed: boolean}>} - left and right are { nullRate, distinct }
+ */
+export function compareColumnStats(columns, leftCounts, rightCounts) {
+  const stats = (counts, index) => {
+    const rowCount = Number(counts.row_count);
+    return {
+      nullRate: rowCount > 0 ? (rowCount - Number(counts[`present_${index}`])) / rowCount : 0,
+      distinct: Number(counts[`distinct_${index}`])
+    };
+  };
+
+  return columns.map((name, index) => {
+    const left = stats(leftCounts, index);
+    const right = stats(rightCounts, index);
+    const distinctChange = Math.abs(right.distinct - left.distinct) / Math.max(left.distinct, right.distinct, 1);
+    return {
+      name,
+      left,
+      right,
+      changed: Math.abs(right.nullRate - left.nullRate) > CONFIG.SCHEMA_DIFF_THRESHOLD ||
+        distinctChange > CONFIG.SCHEMA_DIFF_THRESHOLD
+    };
+  });
+}
+
+/**
+ * Build the query lining up the rows of two tables by column name
+ * Columns missing from one table are NULL for its rows; source_table tells the rows apart.
+ * @param {string} left - First table name
+ * @param {string} right - Second table name
+ * @returns {string}
+ */
+export function buildUnionByNameSQL(left, right) {
+  return [
+    `SELECT ${quoteLiteral(left)} AS source_table, * FROM ${left}`,
+    'UNION ALL BY NAME',
+    `SELECT ${quoteLiteral(right)} AS source_table, * FROM ${right}`
+  ].join('\n');
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { diffSchemas, compareColumnStats, buildUnionByNameSQL } from './schema-diff.js';
+
+describe('diffSchemas', () => {
+  it('should list added, removed, retyped and shared columns', () => {
+    const diff = diffSchemas(
+      [
+        { column_name: 'finess', column_type: 'VARCHAR' },
+        { column_name: 'duree', column_type: 'INTEGER' },
+        { column_name: 'mode_sortie', column_type: 'VARCHAR' }
+      ],
+      [
+        { column_name: 'finess', column_type: 'VARCHAR' },
+        { column_name: 'duree', column_type: 'BIGINT' },
+        { column_name: 'conf_codage', column_type: 'VARCHAR' }
+      ]
+    );
+
+    expect(diff).toEqual({
+      added: [{ name: 'conf_codage', type: 'VARCHAR' }],
+      removed: [{ name: 'mode_sortie', type: 'VARCHAR' }],
+      retyped: [{ name: 'duree', leftType: 'INTEGER', rightType: 'BIGINT' }],
+      shared: ['finess', 'duree']
+    });
+  });
+});
+
+describe('compareColumnStats', () => {
+  it('should compare null rates and distinct counts, flagging large moves', () => {
+    const columns = compareColumnStats(
+      ['finess', 'dp', 'das'],
+      { row_count: 100n, present_0: 100n, distinct_0: 3n, present_1: 98n, distinct_1: 500n, present_2: 90n, distinct_2: 100n },
+      { row_count: 200n, present_0: 200n, distinct_0: 3n, present_1: 198n, distinct_1: 510n, present_2: 100n, distinct_2: 100n }
+    );
+
+    expect(columns[0]).toEqual({ name: 'finess', left: { nullRate: 0, distinct: 3 }, right: { nullRate: 0, distinct: 3 }, changed: false });
+    expect(columns[1].changed).toBe(false);
+    expect(columns[2]).toMatchObject({ left: { nullRate: 0.1 }, right: { nullRate: 0.5 }, changed: true });
+  });
+
+  it('should flag distinct counts that change a lot', () => {
+    const [column] = compareColumnStats(
+      ['ghm'],
+      { row_count: 10, present_0: 10, distinct_0: 100 },
+      { row_count: 10, present_0: 10, distinct_0: 150 }
+    );
+    expect(column.changed).toBe(true);
+  });
+
+  it('should handle empty tables', () => {
+    const [column] = compareColumnStats(['ghm'], { row_count: 0, present_0: 0, distinct_0: 0 }, { row_count: 0, present_0: 0, distinct_0: 0 });
+    expect(column).toMatchObject({ left: { nullRate: 0, distinct: 0 }, changed: false });
+  });
+});
+
+describe('buildUnionByNameSQL', () => {
+  it('should line up both tables by column name, tagging their rows', () => {
+    expect(buildUnionByNameSQL('fixe_2023', 'fixe_2024')).toBe(
+      "SELECT 'fixe_2023' AS source_table, * FROM fixe_2023\nUNION ALL BY NAME\nSELECT 'fixe_2024' AS source_table, * FROM fixe_2024"
+    );
+  });
+});
@@ -0,0 +1,30 @@
+import { quoteIdentifier, quoteLiteral } from './queries.js';
+
+/**
+ * Build the query reading the row count of Parquet files from their metadata, without scanning them
+ * @param {string[]} fileNames - Registered Parquet file names
+ * @returns {string}
+ */
+export function buildParquetRowCountSQL(fileNames) {
+  return `SELECT SUM(num_rows) AS count FROM parquet_file_metadata([${fileNames.map(quoteLiteral).join(', ')}])`;
+}
+
+/**
+ * Build the query estimating the number of distinct rows with a HyperLogLog sketch of row hashes
+ * @param {string} source - SQL relation
+ * @param {string[]} columns - Column names
+ * @returns {string}
+ */
+export function buildApproxUniqueRowsSQL(source, columns) {
+  return `SELECT approx_count_distinct(hash(${columns.map(quoteIdentifier).join(', ')})) AS count FROM ${source}`;
+}
+
+/**
+ * Build the query counting the distinct rows of a table
+ * @param {string} source - SQL relation
+ * @param {string[]} columns - Column names
+ * @returns {string}
+ */
+export function buildDistinctRowsSQL(source, columns) {
+  return `SELECT COUNT(*) AS count FROM (SELECT DISTINCT ${columns.map(quoteIdentifier).join(', ')} FROM ${source})`;
+}
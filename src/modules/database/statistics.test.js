@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildParquetRowCountSQL,
+  buildApproxUniqueRowsSQL,
+  buildDistinctRowsSQL
+} from './statistics.js';
+
+describe('buildParquetRowCountSQL', () => {
+  it('should sum the row counts of every file from their metadata', () => {
+    expect(buildParquetRowCountSQL(['2024/diag.parquet', "l'an.parquet"])).toBe(
+      "SELECT SUM(num_rows) AS count FROM parquet_file_metadata(['2024/diag.parquet', 'l''an.parquet'])"
+    );
+  });
+});
+
+describe('buildApproxUniqueRowsSQL', () => {
+  it('should estimate distinct row hashes over quoted columns', () => {
+    expect(buildApproxUniqueRowsSQL("'diag.parquet'", ['id', 'code "dp"'])).toBe(
+      'SELECT approx_count_distinct(hash("id", "code ""dp""")) AS count FROM \'diag.parquet\''
+    );
+  });
+});
+
+describe('buildDistinctRowsSQL', () => {
+  it('should count the distinct rows in one pass', () => {
+    expect(buildDistinctRowsSQL('diag', ['id', 'dp'])).toBe(
+      'SELECT COUNT(*) AS count FROM (SELECT DISTINCT "id", "dp" FROM diag)'
+    );
+  });
+});
@@ -0,0 +1,143 @@
+import { quoteIdentifier } from './queries.js';
+
+/**
+ * PMSI code validators, registered as DuckDB scalar macros
+ * Each macro returns TRUE for a well-formed code, FALSE for a malformed one and NULL for a missing (NULL or blank) one.
+ * Codes are compared trimmed and in upper case, as ATIH fixed-width fields are padded.
+ * - cim10: CIM-10 diagnosis, letter + 2 digits + optional subdivision (dot optional, PMSI extensions as digits or +), e.g. I500, Z51.5, B20+0
+ * - ccam: CCAM act, 4 letters + 3 digits + optional activity (1-5) and phase (0-3), e.g. EBFA012, EBFA01210, EBFA012-1-0
+ * - ghm: GHM, CMD (01-28 or 90) + type (C, H, K, M, Z) + 2-digit number + severity (1-4, A-E, J, T, Z), e.g. 05M092
+ * `columns` matches the names of the columns the diagnostics dashboard checks with each validator.
+ */
+export const CODE_VALIDATORS = {
+  cim10: {
+    label: 'CIM-10',
+    macro: 'is_valid_cim10',
+    pattern: '[A-Z][0-9]{2}([.]?[0-9+]{1,3})?',
+    columns: /^(dp|dr|das?|dad|code_diag|diag(nostic)?s?|(code_)?cim10?)(_.*)?$/i
+  },
+  ccam: {
+    label: 'CCAM',
+    macro: 'is_valid_ccam',
+    pattern: '[A-Z]{4}[0-9]{3}(-?[1-5]-?[0-3])?',
+    columns: /^((code_)?ccam|(code_)?actes?)(_.*)?$/i
+  },
+  ghm: {
+    label: 'GHM',
+    macro: 'is_valid_ghm',
+    pattern: '(0[1-9]|1[0-9]|2[0-8]|90)[CHKMZ][0-9]{2}[1-4A-EJTZ]',
+    columns: /^(code_)?ghm([0-9]|_.*)?$/i
+  }
+};
+
+/**
+ * Macro flagging error GHMs (CMD 90: the stay could not be grouped)
+ */
+export const ERROR_GHM_MACRO = 'is_error_ghm';
+
+/**
+ * Normalized text of a code argument, NULL when blank
+ */
+const NORMALIZED_CODE = "NULLIF(upper(trim(CAST(code AS VARCHAR))), '')";
+
+/**
+ * Build the statements registering the code validators as macros
+ * @returns {string[]} - CREATE MACRO statements
+ */
+export function buildValidatorMacrosSQL() {
+  return [
+    ...Object.values(CODE_VALIDATORS).map(validator =>
+      `CREATE OR REPLACE MACRO ${validator.macro}(code) AS regexp_full_match(${NORMALIZED_CODE}, '${validator.pattern}')`
+    ),
+    `CREATE OR REPLACE MACRO ${ERROR_GHM_MACRO}(code) AS starts_with(${NORMALIZED_CODE}, '90')`
+  ];
+}
+
+/**
+ * Check a code the way the matching macro does
+ * @param {string} kind - Validator key in CODE_VALIDATORS
+ * @param {string|null} code - Code to check
+ * @returns {boolean|null} - null for a missing code
+ */
+export function isValidCode(kind, code) {
+  const normalized = code === null || code === undefined ? '' : String(code).trim().toUpperCase();
+  if (normalized === '') return null;
+  return new RegExp(`^(${CODE_VALIDATORS[kind].pattern})$`).test(normalized);
+}
+
+/**
+ * Find the text columns holding codes a validator can check, from their names
+ * @param {Array<{column_name: string, column_type: string}>} columns - DESCRIBE rows
+ * @returns {Array<{column: string, kind: string}>}
+ */
+export function detectCodeColumns(columns) {
+  const codeColumns = [];
+  for (const { column_name: column, column_type: type } of columns) {
+    if (type !== 'VARCHAR') continue;
+    const kind = Object.keys(CODE_VALIDATORS).find(key => CODE_VALIDATORS[key].columns.test(column));
+    if (kind) {
+      codeColumns.push({ column, kind });
+    }
+  }
+  return codeColumns;
+}
+
+/**
+ * Build the query counting checked and invalid codes in each code column, and error GHMs in GHM columns
+ * @param {string} source - Table name or SQL relation
+ * @param {Array<{column: string, kind: string}>} codeColumns - Columns from detectCodeColumns
+ * @returns {string} - One row with checked_i, invalid_i and, for GHM columns, errors_i
+ */
+export function buildCodeQualitySQL(source, codeColumns) {
+  const counts = codeColumns.flatMap(({ column, kind }, i) => {
+    const col = quoteIdentifier(column);
+    const macro = CODE_VALIDATORS[kind].macro;
+    const columnCounts = [
+      `COUNT(${macro}(${col})) AS checked_${i}`,
+      `COUNT(*) FILTER (WHERE NOT ${macro}(${col})) AS invalid_${i}`
+    ];
+    if (kind === 'ghm') {
+      columnCounts.push(`COUNT(*) FILTER (WHERE ${ERROR_GHM_MACRO}(${col})) AS errors_${i}`);
+    }
+    return columnCounts;
+  });
+  return `SELECT ${counts.join(', ')} FROM ${source}`;
+}
+
+/**
+ * Read the row of buildCodeQualitySQL
+ * @param {Array<{column: string, kind: string}>} codeColumns - Columns the query checked
+ * @param {Object} row - Query result row
+ * @returns {Array<{column: string, kind: string, checked: number, invalid: number, invalidRate: number, errors?: number}>}
+ */
+export function toCodeQuality(codeColumns, row) {
+  return codeColumns.map(({ column, kind }, i) => {
+    const checked = Number(row[`checked_${i}`]);
+    const invalid = Number(row[`invalid_${i}`]);
+    const quality = { column, kind, checked, invalid, invalidRate: checked > 0 ? invalid / checked : 0 };
+    if (kind === 'ghm') {
+      quality.errors = Number(row[`errors_${i}`]);
+    }
+    return quality;
+  });
+}
+
+/**
+ * Build the query returning the rows of a table whose code is invalid
+ * @param {string} tableName - Table name
+ * @param {{column: string, kind: string}} codeColumn - Checked column
+ * @returns {string}
+ */
+export function buildInvalidCodesSQL(tableName, { column, kind }) {
+  return `SELECT * FROM ${tableName} WHERE NOT ${CODE_VALIDATORS[kind].macro}(${quoteIdentifier(column)})`;
+}
+
+/**
+ * Build the query returning the rows of a table grouped in an error GHM
+ * @param {string} tableName - Table name
+ * @param {string} column - GHM column
+ * @returns {string}
+ */
+export function buildErrorGhmSQL(tableName, column) {
+  return `SELECT * FROM ${tableName} WHERE ${ERROR_GHM_MACRO}(${quoteIdentifier(column)})`;
+}
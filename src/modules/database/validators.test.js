@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidCode,
+  buildValidatorMacrosSQL,
+  detectCodeColumns,
+  buildCodeQualitySQL,
+  toCodeQuality,
+  buildInvalidCodesSQL,
+  buildErrorGhmSQL
+} from './validators.js';
+
+describe('isValidCode', () => {
+  it('should check CIM-10 diagnoses', () => {
+    for (const code of ['I500', 'Z51.5', 'z515', 'S7200', 'B20+0', 'E11', ' J18.9 ']) {
+      expect(isValidCode('cim10', code)).toBe(true);
+    }
+    for (const code of ['I5', '500', 'I500000', 'II500', 'I50-0']) {
+      expect(isValidCode('cim10', code)).toBe(false);
+    }
+  });
+
+  it('should check CCAM acts, with or without activity and phase', () => {
+    for (const code of ['EBFA012', 'EBFA01210', 'EBFA012-1-0', 'zzqp004']) {
+      expect(isValidCode('ccam', code)).toBe(true);
+    }
+    for (const code of ['EBF0012', 'EBFA12', 'EBFA01260', 'EBFA01214', 'EBFA0121']) {
+      expect(isValidCode('ccam', code)).toBe(false);
+    }
+  });
+
+  it('should check GHMs, error GHMs included', () => {
+    for (const code of ['05M092', '01C031', '28Z17Z', '14Z14A', '90Z00Z', '06K04J']) {
+      expect(isValidCode('ghm', code)).toBe(true);
+    }
+    for (const code of ['29M092', '05X092', '05M09', '05M095', '5M0921']) {
+      expect(isValidCode('ghm', code)).toBe(false);
+    }
+  });
+
+  it('should leave missing codes unchecked', () => {
+    expect(isValidCode('cim10', null)).toBeNull();
+    expect(isValidCode('ghm', '   ')).toBeNull();
+  });
+});
+
+describe('buildValidatorMacrosSQL', () => {
+  it('should create one macro per validator and one for error GHMs', () => {
+    const statements = buildValidatorMacrosSQL();
+
+    expect(statements).toEqual([
+      "CREATE OR REPLACE MACRO is_valid_cim10(code) AS regexp_full_match(NULLIF(upper(trim(CAST(code AS VARCHAR))), ''), '[A-Z][0-9]{2}([.]?[0-9+]{1,3})?')",
+      "CREATE OR REPLACE MACRO is_valid_ccam(code) AS regexp_full_match(NULLIF(upper(trim(CAST(code AS VARCHAR))), ''), '[A-Z]{4}[0-9]{3}(-?[1-5]-?[0-3])?')",
+      "CREATE OR REPLACE MACRO is_valid_ghm(code) AS regexp_full_match(NULLIF(upper(trim(CAST(code AS VARCHAR))), ''), '(0[1-9]|1[0-9]|2[0-8]|90)[CHKMZ][0-9]{2}[1-4A-EJTZ]')",
+      "CREATE OR REPLACE MACRO is_error_ghm(code) AS starts_with(NULLIF(upper(trim(CAST(code AS VARCHAR))), ''), '90')"
+    ]);
+  });
+});
+
+describe('detectCodeColumns', () => {
+  it('should recognise code columns by name among text columns', () => {
+    const columns = [
+      'dp', 'dr', 'das', 'code_diag', 'diag_2', 'code_ccam', 'actes', 'ghm', 'ghm2', 'ghm_in',
+      'date_entree', 'nb_actes', 'ghs', 'finess'
+    ].map(name => ({ column_name: name, column_type: 'VARCHAR' }));
+
+    expect(detectCodeColumns(columns)).toEqual([
+      { column: 'dp', kind: 'cim10' },
+      { column: 'dr', kind: 'cim10' },
+      { column: 'das', kind: 'cim10' },
+      { column: 'code_diag', kind: 'cim10' },
+      { column: 'diag_2', kind: 'cim10' },
+      { column: 'code_ccam', kind: 'ccam' },
+      { column: 'actes', kind: 'ccam' },
+      { column: 'ghm', kind: 'ghm' },
+      { column: 'ghm2', kind: 'ghm' },
+      { column: 'ghm_in', kind: 'ghm' }
+    ]);
+  });
+
+  it('should skip columns that are not text', () => {
+    expect(detectCodeColumns([{ column_name: 'dp', column_type: 'INTEGER' }])).toEqual([]);
+  });
+});
+
+describe('buildCodeQualitySQL and toCodeQuality', () => {
+  const codeColumns = [{ column: 'dp', kind: 'cim10' }, { column: 'ghm', kind: 'ghm' }];
+
+  it('should count checked and invalid codes, and error GHMs', () => {
+    expect(buildCodeQualitySQL('rss', codeColumns)).toBe(
+      'SELECT COUNT(is_valid_cim10("dp")) AS checked_0, COUNT(*) FILTER (WHERE NOT is_valid_cim10("dp")) AS invalid_0, ' +
+      'COUNT(is_valid_ghm("ghm")) AS checked_1, COUNT(*) FILTER (WHERE NOT is_valid_ghm("ghm")) AS invalid_1, ' +
+      'COUNT(*) FILTER (WHERE is_error_ghm("ghm")) AS errors_1 FROM rss'
+    );
+  });
+
+  it('should compute invalid rates', () => {
+    const row = { checked_0: 200n, invalid_0: 5n, checked_1: 0n, invalid_1: 0n, errors_1: 0n };
+
+    expect(toCodeQuality(codeColumns, row)).toEqual([
+      { column: 'dp', kind: 'cim10', checked: 200, invalid: 5, invalidRate: 0.025 },
+      { column: 'ghm', kind: 'ghm', checked: 0, invalid: 0, invalidRate: 0, errors: 0 }
+    ]);
+  });
+});
+
+describe('buildInvalidCodesSQL and buildErrorGhmSQL', () => {
+  it('should select the offending rows', () => {
+    expect(buildInvalidCodesSQL('rss', { column: 'code_ccam', kind: 'ccam' }))
+      .toBe('SELECT * FROM rss WHERE NOT is_valid_ccam("code_ccam")');
+    expect(buildErrorGhmSQL('rss', 'ghm')).toBe('SELECT * FROM rss WHERE is_error_ghm("ghm")');
+  });
+});
@@ -0,0 +1,206 @@
+import { sanitizeTableName } from './table-manager.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// Bit 11 of the general purpose flags: member names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum ZIP stores for each member
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Locate the End Of Central Directory record
+ * @param {DataView} view - Archive bytes
+ * @returns {number} - Offset of the record
+ */
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus an optional comment of up to 65535 bytes
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Not a valid ZIP archive');
+}
+
+/**
+ * List the members of a ZIP archive from its central directory
+ * @param {ArrayBuffer} buffer - Archive content
+ * @returns {Array<{name: string, size: number, compressedSize: number, method: number, offset: number}>}
+ */
+export function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  const eocd = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupted ZIP central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    // Skip directory entries
+    if (!name.endsWith('/')) {
+      entries.push({ name, size, compressedSize, method, offset: localOffset });
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract one member of a ZIP archive
+ * @param {ArrayBuffer} buffer - Archive content
+ * @param {Object} entry - Entry returned by readZipEntries
+ * @returns {Promise<ArrayBuffer>} - Uncompressed member content
+ */
+export async function extractZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupted ZIP entry: ${entry.name}`);
+  }
+
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = buffer.slice(start, start + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return data;
+  }
+
+  if (entry.method === METHOD_DEFLATE) {
+    const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer();
+  }
+
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Build a ZIP archive with stored (uncompressed) members
+ * Data files are mostly Parquet, which is already compressed.
+ * @param {Array<{name: string, data: ArrayBuffer|Uint8Array}>} files - Members to write
+ * @returns {Uint8Array} - Archive content
+ */
+export function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+    const checksum = crc32(data);
+
+    if (offset + 30 + name.length + data.length > 0xffffffff) {
+      throw new Error('Archive exceeds the 4 GB ZIP limit');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIGNATURE, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_SIGNATURE, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, EOCD_SIGNATURE, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const all = [...parts, ...centrals, new Uint8Array(eocd.buffer)];
+  const out = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of all) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+/**
+ * Get the table name prefix for members of an archive
+ * @param {string} archiveName - Archive filename
+ * @returns {string} - Sanitized prefix
+ */
+export function getArchivePrefix(archiveName) {
+  return sanitizeTableName(archiveName.replace(/\.zip$/i, ''));
+}
+
+/**
+ * Get the file name a member is loaded under, prefixed with the archive name
+ * @param {string} archiveName - Archive filename
+ * @param {string} memberPath - Member path inside the archive
+ * @returns {string} - e.g. 'out_2024_fixe.parquet' for 'out 2024.zip' / 'data/fixe.parquet'
+ */
+export function getArchiveMemberName(archiveName, memberPath) {
+  const baseName = memberPath.split('/').pop();
+  return `${getArchivePrefix(archiveName)}_${baseName}`;
+}
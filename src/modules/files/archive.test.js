@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import {
+  readZipEntries,
+  extractZipEntry,
+  getArchivePrefix,
+  getArchiveMemberName,
+  crc32,
+  createZipArchive
+} from './archive.js';
+
+/**
+ * Build a minimal ZIP archive (no CRC check is done by the reader)
+ * @param {Array<{name: string, content: string, deflate?: boolean}>} files
+ * @returns {ArrayBuffer}
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const raw = encoder.encode(file.content);
+    const data = file.deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+    const method = file.deflate ? 8 : 0;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, method, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let position = 0;
+  for (const part of parts) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out.buffer;
+}
+
+describe('readZipEntries', () => {
+  it('should list archive members', () => {
+    const zip = buildZip([
+      { name: 'fixe.csv', content: 'a,b\n1,2\n' },
+      { name: 'out/750000001.rsa', content: 'x' }
+    ]);
+    const entries = readZipEntries(zip);
+
+    expect(entries.map(e => e.name)).toEqual(['fixe.csv', 'out/750000001.rsa']);
+    expect(entries[0].size).toBe(8);
+  });
+
+  it('should skip directory entries', () => {
+    const zip = buildZip([{ name: 'out/', content: '' }, { name: 'out/a.csv', content: 'a' }]);
+    expect(readZipEntries(zip).map(e => e.name)).toEqual(['out/a.csv']);
+  });
+
+  it('should reject files that are not ZIP archives', () => {
+    const buffer = new TextEncoder().encode('not a zip file at all, definitely not').buffer;
+    expect(() => readZipEntries(buffer)).toThrow('Not a valid ZIP archive');
+  });
+});
+
+describe('extractZipEntry', () => {
+  it('should extract stored members', async () => {
+    const zip = buildZip([{ name: 'a.csv', content: 'id\n1\n' }]);
+    const [entry] = readZipEntries(zip);
+    const data = await extractZipEntry(zip, entry);
+
+    expect(new TextDecoder().decode(data)).toBe('id\n1\n');
+  });
+
+  it('should inflate deflated members', async () => {
+    const content = 'finess;ghm\n'.repeat(50);
+    const zip = buildZip([{ name: 'a.csv', content, deflate: true }]);
+    const [entry] = readZipEntries(zip);
+    const data = await extractZipEntry(zip, entry);
+
+    expect(entry.compressedSize).toBeLessThan(entry.size);
+    expect(new TextDecoder().decode(data)).toBe(content);
+  });
+
+  it('should reject unsupported compression methods', async () => {
+    const zip = buildZip([{ name: 'a.csv', content: 'x' }]);
+    const [entry] = readZipEntries(zip);
+    await expect(extractZipEntry(zip, { ...entry, method: 12 })).rejects.toThrow('Unsupported compression method 12');
+  });
+});
+
+describe('crc32', () => {
+  it('should compute the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should return 0 for empty input', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createZipArchive', () => {
+  it('should write members that read back unchanged', async () => {
+    const zip = createZipArchive([
+      { name: 'workspace.json', data: new TextEncoder().encode('{"version":1}') },
+      { name: 'data/rsa/annee=2023/part-0.parquet', data: new Uint8Array([1, 2, 3]).buffer }
+    ]);
+    const entries = readZipEntries(zip.buffer);
+
+    expect(entries.map(e => e.name)).toEqual(['workspace.json', 'data/rsa/annee=2023/part-0.parquet']);
+    expect(new TextDecoder().decode(await extractZipEntry(zip.buffer, entries[0]))).toBe('{"version":1}');
+    expect(new Uint8Array(await extractZipEntry(zip.buffer, entries[1]))).toEqual(new Uint8Array([1, 2, 3]));
+  });
+
+  it('should store the CRC-32 of each member', () => {
+    const zip = createZipArchive([{ name: 'a.txt', data: new TextEncoder().encode('123456789') }]);
+    expect(new DataView(zip.buffer).getUint32(14, true)).toBe(0xcbf43926);
+  });
+
+  it('should write an empty archive', () => {
+    expect(readZipEntries(createZipArchive([]).buffer)).toEqual([]);
+  });
+});
+
+describe('getArchivePrefix', () => {
+  it('should sanitize the archive name without its extension', () => {
+    expect(getArchivePrefix('750000001.2024.12.out.zip')).toBe('750000001_2024_12_out');
+  });
+});
+
+describe('getArchiveMemberName', () => {
+  it('should prefix the member base name with the archive name', () => {
+    expect(getArchiveMemberName('e-PMSI out.zip', 'data/fixe.parquet')).toBe('e_pmsi_out_fixe.parquet');
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * ATIH layout descriptors, one JSON file per format version in ./layouts.
+ * Supporting a new yearly format only requires adding a descriptor file.
+ */
+const LAYOUT_MODULES = import.meta.glob('./layouts/*.json', { eager: true, import: 'default' });
+
+export const ATIH_LAYOUTS = Object.values(LAYOUT_MODULES);
+
+/**
+ * DuckDB column types for descriptor field types
+ */
+export const ATIH_COLUMN_TYPES = {
+  string: 'VARCHAR',
+  integer: 'INTEGER',
+  date: 'DATE'
+};
+
+/**
+ * Read a typed value from a fixed-width field
+ * @param {string} line - Source line
+ * @param {Object} field - Field descriptor { name, start (1-based), length, type }
+ * @param {number} [offset=0] - Offset of the zone the field belongs to
+ * @returns {string|number|null} - Trimmed value, or null when blank
+ */
+export function readField(line, field, offset = 0) {
+  const raw = line.substr(offset + field.start - 1, field.length).trim();
+  if (raw.length === 0) {
+    return null;
+  }
+
+  switch (field.type) {
+    case 'integer': {
+      const value = parseInt(raw, 10);
+      return Number.isNaN(value) ? null : value;
+    }
+    case 'date': {
+      // ATIH dates are DDMMYYYY
+      if (!/^\d{8}$/.test(raw)) return null;
+      return `${raw.slice(4, 8)}-${raw.slice(2, 4)}-${raw.slice(0, 2)}`;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Check whether a line matches a layout's detection rules
+ * @param {string} line - First line of the file
+ * @param {Object} layout - Layout descriptor
+ * @returns {boolean}
+ */
+export function matchesLayout(line, layout) {
+  if (line.length < layout.fixedLength) {
+    return false;
+  }
+
+  return layout.detect.every(rule => {
+    const value = line.substr(rule.start - 1, rule.length);
+    if (rule.value !== undefined) {
+      return value === rule.value;
+    }
+    return new RegExp(rule.pattern).test(value);
+  });
+}
+
+/**
+ * Find the layout describing a file from its first line
+ * @param {string} line - First line of the file
+ * @param {Array<Object>} [layouts] - Candidate layouts
+ * @returns {Object|null} - Matching layout descriptor
+ */
+export function detectATIHLayout(line, layouts = ATIH_LAYOUTS) {
+  return layouts.find(layout => matchesLayout(line, layout)) || null;
+}
+
+/**
+ * Get the output tables of a layout with their column definitions
+ * @param {Object} layout - Layout descriptor
+ * @returns {Object<string, Array<{name: string, type: string}>>}
+ */
+export function getLayoutTables(layout) {
+  const fieldTypes = Object.fromEntries(layout.fields.map(f => [f.name, f.type || 'string']));
+  const tables = {};
+
+  for (const [name, table] of Object.entries(layout.tables)) {
+    tables[name] = table.columns.map(col => ({ name: col, type: fieldTypes[col] }));
+  }
+
+  // Zone tables: parent keys, zone constants, zone fields, then item position
+  for (const zone of layout.zones) {
+    const columns = tables[zone.table] || layout.keys.map(key => ({ name: key, type: fieldTypes[key] }));
+    const zoneColumns = [
+      ...Object.keys(zone.constants || {}).map(name => ({ name, type: 'string' })),
+      ...zone.fields.map(f => ({ name: f.name, type: f.type || 'string' })),
+      { name: 'position', type: 'integer' }
+    ];
+
+    for (const col of zoneColumns) {
+      if (!columns.some(c => c.name === col.name)) {
+        columns.push(col);
+      }
+    }
+    tables[zone.table] = columns;
+  }
+
+  return tables;
+}
+
+/**
+ * Parse one line into its fixed-zone record and variable-zone items
+ * @param {string} line - Source line
+ * @param {Object} layout - Layout descriptor
+ * @param {number} lineNumber - Line number, for error messages
+ * @returns {{record: Object, items: Array<{table: string, row: Object}>}}
+ */
+export function parseATIHLine(line, layout, lineNumber = 1) {
+  if (line.length < layout.fixedLength) {
+    throw new Error(`Line ${lineNumber} is shorter than the ${layout.label} fixed zone`);
+  }
+
+  const record = {};
+  for (const field of layout.fields) {
+    record[field.name] = readField(line, field);
+  }
+
+  const keys = Object.fromEntries(layout.keys.map(key => [key, record[key]]));
+  const items = [];
+  let offset = layout.fixedLength;
+
+  for (const zone of layout.zones) {
+    const count = record[zone.count] || 0;
+    for (let i = 0; i < count; i++) {
+      const row = { ...keys, ...zone.constants };
+      for (const field of zone.fields) {
+        row[field.name] = readField(line, field, offset);
+      }
+      row.position = i + 1;
+      items.push({ table: zone.table, row });
+      offset += zone.length;
+    }
+  }
+
+  if (offset > line.length) {
+    throw new Error(`Line ${lineNumber} is shorter than its declared variable zones`);
+  }
+
+  return { record, items };
+}
+
+/**
+ * Parse an ATIH fixed-width file into normalized tables
+ * @param {string} text - File content
+ * @param {Object} [layout] - Layout descriptor (detected from the first line if omitted)
+ * @returns {{layout: Object, tables: Object<string, {columns: Array, rows: Array<Array>}>}}
+ */
+export function parseATIHFile(text, layout) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  const fileLayout = layout || detectATIHLayout(lines[0]);
+  if (!fileLayout) {
+    throw new Error('Unrecognised ATIH file format');
+  }
+
+  const schemas = getLayoutTables(fileLayout);
+  const tables = {};
+  for (const [name, columns] of Object.entries(schemas)) {
+    tables[name] = { columns, rows: [] };
+  }
+
+  const seen = {};
+  const toRow = (name, values) => schemas[name].map(col => values[col.name] ?? null);
+
+  lines.forEach((line, index) => {
+    const { record, items } = parseATIHLine(line, fileLayout, index + 1);
+
+    for (const [name, table] of Object.entries(fileLayout.tables)) {
+      // Tables with a unique key keep only the first line of each group (e.g. one row per RSS)
+      if (table.unique) {
+        const key = table.unique.map(col => record[col]).join('|');
+        seen[name] = seen[name] || new Set();
+        if (seen[name].has(key)) continue;
+        seen[name].add(key);
+      }
+      tables[name].rows.push(toRow(name, record));
+    }
+
+    for (const { table, row } of items) {
+      tables[table].rows.push(toRow(table, row));
+    }
+  });
+
+  return { layout: fileLayout, tables };
+}
+
+/**
+ * Serialize a parsed table to tab-separated text with a header row
+ * @param {{columns: Array, rows: Array<Array>}} table - Parsed table
+ * @returns {string}
+ */
+export function tableToTSV(table) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = String(value).replace(/[\t\r\n]/g, ' ');
+    return str.includes('"') ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+
+  const header = table.columns.map(col => col.name).join('\t');
+  const rows = table.rows.map(row => row.map(escape).join('\t'));
+  return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Get the column type overrides to read a parsed table back with DuckDB
+ * @param {{columns: Array}} table - Parsed table
+ * @returns {Object<string, string>}
+ */
+export function getATIHColumnTypes(table) {
+  return Object.fromEntries(table.columns.map(col => [col.name, ATIH_COLUMN_TYPES[col.type] || 'VARCHAR']));
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ATIH_LAYOUTS,
+  readField,
+  detectATIHLayout,
+  getLayoutTables,
+  parseATIHLine,
+  parseATIHFile,
+  tableToTSV,
+  getATIHColumnTypes
+} from './atih-parser.js';
+
+const layout = (format) => ATIH_LAYOUTS.find(l => l.format === format);
+
+/**
+ * Build a fixed-width line from field values placed at their layout positions
+ */
+function buildLine(fileLayout, values, zones = '') {
+  const chars = Array(fileLayout.fixedLength).fill(' ');
+  for (const field of fileLayout.fields) {
+    if (values[field.name] === undefined) continue;
+    const str = String(values[field.name]).padEnd(field.length).slice(0, field.length);
+    for (let i = 0; i < field.length; i++) {
+      chars[field.start - 1 + i] = str[i];
+    }
+  }
+  return chars.join('') + zones;
+}
+
+const rss = layout('rss');
+const rssLine = (numRum, extra = {}) => buildLine(rss, {
+  ghm: '05M092',
+  format_rss: '022',
+  finess: '750000001',
+  num_rss: 'RSS001',
+  num_rum: numRum,
+  date_naissance: '01021950',
+  sexe: '1',
+  date_entree: '03032024',
+  nb_da: 2,
+  nb_dad: 0,
+  nb_actes: 1,
+  dp: 'I500',
+  ...extra
+}, 'E119    I10     ' + '04032024' + 'DEQP003' + '   ' + '0' + '1' + ' ' + '    ' + ' ' + ' ' + '01');
+
+describe('ATIH_LAYOUTS', () => {
+  it('should load RSA, RSS and RUM descriptors', () => {
+    const formats = ATIH_LAYOUTS.map(l => l.format);
+    expect(formats).toEqual(expect.arrayContaining(['rsa', 'rss', 'rum']));
+  });
+
+  it('should declare a version and a label for every descriptor', () => {
+    for (const l of ATIH_LAYOUTS) {
+      expect(l.version).toMatch(/^\d{3}$/);
+      expect(l.label).toBeTruthy();
+    }
+  });
+});
+
+describe('readField', () => {
+  it('should trim string values', () => {
+    expect(readField('  AB  ', { start: 1, length: 6 })).toBe('AB');
+  });
+
+  it('should return null for blank values', () => {
+    expect(readField('      ', { start: 1, length: 6 })).toBeNull();
+  });
+
+  it('should parse integers', () => {
+    expect(readField('x042', { start: 2, length: 3, type: 'integer' })).toBe(42);
+  });
+
+  it('should convert DDMMYYYY dates to ISO', () => {
+    expect(readField('03032024', { start: 1, length: 8, type: 'date' })).toBe('2024-03-03');
+  });
+
+  it('should apply a zone offset', () => {
+    expect(readField('xxxxAB', { start: 1, length: 2 }, 4)).toBe('AB');
+  });
+});
+
+describe('detectATIHLayout', () => {
+  it('should detect a grouped RSS line', () => {
+    expect(detectATIHLayout(rssLine(1)).format).toBe('rss');
+  });
+
+  it('should detect an ungrouped RUM line', () => {
+    const line = buildLine(layout('rum'), { format_rss: '022', finess: '750000001' });
+    expect(detectATIHLayout(line).format).toBe('rum');
+  });
+
+  it('should return null for unknown content', () => {
+    expect(detectATIHLayout('not an ATIH line')).toBeNull();
+  });
+});
+
+describe('getLayoutTables', () => {
+  it('should define fixe, um, diag and acte tables for RSS', () => {
+    const tables = getLayoutTables(rss);
+    expect(Object.keys(tables)).toEqual(expect.arrayContaining(['fixe', 'um', 'diag', 'acte']));
+  });
+
+  it('should prefix zone tables with the parent keys', () => {
+    const diag = getLayoutTables(rss).diag.map(c => c.name);
+    expect(diag.slice(0, 3)).toEqual(rss.keys);
+    expect(diag).toContain('type_diag');
+    expect(diag).toContain('position');
+  });
+});
+
+describe('parseATIHLine', () => {
+  it('should read variable zones after the fixed zone', () => {
+    const { record, items } = parseATIHLine(rssLine(1), rss);
+
+    expect(record.num_rss).toBe('RSS001');
+    expect(items).toHaveLength(3);
+    expect(items[0]).toMatchObject({ table: 'diag', row: { code_diag: 'E119', type_diag: 'DA', position: 1 } });
+    expect(items[2]).toMatchObject({ table: 'acte', row: { code_ccam: 'DEQP003', date_acte: '2024-03-04', nb_realisations: 1 } });
+  });
+
+  it('should reject lines shorter than the declared zones', () => {
+    const line = rssLine(1).slice(0, rss.fixedLength + 4);
+    expect(() => parseATIHLine(line, rss, 7)).toThrow('Line 7');
+  });
+});
+
+describe('parseATIHFile', () => {
+  it('should split an RSS file into normalized tables', () => {
+    const text = [rssLine(1), rssLine(2)].join('\r\n');
+    const { layout: detected, tables } = parseATIHFile(text);
+
+    expect(detected.format).toBe('rss');
+    // One stay, two units
+    expect(tables.fixe.rows).toHaveLength(1);
+    expect(tables.um.rows).toHaveLength(2);
+    expect(tables.diag.rows).toHaveLength(4);
+    expect(tables.acte.rows).toHaveLength(2);
+  });
+
+  it('should throw for an empty file', () => {
+    expect(() => parseATIHFile('\n\n')).toThrow('File is empty');
+  });
+
+  it('should throw for an unknown format', () => {
+    expect(() => parseATIHFile('hello\nworld')).toThrow('Unrecognised ATIH file format');
+  });
+});
+
+describe('tableToTSV', () => {
+  it('should write a header and tab-separated rows with empty NULLs', () => {
+    const table = {
+      columns: [{ name: 'a' }, { name: 'b' }],
+      rows: [['x', null], ['y', 2]]
+    };
+    expect(tableToTSV(table)).toBe('a\tb\nx\t\ny\t2\n');
+  });
+
+  it('should quote values containing double quotes', () => {
+    const table = { columns: [{ name: 'a' }], rows: [['say "hi"']] };
+    expect(tableToTSV(table)).toContain('"say ""hi"""');
+  });
+});
+
+describe('getATIHColumnTypes', () => {
+  it('should map descriptor types to DuckDB types', () => {
+    const table = {
+      columns: [{ name: 'finess', type: 'string' }, { name: 'nb_da', type: 'integer' }, { name: 'ddn', type: 'date' }]
+    };
+    expect(getATIHColumnTypes(table)).toEqual({ finess: 'VARCHAR', nb_da: 'INTEGER', ddn: 'DATE' });
+  });
+});
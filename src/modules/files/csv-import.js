@@ -0,0 +1,139 @@
+import { quoteLiteral } from '../database/queries.js';
+
+/**
+ * Delimiters offered in the import dialog
+ */
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+/**
+ * Encodings offered in the import dialog (labels accepted by TextDecoder)
+ */
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'latin1', label: 'Latin-1 (ISO-8859-1)' },
+  { value: 'windows-1252', label: 'Windows-1252' }
+];
+
+/**
+ * Column types that can be forced on import
+ */
+export const CSV_COLUMN_TYPES = ['VARCHAR', 'INTEGER', 'BIGINT', 'DOUBLE', 'DATE', 'TIMESTAMP', 'BOOLEAN'];
+
+/**
+ * Get default import options for a delimited text file
+ * @param {string} fileName - Original filename
+ * @returns {{delimiter: string, header: boolean, encoding: string, decimalSeparator: string, columnTypes: Object}}
+ */
+export function getDefaultCSVOptions(fileName = '') {
+  return {
+    delimiter: /\.tsv$/i.test(fileName) ? '\t' : ',',
+    header: true,
+    encoding: 'utf-8',
+    decimalSeparator: '.',
+    columnTypes: {}
+  };
+}
+
+/**
+ * Decode a text file and re-encode it as UTF-8, which is what DuckDB's CSV reader expects
+ * @param {ArrayBuffer} buffer - File content
+ * @param {string} [encoding='utf-8'] - Source encoding
+ * @returns {Uint8Array}
+ */
+export function decodeCSVBuffer(buffer, encoding = 'utf-8') {
+  const bytes = new Uint8Array(buffer);
+  if (!encoding || encoding.toLowerCase() === 'utf-8') {
+    return bytes;
+  }
+
+  const text = new TextDecoder(encoding).decode(bytes);
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Split one line of delimited text into fields, honouring double quotes
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[]}
+ */
+export function splitCSVLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+/**
+ * Read column names from the first line of a delimited text file
+ * @param {ArrayBuffer} buffer - File content
+ * @param {Object} options - Import options (delimiter, header, encoding)
+ * @returns {string[]} - Header names, or column0, column1... when there is no header
+ */
+export function sniffCSVColumns(buffer, options) {
+  // The first 64KB is plenty to read the header line
+  const head = buffer.slice(0, 65536);
+  const text = new TextDecoder(options.encoding || 'utf-8').decode(head);
+  const firstLine = text.split(/\r?\n/)[0].replace(/^\uFEFF/, '');
+  if (!firstLine) {
+    return [];
+  }
+
+  const fields = splitCSVLine(firstLine, options.delimiter);
+  if (options.header) {
+    return fields.map(f => f.trim());
+  }
+  return fields.map((_, i) => `column${i}`);
+}
+
+/**
+ * Build a DuckDB read_csv() call for a registered file
+ * @param {string} fileName - Registered file name
+ * @param {Object} options - Import options
+ * @returns {string} - SQL relation expression
+ */
+export function buildReadCSVSQL(fileName, options) {
+  const params = [
+    `delim=${quoteLiteral(options.delimiter)}`,
+    `header=${options.header ? 'true' : 'false'}`
+  ];
+
+  if (options.decimalSeparator && options.decimalSeparator !== '.') {
+    params.push(`decimal_separator=${quoteLiteral(options.decimalSeparator)}`);
+  }
+
+  const overrides = Object.entries(options.columnTypes || {}).filter(([, type]) => type);
+  if (overrides.length > 0) {
+    const types = overrides.map(([col, type]) => `${quoteLiteral(col)}: ${quoteLiteral(type)}`).join(', ');
+    params.push(`types={${types}}`);
+  }
+
+  return `read_csv(${quoteLiteral(fileName)}, ${params.join(', ')})`;
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDefaultCSVOptions,
+  decodeCSVBuffer,
+  splitCSVLine,
+  sniffCSVColumns,
+  buildReadCSVSQL
+} from './csv-import.js';
+
+const toBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+describe('getDefaultCSVOptions', () => {
+  it('should default to comma for .csv files', () => {
+    expect(getDefaultCSVOptions('fixe.csv').delimiter).toBe(',');
+  });
+
+  it('should default to tab for .tsv files', () => {
+    expect(getDefaultCSVOptions('fixe.tsv').delimiter).toBe('\t');
+  });
+
+  it('should default to header, UTF-8 and point decimal', () => {
+    expect(getDefaultCSVOptions('fixe.csv')).toMatchObject({
+      header: true,
+      encoding: 'utf-8',
+      decimalSeparator: '.',
+      columnTypes: {}
+    });
+  });
+});
+
+describe('decodeCSVBuffer', () => {
+  it('should pass UTF-8 content through unchanged', () => {
+    const buffer = toBuffer('a,b');
+    expect(Array.from(decodeCSVBuffer(buffer, 'utf-8'))).toEqual(Array.from(new Uint8Array(buffer)));
+  });
+
+  it('should transcode Latin-1 content to UTF-8', () => {
+    // "é" is 0xE9 in Latin-1
+    const latin1 = new Uint8Array([0x63, 0x61, 0x66, 0xe9]).buffer;
+    const decoded = decodeCSVBuffer(latin1, 'latin1');
+    expect(new TextDecoder().decode(decoded)).toBe('café');
+  });
+});
+
+describe('splitCSVLine', () => {
+  it('should split on the delimiter', () => {
+    expect(splitCSVLine('a;b;c', ';')).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should keep delimiters inside quotes', () => {
+    expect(splitCSVLine('"a;b";c', ';')).toEqual(['a;b', 'c']);
+  });
+
+  it('should unescape doubled quotes', () => {
+    expect(splitCSVLine('"say ""hi""",x', ',')).toEqual(['say "hi"', 'x']);
+  });
+});
+
+describe('sniffCSVColumns', () => {
+  it('should read header names from the first line', () => {
+    const buffer = toBuffer('finess;num_rss;ghm\n1;2;3\n');
+    const columns = sniffCSVColumns(buffer, { delimiter: ';', header: true, encoding: 'utf-8' });
+    expect(columns).toEqual(['finess', 'num_rss', 'ghm']);
+  });
+
+  it('should generate column names when there is no header', () => {
+    const buffer = toBuffer('1,2\n3,4\n');
+    const columns = sniffCSVColumns(buffer, { delimiter: ',', header: false, encoding: 'utf-8' });
+    expect(columns).toEqual(['column0', 'column1']);
+  });
+
+  it('should return no columns for an empty file', () => {
+    expect(sniffCSVColumns(toBuffer(''), { delimiter: ',', header: true })).toEqual([]);
+  });
+});
+
+describe('buildReadCSVSQL', () => {
+  it('should build a read_csv call with delimiter and header', () => {
+    const sql = buildReadCSVSQL('fixe.csv', getDefaultCSVOptions('fixe.csv'));
+    expect(sql).toBe("read_csv('fixe.csv', delim=',', header=true)");
+  });
+
+  it('should include decimal separator when not a point', () => {
+    const sql = buildReadCSVSQL('fixe.csv', { ...getDefaultCSVOptions(), decimalSeparator: ',' });
+    expect(sql).toContain("decimal_separator=','");
+  });
+
+  it('should include column type overrides', () => {
+    const sql = buildReadCSVSQL('fixe.csv', {
+      ...getDefaultCSVOptions(),
+      columnTypes: { finess: 'VARCHAR', age: 'INTEGER' }
+    });
+    expect(sql).toContain("types={'finess': 'VARCHAR', 'age': 'INTEGER'}");
+  });
+
+  it('should escape quotes in file names', () => {
+    const sql = buildReadCSVSQL("l'export.csv", getDefaultCSVOptions());
+    expect(sql).toContain("'l''export.csv'");
+  });
+});
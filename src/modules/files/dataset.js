@@ -0,0 +1,125 @@
+import { quoteLiteral } from '../database/queries.js';
+
+/**
+ * Check whether a path belongs to a Parquet dataset part
+ * @param {string} path - Relative file path
+ * @returns {boolean}
+ */
+function isParquetPart(path) {
+  return /\.parquet$/i.test(path);
+}
+
+/**
+ * Group files picked with a webkitdirectory input into datasets, one per top-level folder
+ * @param {Iterable<File>} files - Files with a webkitRelativePath ('dataset/annee=2023/part-0.parquet')
+ * @returns {Array<{name: string, files: Array<{path: string, file: File}>}>}
+ */
+export function groupFilesByFolder(files) {
+  const datasets = new Map();
+
+  for (const file of files) {
+    const [folder, ...rest] = (file.webkitRelativePath || file.name).split('/');
+    const path = rest.join('/');
+    if (!path || !isParquetPart(path)) continue;
+
+    if (!datasets.has(folder)) {
+      datasets.set(folder, { name: folder, files: [] });
+    }
+    datasets.get(folder).files.push({ path, file });
+  }
+
+  return [...datasets.values()];
+}
+
+/**
+ * Read every file below a dropped directory entry
+ * @param {FileSystemDirectoryEntry} directory - Directory entry from DataTransferItem.webkitGetAsEntry()
+ * @returns {Promise<{name: string, files: Array<{path: string, file: File}>}>}
+ */
+export async function readDirectoryEntry(directory) {
+  const files = [];
+  const rootLength = directory.fullPath.length + 1;
+
+  const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  const readFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+  async function walk(entry) {
+    if (entry.isFile) {
+      const path = entry.fullPath.slice(rootLength);
+      if (isParquetPart(path)) {
+        files.push({ path, file: await readFile(entry) });
+      }
+      return;
+    }
+
+    // readEntries returns entries in batches until it returns an empty array
+    const reader = entry.createReader();
+    let batch = await readEntries(reader);
+    while (batch.length > 0) {
+      for (const child of batch) {
+        await walk(child);
+      }
+      batch = await readEntries(reader);
+    }
+  }
+
+  await walk(directory);
+  return { name: directory.name, files };
+}
+
+/**
+ * Split a drop into loose files and directories
+ * Entries must be taken synchronously in the drop handler, before the DataTransfer is cleared.
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {{files: File[], directories: FileSystemDirectoryEntry[]}}
+ */
+export function splitDroppedItems(dataTransfer) {
+  const files = [];
+  const directories = [];
+  const items = Array.from(dataTransfer.items || []);
+
+  if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+    return { files: Array.from(dataTransfer.files || []), directories };
+  }
+
+  for (const item of items) {
+    const entry = item.webkitGetAsEntry();
+    if (entry && entry.isDirectory) {
+      directories.push(entry);
+    } else if (item.kind === 'file') {
+      files.push(item.getAsFile());
+    }
+  }
+
+  return { files, directories };
+}
+
+/**
+ * Get the Hive partition columns encoded in dataset paths
+ * @param {string[]} paths - Relative part paths ('annee=2023/finess=750000001/part-0.parquet')
+ * @returns {string[]} - Partition column names in path order
+ */
+export function getPartitionColumns(paths) {
+  const columns = [];
+  for (const path of paths) {
+    for (const segment of path.split('/').slice(0, -1)) {
+      const match = segment.match(/^([^=]+)=/);
+      if (match && !columns.includes(match[1])) {
+        columns.push(match[1]);
+      }
+    }
+  }
+  return columns;
+}
+
+/**
+ * Build a DuckDB read_parquet() call over all parts of a dataset
+ * @param {string[]} fileNames - Registered part file names
+ * @param {boolean} hivePartitioning - Whether to expose key=value folders as columns
+ * @returns {string} - SQL relation expression
+ */
+export function buildReadParquetSQL(fileNames, hivePartitioning) {
+  const list = fileNames.map(quoteLiteral).join(', ');
+  const options = hivePartitioning ? ', hive_partitioning=true' : '';
+  return `read_parquet([${list}]${options})`;
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  groupFilesByFolder,
+  readDirectoryEntry,
+  splitDroppedItems,
+  getPartitionColumns,
+  buildReadParquetSQL
+} from './dataset.js';
+
+/**
+ * Build a fake FileSystemEntry tree from a { name: File | subtree } object
+ */
+function fakeEntry(name, node, parentPath = '') {
+  const fullPath = `${parentPath}/${name}`;
+  if (!node || typeof node.size === 'number') {
+    return { name, fullPath, isFile: true, isDirectory: false, file: (resolve) => resolve(node) };
+  }
+
+  const children = Object.entries(node).map(([childName, child]) => fakeEntry(childName, child, fullPath));
+  return {
+    name,
+    fullPath,
+    isFile: false,
+    isDirectory: true,
+    createReader: () => {
+      let done = false;
+      return {
+        readEntries: (resolve) => {
+          resolve(done ? [] : children);
+          done = true;
+        }
+      };
+    }
+  };
+}
+
+describe('groupFilesByFolder', () => {
+  it('should group parquet parts by top-level folder', () => {
+    const files = [
+      { name: 'part-0.parquet', webkitRelativePath: 'rsa/annee=2023/part-0.parquet' },
+      { name: 'part-0.parquet', webkitRelativePath: 'rsa/annee=2024/part-0.parquet' },
+      { name: 'part-0.parquet', webkitRelativePath: 'fixe/part-0.parquet' }
+    ];
+    const datasets = groupFilesByFolder(files);
+
+    expect(datasets.map(d => d.name)).toEqual(['rsa', 'fixe']);
+    expect(datasets[0].files.map(f => f.path)).toEqual(['annee=2023/part-0.parquet', 'annee=2024/part-0.parquet']);
+  });
+
+  it('should ignore non-parquet files', () => {
+    const files = [
+      { name: '_SUCCESS', webkitRelativePath: 'rsa/_SUCCESS' },
+      { name: 'part-0.parquet', webkitRelativePath: 'rsa/part-0.parquet' }
+    ];
+    expect(groupFilesByFolder(files)[0].files).toHaveLength(1);
+  });
+});
+
+describe('readDirectoryEntry', () => {
+  it('should collect parquet files with paths relative to the folder', async () => {
+    const part = new File(['x'], 'part-0.parquet');
+    const entry = fakeEntry('rsa', {
+      'annee=2023': { 'finess=750000001': { 'part-0.parquet': part } },
+      'notes.txt': new File(['y'], 'notes.txt')
+    });
+    const dataset = await readDirectoryEntry(entry);
+
+    expect(dataset.name).toBe('rsa');
+    expect(dataset.files).toEqual([{ path: 'annee=2023/finess=750000001/part-0.parquet', file: part }]);
+  });
+});
+
+describe('splitDroppedItems', () => {
+  it('should separate directories from files', () => {
+    const file = new File(['x'], 'fixe.parquet');
+    const dir = { isDirectory: true, name: 'rsa' };
+    const dataTransfer = {
+      items: [
+        { kind: 'file', webkitGetAsEntry: () => dir, getAsFile: () => null },
+        { kind: 'file', webkitGetAsEntry: () => ({ isDirectory: false }), getAsFile: () => file }
+      ]
+    };
+    const { files, directories } = splitDroppedItems(dataTransfer);
+
+    expect(directories).toEqual([dir]);
+    expect(files).toEqual([file]);
+  });
+
+  it('should fall back to the file list without entry support', () => {
+    const file = new File(['x'], 'fixe.parquet');
+    const { files, directories } = splitDroppedItems({ items: [], files: [file] });
+    expect(files).toEqual([file]);
+    expect(directories).toEqual([]);
+  });
+});
+
+describe('getPartitionColumns', () => {
+  it('should read key=value folder names', () => {
+    const paths = ['annee=2023/finess=1/part-0.parquet', 'annee=2024/finess=2/part-0.parquet'];
+    expect(getPartitionColumns(paths)).toEqual(['annee', 'finess']);
+  });
+
+  it('should return no columns for flat folders', () => {
+    expect(getPartitionColumns(['part-0.parquet', 'sub/part-1.parquet'])).toEqual([]);
+  });
+});
+
+describe('buildReadParquetSQL', () => {
+  it('should list all parts with hive partitioning', () => {
+    const sql = buildReadParquetSQL(['rsa/annee=2023/a.parquet', 'rsa/annee=2024/b.parquet'], true);
+    expect(sql).toBe("read_parquet(['rsa/annee=2023/a.parquet', 'rsa/annee=2024/b.parquet'], hive_partitioning=true)");
+  });
+
+  it('should omit hive partitioning for flat folders', () => {
+    expect(buildReadParquetSQL(['rsa/a.parquet'], false)).toBe("read_parquet(['rsa/a.parquet'])");
+  });
+});
@@ -52,7 +52,7 @@ export function generateFilename(prefix = CONFIG.DEFAULT_EXPORT_FILENAME, extens
 
 /**
  * Trigger a file download in the browser
- * @param {string} content - File content
+ * @param {string|Uint8Array} content - File content
  * @param {string} filename - Filename
  * @param {string} [mimeType='text/csv'] - MIME type
  */
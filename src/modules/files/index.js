@@ -4,9 +4,66 @@
 export {
   sanitizeTableName,
   generateUniqueTableName,
-  handleFileUpload
+  handleFileUpload,
+  getFileFormat,
+  detectTextFormat,
+  getStorageMode,
+  getQueryableTableNames,
+  FILE_FORMATS
 } from './table-manager.js';
 
+export {
+  CSV_DELIMITERS,
+  CSV_ENCODINGS,
+  CSV_COLUMN_TYPES,
+  getDefaultCSVOptions,
+  decodeCSVBuffer,
+  splitCSVLine,
+  sniffCSVColumns,
+  buildReadCSVSQL
+} from './csv-import.js';
+
+export {
+  ATIH_LAYOUTS,
+  ATIH_COLUMN_TYPES,
+  readField,
+  matchesLayout,
+  detectATIHLayout,
+  getLayoutTables,
+  parseATIHLine,
+  parseATIHFile,
+  tableToTSV,
+  getATIHColumnTypes
+} from './atih-parser.js';
+
+export {
+  readZipEntries,
+  extractZipEntry,
+  getArchivePrefix,
+  getArchiveMemberName,
+  crc32,
+  createZipArchive
+} from './archive.js';
+
+export {
+  WORKSPACE_VERSION,
+  WORKSPACE_MANIFEST,
+  WORKSPACE_DATA_DIRECTORY,
+  isWorkspaceArchive,
+  getWorkspaceFileName,
+  buildWorkspaceManifest,
+  createWorkspaceArchive,
+  readWorkspaceArchive
+} from './workspace.js';
+
+export {
+  groupFilesByFolder,
+  readDirectoryEntry,
+  splitDroppedItems,
+  getPartitionColumns,
+  buildReadParquetSQL
+} from './dataset.js';
+
 export {
   escapeCSVCell,
   convertToCSV,
@@ -14,3 +71,23 @@ export {
   downloadFile,
   exportToCSV
 } from './export.js';
+
+export {
+  CACHE_DIRECTORY,
+  MANIFEST_FILE,
+  getCacheFileName,
+  isPersistenceSupported,
+  getStorageEstimate,
+  DatasetCache
+} from './persistence.js';
+
+export {
+  NOMENCLATURES,
+  REFERENCE_DATASETS,
+  getNomenclature,
+  parseReferenceFileName,
+  listReferenceDatasets,
+  getReferenceDatasetLabel,
+  getReferenceTableName,
+  getReferenceColumnTypes
+} from './reference.js';
@@ -0,0 +1,158 @@
+/**
+ * Directory of the Origin Private File System holding cached files
+ */
+export const CACHE_DIRECTORY = 'duckmsi-cache';
+
+/**
+ * File listing the cached tables and their metadata
+ */
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Get the OPFS file name for a registered file name
+ * Registered names may contain '/' (dataset parts), which OPFS does not allow.
+ * @param {string} fileName - Name the file is registered under in DuckDB
+ * @returns {string}
+ */
+export function getCacheFileName(fileName) {
+  return `data-${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Check whether the browser exposes the Origin Private File System
+ * @returns {boolean}
+ */
+export function isPersistenceSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.storage?.getDirectory === 'function';
+}
+
+/**
+ * Get the storage usage and quota of the origin
+ * @returns {Promise<{usage: number, quota: number}|null>} - null when the browser cannot tell
+ */
+export async function getStorageEstimate() {
+  if (typeof navigator === 'undefined' || typeof navigator.storage?.estimate !== 'function') {
+    return null;
+  }
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+/**
+ * Cache of loaded files and table metadata in the Origin Private File System
+ */
+export class DatasetCache {
+  /**
+   * @param {FileSystemDirectoryHandle} directory - Cache directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Open the cache directory, creating it on first use
+   * @returns {Promise<DatasetCache|null>} - null when OPFS is not available
+   */
+  static async open() {
+    if (!isPersistenceSupported()) {
+      return null;
+    }
+
+    try {
+      const root = await navigator.storage.getDirectory();
+      return new DatasetCache(await root.getDirectoryHandle(CACHE_DIRECTORY, { create: true }));
+    } catch (error) {
+      console.warn('Persistent storage unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a file's bytes to the cache
+   * @param {string} fileName - Name the file is registered under in DuckDB
+   * @param {ArrayBuffer|Uint8Array|Blob} data - File content
+   */
+  async writeFile(fileName, data) {
+    const handle = await this.directory.getFileHandle(getCacheFileName(fileName), { create: true });
+    const writable = await handle.createWritable();
+
+    try {
+      if (data instanceof Blob) {
+        // Stream large files instead of reading them into memory; pipeTo closes the stream
+        await data.stream().pipeTo(writable);
+        return;
+      }
+      await writable.write(data);
+      await writable.close();
+    } catch (error) {
+      await writable.abort().catch(() => {});
+      await this.deleteFile(fileName);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a cached file
+   * @param {string} fileName - Name the file is registered under in DuckDB
+   * @returns {Promise<File>}
+   */
+  async readFile(fileName) {
+    const handle = await this.directory.getFileHandle(getCacheFileName(fileName));
+    return handle.getFile();
+  }
+
+  /**
+   * Delete a cached file, ignoring files that are not cached
+   * @param {string} fileName - Name the file is registered under in DuckDB
+   */
+  async deleteFile(fileName) {
+    try {
+      await this.directory.removeEntry(getCacheFileName(fileName));
+    } catch (error) {
+      if (error.name !== 'NotFoundError') throw error;
+    }
+  }
+
+  /**
+   * Read the cached table metadata
+   * A missing or corrupted manifest is treated as an empty cache.
+   * @returns {Promise<Array<Object>>}
+   */
+  async readManifest() {
+    try {
+      const handle = await this.directory.getFileHandle(MANIFEST_FILE);
+      const entries = JSON.parse(await (await handle.getFile()).text());
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.warn('Ignoring unreadable cache manifest:', error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Replace the cached table metadata
+   * @param {Array<Object>} entries - Metadata of the cached tables
+   */
+  async writeManifest(entries) {
+    const handle = await this.directory.getFileHandle(MANIFEST_FILE, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(JSON.stringify(entries));
+    await writable.close();
+  }
+
+  /**
+   * Delete every cached file and the manifest
+   */
+  async clear() {
+    const names = [];
+    for await (const name of this.directory.keys()) {
+      names.push(name);
+    }
+    for (const name of names) {
+      await this.directory.removeEntry(name);
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  getCacheFileName,
+  isPersistenceSupported,
+  getStorageEstimate,
+  DatasetCache,
+  MANIFEST_FILE
+} from './persistence.js';
+
+/**
+ * Build an in-memory stand-in for an OPFS directory handle
+ * @returns {{files: Map<string, string>, directory: Object}}
+ */
+function createDirectory() {
+  const files = new Map();
+  const notFound = () => Object.assign(new Error('Not found'), { name: 'NotFoundError' });
+
+  const directory = {
+    async getFileHandle(name, { create = false } = {}) {
+      if (!files.has(name)) {
+        if (!create) throw notFound();
+        files.set(name, '');
+      }
+      return {
+        // jsdom's File has no text(), so return a minimal File-like object
+        async getFile() {
+          return { name, text: async () => files.get(name) };
+        },
+        async createWritable() {
+          const chunks = [];
+          const decoder = new TextDecoder();
+          const stream = new WritableStream({
+            write(chunk) {
+              chunks.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk));
+            },
+            close() {
+              files.set(name, chunks.join(''));
+            }
+          });
+          stream.write = async (data) => {
+            const writer = stream.getWriter();
+            await writer.write(data);
+            writer.releaseLock();
+          };
+          return stream;
+        }
+      };
+    },
+    async removeEntry(name) {
+      if (!files.delete(name)) throw notFound();
+    },
+    async *keys() {
+      yield* files.keys();
+    }
+  };
+
+  return { files, directory };
+}
+
+describe('getCacheFileName', () => {
+  it('should encode path separators of dataset parts', () => {
+    expect(getCacheFileName('rsa/annee=2023/part-0.parquet')).toBe('data-rsa%2Fannee%3D2023%2Fpart-0.parquet');
+  });
+});
+
+describe('isPersistenceSupported', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should detect the Origin Private File System', () => {
+    vi.stubGlobal('navigator', { storage: { getDirectory: vi.fn() } });
+    expect(isPersistenceSupported()).toBe(true);
+  });
+
+  it('should return false without navigator.storage', () => {
+    vi.stubGlobal('navigator', {});
+    expect(isPersistenceSupported()).toBe(false);
+  });
+});
+
+describe('getStorageEstimate', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return usage and quota', async () => {
+    vi.stubGlobal('navigator', { storage: { estimate: vi.fn().mockResolvedValue({ usage: 10, quota: 100 }) } });
+    expect(await getStorageEstimate()).toEqual({ usage: 10, quota: 100 });
+  });
+
+  it('should return null when the browser cannot estimate', async () => {
+    vi.stubGlobal('navigator', {});
+    expect(await getStorageEstimate()).toBeNull();
+  });
+});
+
+describe('DatasetCache', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should open the cache directory', async () => {
+    const { directory } = createDirectory();
+    const root = { getDirectoryHandle: vi.fn().mockResolvedValue(directory) };
+    vi.stubGlobal('navigator', { storage: { getDirectory: vi.fn().mockResolvedValue(root) } });
+
+    const cache = await DatasetCache.open();
+
+    expect(cache.directory).toBe(directory);
+    expect(root.getDirectoryHandle).toHaveBeenCalledWith('duckmsi-cache', { create: true });
+  });
+
+  it('should return null when OPFS is not available', async () => {
+    vi.stubGlobal('navigator', {});
+    expect(await DatasetCache.open()).toBeNull();
+  });
+
+  it('should write and read back buffers', async () => {
+    const { directory } = createDirectory();
+    const cache = new DatasetCache(directory);
+
+    await cache.writeFile('fixe.csv', new TextEncoder().encode('a,b\n1,2\n'));
+    const file = await cache.readFile('fixe.csv');
+
+    expect(await file.text()).toBe('a,b\n1,2\n');
+  });
+
+  it('should delete files and ignore missing ones', async () => {
+    const { files, directory } = createDirectory();
+    const cache = new DatasetCache(directory);
+    await cache.writeFile('fixe.csv', new Uint8Array([65]));
+
+    await cache.deleteFile('fixe.csv');
+    await cache.deleteFile('fixe.csv');
+
+    expect(files.size).toBe(0);
+  });
+
+  it('should round-trip the manifest', async () => {
+    const cache = new DatasetCache(createDirectory().directory);
+    const entries = [{ tableName: 'fixe', originalName: 'fixe.parquet', rowCount: 10, columnCount: 3, uploadedAt: 1 }];
+
+    await cache.writeManifest(entries);
+
+    expect(await cache.readManifest()).toEqual(entries);
+  });
+
+  it('should read a missing manifest as an empty cache', async () => {
+    const cache = new DatasetCache(createDirectory().directory);
+    expect(await cache.readManifest()).toEqual([]);
+  });
+
+  it('should read a corrupted manifest as an empty cache', async () => {
+    const { files, directory } = createDirectory();
+    files.set(MANIFEST_FILE, '{not json');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await new DatasetCache(directory).readManifest()).toEqual([]);
+  });
+
+  it('should clear every cached file', async () => {
+    const { files, directory } = createDirectory();
+    const cache = new DatasetCache(directory);
+    await cache.writeFile('a.parquet', new Uint8Array([1]));
+    await cache.writeManifest([]);
+
+    await cache.clear();
+
+    expect(files.size).toBe(0);
+  });
+});
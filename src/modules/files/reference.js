@@ -0,0 +1,104 @@
+/**
+ * Reference nomenclatures bundled with the app, one TSV file per nomenclature and year in ./reference,
+ * named <nomenclature>-<year>.tsv. Files are only fetched when the user loads them.
+ * Excerpts of a release are named <nomenclature>-<year>.sample.tsv and are labelled as samples wherever they show.
+ */
+const REFERENCE_MODULES = import.meta.glob('./reference/*.tsv', { query: '?raw', import: 'default' });
+
+/**
+ * Nomenclatures with the columns of their files
+ */
+export const NOMENCLATURES = [
+  {
+    id: 'cim10',
+    label: 'CIM-10',
+    description: 'Diagnosis codes with labels and chapters',
+    columns: ['code', 'libelle', 'chapitre', 'chapitre_libelle']
+  },
+  {
+    id: 'ccam',
+    label: 'CCAM',
+    description: 'Medical act codes with labels',
+    columns: ['code', 'libelle']
+  },
+  {
+    id: 'ghm',
+    label: 'GHM',
+    description: 'GHM codes with labels, CMD and GHS numbers, one row per GHM and GHS',
+    columns: ['ghm', 'libelle', 'cmd', 'cmd_libelle', 'ghs']
+  }
+];
+
+/**
+ * Get a nomenclature
+ * @param {string} id - Nomenclature id
+ * @returns {Object|null}
+ */
+export function getNomenclature(id) {
+  return NOMENCLATURES.find(nomenclature => nomenclature.id === id) ?? null;
+}
+
+/**
+ * Read the nomenclature and year of a reference file from its name
+ * @param {string} path - File path, e.g. ./reference/cim10-2024.tsv
+ * @returns {{nomenclature: string, year: number, sample: boolean}|null} -
+ *   null for files not named <nomenclature>-<year>.tsv or <nomenclature>-<year>.sample.tsv
+ */
+export function parseReferenceFileName(path) {
+  const match = path.split('/').pop().match(/^([a-z0-9]+)-(\d{4})(\.sample)?\.tsv$/);
+  return match ? { nomenclature: match[1], year: Number(match[2]), sample: Boolean(match[3]) } : null;
+}
+
+/**
+ * List the reference datasets of bundled files
+ * Files of unknown nomenclatures are skipped.
+ * @param {Object} [modules] - File path => () => Promise<string>, the bundled files by default
+ * @returns {Array<{id: string, nomenclature: string, year: number, sample: boolean, file: string, load: Function}>} -
+ *   By nomenclature, most recent year first, complete releases before samples
+ */
+export function listReferenceDatasets(modules = REFERENCE_MODULES) {
+  const order = NOMENCLATURES.map(nomenclature => nomenclature.id);
+  return Object.entries(modules)
+    .map(([path, load]) => ({ path, load, parsed: parseReferenceFileName(path) }))
+    .filter(({ parsed }) => parsed && order.includes(parsed.nomenclature))
+    .map(({ path, load, parsed }) => ({
+      id: `${parsed.nomenclature}-${parsed.year}${parsed.sample ? '-sample' : ''}`,
+      nomenclature: parsed.nomenclature,
+      year: parsed.year,
+      sample: parsed.sample,
+      file: path.split('/').pop(),
+      load
+    }))
+    .sort((a, b) => order.indexOf(a.nomenclature) - order.indexOf(b.nomenclature) || b.year - a.year || a.sample - b.sample);
+}
+
+export const REFERENCE_DATASETS = listReferenceDatasets();
+
+/**
+ * Get the display name of a reference dataset
+ * @param {Object} dataset - Reference dataset
+ * @returns {string} - e.g. CIM-10 2024, or CIM-10 2024 (sample)
+ */
+export function getReferenceDatasetLabel(dataset) {
+  const { label } = getNomenclature(dataset.nomenclature);
+  return `${label} ${dataset.year}${dataset.sample ? ' (sample)' : ''}`;
+}
+
+/**
+ * Get the table name of a reference dataset
+ * @param {Object} dataset - Reference dataset
+ * @returns {string} - e.g. ref_cim10_2024, or ref_cim10_2024_sample
+ */
+export function getReferenceTableName(dataset) {
+  return `ref_${dataset.nomenclature}_${dataset.year}${dataset.sample ? '_sample' : ''}`;
+}
+
+/**
+ * Get the column types of a nomenclature's files
+ * Every column is read as text, so that codes such as 04 keep their leading zero.
+ * @param {string} nomenclature - Nomenclature id
+ * @returns {Object} - Column name => DuckDB type
+ */
+export function getReferenceColumnTypes(nomenclature) {
+  return Object.fromEntries(getNomenclature(nomenclature).columns.map(column => [column, 'VARCHAR']));
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  NOMENCLATURES,
+  REFERENCE_DATASETS,
+  getNomenclature,
+  parseReferenceFileName,
+  listReferenceDatasets,
+  getReferenceDatasetLabel,
+  getReferenceTableName,
+  getReferenceColumnTypes
+} from './reference.js';
+
+describe('parseReferenceFileName', () => {
+  it('should read the nomenclature and year', () => {
+    expect(parseReferenceFileName('./reference/cim10-2024.tsv')).toEqual({ nomenclature: 'cim10', year: 2024, sample: false });
+    expect(parseReferenceFileName('./reference/cim10-2024.sample.tsv')).toEqual({ nomenclature: 'cim10', year: 2024, sample: true });
+    expect(parseReferenceFileName('./reference/cim10.tsv')).toBeNull();
+    expect(parseReferenceFileName('./reference/cim10-2024.csv')).toBeNull();
+  });
+});
+
+describe('listReferenceDatasets', () => {
+  it('should list datasets by nomenclature, most recent year first, skipping unknown nomenclatures', () => {
+    const load = async () => '';
+    const datasets = listReferenceDatasets({
+      './reference/ghm-2024.tsv': load,
+      './reference/cim10-2023.tsv': load,
+      './reference/cim10-2024.tsv': load,
+      './reference/loinc-2024.tsv': load
+    });
+
+    expect(datasets.map(d => d.id)).toEqual(['cim10-2024', 'cim10-2023', 'ghm-2024']);
+    expect(datasets[0]).toMatchObject({ nomenclature: 'cim10', year: 2024, sample: false, file: 'cim10-2024.tsv', load });
+  });
+
+  it('should list samples after the complete release of their year', () => {
+    const load = async () => '';
+    const datasets = listReferenceDatasets({
+      './reference/ghm-2024.sample.tsv': load,
+      './reference/ghm-2024.tsv': load
+    });
+
+    expect(datasets.map(d => d.id)).toEqual(['ghm-2024', 'ghm-2024-sample']);
+    expect(datasets[1]).toMatchObject({ sample: true, file: 'ghm-2024.sample.tsv' });
+  });
+});
+
+describe('bundled reference datasets', () => {
+  it('should ship every nomenclature', () => {
+    expect(NOMENCLATURES.map(n => n.id).every(id => REFERENCE_DATASETS.some(d => d.nomenclature === id))).toBe(true);
+  });
+
+  it('should be marked as samples, the complete releases are not bundled', () => {
+    expect(REFERENCE_DATASETS.every(d => d.sample)).toBe(true);
+  });
+
+  it('should have the columns of their nomenclature and a code and label on every row', async () => {
+    for (const dataset of REFERENCE_DATASETS) {
+      const [header, ...rows] = (await dataset.load()).replace(/\n$/, '').split('\n');
+      const columns = getNomenclature(dataset.nomenclature).columns;
+
+      expect(header.split('\t')).toEqual(columns);
+      expect(rows.length).toBeGreaterThan(0);
+      for (const row of rows) {
+        const cells = row.split('\t');
+        expect(cells).toHaveLength(columns.length);
+        expect(cells[0] && cells[1]).toBeTruthy();
+      }
+    }
+  });
+});
+
+describe('getReferenceTableName', () => {
+  it('should name tables after the nomenclature and year', () => {
+    expect(getReferenceTableName({ nomenclature: 'ccam', year: 2024 })).toBe('ref_ccam_2024');
+    expect(getReferenceTableName({ nomenclature: 'ccam', year: 2024, sample: true })).toBe('ref_ccam_2024_sample');
+  });
+});
+
+describe('getReferenceDatasetLabel', () => {
+  it('should label datasets with their nomenclature and year, and samples as such', () => {
+    expect(getReferenceDatasetLabel({ nomenclature: 'cim10', year: 2024 })).toBe('CIM-10 2024');
+    expect(getReferenceDatasetLabel({ nomenclature: 'cim10', year: 2024, sample: true })).toBe('CIM-10 2024 (sample)');
+  });
+});
+
+describe('getReferenceColumnTypes', () => {
+  it('should read every column as text', () => {
+    expect(getReferenceColumnTypes('ghm')).toEqual({
+      ghm: 'VARCHAR',
+      libelle: 'VARCHAR',
+      cmd: 'VARCHAR',
+      cmd_libelle: 'VARCHAR',
+      ghs: 'VARCHAR'
+    });
+  });
+});
@@ -1,4 +1,22 @@
-import { CONFIG } from '../shared/constants.js';
+import { CONFIG, STORAGE_MODES } from '../shared/constants.js';
+import { detectATIHLayout } from './atih-parser.js';
+import { quoteIdentifier } from '../database/queries.js';
+
+/**
+ * Supported file extensions and the loader format they map to
+ * .txt files are 'text': ATIH fixed-width exports or delimited text, told apart by their content.
+ */
+export const FILE_FORMATS = {
+  '.parquet': 'parquet',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.rsa': 'atih',
+  '.rss': 'atih',
+  '.rum': 'atih',
+  '.txt': 'text',
+  '.zip': 'zip',
+  '.duckdb': 'duckdb'
+};
 
 /**
  * Sanitize filename to create SQL-safe table name
@@ -6,8 +24,8 @@ import { CONFIG } from '../shared/constants.js';
  * @returns {string} - Sanitized table name
  */
 export function sanitizeTableName(filename) {
-  // Remove .parquet extension if present
-  let name = filename.replace(/\.parquet$/i, '');
+  // Remove supported file extension if present
+  let name = filename.replace(/\.(parquet|csv|tsv|duckdb)$/i, '');
 
   // Convert to lowercase
   name = name.toLowerCase();
@@ -54,15 +72,80 @@ export function generateUniqueTableName(baseName, existingNames) {
 }
 
 /**
- * Handle file upload and validate parquet file
+ * Detect the loader format of a file from its extension
+ * @param {string} filename - Original filename
+ * @returns {string|null} - 'parquet', 'csv', 'atih', 'text', 'zip', 'duckdb', or null if unsupported
+ */
+export function getFileFormat(filename) {
+  const match = filename.toLowerCase().match(/\.[a-z0-9]+$/);
+  return match ? FILE_FORMATS[match[0]] || null : null;
+}
+
+/**
+ * Tell an ATIH fixed-width file from delimited text by matching its first line against the ATIH layouts
+ * @param {ArrayBuffer|Uint8Array} buffer - File content
+ * @returns {string} - 'atih', or 'csv' to go through the CSV import dialog
+ */
+export function detectTextFormat(buffer) {
+  // The first line is enough, and ATIH exports are Latin-1 encoded
+  const bytes = (buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)).subarray(0, 4096);
+  const [firstLine] = new TextDecoder('latin1').decode(bytes).split(/\r?\n/);
+  return detectATIHLayout(firstLine) ? 'atih' : 'csv';
+}
+
+/**
+ * Choose how a file is made available to DuckDB
+ * Only Parquet and DuckDB database files can be read lazily from a file handle;
+ * other formats are parsed or transcoded in memory.
+ * @param {string} format - Format from getFileFormat
+ * @param {number} size - File size in bytes
+ * @param {number} [threshold] - Size above which the file is registered by handle
+ * @returns {string} - One of STORAGE_MODES
+ */
+export function getStorageMode(format, size, threshold = CONFIG.LARGE_FILE_THRESHOLD) {
+  const lazy = format === 'parquet' || format === 'duckdb';
+  return lazy && size > threshold ? STORAGE_MODES.HANDLE : STORAGE_MODES.BUFFER;
+}
+
+/**
+ * Get the names a loaded file can be queried by
+ * Attached databases expose their tables as alias.table (main schema) or alias.schema.table, each part quoted
+ * as the database names them.
+ * @param {Object} file - Loaded file metadata
+ * @returns {string[]}
+ */
+export function getQueryableTableNames(file) {
+  if (!file.attachedTables) {
+    return [file.tableName];
+  }
+
+  return file.attachedTables.map(t =>
+    (t.schema === 'main' ? [file.tableName, t.name] : [file.tableName, t.schema, t.name]).map(quoteIdentifier).join('.')
+  );
+}
+
+/**
+ * Handle file upload and validate file type
+ * Large Parquet files are not read: the File itself is returned so it can be registered by handle.
+ * The format of .txt files is detected from their content.
  * @param {File} file - File object
- * @returns {Promise<{name: string, buffer: ArrayBuffer}>}
+ * @returns {Promise<{name: string, format: string, size: number, storageMode: string, buffer?: ArrayBuffer, file?: File}>}
  */
 export async function handleFileUpload(file) {
-  if (!file.name.endsWith('.parquet')) {
-    throw new Error('Only .parquet files are supported');
+  let format = getFileFormat(file.name);
+  if (!format) {
+    throw new Error(`Only ${Object.keys(FILE_FORMATS).join(', ')} files are supported`);
+  }
+
+  const size = file.size;
+  const storageMode = getStorageMode(format, size);
+  if (storageMode === STORAGE_MODES.HANDLE) {
+    return { name: file.name, file, format, size, storageMode };
   }
 
   const buffer = await file.arrayBuffer();
-  return { name: file.name, buffer };
+  if (format === 'text') {
+    format = detectTextFormat(buffer);
+  }
+  return { name: file.name, buffer, format, size: buffer.byteLength, storageMode };
 }
@@ -1,5 +1,13 @@
 import { describe, it, expect, vi } from 'vitest';
-import { sanitizeTableName, generateUniqueTableName, handleFileUpload } from './table-manager.js';
+import {
+  sanitizeTableName,
+  generateUniqueTableName,
+  handleFileUpload,
+  getFileFormat,
+  detectTextFormat,
+  getStorageMode,
+  getQueryableTableNames
+} from './table-manager.js';
 
 describe('sanitizeTableName', () => {
   it('should remove .parquet extension', () => {
@@ -41,6 +49,53 @@ describe('sanitizeTableName', () => {
   it('should handle names without extension', () => {
     expect(sanitizeTableName('fixe')).toBe('fixe');
   });
+
+  it('should remove .csv and .tsv extensions', () => {
+    expect(sanitizeTableName('rsa_2024.csv')).toBe('rsa_2024');
+    expect(sanitizeTableName('Diag.TSV')).toBe('diag');
+  });
+});
+
+describe('getFileFormat', () => {
+  it('should detect parquet files', () => {
+    expect(getFileFormat('fixe.parquet')).toBe('parquet');
+  });
+
+  it('should detect duckdb database files', () => {
+    expect(getFileFormat('prepared.duckdb')).toBe('duckdb');
+  });
+
+  it('should detect csv and tsv files as csv', () => {
+    expect(getFileFormat('fixe.csv')).toBe('csv');
+    expect(getFileFormat('fixe.tsv')).toBe('csv');
+  });
+
+  it('should be case insensitive', () => {
+    expect(getFileFormat('FIXE.CSV')).toBe('csv');
+  });
+
+  it('should return null for unsupported files', () => {
+    expect(getFileFormat('fixe.xlsx')).toBeNull();
+    expect(getFileFormat('fixe')).toBeNull();
+  });
+
+  it('should leave the format of txt files to their content', () => {
+    expect(getFileFormat('export.txt')).toBe('text');
+  });
+});
+
+describe('detectTextFormat', () => {
+  const encode = (text) => new TextEncoder().encode(text).buffer;
+
+  it('should detect ATIH fixed-width files from their first line', () => {
+    const rssLine = '0105M092 022'.padEnd(192);
+    expect(detectTextFormat(encode(`${rssLine}\n${rssLine}\n`))).toBe('atih');
+  });
+
+  it('should send delimited text to the CSV import', () => {
+    expect(detectTextFormat(encode('finess\tnum_rss\n750000001\t1\n'))).toBe('csv');
+    expect(detectTextFormat(encode('finess;num_rss\n750000001;1\n'))).toBe('csv');
+  });
 });
 
 describe('generateUniqueTableName', () => {
@@ -65,13 +120,60 @@ describe('generateUniqueTableName', () => {
   });
 });
 
+describe('getQueryableTableNames', () => {
+  it('should return the table name for views', () => {
+    expect(getQueryableTableNames({ tableName: 'fixe' })).toEqual(['fixe']);
+  });
+
+  it('should qualify tables of attached databases', () => {
+    const file = {
+      tableName: 'prepared',
+      attachedTables: [{ schema: 'main', name: 'sejours' }, { schema: 'ref', name: 'cim10' }]
+    };
+    expect(getQueryableTableNames(file)).toEqual(['"prepared"."sejours"', '"prepared"."ref"."cim10"']);
+  });
+
+  it('should quote names with spaces and reserved words', () => {
+    const file = { tableName: 'prepared', attachedTables: [{ schema: 'my schema', name: 'select' }] };
+    expect(getQueryableTableNames(file)).toEqual(['"prepared"."my schema"."select"']);
+  });
+});
+
+describe('getStorageMode', () => {
+  it('should use a buffer below the threshold', () => {
+    expect(getStorageMode('parquet', 1000, 2000)).toBe('buffer');
+  });
+
+  it('should use a handle for parquet above the threshold', () => {
+    expect(getStorageMode('parquet', 3000, 2000)).toBe('handle');
+  });
+
+  it('should use a handle for large duckdb files', () => {
+    expect(getStorageMode('duckdb', 3000, 2000)).toBe('handle');
+  });
+
+  it('should always use a buffer for other formats', () => {
+    expect(getStorageMode('csv', 3000, 2000)).toBe('buffer');
+    expect(getStorageMode('atih', 3000, 2000)).toBe('buffer');
+  });
+});
+
 describe('handleFileUpload', () => {
-  it('should reject non-parquet files', async () => {
+  it('should reject unsupported files', async () => {
     const file = {
-      name: 'test.csv',
+      name: 'test.xlsx',
       arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(8))
     };
-    await expect(handleFileUpload(file)).rejects.toThrow('Only .parquet files are supported');
+    await expect(handleFileUpload(file)).rejects.toThrow('Only .parquet, .csv, .tsv, .rsa, .rss, .rum, .txt, .zip, .duckdb files are supported');
+  });
+
+  it('should detect the format of txt files from their content', async () => {
+    const file = {
+      name: 'export.txt',
+      size: 18,
+      arrayBuffer: vi.fn().mockResolvedValue(new TextEncoder().encode('finess;age\n1;2\n').buffer)
+    };
+    expect((await handleFileUpload(file)).format).toBe('csv');
   });
 
   it('should accept parquet files', async () => {
@@ -83,6 +185,39 @@ describe('handleFileUpload', () => {
     const result = await handleFileUpload(file);
     expect(result.name).toBe('test.parquet');
     expect(result.buffer).toBe(mockBuffer);
+    expect(result.format).toBe('parquet');
+  });
+
+  it('should report size and buffer storage mode for small files', async () => {
+    const file = {
+      name: 'test.parquet',
+      size: 8,
+      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(8))
+    };
+    const result = await handleFileUpload(file);
+    expect(result.size).toBe(8);
+    expect(result.storageMode).toBe('buffer');
+  });
+
+  it('should not read large parquet files into memory', async () => {
+    const file = {
+      name: 'national.parquet',
+      size: 4 * 1024 * 1024 * 1024,
+      arrayBuffer: vi.fn()
+    };
+    const result = await handleFileUpload(file);
+    expect(file.arrayBuffer).not.toHaveBeenCalled();
+    expect(result.file).toBe(file);
+    expect(result.storageMode).toBe('handle');
+  });
+
+  it('should accept csv and tsv files', async () => {
+    const file = {
+      name: 'test.tsv',
+      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(8))
+    };
+    const result = await handleFileUpload(file);
+    expect(result.format).toBe('csv');
   });
 
   it('should accept .PARQUET files (case insensitive)', async () => {
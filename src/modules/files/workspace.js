@@ -0,0 +1,110 @@
+import { readZipEntries, extractZipEntry, createZipArchive } from './archive.js';
+import { sanitizeTableName } from './table-manager.js';
+
+/**
+ * Version of the workspace manifest format
+ */
+export const WORKSPACE_VERSION = 1;
+
+/**
+ * Name of the manifest member at the root of a workspace archive
+ */
+export const WORKSPACE_MANIFEST = 'workspace.json';
+
+/**
+ * Folder of the archive holding the registered data files
+ */
+export const WORKSPACE_DATA_DIRECTORY = 'data/';
+
+/**
+ * Check whether the members of a ZIP archive make up a workspace
+ * @param {Array<Object>} entries - Members returned by readZipEntries
+ * @returns {boolean}
+ */
+export function isWorkspaceArchive(entries) {
+  return entries.some(entry => entry.name === WORKSPACE_MANIFEST);
+}
+
+/**
+ * Get the download file name of a workspace
+ * @param {string} name - Workspace name
+ * @returns {string} - e.g. 'revue_2024.workspace.zip'
+ */
+export function getWorkspaceFileName(name) {
+  return `${sanitizeTableName(name)}.workspace.zip`;
+}
+
+/**
+ * Build the manifest describing a workspace
+ * @param {Object} workspace
+ * @param {string} workspace.name - Workspace name
+ * @param {Array<Object>} workspace.tables - Table registry, from getAllTablesMetadata
+ * @param {Array<{name: string, sql: string}>} [workspace.savedQueries] - Saved queries
+ * @param {string} [workspace.editorSQL] - SQL editor contents
+ * @param {Array<Object>} [workspace.relationships] - Declared relationships between tables
+ * @param {boolean} [workspace.includeData] - Whether the data files are bundled
+ * @returns {Object}
+ */
+export function buildWorkspaceManifest({ name, tables, savedQueries = [], editorSQL = '', relationships = [], includeData = false }) {
+  return {
+    version: WORKSPACE_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    includeData,
+    // Cache status and storage mode only make sense in the session that loaded the file
+    tables: tables.map(({ cached, storageMode, ...table }) => table),
+    savedQueries,
+    editorSQL,
+    relationships
+  };
+}
+
+/**
+ * Bundle a workspace manifest and its data files into a ZIP archive
+ * @param {Object} manifest - From buildWorkspaceManifest
+ * @param {Map<string, ArrayBuffer|Uint8Array>} [dataFiles] - Registered file name => content
+ * @returns {Uint8Array} - Archive content
+ */
+export function createWorkspaceArchive(manifest, dataFiles = new Map()) {
+  const files = [{ name: WORKSPACE_MANIFEST, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }];
+  for (const [fileName, data] of dataFiles) {
+    files.push({ name: `${WORKSPACE_DATA_DIRECTORY}${fileName}`, data });
+  }
+  return createZipArchive(files);
+}
+
+/**
+ * Read a workspace archive
+ * @param {ArrayBuffer} buffer - Archive content
+ * @param {Array<Object>} [entries] - Members, if already listed with readZipEntries
+ * @returns {Promise<{manifest: Object, dataFiles: Map<string, ArrayBuffer>}>}
+ */
+export async function readWorkspaceArchive(buffer, entries = readZipEntries(buffer)) {
+  const manifestEntry = entries.find(entry => entry.name === WORKSPACE_MANIFEST);
+  if (!manifestEntry) {
+    throw new Error('Not a workspace archive');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(await extractZipEntry(buffer, manifestEntry)));
+  } catch (error) {
+    throw new Error('Corrupted workspace manifest');
+  }
+
+  if (!Array.isArray(manifest.tables)) {
+    throw new Error('Corrupted workspace manifest');
+  }
+  if (manifest.version > WORKSPACE_VERSION) {
+    throw new Error(`Workspace version ${manifest.version} is not supported`);
+  }
+
+  const dataFiles = new Map();
+  for (const entry of entries) {
+    if (entry.name.startsWith(WORKSPACE_DATA_DIRECTORY)) {
+      dataFiles.set(entry.name.slice(WORKSPACE_DATA_DIRECTORY.length), await extractZipEntry(buffer, entry));
+    }
+  }
+
+  return { manifest, dataFiles };
+}
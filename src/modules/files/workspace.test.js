@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WORKSPACE_VERSION,
+  isWorkspaceArchive,
+  getWorkspaceFileName,
+  buildWorkspaceManifest,
+  createWorkspaceArchive,
+  readWorkspaceArchive
+} from './workspace.js';
+import { createZipArchive, readZipEntries } from './archive.js';
+
+const tables = [
+  {
+    tableName: 'sejours',
+    originalName: 'fixe.parquet',
+    source: "'fixe.parquet'",
+    format: 'parquet',
+    registeredFiles: ['fixe.parquet'],
+    rowCount: 10,
+    columnCount: 3,
+    uploadedAt: 1700000000000,
+    storageMode: 'buffer',
+    cached: true
+  }
+];
+
+describe('isWorkspaceArchive', () => {
+  it('should detect the workspace manifest', () => {
+    expect(isWorkspaceArchive([{ name: 'workspace.json' }, { name: 'data/fixe.parquet' }])).toBe(true);
+  });
+
+  it('should not match e-PMSI archives', () => {
+    expect(isWorkspaceArchive([{ name: 'out/750000001.rsa' }])).toBe(false);
+  });
+});
+
+describe('getWorkspaceFileName', () => {
+  it('should sanitize the workspace name', () => {
+    expect(getWorkspaceFileName('Revue 2024')).toBe('revue_2024.workspace.zip');
+  });
+});
+
+describe('buildWorkspaceManifest', () => {
+  it('should keep the registry with renames, queries and editor contents', () => {
+    const manifest = buildWorkspaceManifest({
+      name: 'Revue',
+      tables,
+      savedQueries: [{ name: 'count', sql: 'SELECT COUNT(*) FROM sejours' }],
+      editorSQL: 'SELECT * FROM sejours',
+      relationships: [{ fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'sejours', toColumns: ['num_rss'] }],
+      includeData: true
+    });
+
+    expect(manifest).toMatchObject({
+      version: WORKSPACE_VERSION,
+      name: 'Revue',
+      includeData: true,
+      savedQueries: [{ name: 'count', sql: 'SELECT COUNT(*) FROM sejours' }],
+      editorSQL: 'SELECT * FROM sejours',
+      relationships: [{ fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'sejours', toColumns: ['num_rss'] }]
+    });
+    expect(manifest.tables[0]).toMatchObject({ tableName: 'sejours', originalName: 'fixe.parquet', registeredFiles: ['fixe.parquet'] });
+  });
+
+  it('should drop session-only table state', () => {
+    const manifest = buildWorkspaceManifest({ name: 'Revue', tables });
+    expect(manifest.tables[0]).not.toHaveProperty('cached');
+    expect(manifest.tables[0]).not.toHaveProperty('storageMode');
+  });
+});
+
+describe('readWorkspaceArchive', () => {
+  it('should read back the manifest and data files', async () => {
+    const manifest = buildWorkspaceManifest({ name: 'Revue', tables, includeData: true });
+    const archive = createWorkspaceArchive(manifest, new Map([['fixe.parquet', new Uint8Array([7, 8])]]));
+
+    const workspace = await readWorkspaceArchive(archive.buffer);
+
+    expect(workspace.manifest).toEqual(manifest);
+    expect([...workspace.dataFiles.keys()]).toEqual(['fixe.parquet']);
+    expect(new Uint8Array(workspace.dataFiles.get('fixe.parquet'))).toEqual(new Uint8Array([7, 8]));
+  });
+
+  it('should accept already listed entries', async () => {
+    const archive = createWorkspaceArchive(buildWorkspaceManifest({ name: 'Revue', tables }));
+    const entries = readZipEntries(archive.buffer);
+
+    const { dataFiles } = await readWorkspaceArchive(archive.buffer, entries);
+
+    expect(dataFiles.size).toBe(0);
+  });
+
+  it('should reject archives without a manifest', async () => {
+    const archive = createZipArchive([{ name: 'fixe.csv', data: new Uint8Array([65]) }]);
+    await expect(readWorkspaceArchive(archive.buffer)).rejects.toThrow('Not a workspace archive');
+  });
+
+  it('should reject corrupted manifests', async () => {
+    const archive = createZipArchive([{ name: 'workspace.json', data: new TextEncoder().encode('{oops') }]);
+    await expect(readWorkspaceArchive(archive.buffer)).rejects.toThrow('Corrupted workspace manifest');
+  });
+
+  it('should reject newer workspace versions', async () => {
+    const manifest = { version: WORKSPACE_VERSION + 1, tables: [] };
+    const archive = createZipArchive([{ name: 'workspace.json', data: new TextEncoder().encode(JSON.stringify(manifest)) }]);
+    await expect(readWorkspaceArchive(archive.buffer)).rejects.toThrow(`Workspace version ${WORKSPACE_VERSION + 1} is not supported`);
+  });
+});
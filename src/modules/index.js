@@ -8,19 +8,26 @@
 // Shared utilities
 export {
   CONFIG,
+  STORAGE_MODES,
+  STORAGE_KEYS,
   MESSAGES,
   CSS_CLASSES,
   DOM_IDS,
   EVENTS,
   EventBus,
-  events
+  events,
+  formatFileSize
 } from './shared/index.js';
 
 // Database operations
 export {
   validateSQL,
   formatQueryResults,
-  createResultsTable
+  createResultsTable,
+  QueryCancelledError,
+  QueryPager,
+  SavedQueries,
+  RuleSet
 } from './database/index.js';
 
 // File operations
@@ -28,6 +35,24 @@ export {
   sanitizeTableName,
   generateUniqueTableName,
   handleFileUpload,
+  getFileFormat,
+  getQueryableTableNames,
+  getDefaultCSVOptions,
+  buildReadCSVSQL,
+  ATIH_LAYOUTS,
+  parseATIHFile,
+  readZipEntries,
+  extractZipEntry,
+  createZipArchive,
+  buildWorkspaceManifest,
+  createWorkspaceArchive,
+  readWorkspaceArchive,
+  groupFilesByFolder,
+  buildReadParquetSQL,
+  DatasetCache,
+  getStorageEstimate,
+  NOMENCLATURES,
+  REFERENCE_DATASETS,
   escapeCSVCell,
   convertToCSV,
   generateFilename,
@@ -35,11 +60,45 @@ export {
   exportToCSV
 } from './files/index.js';
 
+// SQL templates and macros
+export {
+  parseMacroFiles,
+  registerMacros,
+  CATEGORIES,
+  getAllTemplates,
+  getTemplateById,
+  getMissingTables,
+  searchTemplates,
+  validateParameterValues,
+  bindParameters,
+  ParameterValues,
+  validateTemplate,
+  exportTemplatePack,
+  parseTemplatePack,
+  TemplateStore
+} from './templates/index.js';
+
 // UI components
 export {
   StatusIndicator,
   ResultsTableUI,
+  VirtualGrid,
   FileListUI,
   DiagnosticsUI,
-  SQLEditor
+  ProfileUI,
+  DuplicatesUI,
+  RelationshipsUI,
+  SchemaDiffUI,
+  RulesUI,
+  CodeQualityUI,
+  SQLEditor,
+  CSVImportDialog,
+  ZipImportDialog,
+  StorageUsageUI,
+  SavedQueriesUI,
+  MacroLibraryUI,
+  CommandPaletteUI,
+  ParameterFormUI,
+  TemplateEditorUI,
+  ReferenceTablesUI
 } from './ui/index.js';
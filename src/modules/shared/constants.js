@@ -3,8 +3,64 @@
  */
 export const CONFIG = {
   MAX_RESULT_ROWS: 50,
+  // Locale of numbers and dates in the results grid
+  LOCALE: 'fr-FR',
+  // Query results are fetched one page at a time
+  DEFAULT_PAGE_SIZE: 50,
+  PAGE_SIZES: [25, 50, 100, 500, 1000, 10000, 100000],
+  // Results grid: only rows in view are rendered, rows are fetched in blocks as they scroll into view
+  GRID_BLOCK_SIZE: 200,
+  GRID_MAX_BLOCKS: 50,
+  GRID_ROW_HEIGHT: 30,
+  GRID_HEIGHT: 360,
+  GRID_OVERSCAN_ROWS: 10,
+  GRID_COLUMN_WIDTH: 160,
+  GRID_MIN_COLUMN_WIDTH: 40,
+  // Column profiles: buckets of the numeric and date histograms, values listed for other columns
+  PROFILE_HISTOGRAM_BINS: 20,
+  PROFILE_TOP_VALUES: 5,
+  SPARKLINE_WIDTH: 120,
+  SPARKLINE_HEIGHT: 24,
+  // Most duplicated keys listed by the duplicate inspector
+  DUPLICATE_TOP_GROUPS: 20,
+  // Unmatched rows shown by the relationship checker
+  RELATIONSHIP_SAMPLE_ROWS: 5,
+  // Share by which a null rate or distinct count must move to be flagged by the schema diff
+  SCHEMA_DIFF_THRESHOLD: 0.05,
+  // Failing rows shown for each broken data-quality rule
+  RULE_SAMPLE_ROWS: 5,
+  // Invalid-code rate above which a code column is highlighted
+  INVALID_CODE_HIGH_RATE: 0.05,
+  // Values offered by a template parameter picking from a column
+  PARAMETER_OPTIONS_LIMIT: 500,
   DEFAULT_EXPORT_FILENAME: 'DuckPMSI-results',
-  TABLE_FALLBACK_NAME: 'table'
+  DEFAULT_WORKSPACE_NAME: 'DuckPMSI-workspace',
+  TABLE_FALLBACK_NAME: 'table',
+  // Parquet files larger than this are registered by handle instead of being copied into memory
+  LARGE_FILE_THRESHOLD: 256 * 1024 * 1024,
+  // Storage usage above this share of the quota is highlighted
+  STORAGE_WARNING_RATIO: 0.8,
+  // Queries running longer than this are cancelled automatically (0 disables the timeout)
+  QUERY_TIMEOUT_MS: 0
+};
+
+/**
+ * How a file's bytes are made available to DuckDB
+ */
+export const STORAGE_MODES = {
+  BUFFER: 'buffer',
+  HANDLE: 'handle'
+};
+
+/**
+ * Browser storage keys (localStorage, IndexedDB)
+ */
+export const STORAGE_KEYS = {
+  SAVED_QUERIES: 'duckmsi-saved-queries',
+  RULES: 'duckmsi-rules',
+  TEMPLATE_PARAMETERS: 'duckmsi-template-parameters',
+  // IndexedDB database of the user templates
+  TEMPLATE_DATABASE: 'duckmsi-templates'
 };
 
 /**
@@ -14,6 +70,7 @@ export const MESSAGES = {
   INITIALIZING: 'Initializing DuckDB...',
   READY: 'DuckDB Ready',
   NO_RESULTS: 'Query returned no results.',
+  QUERY_CANCELLED: 'Query cancelled',
   NO_FILES: 'No files loaded',
   RESULTS_PLACEHOLDER: 'Results will appear here after executing a query.',
   UPLOAD_FILES_HINT: 'Upload files to see statistics'
@@ -27,17 +84,27 @@ export const CSS_CLASSES = {
   READY: 'ready',
   ERROR: 'error',
   SUCCESS: 'success',
+  CANCELLED: 'cancelled',
+  PAGINATION: 'pagination',
   VISIBLE: 'visible',
   DRAGOVER: 'dragover',
   MESSAGE: 'message',
   RESULTS_TABLE: 'results-table',
+  VIRTUAL_GRID: 'virtual-grid',
+  RESULTS_TOOLBAR: 'results-toolbar',
   TABLE_NAME: 'table-name',
   TABLE_NAME_COL: 'table-name-col',
   NUMBER_COL: 'number-col',
   EMPTY_MESSAGE: 'empty-message',
+  FILE_DETAILS: 'file-details',
+  ATTACHED_TABLES: 'attached-tables',
+  CACHED_BADGE: 'cached-badge',
+  REFERENCE_BADGE: 'reference-badge',
+  STORAGE_WARNING: 'storage-warning',
   DUPLICATE_LOW: 'duplicate-low',
   DUPLICATE_MEDIUM: 'duplicate-medium',
-  DUPLICATE_HIGH: 'duplicate-high'
+  DUPLICATE_HIGH: 'duplicate-high',
+  ESTIMATE: 'estimate'
 };
 
 /**
@@ -48,14 +115,40 @@ export const DOM_IDS = {
   DROP_ZONE: 'drop-zone',
   UPLOAD_BTN: 'upload-btn',
   FILE_INPUT: 'file-input',
+  UPLOAD_FOLDER_BTN: 'upload-folder-btn',
+  FOLDER_INPUT: 'folder-input',
   FILE_LIST_BODY: 'file-list-body',
   CLEAR_ALL_BTN: 'clear-all-btn',
+  SAVE_WORKSPACE_BTN: 'save-workspace-btn',
+  STORAGE_USAGE: 'storage-usage',
+  REFERENCE_TABLES: 'reference-tables',
   DIAGNOSTICS_DASHBOARD: 'diagnostics-dashboard',
   DIAGNOSTICS_BODY: 'diagnostics-body',
+  PROFILE_PANEL: 'profile-panel',
+  DUPLICATES_PANEL: 'duplicates-panel',
+  RELATIONSHIPS_PANEL: 'relationships-panel',
+  SCHEMA_DIFF_PANEL: 'schema-diff-panel',
+  RULES_PANEL: 'rules-panel',
+  CODE_QUALITY_PANEL: 'code-quality-panel',
   SQL_INPUT: 'sql-input',
   EXECUTE_BTN: 'execute-btn',
+  CANCEL_BTN: 'cancel-btn',
+  SAVED_QUERIES_SELECT: 'saved-queries-select',
+  SAVE_QUERY_BTN: 'save-query-btn',
+  DELETE_QUERY_BTN: 'delete-query-btn',
+  MACRO_LIBRARY: 'macro-library',
+  TEMPLATES_BTN: 'templates-btn',
+  COMMAND_PALETTE: 'command-palette',
+  PARAMETER_FORM: 'parameter-form',
+  SAVE_TEMPLATE_BTN: 'save-template-btn',
+  EXPORT_TEMPLATES_BTN: 'export-templates-btn',
+  IMPORT_TEMPLATES_BTN: 'import-templates-btn',
+  TEMPLATE_PACK_INPUT: 'template-pack-input',
+  TEMPLATE_EDITOR: 'template-editor',
   RESULTS_BOX: 'results-box',
   EXPORT_BTN: 'export-btn',
   SQL_SECTION: 'sql-section',
-  RESULTS_SECTION: 'results-section'
+  RESULTS_SECTION: 'results-section',
+  CSV_IMPORT_DIALOG: 'csv-import-dialog',
+  ZIP_IMPORT_DIALOG: 'zip-import-dialog'
 };
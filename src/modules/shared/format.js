@@ -0,0 +1,133 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. '512 B', '2.0 KB', '1.5 MB', '3.2 GB'
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+const NESTED_KINDS = ['list', 'struct', 'map'];
+
+/**
+ * Check whether a cell value holds a list, struct or map
+ * @param {*} value - Cell value
+ * @param {Object|null} [type] - Column type from describeColumnType
+ * @returns {boolean}
+ */
+export function isNestedValue(value, type = null) {
+  if (value === null || value === undefined) return false;
+  if (type) return NESTED_KINDS.includes(type.kind);
+  return typeof value === 'object' && !(value instanceof Date);
+}
+
+/**
+ * Convert Arrow vectors and rows (lists, structs, maps) into plain arrays and objects
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+export function toPlainValue(value) {
+  if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (typeof value.toArray === 'function') {
+    return Array.from(value, toPlainValue);
+  }
+  if (typeof value.toJSON === 'function') {
+    return toPlainValue(value.toJSON());
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+}
+
+/**
+ * Format a list, struct or map as JSON text
+ * @param {*} value - Cell value
+ * @param {boolean} [pretty=false] - Indent nested levels, for the expanded view
+ * @returns {string}
+ */
+export function formatNestedValue(value, pretty = false) {
+  const replacer = (key, item) => (typeof item === 'bigint' ? item.toString() : item);
+  return JSON.stringify(toPlainValue(value), replacer, pretty ? 2 : undefined);
+}
+
+/**
+ * Format a DECIMAL value, which Arrow returns as its unscaled integer digits
+ * @param {*} value - Decimal value (Arrow BigNum, bigint or number)
+ * @param {number} scale - Number of digits after the decimal point
+ * @returns {string}
+ */
+function formatDecimal(value, scale) {
+  const numbers = new Intl.NumberFormat(CONFIG.LOCALE);
+  if (typeof value === 'number') {
+    return new Intl.NumberFormat(CONFIG.LOCALE, { minimumFractionDigits: scale, maximumFractionDigits: scale }).format(value);
+  }
+
+  const digits = String(value);
+  const negative = digits.startsWith('-');
+  const padded = (negative ? digits.slice(1) : digits).padStart(scale + 1, '0');
+  const whole = numbers.format(BigInt(padded.slice(0, padded.length - scale)));
+  const separator = numbers.formatToParts(1.5).find(part => part.type === 'decimal').value;
+  const fraction = scale > 0 ? `${separator}${padded.slice(padded.length - scale)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * Format a TIME value, which Arrow returns as a count of units since midnight
+ * @param {number|bigint} value - Time value
+ * @param {string} unit - 'SECOND', 'MILLISECOND', 'MICROSECOND' or 'NANOSECOND'
+ * @returns {string} - HH:MM:SS
+ */
+function formatTime(value, unit) {
+  const perSecond = { SECOND: 1n, MILLISECOND: 1000n, MICROSECOND: 1000000n, NANOSECOND: 1000000000n }[unit] || 1000000n;
+  const seconds = Number(BigInt(value) / perSecond);
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Format a cell value for display according to its column type
+ * Values of unknown type are shown as text, except bigints and nested values.
+ * @param {*} value - Cell value
+ * @param {Object|null} [type] - Column type from describeColumnType
+ * @returns {string} - 'NULL' for null values
+ */
+export function formatCellValue(value, type = null) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (isNestedValue(value, type)) {
+    return formatNestedValue(value);
+  }
+
+  switch (type?.kind) {
+    case 'integer':
+    case 'bigint':
+      return new Intl.NumberFormat(CONFIG.LOCALE).format(value);
+    case 'float':
+      return new Intl.NumberFormat(CONFIG.LOCALE, { maximumFractionDigits: 6 }).format(value);
+    case 'decimal':
+      return formatDecimal(value, type.scale);
+    case 'date':
+      return new Intl.DateTimeFormat(CONFIG.LOCALE, { dateStyle: 'short', timeZone: 'UTC' }).format(value);
+    case 'timestamp':
+      // Timestamps without a time zone are wall-clock times, stored as if in UTC
+      return new Intl.DateTimeFormat(CONFIG.LOCALE, {
+        dateStyle: 'short',
+        timeStyle: 'medium',
+        timeZone: type.timezone ? undefined : 'UTC'
+      }).format(value);
+    case 'time':
+      return formatTime(value, type.unit);
+    default:
+      return typeof value === 'bigint' ? new Intl.NumberFormat(CONFIG.LOCALE).format(value) : String(value);
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { formatFileSize, formatCellValue, formatNestedValue, isNestedValue, toPlainValue } from './format.js';
+
+describe('formatFileSize', () => {
+  it('should format bytes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+  });
+
+  it('should format kilobytes and megabytes', () => {
+    expect(formatFileSize(2048)).toBe('2.0 KB');
+    expect(formatFileSize(1.5 * 1024 * 1024)).toBe('1.5 MB');
+  });
+
+  it('should format gigabytes', () => {
+    expect(formatFileSize(3 * 1024 * 1024 * 1024)).toBe('3.0 GB');
+  });
+});
+
+describe('formatCellValue', () => {
+  const type = (kind, extra = {}) => ({ kind, name: kind, ...extra });
+
+  it('should show NULL for missing values and keep empty strings', () => {
+    expect(formatCellValue(null)).toBe('NULL');
+    expect(formatCellValue(undefined, type('string'))).toBe('NULL');
+    expect(formatCellValue('', type('string'))).toBe('');
+  });
+
+  it('should add thousands separators to integers and bigints', () => {
+    expect(formatCellValue(1234567, type('integer'))).toMatch(/^1\s234\s567$/);
+    expect(formatCellValue(9007199254740993n, type('bigint'))).toMatch(/^9\s007\s199\s254\s740\s993$/);
+    expect(formatCellValue(12345n)).toMatch(/^12\s345$/);
+  });
+
+  it('should format floats with a decimal comma', () => {
+    expect(formatCellValue(1234.5, type('float'))).toMatch(/^1\s234,5$/);
+  });
+
+  it('should apply the scale of decimals', () => {
+    const decimal = type('decimal', { scale: 2 });
+    expect(formatCellValue({ toString: () => '123456' }, decimal)).toMatch(/^1\s234,56$/);
+    expect(formatCellValue({ toString: () => '-5' }, decimal)).toBe('-0,05');
+    expect(formatCellValue(12.5, decimal)).toBe('12,50');
+    expect(formatCellValue({ toString: () => '42' }, type('decimal', { scale: 0 }))).toBe('42');
+  });
+
+  it('should format dates and timestamps in the French locale', () => {
+    expect(formatCellValue(Date.UTC(2024, 0, 31), type('date'))).toBe('31/01/2024');
+    expect(formatCellValue(Date.UTC(2024, 0, 31, 14, 5, 9), type('timestamp', { timezone: null }))).toBe('31/01/2024 14:05:09');
+  });
+
+  it('should format times', () => {
+    expect(formatCellValue(50709000000n, type('time', { unit: 'MICROSECOND' }))).toBe('14:05:09');
+  });
+
+  it('should format nested values as JSON', () => {
+    expect(formatCellValue(['I500', 'E119'], type('list'))).toBe('["I500","E119"]');
+    expect(formatCellValue({ code: 'I500', n: 2n })).toBe('{"code":"I500","n":"2"}');
+  });
+});
+
+describe('toPlainValue', () => {
+  it('should convert Arrow vectors and rows', () => {
+    const vector = { toArray: () => [], [Symbol.iterator]: function* () { yield { toJSON: () => ({ a: 1 }) }; } };
+    expect(toPlainValue(vector)).toEqual([{ a: 1 }]);
+  });
+});
+
+describe('formatNestedValue', () => {
+  it('should indent the expanded form', () => {
+    expect(formatNestedValue({ a: [1] }, true)).toBe('{\n  "a": [\n    1\n  ]\n}');
+  });
+});
+
+describe('isNestedValue', () => {
+  it('should use the column type when known', () => {
+    expect(isNestedValue([1], { kind: 'list' })).toBe(true);
+    expect(isNestedValue('x', { kind: 'string' })).toBe(false);
+    expect(isNestedValue(null, { kind: 'list' })).toBe(false);
+    expect(isNestedValue({ a: 1 })).toBe(true);
+  });
+});
@@ -1,5 +1,7 @@
 /**
  * Shared module exports
  */
-export { CONFIG, MESSAGES, CSS_CLASSES, DOM_IDS } from './constants.js';
+export { CONFIG, MESSAGES, CSS_CLASSES, DOM_IDS, STORAGE_MODES, STORAGE_KEYS } from './constants.js';
 export { EVENTS, EventBus, events } from './events.js';
+export { formatFileSize, formatCellValue, formatNestedValue, isNestedValue, toPlainValue } from './format.js';
+export { LocalStore } from './local-store.js';
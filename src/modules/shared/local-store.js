@@ -0,0 +1,41 @@
+/**
+ * JSON data kept in the browser's localStorage under one key
+ * Unreadable data reads as the fallback, so that a corrupted entry does not break the app.
+ */
+export class LocalStore {
+  /**
+   * @param {string} key - Storage key, see STORAGE_KEYS
+   * @param {Storage|null} [storage] - Where data is kept; null keeps it in memory only
+   */
+  constructor(key, storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+    this.key = key;
+    this.storage = storage;
+  }
+
+  /**
+   * Read the stored data
+   * @param {*} fallback - Returned when nothing readable is stored
+   * @param {Function} [accept] - (data) => boolean, whether the parsed data has the expected shape
+   * @returns {*}
+   */
+  read(fallback, accept = () => true) {
+    if (!this.storage) return fallback;
+
+    try {
+      const data = JSON.parse(this.storage.getItem(this.key));
+      return data !== null && accept(data) ? data : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Write data to storage
+   * @param {*} data - JSON-serializable data
+   */
+  write(data) {
+    if (this.storage) {
+      this.storage.setItem(this.key, JSON.stringify(data));
+    }
+  }
+}
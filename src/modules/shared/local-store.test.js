@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { LocalStore } from './local-store.js';
+import { createMemoryStorage } from '../../test-utils/memory-storage.js';
+
+describe('LocalStore', () => {
+  it('should write and read back JSON data', () => {
+    const storage = createMemoryStorage();
+    new LocalStore('key', storage).write([{ name: 'a' }]);
+
+    expect(storage.items.get('key')).toBe('[{"name":"a"}]');
+    expect(new LocalStore('key', storage).read([])).toEqual([{ name: 'a' }]);
+  });
+
+  it('should read the fallback for missing, unreadable or unexpected data', () => {
+    expect(new LocalStore('key', createMemoryStorage()).read([])).toEqual([]);
+    expect(new LocalStore('key', createMemoryStorage({ key: '{not json' })).read([])).toEqual([]);
+    expect(new LocalStore('key', createMemoryStorage({ key: '{}' })).read([], Array.isArray)).toEqual([]);
+  });
+
+  it('should keep nothing without storage', () => {
+    const store = new LocalStore('key', null);
+    store.write({ a: 1 });
+
+    expect(store.read({})).toEqual({});
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Template categories, in the order the command palette lists them
+ */
+export const CATEGORIES = [
+  { id: 'casemix', label: 'Casemix' },
+  { id: 'diagnoses', label: 'Diagnoses' },
+  { id: 'stays', label: 'Stays' },
+  { id: 'acts', label: 'Acts' },
+  { id: 'quality', label: 'Data quality' }
+];
+
+/**
+ * Get a category label
+ * @param {string} id - Category id
+ * @returns {string} - The label, or the id for an unknown category
+ */
+export function getCategoryLabel(id) {
+  return CATEGORIES.find(category => category.id === id)?.label ?? id;
+}
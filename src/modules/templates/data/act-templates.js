@@ -0,0 +1,29 @@
+/**
+ * Act templates: CCAM acts by code and by unit
+ */
+export const actTemplates = [
+  {
+    id: 'acts-per-unit',
+    title: 'Acts per unit',
+    description: 'CCAM acts and their realisations by medical unit (UM)',
+    category: 'acts',
+    requiredTables: ['acte', 'um'],
+    sql: `SELECT u.um, COUNT(*) AS actes, SUM(a.nb_realisations) AS realisations
+FROM acte a
+JOIN um u USING (finess, num_rss, num_rum)
+GROUP BY u.um
+ORDER BY actes DESC`
+  },
+  {
+    id: 'top-acts',
+    title: 'Top CCAM acts',
+    description: 'The 20 most performed CCAM acts',
+    category: 'acts',
+    requiredTables: ['acte'],
+    sql: `SELECT code_ccam, SUM(nb_realisations) AS realisations
+FROM acte
+GROUP BY code_ccam
+ORDER BY realisations DESC
+LIMIT 20`
+  }
+];
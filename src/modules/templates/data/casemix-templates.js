@@ -0,0 +1,52 @@
+/**
+ * Casemix templates: stays by GHM and CMD
+ */
+export const casemixTemplates = [
+  {
+    id: 'casemix',
+    title: 'Casemix by GHM',
+    description: 'Stays by GHM, error GHMs (CMD 90) excluded',
+    category: 'casemix',
+    requiredTables: ['fixe'],
+    macro: 'get_casemix',
+    sql: 'SELECT * FROM get_casemix()'
+  },
+  {
+    id: 'casemix-by-cmd',
+    title: 'Stays by CMD',
+    description: 'Stays by major diagnostic category (first two characters of the GHM)',
+    category: 'casemix',
+    requiredTables: ['fixe'],
+    sql: `SELECT substr(ghm, 1, 2) AS cmd, COUNT(*) AS effectif
+FROM fixe
+GROUP BY cmd
+ORDER BY cmd`
+  },
+  {
+    id: 'casemix-by-severity',
+    title: 'Stays by GHM severity',
+    description: 'Stays by severity level (last character of the GHM)',
+    category: 'casemix',
+    requiredTables: ['fixe'],
+    sql: `SELECT right(ghm, 1) AS severite, COUNT(*) AS effectif
+FROM fixe
+WHERE NOT is_error_ghm(ghm)
+GROUP BY severite
+ORDER BY severite`
+  },
+  {
+    id: 'casemix-by-ghm-root',
+    title: 'Stays of a GHM root',
+    description: 'Stays by GHM for one GHM root, e.g. 05K06',
+    category: 'casemix',
+    requiredTables: ['fixe'],
+    parameters: [
+      { name: 'ghm_root', label: 'GHM root', type: 'text' }
+    ],
+    sql: `SELECT ghm, COUNT(*) AS effectif
+FROM fixe
+WHERE starts_with(ghm, upper($ghm_root))
+GROUP BY ghm
+ORDER BY ghm`
+  }
+];
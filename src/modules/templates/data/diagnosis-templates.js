@@ -0,0 +1,48 @@
+/**
+ * Diagnosis templates: most frequent CIM-10 codes
+ */
+export const diagnosisTemplates = [
+  {
+    id: 'top-dp',
+    title: 'Top principal diagnoses',
+    description: 'The 20 most frequent principal diagnoses (DP) of the units stays',
+    category: 'diagnoses',
+    requiredTables: ['um'],
+    sql: `SELECT dp, COUNT(*) AS effectif
+FROM um
+WHERE dp IS NOT NULL
+GROUP BY dp
+ORDER BY effectif DESC
+LIMIT 20`
+  },
+  {
+    id: 'top-da',
+    title: 'Top associated diagnoses',
+    description: 'The 20 most frequent associated diagnoses (DA)',
+    category: 'diagnoses',
+    requiredTables: ['diag'],
+    sql: `SELECT code_diag, COUNT(*) AS effectif
+FROM diag
+WHERE type_diag = 'DA'
+GROUP BY code_diag
+ORDER BY effectif DESC
+LIMIT 20`
+  },
+  {
+    id: 'diagnoses-per-stay',
+    title: 'Associated diagnoses per stay',
+    description: 'Distribution of the number of associated diagnoses per stay',
+    category: 'diagnoses',
+    requiredTables: ['fixe', 'diag'],
+    sql: `SELECT COALESCE(d.nb_da, 0) AS nb_da, COUNT(*) AS sejours
+FROM fixe f
+LEFT JOIN (
+  SELECT finess, num_rss, COUNT(*) AS nb_da
+  FROM diag
+  WHERE type_diag = 'DA'
+  GROUP BY finess, num_rss
+) d USING (finess, num_rss)
+GROUP BY 1
+ORDER BY 1`
+  }
+];
@@ -0,0 +1,37 @@
+/**
+ * Data quality templates: invalid and missing codes
+ */
+export const qualityTemplates = [
+  {
+    id: 'error-ghms',
+    title: 'Error GHMs (CMD 90)',
+    description: 'Stays the grouper could not classify',
+    category: 'quality',
+    requiredTables: ['fixe'],
+    sql: `SELECT ghm, code_retour, COUNT(*) AS effectif
+FROM fixe
+WHERE is_error_ghm(ghm)
+GROUP BY ghm, code_retour
+ORDER BY effectif DESC`
+  },
+  {
+    id: 'invalid-diagnoses',
+    title: 'Invalid diagnosis codes',
+    description: 'Diagnosis codes that are not well-formed CIM-10 codes',
+    category: 'quality',
+    requiredTables: ['diag'],
+    sql: `SELECT code_diag, COUNT(*) AS effectif
+FROM diag
+WHERE NOT is_valid_cim10(code_diag)
+GROUP BY code_diag
+ORDER BY effectif DESC`
+  },
+  {
+    id: 'missing-dp',
+    title: 'Unit stays without principal diagnosis',
+    description: 'Unit stays whose DP is missing',
+    category: 'quality',
+    requiredTables: ['um'],
+    sql: 'SELECT * FROM um WHERE dp IS NULL'
+  }
+];
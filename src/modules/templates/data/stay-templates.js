@@ -0,0 +1,83 @@
+/**
+ * Stay templates: length of stay and discharges
+ */
+export const stayTemplates = [
+  {
+    id: 'length-of-stay',
+    title: 'Length of stay distribution',
+    description: 'Stays by length in days, from the first unit admission to the last unit discharge',
+    category: 'stays',
+    requiredTables: ['um'],
+    sql: `WITH sejours AS (
+  SELECT finess, num_rss, date_diff('day', MIN(date_entree), MAX(date_sortie)) AS duree
+  FROM um
+  GROUP BY finess, num_rss
+)
+SELECT duree, COUNT(*) AS effectif
+FROM sejours
+GROUP BY duree
+ORDER BY duree`
+  },
+  {
+    id: 'length-of-stay-by-ghm',
+    title: 'Mean length of stay by GHM',
+    description: 'Stays and mean length of stay (DMS) by GHM',
+    category: 'stays',
+    requiredTables: ['fixe', 'um'],
+    sql: `WITH sejours AS (
+  SELECT finess, num_rss, date_diff('day', MIN(date_entree), MAX(date_sortie)) AS duree
+  FROM um
+  GROUP BY finess, num_rss
+)
+SELECT f.ghm, COUNT(*) AS effectif, round(AVG(s.duree), 2) AS dms
+FROM fixe f
+JOIN sejours s USING (finess, num_rss)
+GROUP BY f.ghm
+ORDER BY effectif DESC`
+  },
+  {
+    id: 'discharges-by-month',
+    title: 'Discharges by month',
+    description: 'Unit discharges by month',
+    category: 'stays',
+    requiredTables: ['um'],
+    sql: `SELECT date_trunc('month', date_sortie) AS mois, COUNT(*) AS sorties
+FROM um
+GROUP BY mois
+ORDER BY mois`
+  },
+  {
+    id: 'discharges-in-year',
+    title: 'Discharges by month in a year',
+    description: 'Unit discharges by month for one year, for one FINESS',
+    category: 'stays',
+    requiredTables: ['um'],
+    parameters: [
+      { name: 'year', label: 'Year', type: 'number' },
+      { name: 'finess', label: 'FINESS', type: 'enum', source: { table: 'um', column: 'finess' } }
+    ],
+    sql: `SELECT date_trunc('month', date_sortie) AS mois, COUNT(*) AS sorties
+FROM um
+WHERE year(date_sortie) = $year AND finess = $finess
+GROUP BY mois
+ORDER BY mois`
+  },
+  {
+    id: 'stays-in-period',
+    title: 'Stays in units over a period',
+    description: 'Unit stays admitted between two dates in the chosen units',
+    category: 'stays',
+    requiredTables: ['um'],
+    parameters: [
+      { name: 'start', label: 'From', type: 'date' },
+      { name: 'end', label: 'To', type: 'date' },
+      { name: 'units', label: 'Units', type: 'multi', source: { table: 'um', column: 'um' } }
+    ],
+    sql: `SELECT um, COUNT(*) AS sejours, round(AVG(date_diff('day', date_entree, date_sortie)), 2) AS duree_moyenne
+FROM um
+WHERE date_entree BETWEEN CAST($start AS DATE) AND CAST($end AS DATE)
+  AND list_contains($units, um)
+GROUP BY um
+ORDER BY um`
+  }
+];
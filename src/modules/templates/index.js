@@ -0,0 +1,40 @@
+/**
+ * Templates module exports
+ */
+export {
+  MACRO_FILES,
+  parseMacroFiles,
+  getMissingTable,
+  registerMacros
+} from './macro-loader.js';
+
+export { CATEGORIES, getCategoryLabel } from './categories.js';
+
+export {
+  PARAMETER_TYPES,
+  validateParameters,
+  getParameterLabel,
+  validateParameterValues,
+  findPlaceholders,
+  bindParameters,
+  buildParameterOptionsSQL
+} from './parameters.js';
+export { ParameterValues } from './parameter-values.js';
+export {
+  TEMPLATE_PACK_VERSION,
+  getUserTemplateId,
+  detectRequiredTables,
+  validateTemplate,
+  exportTemplatePack,
+  parseTemplatePack
+} from './user-templates.js';
+export { TemplateStore, TEMPLATE_STORE } from './template-store.js';
+
+export {
+  getAllTemplates,
+  getTemplatesByCategory,
+  getTemplateById,
+  getMissingTables,
+  fuzzyScore,
+  searchTemplates
+} from './templates.js';
@@ -0,0 +1,62 @@
+import { splitStatements } from '../database/queries.js';
+
+/**
+ * SQL macro library, one or more CREATE MACRO statements per .sql file in ./macros.
+ * Adding a macro only requires adding a file: they are bundled and registered at startup.
+ */
+const MACRO_MODULES = import.meta.glob('./macros/*.sql', { eager: true, query: '?raw', import: 'default' });
+
+export const MACRO_FILES = Object.entries(MACRO_MODULES)
+  .map(([path, sql]) => ({ file: path.split('/').pop(), sql }))
+  .sort((a, b) => a.file.localeCompare(b.file));
+
+/**
+ * Read the macros defined by macro files
+ * Statements that do not create a macro are kept with a null name, to be reported rather than run.
+ * @param {Array<{file: string, sql: string}>} [files] - Macro files, the bundled ones by default
+ * @returns {Array<{name: string|null, file: string, sql: string}>}
+ */
+export function parseMacroFiles(files = MACRO_FILES) {
+  return files.flatMap(({ file, sql }) => splitStatements(sql).map(statement => {
+    const match = statement.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?(?:TEMP(?:ORARY)?\s+)?MACRO\s+("[^"]+"|[\w.]+)/i);
+    return { name: match ? match[1] : null, file, sql: statement };
+  }));
+}
+
+/**
+ * Find the table a failed statement is missing, from a DuckDB catalog error
+ * @param {Error|string} error - Registration error
+ * @returns {string|null} - Table name, or null for any other error
+ */
+export function getMissingTable(error) {
+  const match = String(error?.message ?? error).match(/Table with name (\S+) does not exist/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Register macros, one statement at a time so that one failing macro does not stop the others
+ * DuckDB checks the tables a macro reads when it is created: a macro whose table is not loaded yet
+ * is left pending, to be registered again once the table exists.
+ * @param {Object} conn - DuckDB connection
+ * @param {Array<{name: string|null, file: string, sql: string}>} macros - Macros from parseMacroFiles
+ * @returns {Promise<Array<Object>>} - Each macro with its status ('registered', 'pending' or 'error'),
+ *   the error message and, when pending, the missingTable
+ */
+export async function registerMacros(conn, macros) {
+  const results = [];
+  for (const macro of macros) {
+    if (!macro.name) {
+      results.push({ ...macro, status: 'error', error: 'Not a CREATE MACRO statement', missingTable: null });
+      continue;
+    }
+
+    try {
+      await conn.query(macro.sql);
+      results.push({ ...macro, status: 'registered', error: null, missingTable: null });
+    } catch (error) {
+      const missingTable = getMissingTable(error);
+      results.push({ ...macro, status: missingTable ? 'pending' : 'error', error: error.message, missingTable });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  MACRO_FILES,
+  parseMacroFiles,
+  getMissingTable,
+  registerMacros
+} from './macro-loader.js';
+import { createTestConnection, createATIHTables } from '../../test-utils/duckdb.js';
+
+describe('MACRO_FILES', () => {
+  it('should bundle the .sql files of the macros folder', () => {
+    const casemix = MACRO_FILES.find(file => file.file === 'casemix.sql');
+    expect(casemix.sql).toContain('CREATE OR REPLACE MACRO get_casemix()');
+  });
+
+  it('should only hold macro definitions', () => {
+    expect(parseMacroFiles().every(macro => macro.name !== null)).toBe(true);
+  });
+});
+
+describe('parseMacroFiles', () => {
+  it('should name each macro and flag other statements', () => {
+    const macros = parseMacroFiles([
+      { file: 'stays.sql', sql: 'CREATE OR REPLACE MACRO get_stays() AS TABLE SELECT * FROM fixe;\ncreate temp macro los(a, b) AS b - a;' },
+      { file: 'bad.sql', sql: 'SELECT 1;' }
+    ]);
+
+    expect(macros).toEqual([
+      { name: 'get_stays', file: 'stays.sql', sql: 'CREATE OR REPLACE MACRO get_stays() AS TABLE SELECT * FROM fixe' },
+      { name: 'los', file: 'stays.sql', sql: 'create temp macro los(a, b) AS b - a' },
+      { name: null, file: 'bad.sql', sql: 'SELECT 1' }
+    ]);
+  });
+});
+
+describe('getMissingTable', () => {
+  it('should read the missing table of a catalog error', () => {
+    expect(getMissingTable(new Error('Catalog Error: Table with name fixe does not exist!\nDid you mean "fixe_2023"?'))).toBe('fixe');
+    expect(getMissingTable(new Error('Parser Error: syntax error at or near "SELEC"'))).toBeNull();
+  });
+});
+
+describe('registerMacros', () => {
+  it('should register each macro and report failures per macro', async () => {
+    const conn = {
+      query: vi.fn(async (sql) => {
+        if (sql.includes('FROM fixe')) throw new Error('Catalog Error: Table with name fixe does not exist!');
+        if (sql.includes('SELEC ')) throw new Error('Parser Error: syntax error at or near "SELEC"');
+        return {};
+      })
+    };
+
+    const results = await registerMacros(conn, [
+      { name: 'get_stays', file: 'stays.sql', sql: 'CREATE MACRO get_stays() AS TABLE SELECT * FROM fixe' },
+      { name: 'broken', file: 'broken.sql', sql: 'CREATE MACRO broken() AS TABLE SELEC 1' },
+      { name: 'one', file: 'one.sql', sql: 'CREATE MACRO one() AS 1' },
+      { name: null, file: 'bad.sql', sql: 'SELECT 1' }
+    ]);
+
+    expect(results.map(r => [r.name, r.status, r.missingTable])).toEqual([
+      ['get_stays', 'pending', 'fixe'],
+      ['broken', 'error', null],
+      ['one', 'registered', null],
+      [null, 'error', null]
+    ]);
+    expect(results[1].error).toContain('syntax error');
+    expect(results[3].error).toBe('Not a CREATE MACRO statement');
+    expect(conn.query).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('bundled macros', () => {
+  it('should register against the tables of an ATIH file', async () => {
+    const conn = await createTestConnection();
+    createATIHTables(conn);
+    conn.query(`INSERT INTO fixe (finess, num_rss, ghm) VALUES
+      ('750000001', '1', '05M092'), ('750000001', '2', '05M092'), ('750000001', '3', '90Z00Z'), ('750000001', '4', '04M051')`);
+
+    const results = await registerMacros(conn, parseMacroFiles());
+
+    expect(results.map(macro => macro.error)).toEqual(results.map(() => null));
+    expect(conn.query('SELECT * FROM get_casemix()').toArray().map(row => ({ ...row, effectif: Number(row.effectif) }))).toEqual([
+      { ghm: '04M051', effectif: 1 },
+      { ghm: '05M092', effectif: 2 }
+    ]);
+  });
+});
@@ -1,4 +1,10 @@
-SELECT ghm2, COUNT(*) AS effectif 
+-- Macro: get_casemix
+-- Description: Count stays by GHM, excluding error GHMs (CMD 90)
+-- Returns: Table of GHMs (ghm) with their number of stays (effectif), ordered by GHM code
+
+CREATE OR REPLACE MACRO get_casemix() AS TABLE
+SELECT ghm, COUNT(*) AS effectif
 FROM fixe
-WHERE substr(ghm2, 1, 2) != '90'
-ORDER BY ghm2 ASC;
\ No newline at end of file
+WHERE NOT is_error_ghm(ghm)
+GROUP BY ghm
+ORDER BY ghm ASC;
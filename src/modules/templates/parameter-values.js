@@ -0,0 +1,35 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { LocalStore } from '../shared/local-store.js';
+
+/**
+ * Last parameter values used for each template, kept in the browser's localStorage
+ */
+export class ParameterValues {
+  /**
+   * @param {Storage|null} [storage] - Where values are kept; null keeps them in memory only
+   */
+  constructor(storage) {
+    this.store = new LocalStore(STORAGE_KEYS.TEMPLATE_PARAMETERS, storage);
+    // Values by parameter name, by template id
+    this.values = this.store.read({}, values => typeof values === 'object' && !Array.isArray(values));
+  }
+
+  /**
+   * Get the last values used for a template
+   * @param {string} templateId - Template id
+   * @returns {Object} - Values by parameter name, empty when the template was never run
+   */
+  get(templateId) {
+    return { ...(this.values[templateId] || {}) };
+  }
+
+  /**
+   * Remember the values used for a template
+   * @param {string} templateId - Template id
+   * @param {Object} values - Values by parameter name
+   */
+  set(templateId, values) {
+    this.values[templateId] = { ...values };
+    this.store.write(this.values);
+  }
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { ParameterValues } from './parameter-values.js';
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { createMemoryStorage } from '../../test-utils/memory-storage.js';
+
+describe('ParameterValues', () => {
+  it('should remember the last values of each template across sessions', () => {
+    const storage = createMemoryStorage();
+    const values = new ParameterValues(storage);
+
+    values.set('discharges-in-year', { year: 2023, finess: '750000001' });
+    values.set('discharges-in-year', { year: 2024, finess: '750000001' });
+
+    expect(new ParameterValues(storage).get('discharges-in-year')).toEqual({ year: 2024, finess: '750000001' });
+    expect(values.get('stays-in-period')).toEqual({});
+  });
+
+  it('should ignore unreadable stored values', () => {
+    const storage = createMemoryStorage({ [STORAGE_KEYS.TEMPLATE_PARAMETERS]: '{not json' });
+    expect(new ParameterValues(storage).get('discharges-in-year')).toEqual({});
+  });
+
+  it('should work without storage', () => {
+    const values = new ParameterValues(null);
+    values.set('casemix-by-ghm-root', { ghm_root: '05K06' });
+    expect(values.get('casemix-by-ghm-root')).toEqual({ ghm_root: '05K06' });
+  });
+});
@@ -0,0 +1,175 @@
+import { CONFIG } from '../shared/constants.js';
+import { quoteIdentifier } from '../database/queries.js';
+
+/**
+ * Kinds of template parameters
+ * - text, number, date: typed input
+ * - enum: one value, picked from options or from the distinct values of a column
+ * - multi: one or more values, picked the same way; the SQL uses the parameter as a list, e.g. list_contains($units, um)
+ */
+export const PARAMETER_TYPES = ['text', 'number', 'date', 'enum', 'multi'];
+
+/**
+ * Check the parameters declared by a template
+ * @param {Array<Object>} parameters - { name, label?, type, options?, source?: { table, column } }
+ * @returns {Array<Object>} - The parameters
+ */
+export function validateParameters(parameters) {
+  const names = new Set();
+  for (const parameter of parameters) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(parameter?.name || '')) {
+      throw new Error(`Invalid parameter name '${parameter?.name}'`);
+    }
+    if (names.has(parameter.name)) {
+      throw new Error(`Parameter '${parameter.name}' is declared twice`);
+    }
+    names.add(parameter.name);
+    if (!PARAMETER_TYPES.includes(parameter.type)) {
+      throw new Error(`Unknown parameter type '${parameter.type}'`);
+    }
+    if ((parameter.type === 'enum' || parameter.type === 'multi') && !parameter.options && !parameter.source) {
+      throw new Error(`Parameter '${parameter.name}' needs options or a source column`);
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Get the label shown for a parameter
+ * @param {Object} parameter - Parameter
+ * @returns {string}
+ */
+export function getParameterLabel(parameter) {
+  return parameter.label || parameter.name;
+}
+
+/**
+ * Check the values entered for parameters and convert them to the values bound to the query
+ * Every parameter is required; multi parameters need at least one value.
+ * @param {Array<Object>} parameters - Template parameters
+ * @param {Object} values - Entered values by parameter name: strings, or arrays of strings for multi
+ * @returns {Object} - Values by parameter name: numbers for number parameters, strings otherwise
+ */
+export function validateParameterValues(parameters, values) {
+  const converted = {};
+  for (const parameter of parameters) {
+    const label = getParameterLabel(parameter);
+    const value = values[parameter.name];
+
+    if (parameter.type === 'multi') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Pick at least one value for ${label}`);
+      }
+      converted[parameter.name] = value.map(String);
+      continue;
+    }
+
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text === '') {
+      throw new Error(`Fill in ${label}`);
+    }
+    if (parameter.type === 'number') {
+      if (Number.isNaN(Number(text))) {
+        throw new Error(`${label} must be a number`);
+      }
+      converted[parameter.name] = Number(text);
+    } else if (parameter.type === 'date') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+      }
+      converted[parameter.name] = text;
+    } else {
+      converted[parameter.name] = text;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Replace the $name placeholders of a SQL query
+ * Placeholders inside string literals and quoted identifiers are left alone.
+ * @param {string} sql - SQL with $name placeholders
+ * @param {Function} replace - (name) => replacement text
+ * @returns {string}
+ */
+function replacePlaceholders(sql, replace) {
+  let replaced = '';
+  let quote = null;
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      replaced += char;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      replaced += char;
+    } else if (char === '$') {
+      const name = sql.slice(i + 1).match(/^[a-z_][a-z0-9_]*/i)?.[0] || '';
+      replaced += replace(name);
+      i += name.length;
+    } else {
+      replaced += char;
+    }
+  }
+  return replaced;
+}
+
+/**
+ * List the $name placeholders of a SQL query
+ * @param {string} sql - SQL with $name placeholders
+ * @returns {string[]} - Placeholder names, once each, in order of appearance
+ */
+export function findPlaceholders(sql) {
+  const names = new Set();
+  replacePlaceholders(sql, (name) => {
+    if (name) names.add(name);
+    return '';
+  });
+  return [...names];
+}
+
+/**
+ * Turn the $name placeholders of a template into positional parameters of a prepared statement
+ * Values are never written into the SQL. A multi parameter becomes a list of positional parameters, e.g. [$2, $3].
+ * @param {string} sql - Template SQL with $name placeholders
+ * @param {Array<Object>} parameters - Template parameters
+ * @param {Object} values - Values from validateParameterValues
+ * @returns {{sql: string, params: Array}} - SQL with $1, $2... placeholders and the values to bind, in order
+ */
+export function bindParameters(sql, parameters, values) {
+  const byName = new Map(parameters.map(parameter => [parameter.name, parameter]));
+  const params = [];
+  const positions = new Map();
+
+  const placeholder = (name) => {
+    if (!byName.has(name)) {
+      throw new Error(`Unknown parameter '$${name}'`);
+    }
+    if (!positions.has(name)) {
+      const parameter = byName.get(name);
+      const value = values[name];
+      if (parameter.type === 'multi') {
+        const start = params.length + 1;
+        params.push(...value);
+        positions.set(name, `[${value.map((_, i) => `$${start + i}`).join(', ')}]`);
+      } else {
+        params.push(value);
+        positions.set(name, `$${params.length}`);
+      }
+    }
+    return positions.get(name);
+  };
+
+  return { sql: replacePlaceholders(sql, placeholder), params };
+}
+
+/**
+ * Build the query listing the values an enum or multi parameter can take
+ * @param {{table: string, column: string}} source - Column the values come from
+ * @param {number} [limit] - Maximum number of values
+ * @returns {string}
+ */
+export function buildParameterOptionsSQL({ table, column }, limit = CONFIG.PARAMETER_OPTIONS_LIMIT) {
+  const col = quoteIdentifier(column);
+  return `SELECT DISTINCT CAST(${col} AS VARCHAR) AS value FROM ${table} WHERE ${col} IS NOT NULL ORDER BY value LIMIT ${limit}`;
+}
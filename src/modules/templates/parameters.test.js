@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateParameters,
+  getParameterLabel,
+  validateParameterValues,
+  findPlaceholders,
+  bindParameters,
+  buildParameterOptionsSQL
+} from './parameters.js';
+
+const parameters = [
+  { name: 'year', label: 'Year', type: 'number' },
+  { name: 'finess', type: 'enum', source: { table: 'fixe', column: 'finess' } },
+  { name: 'start', label: 'From', type: 'date' },
+  { name: 'units', label: 'Units', type: 'multi', options: ['U1', 'U2', 'U3'] }
+];
+
+describe('validateParameters', () => {
+  it('should accept well-formed parameters', () => {
+    expect(validateParameters(parameters)).toBe(parameters);
+  });
+
+  it('should reject bad names, duplicates and unknown types', () => {
+    expect(() => validateParameters([{ name: '1st', type: 'text' }])).toThrow("Invalid parameter name '1st'");
+    expect(() => validateParameters([{ name: 'a', type: 'text' }, { name: 'a', type: 'date' }]))
+      .toThrow("Parameter 'a' is declared twice");
+    expect(() => validateParameters([{ name: 'a', type: 'list' }])).toThrow("Unknown parameter type 'list'");
+  });
+
+  it('should require options or a source column for enum and multi parameters', () => {
+    expect(() => validateParameters([{ name: 'units', type: 'multi' }])).toThrow('needs options or a source column');
+  });
+});
+
+describe('getParameterLabel', () => {
+  it('should fall back to the parameter name', () => {
+    expect(getParameterLabel(parameters[0])).toBe('Year');
+    expect(getParameterLabel(parameters[1])).toBe('finess');
+  });
+});
+
+describe('validateParameterValues', () => {
+  const values = { year: ' 2024 ', finess: '750000001', start: '2024-01-01', units: ['U1', 'U3'] };
+
+  it('should convert the entered values', () => {
+    expect(validateParameterValues(parameters, values)).toEqual({
+      year: 2024,
+      finess: '750000001',
+      start: '2024-01-01',
+      units: ['U1', 'U3']
+    });
+  });
+
+  it('should require every parameter', () => {
+    expect(() => validateParameterValues(parameters, { ...values, finess: '' })).toThrow('Fill in finess');
+    expect(() => validateParameterValues(parameters, { ...values, units: [] })).toThrow('Pick at least one value for Units');
+  });
+
+  it('should reject values of the wrong type', () => {
+    expect(() => validateParameterValues(parameters, { ...values, year: 'last' })).toThrow('Year must be a number');
+    expect(() => validateParameterValues(parameters, { ...values, start: '01/01/2024' }))
+      .toThrow('From must be a date (YYYY-MM-DD)');
+  });
+});
+
+describe('findPlaceholders', () => {
+  it('should list each placeholder once, outside quotes', () => {
+    expect(findPlaceholders(`SELECT '$skip', $year, $units FROM um WHERE year(date_sortie) = $year AND "$col" = $1`))
+      .toEqual(['year', 'units']);
+  });
+});
+
+describe('bindParameters', () => {
+  it('should replace placeholders with positional parameters, reusing repeated ones', () => {
+    const sql = 'SELECT * FROM um WHERE year(date_sortie) = $year AND finess = $finess OR year(date_entree) = $year';
+    expect(bindParameters(sql, parameters, { year: 2024, finess: '750000001' })).toEqual({
+      sql: 'SELECT * FROM um WHERE year(date_sortie) = $1 AND finess = $2 OR year(date_entree) = $1',
+      params: [2024, '750000001']
+    });
+  });
+
+  it('should expand multi parameters to a list of positional parameters', () => {
+    const bound = bindParameters('SELECT * FROM um WHERE finess = $finess AND list_contains($units, um)', parameters, {
+      finess: '750000001',
+      units: ['U1', 'U3']
+    });
+    expect(bound.sql).toBe('SELECT * FROM um WHERE finess = $1 AND list_contains([$2, $3], um)');
+    expect(bound.params).toEqual(['750000001', 'U1', 'U3']);
+  });
+
+  it('should never write values into the SQL', () => {
+    const bound = bindParameters('SELECT * FROM fixe WHERE finess = $finess', parameters, { finess: "x' OR '1'='1" });
+    expect(bound.sql).toBe('SELECT * FROM fixe WHERE finess = $1');
+    expect(bound.params).toEqual(["x' OR '1'='1"]);
+  });
+
+  it('should leave placeholders inside quotes alone', () => {
+    const bound = bindParameters(`SELECT '$year' AS "$finess", $year`, parameters, { year: 2024 });
+    expect(bound.sql).toBe(`SELECT '$year' AS "$finess", $1`);
+  });
+
+  it('should bind a template wrapped with the sorting and filtering of the results grid', () => {
+    const sql = [
+      'SELECT * FROM (',
+      'SELECT * FROM um WHERE finess = $finess',
+      ')',
+      `WHERE contains(lower(CAST("$year" AS VARCHAR)), lower('$finess'))`,
+      'ORDER BY "finess" ASC'
+    ].join('\n');
+    const bound = bindParameters(sql, parameters, { finess: '750000001' });
+    expect(bound.sql).toContain('WHERE finess = $1\n');
+    expect(bound.sql).toContain(`CAST("$year" AS VARCHAR)), lower('$finess'))`);
+    expect(bound.params).toEqual(['750000001']);
+  });
+
+  it('should reject undeclared placeholders', () => {
+    expect(() => bindParameters('SELECT $month', parameters, {})).toThrow("Unknown parameter '$month'");
+  });
+});
+
+describe('buildParameterOptionsSQL', () => {
+  it('should list the distinct non-null values of the column', () => {
+    expect(buildParameterOptionsSQL({ table: 'fixe', column: 'finess' }, 10)).toBe(
+      'SELECT DISTINCT CAST("finess" AS VARCHAR) AS value FROM fixe WHERE "finess" IS NOT NULL ORDER BY value LIMIT 10'
+    );
+  });
+});
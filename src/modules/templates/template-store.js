@@ -0,0 +1,119 @@
+import { STORAGE_KEYS } from '../shared/constants.js';
+import { validateTemplate } from './user-templates.js';
+
+/**
+ * Object store holding the user templates, keyed by template id
+ */
+export const TEMPLATE_STORE = 'templates';
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - Request result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * User templates kept in the browser's IndexedDB
+ */
+export class TemplateStore {
+  /**
+   * @param {IDBDatabase} db - Open template database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open the template database, creating it on first use
+   * @param {IDBFactory} [factory] - IndexedDB implementation
+   * @returns {Promise<TemplateStore|null>} - null when IndexedDB is not available
+   */
+  static async open(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    if (!factory) {
+      return null;
+    }
+
+    try {
+      const request = factory.open(STORAGE_KEYS.TEMPLATE_DATABASE, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(TEMPLATE_STORE, { keyPath: 'id' });
+      };
+      return new TemplateStore(await requestResult(request));
+    } catch (error) {
+      console.warn('Template storage unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all user templates, ignoring stored templates that are no longer valid
+   * @returns {Promise<Array<Object>>} - Templates sorted by title
+   */
+  async list() {
+    const transaction = this.db.transaction(TEMPLATE_STORE, 'readonly');
+    const templates = await requestResult(transaction.objectStore(TEMPLATE_STORE).getAll());
+    return templates
+      .filter(template => {
+        try {
+          validateTemplate(template);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      })
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Save templates, replacing templates with the same id
+   * @param {Array<Object>} templates - Templates, see validateTemplate
+   * @returns {Promise<Array<Object>>} - Templates as stored
+   */
+  async saveAll(templates) {
+    const validated = templates.map(validateTemplate);
+    const transaction = this.db.transaction(TEMPLATE_STORE, 'readwrite');
+    const store = transaction.objectStore(TEMPLATE_STORE);
+    validated.forEach(template => store.put(template));
+    await transactionDone(transaction);
+    return validated;
+  }
+
+  /**
+   * Save a template, replacing the template with the same id
+   * @param {Object} template - Template, see validateTemplate
+   * @returns {Promise<Object>} - Template as stored
+   */
+  async save(template) {
+    const [saved] = await this.saveAll([template]);
+    return saved;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id - Template id
+   */
+  async remove(id) {
+    const transaction = this.db.transaction(TEMPLATE_STORE, 'readwrite');
+    transaction.objectStore(TEMPLATE_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+}
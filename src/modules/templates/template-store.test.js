@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TemplateStore } from './template-store.js';
+import { STORAGE_KEYS } from '../shared/constants.js';
+
+/**
+ * Build an in-memory stand-in for IndexedDB with a single object store keyed by id
+ * @returns {{databases: Map<string, Map>, factory: Object}}
+ */
+function createIndexedDB() {
+  const databases = new Map();
+
+  const request = (run) => {
+    const req = {};
+    queueMicrotask(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+
+  const connect = (records) => ({
+    createObjectStore() {},
+    transaction() {
+      const transaction = {
+        objectStore: () => ({
+          getAll: () => request(() => [...records.values()].map(record => structuredClone(record))),
+          put: (value) => request(() => records.set(value.id, structuredClone(value))),
+          delete: (key) => request(() => records.delete(key))
+        })
+      };
+      // Requests run as microtasks, so the transaction completes after them
+      setTimeout(() => transaction.oncomplete?.());
+      return transaction;
+    }
+  });
+
+  const factory = {
+    open(name) {
+      const req = {};
+      queueMicrotask(() => {
+        const created = !databases.has(name);
+        if (created) databases.set(name, new Map());
+        req.result = connect(databases.get(name));
+        if (created) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+
+  return { databases, factory };
+}
+
+const template = { title: 'Stays by unit', category: 'stays', requiredTables: ['um'], sql: 'SELECT um, COUNT(*) FROM um GROUP BY um' };
+
+describe('TemplateStore', () => {
+  let indexedDB;
+  let store;
+
+  beforeEach(async () => {
+    indexedDB = createIndexedDB();
+    store = await TemplateStore.open(indexedDB.factory);
+  });
+
+  it('should be unavailable without IndexedDB', async () => {
+    expect(await TemplateStore.open(null)).toBeNull();
+  });
+
+  it('should save templates and keep them across sessions', async () => {
+    const saved = await store.save(template);
+
+    expect(saved.id).toBe('user-stays-by-unit');
+    expect(indexedDB.databases.has(STORAGE_KEYS.TEMPLATE_DATABASE)).toBe(true);
+    const reopened = await TemplateStore.open(indexedDB.factory);
+    expect(await reopened.list()).toEqual([saved]);
+  });
+
+  it('should replace templates with the same name and sort by title', async () => {
+    await store.saveAll([template, { ...template, title: 'Acts by unit', category: 'acts' }]);
+    await store.save({ ...template, description: 'Updated' });
+
+    const templates = await store.list();
+    expect(templates.map(t => t.title)).toEqual(['Acts by unit', 'Stays by unit']);
+    expect(templates[1].description).toBe('Updated');
+  });
+
+  it('should reject invalid templates without saving any', async () => {
+    await expect(store.saveAll([template, { ...template, title: 'Other', sql: '' }])).rejects.toThrow('has no SQL');
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('should delete templates', async () => {
+    const saved = await store.save(template);
+    await store.remove(saved.id);
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('should skip stored templates that are no longer valid', async () => {
+    await store.save(template);
+    indexedDB.databases.get(STORAGE_KEYS.TEMPLATE_DATABASE).set('broken', { id: 'broken', title: 'Broken' });
+    expect((await store.list()).map(t => t.id)).toEqual(['user-stays-by-unit']);
+  });
+});
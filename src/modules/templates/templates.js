@@ -0,0 +1,119 @@
+import { CATEGORIES, getCategoryLabel } from './categories.js';
+import { casemixTemplates } from './data/casemix-templates.js';
+import { diagnosisTemplates } from './data/diagnosis-templates.js';
+import { stayTemplates } from './data/stay-templates.js';
+import { actTemplates } from './data/act-templates.js';
+import { qualityTemplates } from './data/quality-templates.js';
+
+/**
+ * Built-in query templates
+ * Each template is { id, title, description, category, requiredTables, sql, macro?, parameters? }:
+ * sql is inserted into the editor, either a call to a macro of the macro library or a full query.
+ * Templates with parameters (see parameters.js) use $name placeholders, filled in from a form before running.
+ */
+const ALL_TEMPLATES = [
+  ...casemixTemplates,
+  ...diagnosisTemplates,
+  ...stayTemplates,
+  ...actTemplates,
+  ...qualityTemplates
+];
+
+/**
+ * Get all templates, grouped by category in category order
+ * @param {Array<Object>} [userTemplates] - User templates, listed after the bundled ones of their category
+ * @returns {Array<Object>}
+ */
+export function getAllTemplates(userTemplates = []) {
+  const order = CATEGORIES.map(category => category.id);
+  return [...ALL_TEMPLATES, ...userTemplates].sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+}
+
+/**
+ * Get the templates of a category
+ * @param {string} category - Category id
+ * @returns {Array<Object>}
+ */
+export function getTemplatesByCategory(category) {
+  return ALL_TEMPLATES.filter(template => template.category === category);
+}
+
+/**
+ * Get a template
+ * @param {string} id - Template id
+ * @returns {Object|null}
+ */
+export function getTemplateById(id) {
+  return ALL_TEMPLATES.find(template => template.id === id) ?? null;
+}
+
+/**
+ * List the tables a template needs that are not loaded
+ * @param {Object} template - Template
+ * @param {string[]} loadedTables - Names of the loaded tables
+ * @returns {string[]} - Empty when the template can run
+ */
+export function getMissingTables(template, loadedTables) {
+  return template.requiredTables.filter(table => !loadedTables.includes(table));
+}
+
+/**
+ * Lower-case text without accents, for matching
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Score how well a query fuzzy-matches a text: every query character must appear in order
+ * Consecutive characters and characters starting a word score higher.
+ * @param {string} query - Search text; spaces are ignored
+ * @param {string} text - Text to search
+ * @returns {number|null} - Score, or null when the text does not match
+ */
+export function fuzzyScore(query, text) {
+  const needle = normalize(query).replace(/\s+/g, '');
+  const haystack = normalize(text);
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[^a-z0-9]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    from = index + 1;
+  }
+  return score;
+}
+
+/**
+ * Search templates by title, description and category
+ * Title matches rank first; without a query every template is returned in category order.
+ * @param {string} query - Search text
+ * @param {Array<Object>} [templates] - Templates to search
+ * @returns {Array<Object>} - Matching templates, best first
+ */
+export function searchTemplates(query, templates = getAllTemplates()) {
+  if (!query.trim()) {
+    return templates;
+  }
+
+  return templates
+    .map((template, index) => {
+      const titleScore = fuzzyScore(query, template.title);
+      const textScore = fuzzyScore(query, `${template.title} ${template.description} ${getCategoryLabel(template.category)}`);
+      const score = titleScore !== null ? titleScore * 2 : textScore;
+      return { template, index, score };
+    })
+    .filter(match => match.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(match => match.template);
+}
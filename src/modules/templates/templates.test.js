@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { CATEGORIES, getCategoryLabel } from './categories.js';
+import {
+  getAllTemplates,
+  getTemplatesByCategory,
+  getTemplateById,
+  getMissingTables,
+  fuzzyScore,
+  searchTemplates
+} from './templates.js';
+import { parseMacroFiles, registerMacros } from './macro-loader.js';
+import { validateParameters, validateParameterValues, bindParameters } from './parameters.js';
+import { createTestConnection, createATIHTables } from '../../test-utils/duckdb.js';
+
+describe('template registry', () => {
+  it('should define complete templates with unique ids and known categories', () => {
+    const templates = getAllTemplates();
+    const categories = CATEGORIES.map(category => category.id);
+
+    expect(new Set(templates.map(t => t.id)).size).toBe(templates.length);
+    for (const template of templates) {
+      expect(template.title).toBeTruthy();
+      expect(template.description).toBeTruthy();
+      expect(template.sql).toBeTruthy();
+      expect(categories).toContain(template.category);
+      expect(template.requiredTables.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('should list templates in category order', () => {
+    const order = getAllTemplates().map(t => CATEGORIES.findIndex(c => c.id === t.category));
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+  });
+
+  it('should list user templates after the bundled ones of their category', () => {
+    const mine = { id: 'user-mine', title: 'Mine', description: '', category: 'casemix', requiredTables: [], sql: 'SELECT 1', user: true };
+    const templates = getAllTemplates([mine]);
+    const casemix = templates.filter(t => t.category === 'casemix');
+
+    expect(templates).toHaveLength(getAllTemplates().length + 1);
+    expect(casemix[casemix.length - 1]).toBe(mine);
+  });
+
+  it('should only call macros of the macro library', () => {
+    const macros = parseMacroFiles().map(macro => macro.name);
+    for (const template of getAllTemplates().filter(t => t.macro)) {
+      expect(macros).toContain(template.macro);
+      expect(template.sql).toContain(`${template.macro}(`);
+    }
+  });
+
+  it('should declare valid parameters for every placeholder', () => {
+    for (const template of getAllTemplates().filter(t => t.parameters)) {
+      expect(() => validateParameters(template.parameters)).not.toThrow();
+      const values = Object.fromEntries(template.parameters.map(p => [p.name, p.type === 'multi' ? ['x'] : 'x']));
+      expect(bindParameters(template.sql, template.parameters, values).sql).not.toMatch(/\$[a-z_]/i);
+    }
+  });
+
+  it('should find templates by category and id', () => {
+    expect(getTemplatesByCategory('casemix').map(t => t.id)).toContain('casemix');
+    expect(getTemplateById('top-dp').title).toBe('Top principal diagnoses');
+    expect(getTemplateById('unknown')).toBeNull();
+    expect(getCategoryLabel('quality')).toBe('Data quality');
+    expect(getCategoryLabel('other')).toBe('other');
+  });
+});
+
+describe('getMissingTables', () => {
+  it('should list the required tables that are not loaded', () => {
+    const template = getTemplateById('acts-per-unit');
+    expect(getMissingTables(template, ['acte'])).toEqual(['um']);
+    expect(getMissingTables(template, ['acte', 'um', 'fixe'])).toEqual([]);
+  });
+});
+
+describe('fuzzyScore', () => {
+  it('should match characters in order, ignoring case, accents and spaces', () => {
+    expect(fuzzyScore('dms', 'Durée Moyenne de Séjour')).not.toBeNull();
+    expect(fuzzyScore('sejour', 'Durée de séjour')).not.toBeNull();
+    expect(fuzzyScore('top acts', 'Top CCAM acts')).not.toBeNull();
+    expect(fuzzyScore('xyz', 'Top CCAM acts')).toBeNull();
+  });
+
+  it('should prefer consecutive characters and word starts', () => {
+    expect(fuzzyScore('ghm', 'Casemix by GHM')).toBeGreaterThan(fuzzyScore('ghm', 'grouping helps me'.replace(/ /g, '')));
+    expect(fuzzyScore('cm', 'Casemix')).toBeLessThan(fuzzyScore('cm', 'by CMD'));
+  });
+});
+
+describe('searchTemplates', () => {
+  it('should return every template without a query', () => {
+    expect(searchTemplates('  ')).toEqual(getAllTemplates());
+  });
+
+  it('should rank title matches first', () => {
+    const results = searchTemplates('length of stay');
+    expect(results[0].id).toMatch(/^length-of-stay/);
+  });
+
+  it('should match descriptions and category labels', () => {
+    expect(searchTemplates('CMD 90').map(t => t.id)).toContain('error-ghms');
+    expect(searchTemplates('data quality').map(t => t.id)).toContain('missing-dp');
+    expect(searchTemplates('qwxz')).toEqual([]);
+  });
+});
+
+describe('bundled templates', () => {
+  // One value of each parameter type, as entered in the parameters form
+  const SAMPLE_VALUES = { text: '05K06', number: '2024', date: '2024-01-01', enum: '750000001', multi: ['01', '02'] };
+
+  it('should run against the tables of an ATIH file', async () => {
+    const conn = await createTestConnection();
+    createATIHTables(conn);
+    await registerMacros(conn, parseMacroFiles());
+
+    for (const template of getAllTemplates()) {
+      const parameters = template.parameters || [];
+      const values = validateParameterValues(
+        parameters,
+        Object.fromEntries(parameters.map(parameter => [parameter.name, SAMPLE_VALUES[parameter.type]]))
+      );
+      const { sql, params } = bindParameters(template.sql, parameters, values);
+
+      expect(() => conn.prepare(sql).query(...params), template.id).not.toThrow();
+    }
+  });
+});
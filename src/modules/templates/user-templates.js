@@ -0,0 +1,123 @@
+import { CATEGORIES } from './categories.js';
+import { validateParameters, findPlaceholders } from './parameters.js';
+
+/**
+ * Version of the template pack format written by exportTemplatePack
+ */
+export const TEMPLATE_PACK_VERSION = 1;
+
+/**
+ * Build the id of a user template from its title
+ * The prefix keeps user templates apart from the bundled ones.
+ * @param {string} title - Template title
+ * @returns {string}
+ */
+export function getUserTemplateId(title) {
+  const slug = title.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `user-${slug || 'template'}`;
+}
+
+/**
+ * Guess the tables a query reads, among the loaded tables
+ * @param {string} sql - Query
+ * @param {string[]} loadedTables - Names of the loaded tables
+ * @returns {string[]} - Loaded tables whose name appears in the query as a word
+ */
+export function detectRequiredTables(sql, loadedTables) {
+  return loadedTables.filter(table => {
+    const escaped = table.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}($|\\W)`, 'i').test(sql);
+  });
+}
+
+/**
+ * Check a user template and fill in its defaults
+ * Every $name placeholder of the SQL must be declared as a parameter, and every parameter used.
+ * @param {Object} template - { title, category, sql, description?, requiredTables?, parameters? }
+ * @returns {Object} - Template as stored, with an id from its title, marked with user: true
+ */
+export function validateTemplate(template) {
+  const title = typeof template?.title === 'string' ? template.title.trim() : '';
+  if (!title) {
+    throw new Error('Template needs a name');
+  }
+  const sql = typeof template.sql === 'string' ? template.sql.trim() : '';
+  if (!sql) {
+    throw new Error(`Template '${title}' has no SQL`);
+  }
+  if (!CATEGORIES.some(category => category.id === template.category)) {
+    throw new Error(`Unknown category '${template.category}'`);
+  }
+
+  const requiredTables = template.requiredTables ?? [];
+  if (!Array.isArray(requiredTables) || requiredTables.some(table => typeof table !== 'string' || !table)) {
+    throw new Error(`Template '${title}' has invalid required tables`);
+  }
+
+  const parameters = validateParameters(template.parameters ?? []);
+  const declared = parameters.map(parameter => parameter.name);
+  const used = findPlaceholders(sql);
+  const undeclared = used.find(name => !declared.includes(name));
+  if (undeclared) {
+    throw new Error(`Placeholder '$${undeclared}' is not declared as a parameter`);
+  }
+  const unused = declared.find(name => !used.includes(name));
+  if (unused) {
+    throw new Error(`Parameter '${unused}' is not used in the SQL`);
+  }
+
+  const validated = {
+    id: getUserTemplateId(title),
+    title,
+    description: typeof template.description === 'string' ? template.description.trim() : '',
+    category: template.category,
+    requiredTables,
+    sql,
+    user: true
+  };
+  if (parameters.length > 0) {
+    validated.parameters = parameters;
+  }
+  return validated;
+}
+
+/**
+ * Serialize user templates as a JSON template pack
+ * @param {Array<Object>} templates - User templates
+ * @returns {string}
+ */
+export function exportTemplatePack(templates) {
+  const packed = templates.map(({ user, ...template }) => template);
+  return JSON.stringify({ version: TEMPLATE_PACK_VERSION, templates: packed }, null, 2);
+}
+
+/**
+ * Read a template pack exported by exportTemplatePack; a bare array of templates is accepted too
+ * @param {string} json - JSON text
+ * @returns {Array<Object>} - Validated templates
+ */
+export function parseTemplatePack(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Template pack is not valid JSON');
+  }
+
+  const templates = Array.isArray(data) ? data : data?.templates;
+  if (!Array.isArray(templates)) {
+    throw new Error('Template pack has no templates');
+  }
+  if (data.version > TEMPLATE_PACK_VERSION) {
+    throw new Error(`Template pack version ${data.version} is not supported`);
+  }
+
+  return templates.map((template, index) => {
+    try {
+      return validateTemplate(template);
+    } catch (error) {
+      throw new Error(`Template ${index + 1}: ${error.message}`);
+    }
+  });
+}
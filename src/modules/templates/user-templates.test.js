@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TEMPLATE_PACK_VERSION,
+  getUserTemplateId,
+  detectRequiredTables,
+  validateTemplate,
+  exportTemplatePack,
+  parseTemplatePack
+} from './user-templates.js';
+
+const template = {
+  title: ' Séjours d\'une UM ',
+  category: 'stays',
+  description: 'Stays of one unit',
+  requiredTables: ['um'],
+  sql: 'SELECT * FROM um WHERE um = $unit',
+  parameters: [{ name: 'unit', label: 'Unit', type: 'enum', source: { table: 'um', column: 'um' } }]
+};
+
+describe('getUserTemplateId', () => {
+  it('should build a prefixed slug from the title', () => {
+    expect(getUserTemplateId('Séjours d\'une UM')).toBe('user-sejours-d-une-um');
+    expect(getUserTemplateId('***')).toBe('user-template');
+  });
+});
+
+describe('detectRequiredTables', () => {
+  it('should find the loaded tables a query mentions', () => {
+    const sql = 'SELECT * FROM fixe f JOIN rss_um u USING (num_rss)';
+    expect(detectRequiredTables(sql, ['fixe', 'um', 'rss_um', 'diag'])).toEqual(['fixe', 'rss_um']);
+  });
+});
+
+describe('validateTemplate', () => {
+  it('should fill in the id and mark the template as a user template', () => {
+    expect(validateTemplate(template)).toEqual({
+      id: 'user-sejours-d-une-um',
+      title: 'Séjours d\'une UM',
+      description: 'Stays of one unit',
+      category: 'stays',
+      requiredTables: ['um'],
+      sql: 'SELECT * FROM um WHERE um = $unit',
+      parameters: template.parameters,
+      user: true
+    });
+  });
+
+  it('should default the optional fields', () => {
+    const validated = validateTemplate({ title: 'Count', category: 'quality', sql: 'SELECT COUNT(*) FROM fixe' });
+    expect(validated.description).toBe('');
+    expect(validated.requiredTables).toEqual([]);
+    expect(validated).not.toHaveProperty('parameters');
+  });
+
+  it('should reject incomplete templates', () => {
+    expect(() => validateTemplate({ ...template, title: ' ' })).toThrow('Template needs a name');
+    expect(() => validateTemplate({ ...template, sql: '' })).toThrow('has no SQL');
+    expect(() => validateTemplate({ ...template, category: 'misc' })).toThrow("Unknown category 'misc'");
+    expect(() => validateTemplate({ ...template, requiredTables: 'um' })).toThrow('invalid required tables');
+  });
+
+  it('should match the parameters with the placeholders of the SQL', () => {
+    expect(() => validateTemplate({ ...template, parameters: [] }))
+      .toThrow("Placeholder '$unit' is not declared as a parameter");
+    expect(() => validateTemplate({ ...template, sql: 'SELECT * FROM um' }))
+      .toThrow("Parameter 'unit' is not used in the SQL");
+    expect(() => validateTemplate({ ...template, parameters: [{ name: 'unit', type: 'multi' }] }))
+      .toThrow('needs options or a source column');
+  });
+});
+
+describe('template packs', () => {
+  it('should export and import templates', () => {
+    const json = exportTemplatePack([validateTemplate(template)]);
+    const pack = JSON.parse(json);
+
+    expect(pack.version).toBe(TEMPLATE_PACK_VERSION);
+    expect(pack.templates[0]).not.toHaveProperty('user');
+    expect(parseTemplatePack(json)).toEqual([validateTemplate(template)]);
+  });
+
+  it('should accept a bare array of templates', () => {
+    expect(parseTemplatePack(JSON.stringify([template]))).toHaveLength(1);
+  });
+
+  it('should reject unreadable packs', () => {
+    expect(() => parseTemplatePack('{')).toThrow('Template pack is not valid JSON');
+    expect(() => parseTemplatePack('{"version":1}')).toThrow('Template pack has no templates');
+    expect(() => parseTemplatePack('{"version":2,"templates":[]}')).toThrow('Template pack version 2 is not supported');
+    expect(() => parseTemplatePack(JSON.stringify([template, { ...template, category: 'misc' }])))
+      .toThrow("Template 2: Unknown category 'misc'");
+  });
+});
@@ -0,0 +1,123 @@
+import { CONFIG, CSS_CLASSES } from '../shared/constants.js';
+import { CODE_VALIDATORS, buildInvalidCodesSQL, buildErrorGhmSQL } from '../database/validators.js';
+
+/**
+ * Coding quality UI component
+ * Shows the invalid-code rate of every column recognised as holding CIM-10, CCAM or GHM codes.
+ */
+export class CodeQualityUI {
+  /**
+   * @param {HTMLElement} container - Code quality panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onOpenRowsCallback = null;
+  }
+
+  /**
+   * Set open rows callback, to show invalid codes or error GHMs in the results grid
+   * @param {Function} callback - (sql) => void
+   */
+  onOpenRows(callback) {
+    this.onOpenRowsCallback = callback;
+  }
+
+  /**
+   * Render the code columns of all files
+   * @param {Array<Object>} files - Array of file metadata, with the codeQuality found on upload
+   */
+  render(files) {
+    const checked = files.flatMap(file =>
+      (file.codeQuality || []).map(quality => ({ tableName: file.tableName, ...quality }))
+    );
+    if (checked.length === 0) {
+      this.container.innerHTML = '';
+      this.container.classList.remove(CSS_CLASSES.VISIBLE);
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span>Coding quality</span>
+      </div>
+      <table class="profile-table code-quality-table">
+        <thead>
+          <tr>
+            <th>Table</th>
+            <th>Column</th>
+            <th>Codes</th>
+            <th>Checked</th>
+            <th>Invalid</th>
+            <th>Invalid %</th>
+            <th>Error GHMs</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    `;
+
+    const tbody = this.container.querySelector('tbody');
+    for (const quality of checked) {
+      tbody.appendChild(this.createRow(quality));
+    }
+
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Create the row of a code column
+   * @param {Object} quality - Code quality of the column, with its tableName
+   * @returns {HTMLTableRowElement}
+   */
+  createRow(quality) {
+    const row = document.createElement('tr');
+    const addCell = (text, className = '') => {
+      const cell = document.createElement('td');
+      cell.className = className;
+      cell.textContent = text;
+      row.appendChild(cell);
+      return cell;
+    };
+
+    let rateClass = CSS_CLASSES.DUPLICATE_LOW;
+    if (quality.invalidRate > CONFIG.INVALID_CODE_HIGH_RATE) {
+      rateClass = CSS_CLASSES.DUPLICATE_HIGH;
+    } else if (quality.invalid > 0) {
+      rateClass = CSS_CLASSES.DUPLICATE_MEDIUM;
+    }
+
+    addCell(quality.tableName, CSS_CLASSES.TABLE_NAME_COL);
+    addCell(quality.column);
+    addCell(CODE_VALIDATORS[quality.kind].label);
+    addCell(quality.checked.toLocaleString(), CSS_CLASSES.NUMBER_COL);
+    const invalid = addCell(quality.invalid.toLocaleString(), CSS_CLASSES.NUMBER_COL);
+    if (quality.invalid > 0) {
+      invalid.append(' ', this.createOpenButton('btn-open-invalid', buildInvalidCodesSQL(quality.tableName, quality)));
+    }
+    addCell(`${(quality.invalidRate * 100).toFixed(1)}%`, `${CSS_CLASSES.NUMBER_COL} ${rateClass}`);
+    const errors = addCell(quality.errors === undefined ? '' : quality.errors.toLocaleString(), CSS_CLASSES.NUMBER_COL);
+    if (quality.errors > 0) {
+      errors.append(' ', this.createOpenButton('btn-open-errors', buildErrorGhmSQL(quality.tableName, quality.column)));
+    }
+
+    return row;
+  }
+
+  /**
+   * Create a button opening rows in the results grid
+   * @param {string} className - Button class
+   * @param {string} sql - Query returning the rows
+   * @returns {HTMLButtonElement}
+   */
+  createOpenButton(className, sql) {
+    const button = document.createElement('button');
+    button.className = `btn-small ${className}`;
+    button.textContent = 'Open';
+    button.addEventListener('click', () => {
+      if (this.onOpenRowsCallback) {
+        this.onOpenRowsCallback(sql);
+      }
+    });
+    return button;
+  }
+}
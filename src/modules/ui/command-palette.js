@@ -0,0 +1,228 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { getCategoryLabel, getMissingTables, searchTemplates } from '../templates/index.js';
+
+/**
+ * Command palette UI component
+ * Searches the query templates; templates whose tables are not loaded are greyed out and cannot be picked.
+ * User templates can be deleted from the palette.
+ */
+export class CommandPaletteUI {
+  /**
+   * @param {HTMLElement} container - Palette overlay element
+   */
+  constructor(container) {
+    this.container = container;
+    this.templates = [];
+    this.loadedTables = [];
+    this.matches = [];
+    this.activeIndex = -1;
+    this.onSelectCallback = null;
+    this.onDeleteCallback = null;
+
+    // Clicking the backdrop closes the palette
+    this.container.addEventListener('mousedown', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Set select callback
+   * @param {Function} callback - (template) => void
+   */
+  onSelect(callback) {
+    this.onSelectCallback = callback;
+  }
+
+  /**
+   * Set delete callback, for user templates
+   * @param {Function} callback - (template) => void
+   */
+  onDelete(callback) {
+    this.onDeleteCallback = callback;
+  }
+
+  /**
+   * Whether the palette is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.container.classList.contains(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Open the palette
+   * @param {Array<Object>} templates - Templates to search
+   * @param {string[]} loadedTables - Names of the loaded tables
+   */
+  open(templates, loadedTables) {
+    this.templates = templates;
+    this.loadedTables = loadedTables;
+
+    this.container.innerHTML = `
+      <div class="command-palette-box" role="dialog" aria-label="Query templates">
+        <input type="text" class="command-palette-input" placeholder="Search templates…" aria-label="Search templates">
+        <ul class="command-palette-list" role="listbox"></ul>
+      </div>
+    `;
+
+    const input = this.container.querySelector('.command-palette-input');
+    input.addEventListener('input', () => this.search(input.value));
+    input.addEventListener('keydown', (e) => this.handleKey(e));
+
+    this.search('');
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+    input.focus();
+  }
+
+  /**
+   * Close the palette
+   */
+  close() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Whether a template can be picked
+   * @param {Object} template - Template
+   * @returns {boolean}
+   */
+  isAvailable(template) {
+    return getMissingTables(template, this.loadedTables).length === 0;
+  }
+
+  /**
+   * Filter the templates and render the matches
+   * @param {string} query - Search text
+   */
+  search(query) {
+    this.matches = searchTemplates(query, this.templates);
+    this.activeIndex = this.matches.findIndex(template => this.isAvailable(template));
+    this.renderList(query.trim() === '');
+  }
+
+  /**
+   * Render the matching templates, under category headings when browsing
+   * @param {boolean} grouped - Whether to show category headings
+   */
+  renderList(grouped) {
+    const list = this.container.querySelector('.command-palette-list');
+    list.innerHTML = '';
+
+    if (this.matches.length === 0) {
+      list.innerHTML = `<li class="${CSS_CLASSES.EMPTY_MESSAGE}">No template found</li>`;
+      return;
+    }
+
+    let category = null;
+    this.matches.forEach((template, index) => {
+      if (grouped && template.category !== category) {
+        category = template.category;
+        const heading = document.createElement('li');
+        heading.className = 'command-palette-category';
+        heading.textContent = getCategoryLabel(category);
+        list.appendChild(heading);
+      }
+
+      const missing = getMissingTables(template, this.loadedTables);
+      const item = document.createElement('li');
+      item.className = 'command-palette-item';
+      item.classList.toggle('template-unavailable', missing.length > 0);
+      item.classList.toggle('active', index === this.activeIndex);
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-disabled', String(missing.length > 0));
+      item.dataset.index = index;
+      if (missing.length > 0) {
+        item.title = `Needs table${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`;
+      }
+
+      const title = document.createElement('div');
+      title.className = 'command-palette-title';
+      title.textContent = template.title;
+      const description = document.createElement('div');
+      description.className = 'command-palette-description';
+      description.textContent = missing.length > 0
+        ? `${template.description} — needs ${missing.join(', ')}`
+        : template.description;
+      item.append(title, description);
+
+      if (template.user && this.onDeleteCallback) {
+        const remove = document.createElement('button');
+        remove.className = 'btn-small btn-danger btn-delete-template';
+        remove.textContent = 'Delete';
+        remove.title = 'Delete this template';
+        remove.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.close();
+          this.onDeleteCallback(template);
+        });
+        title.appendChild(remove);
+      }
+
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.pick(index);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Handle navigation keys in the search box
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.move(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.pick(this.activeIndex);
+    }
+  }
+
+  /**
+   * Move the highlight to the next available template in a direction
+   * @param {number} step - 1 for down, -1 for up
+   */
+  move(step) {
+    let index = this.activeIndex;
+    for (let i = 0; i < this.matches.length; i++) {
+      index = (index + step + this.matches.length) % this.matches.length;
+      if (this.isAvailable(this.matches[index])) {
+        this.activeIndex = index;
+        break;
+      }
+    }
+
+    this.container.querySelectorAll('.command-palette-item').forEach(item => {
+      const active = Number(item.dataset.index) === this.activeIndex;
+      item.classList.toggle('active', active);
+      if (active && item.scrollIntoView) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Pick a template, if it is available, and close the palette
+   * @param {number} index - Position in the matches
+   */
+  pick(index) {
+    const template = this.matches[index];
+    if (!template || !this.isAvailable(template)) {
+      return;
+    }
+
+    this.close();
+    if (this.onSelectCallback) {
+      this.onSelectCallback(template);
+    }
+  }
+}
@@ -0,0 +1,195 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import {
+  CSV_DELIMITERS,
+  CSV_ENCODINGS,
+  CSV_COLUMN_TYPES,
+  getDefaultCSVOptions,
+  sniffCSVColumns
+} from '../files/csv-import.js';
+
+/**
+ * CSV/TSV import options dialog UI component
+ */
+export class CSVImportDialog {
+  /**
+   * @param {HTMLElement} container - Dialog container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.resolve = null;
+    this.buffer = null;
+    this.options = null;
+    // Type overrides picked by the user, by column name, kept while the columns are detected again
+    this.columnTypes = {};
+  }
+
+  /**
+   * Open the dialog for a file and wait for the user's choice
+   * @param {string} fileName - Original filename
+   * @param {ArrayBuffer} buffer - File content (used to preview the header)
+   * @returns {Promise<Object|null>} - Import options, or null if cancelled
+   */
+  open(fileName, buffer) {
+    this.buffer = buffer;
+    this.options = getDefaultCSVOptions(fileName);
+    this.columnTypes = {};
+
+    this.render(fileName);
+    this.show();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the dialog form
+   * @param {string} fileName - Original filename
+   */
+  render(fileName) {
+    const delimiterOptions = CSV_DELIMITERS.map(d =>
+      `<option value="${encodeURIComponent(d.value)}"${d.value === this.options.delimiter ? ' selected' : ''}>${d.label}</option>`
+    ).join('');
+
+    const encodingOptions = CSV_ENCODINGS.map(e =>
+      `<option value="${e.value}"${e.value === this.options.encoding ? ' selected' : ''}>${e.label}</option>`
+    ).join('');
+
+    this.container.innerHTML = `
+      <div class="import-dialog-box">
+        <div class="import-dialog-title"></div>
+        <div class="import-dialog-grid">
+          <label>Delimiter <select name="delimiter">${delimiterOptions}</select></label>
+          <label>Encoding <select name="encoding">${encodingOptions}</select></label>
+          <label>Decimal separator
+            <select name="decimalSeparator">
+              <option value="." selected>Point (.)</option>
+              <option value=",">Comma (,)</option>
+            </select>
+          </label>
+          <label><input type="checkbox" name="header" checked> First row is header</label>
+        </div>
+        <div class="import-dialog-subtitle">Column types</div>
+        <table class="import-columns-table">
+          <tbody class="import-columns"></tbody>
+        </table>
+        <div class="import-dialog-actions">
+          <button class="btn-small btn-import">Import</button>
+          <button class="btn-small btn-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+    this.container.querySelector('.import-dialog-title').textContent = `Import ${fileName}`;
+
+    this.renderColumns();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Render the column type override rows from the file header
+   * Types already picked are kept for the columns still detected.
+   */
+  renderColumns() {
+    const tbody = this.container.querySelector('.import-columns');
+    tbody.innerHTML = '';
+
+    for (const column of sniffCSVColumns(this.buffer, this.options)) {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.className = CSS_CLASSES.TABLE_NAME;
+      name.textContent = column;
+
+      const select = document.createElement('select');
+      select.dataset.column = encodeURIComponent(column);
+      for (const [text, value] of [['Auto-detect', ''], ...CSV_COLUMN_TYPES.map(type => [type, type])]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = this.columnTypes[column] ?? '';
+
+      const cell = document.createElement('td');
+      cell.appendChild(select);
+      row.append(name, cell);
+      tbody.appendChild(row);
+    }
+  }
+
+  /**
+   * Attach event listeners to form controls
+   */
+  attachEventListeners() {
+    const form = this.container;
+
+    // Changing how the file is read changes the detected columns
+    ['delimiter', 'encoding', 'header'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).addEventListener('change', () => {
+        this.readForm();
+        this.renderColumns();
+      });
+    });
+
+    form.querySelector('.btn-import').addEventListener('click', () => {
+      this.readForm();
+      this.close(this.options);
+    });
+
+    form.querySelector('.btn-cancel').addEventListener('click', () => {
+      this.close(null);
+    });
+  }
+
+  /**
+   * Read the current form values into the options object
+   */
+  readForm() {
+    const form = this.container;
+    const columnTypes = {};
+
+    form.querySelectorAll('.import-columns select').forEach(select => {
+      const column = decodeURIComponent(select.dataset.column);
+      if (select.value) {
+        this.columnTypes[column] = select.value;
+        columnTypes[column] = select.value;
+      } else {
+        delete this.columnTypes[column];
+      }
+    });
+
+    this.options = {
+      delimiter: decodeURIComponent(form.querySelector('[name="delimiter"]').value),
+      encoding: form.querySelector('[name="encoding"]').value,
+      decimalSeparator: form.querySelector('[name="decimalSeparator"]').value,
+      header: form.querySelector('[name="header"]').checked,
+      columnTypes
+    };
+  }
+
+  /**
+   * Close the dialog and resolve the pending open() call
+   * @param {Object|null} result - Import options, or null if cancelled
+   */
+  close(result) {
+    this.hide();
+    this.container.innerHTML = '';
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Show the dialog
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+  }
+}
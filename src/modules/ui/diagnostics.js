@@ -1,5 +1,24 @@
 import { CSS_CLASSES, MESSAGES } from '../shared/constants.js';
 
+/**
+ * Create a small button acting on a table, the table name kept in data-table
+ * @param {string} label - Button text
+ * @param {string} className - Action class, e.g. btn-profile
+ * @param {string} tableName - Table name
+ * @param {string} [title] - Tooltip
+ * @returns {HTMLButtonElement}
+ */
+function createTableButton(label, className, tableName, title = null) {
+  const button = document.createElement('button');
+  button.className = `btn-small ${className}`;
+  button.dataset.table = tableName;
+  button.textContent = label;
+  if (title) {
+    button.title = title;
+  }
+  return button;
+}
+
 /**
  * Diagnostics dashboard UI component
  */
@@ -11,50 +30,189 @@ export class DiagnosticsUI {
   constructor(dashboard, tbody) {
     this.dashboard = dashboard;
     this.tbody = tbody;
+    this.onProfileCallback = null;
+    this.onDuplicatesCallback = null;
+    this.onComputeExactCallback = null;
+    this.onCancelExactCallback = null;
+  }
+
+  /**
+   * Set profile callback, for the per-table column profile
+   * @param {Function} callback - (tableName) => void
+   */
+  onProfile(callback) {
+    this.onProfileCallback = callback;
+  }
+
+  /**
+   * Set duplicates callback, for the duplicate inspector on a business key
+   * @param {Function} callback - (tableName) => void
+   */
+  onDuplicates(callback) {
+    this.onDuplicatesCallback = callback;
+  }
+
+  /**
+   * Set compute exact callback, for the exact unique row count of a table
+   * @param {Function} callback - (tableName) => void
+   */
+  onComputeExact(callback) {
+    this.onComputeExactCallback = callback;
+  }
+
+  /**
+   * Set cancel exact callback, to stop a running exact count
+   * @param {Function} callback - (tableName) => void
+   */
+  onCancelExact(callback) {
+    this.onCancelExactCallback = callback;
   }
 
   /**
    * Render diagnostics for all files
    * @param {Array<Object>} files - Array of file metadata
+   * @param {Set<string>} [running] - Tables whose exact count is running
    */
-  render(files) {
+  render(files, running = new Set()) {
     if (!files || files.length === 0) {
-      this.tbody.innerHTML = `<tr><td colspan="5" class="${CSS_CLASSES.EMPTY_MESSAGE}">${MESSAGES.UPLOAD_FILES_HINT}</td></tr>`;
+      this.tbody.innerHTML = `<tr><td colspan="6" class="${CSS_CLASSES.EMPTY_MESSAGE}">${MESSAGES.UPLOAD_FILES_HINT}</td></tr>`;
       this.hide();
       return;
     }
 
-    this.tbody.innerHTML = files.map(file => {
-      const rowCount = file.rowCount || 0;
-      const columnCount = file.columnCount || 0;
-      const uniqueRowCount = file.uniqueRowCount !== undefined ? file.uniqueRowCount : rowCount;
-
-      const duplicatePercent = rowCount > 0
-        ? ((rowCount - uniqueRowCount) / rowCount * 100).toFixed(1)
-        : 0;
-
-      // Color code duplicate percentage
-      let duplicateClass = CSS_CLASSES.DUPLICATE_LOW;
-      if (duplicatePercent > 20) {
-        duplicateClass = CSS_CLASSES.DUPLICATE_HIGH;
-      } else if (duplicatePercent > 5) {
-        duplicateClass = CSS_CLASSES.DUPLICATE_MEDIUM;
-      }
+    // Rows are built with the DOM API, so that table names are never parsed as markup
+    this.tbody.innerHTML = '';
+    for (const file of files) {
+      this.tbody.appendChild(this.createRow(file, running.has(file.tableName)));
+    }
 
-      return `
-        <tr>
-          <td class="${CSS_CLASSES.TABLE_NAME_COL}">${file.tableName}</td>
-          <td class="${CSS_CLASSES.NUMBER_COL}">${rowCount.toLocaleString()}</td>
-          <td class="${CSS_CLASSES.NUMBER_COL}">${columnCount}</td>
-          <td class="${CSS_CLASSES.NUMBER_COL}">${uniqueRowCount.toLocaleString()}</td>
-          <td class="${CSS_CLASSES.NUMBER_COL} ${duplicateClass}">${duplicatePercent}%</td>
-        </tr>
-      `;
-    }).join('');
+    this.tbody.querySelectorAll('.btn-profile').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.onProfileCallback) {
+          this.onProfileCallback(btn.dataset.table);
+        }
+      });
+    });
+
+    this.tbody.querySelectorAll('.btn-duplicates').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.onDuplicatesCallback) {
+          this.onDuplicatesCallback(btn.dataset.table);
+        }
+      });
+    });
+
+    this.tbody.querySelectorAll('.btn-compute-exact').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.onComputeExactCallback) {
+          this.onComputeExactCallback(btn.dataset.table);
+        }
+      });
+    });
+
+    this.tbody.querySelectorAll('.btn-cancel-exact').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.onCancelExactCallback) {
+          this.onCancelExactCallback(btn.dataset.table);
+        }
+      });
+    });
 
     this.show();
   }
 
+  /**
+   * Create the diagnostics row of a table
+   * @param {Object} file - File metadata
+   * @param {boolean} running - Whether the exact count of the table is running
+   * @returns {HTMLTableRowElement}
+   */
+  createRow(file, running) {
+    const rowCount = file.rowCount || 0;
+    const columnCount = file.columnCount || 0;
+    const uniqueRowCount = file.uniqueRowCount !== undefined ? file.uniqueRowCount : rowCount;
+    // Unique row counts are estimated in the background after upload, null until then
+    const pending = uniqueRowCount === null;
+    // Tables loaded before estimates existed hold exact counts
+    const exact = file.uniqueRowCountExact !== false;
+    const approx = exact ? '' : '≈ ';
+    // Attached databases only know DuckDB's estimate of their row counts
+    const rowsExact = file.rowCountExact !== false;
+
+    const duplicatePercent = rowCount > 0 && !pending
+      ? ((rowCount - uniqueRowCount) / rowCount * 100).toFixed(1)
+      : 0;
+
+    // Color code duplicate percentage
+    let duplicateClass = CSS_CLASSES.DUPLICATE_LOW;
+    if (duplicatePercent > 20) {
+      duplicateClass = CSS_CLASSES.DUPLICATE_HIGH;
+    } else if (duplicatePercent > 5) {
+      duplicateClass = CSS_CLASSES.DUPLICATE_MEDIUM;
+    }
+
+    const row = document.createElement('tr');
+    const addCell = (text, classes = [], title = null) => {
+      const cell = document.createElement('td');
+      cell.classList.add(...classes);
+      cell.textContent = text;
+      if (title) {
+        cell.title = title;
+      }
+      row.appendChild(cell);
+      return cell;
+    };
+    const estimated = (isExact) => (isExact ? [] : [CSS_CLASSES.ESTIMATE]);
+
+    addCell(file.tableName, [CSS_CLASSES.TABLE_NAME_COL]);
+    addCell(
+      `${rowsExact ? '' : '≈ '}${rowCount.toLocaleString()}`,
+      [CSS_CLASSES.NUMBER_COL, ...estimated(rowsExact)],
+      rowsExact ? null : 'Estimated by DuckDB, views not counted'
+    );
+    addCell(String(columnCount), [CSS_CLASSES.NUMBER_COL]);
+    if (pending) {
+      addCell('…', [CSS_CLASSES.NUMBER_COL, CSS_CLASSES.ESTIMATE], 'Being estimated in the background');
+      addCell('…', [CSS_CLASSES.NUMBER_COL, CSS_CLASSES.ESTIMATE], 'Being estimated in the background');
+    } else {
+      const title = exact ? null : 'Estimated with approx_count_distinct';
+      addCell(`${approx}${uniqueRowCount.toLocaleString()}`, [CSS_CLASSES.NUMBER_COL, ...estimated(exact)], title);
+      addCell(`${approx}${duplicatePercent}%`, [CSS_CLASSES.NUMBER_COL, duplicateClass, ...estimated(exact)], title);
+    }
+
+    const actions = addCell('');
+    if (file.format !== 'duckdb') {
+      actions.append(
+        createTableButton('Profile', 'btn-profile', file.tableName),
+        ' ',
+        createTableButton('Duplicates', 'btn-duplicates', file.tableName, 'Find duplicated business keys')
+      );
+    }
+    actions.append(...this.createExactStatus(file, exact, running));
+
+    return row;
+  }
+
+  /**
+   * Create a running exact count, or the button starting one for estimated figures
+   * @param {Object} file - File metadata
+   * @param {boolean} exact - Whether the unique row count is exact
+   * @param {boolean} running - Whether the exact count of the table is running
+   * @returns {Array<HTMLElement>}
+   */
+  createExactStatus(file, exact, running) {
+    if (running) {
+      const progress = document.createElement('span');
+      progress.className = 'exact-progress';
+      progress.append(document.createElement('progress'), createTableButton('Cancel', 'btn-cancel-exact', file.tableName));
+      return [progress];
+    }
+    if (exact) {
+      return [];
+    }
+    return [createTableButton('Exact duplicates', 'btn-compute-exact', file.tableName, 'Count duplicate rows exactly, in the background')];
+  }
+
   /**
    * Show the diagnostics dashboard
    */
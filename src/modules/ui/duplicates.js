@@ -0,0 +1,223 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+
+/**
+ * Duplicate inspector UI component
+ * The user picks the key columns of a table; the most duplicated keys are listed and can be opened in the results grid.
+ */
+export class DuplicatesUI {
+  /**
+   * @param {HTMLElement} container - Duplicates panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.tableName = null;
+    this.columns = [];
+    // Key columns last chosen for each table
+    this.keysByTable = new Map();
+    this.onSearchCallback = null;
+    this.onOpenGroupCallback = null;
+    this.onCloseCallback = null;
+  }
+
+  /**
+   * Set search callback
+   * @param {Function} callback - (tableName, keys) => void
+   */
+  onSearch(callback) {
+    this.onSearchCallback = callback;
+  }
+
+  /**
+   * Set open group callback, to show the rows of a duplicated key
+   * @param {Function} callback - (tableName, keys, values) => void
+   */
+  onOpenGroup(callback) {
+    this.onOpenGroupCallback = callback;
+  }
+
+  /**
+   * Set close callback
+   * @param {Function} callback - () => void
+   */
+  onClose(callback) {
+    this.onCloseCallback = callback;
+  }
+
+  /**
+   * Show the key picker of a table
+   * @param {string} tableName - Table name
+   * @param {string[]} columns - Column names
+   */
+  open(tableName, columns) {
+    this.tableName = tableName;
+    this.columns = columns;
+    this.renderFrame();
+    this.show();
+  }
+
+  /**
+   * Get the key columns checked in the picker
+   * @returns {string[]} - Column names, in table order
+   */
+  getSelectedKeys() {
+    return [...this.container.querySelectorAll('.duplicate-key:checked')].map(input => input.value);
+  }
+
+  /**
+   * Show that duplicates are being searched
+   */
+  showLoading() {
+    this.setResult(`Searching duplicates of (${this.getSelectedKeys().join(', ')})…`);
+  }
+
+  /**
+   * Show why the search failed
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    const error = this.setResult(`Error: ${message}`);
+    error.className = CSS_CLASSES.ERROR;
+  }
+
+  /**
+   * Render the duplicated keys of a table
+   * @param {Object} result - { tableName, keys, groupCount, rowCount, groups } from DuckDBApp.findDuplicates
+   */
+  render(result) {
+    const summary = result.groupCount === 0
+      ? `No duplicated (${result.keys.join(', ')})`
+      : `${result.groupCount.toLocaleString()} duplicated keys over ${result.rowCount.toLocaleString()} rows`;
+    const body = this.setResult(summary);
+    if (result.groups.length === 0) {
+      return;
+    }
+
+    if (result.groups.length < result.groupCount) {
+      body.textContent += ` — ${result.groups.length} most duplicated shown`;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'duplicates-table';
+    const header = document.createElement('tr');
+    for (const title of [...result.keys, 'Rows', '']) {
+      const th = document.createElement('th');
+      th.textContent = title;
+      header.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(header);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const group of result.groups) {
+      const row = document.createElement('tr');
+      for (const value of group.values) {
+        const cell = document.createElement('td');
+        cell.textContent = value === null ? 'NULL' : value;
+        cell.classList.toggle('cell-null', value === null);
+        row.appendChild(cell);
+      }
+
+      const count = document.createElement('td');
+      count.className = CSS_CLASSES.NUMBER_COL;
+      count.textContent = group.count.toLocaleString();
+      row.appendChild(count);
+
+      const actions = document.createElement('td');
+      const open = document.createElement('button');
+      open.className = 'btn-small btn-open-group';
+      open.textContent = 'Open';
+      open.title = 'Show these rows in the results grid, with the columns that differ highlighted';
+      open.addEventListener('click', () => {
+        if (this.onOpenGroupCallback) {
+          this.onOpenGroupCallback(result.tableName, result.keys, group.values);
+        }
+      });
+      actions.appendChild(open);
+      row.appendChild(actions);
+      tbody.appendChild(row);
+    }
+    table.appendChild(tbody);
+    this.container.querySelector('.duplicates-result').appendChild(table);
+  }
+
+  /**
+   * Replace the result area with a message
+   * @param {string} message - Message text
+   * @returns {HTMLElement} - The message element
+   */
+  setResult(message) {
+    const result = this.container.querySelector('.duplicates-result');
+    const text = document.createElement('div');
+    text.className = 'duplicates-summary';
+    text.textContent = message;
+    result.replaceChildren(text);
+    return text;
+  }
+
+  /**
+   * Render the title, the key picker and an empty result area
+   */
+  renderFrame() {
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span class="profile-title"></span>
+        <button class="btn-small btn-close-duplicates">Close</button>
+      </div>
+      <div class="duplicate-keys"></div>
+      <button class="btn-small btn-find-duplicates">Find duplicates</button>
+      <div class="duplicates-result"></div>
+    `;
+    this.container.querySelector('.profile-title').textContent = `Duplicate keys of ${this.tableName}`;
+
+    const chosen = this.keysByTable.get(this.tableName) || [];
+    const keys = this.container.querySelector('.duplicate-keys');
+    for (const column of this.columns) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'duplicate-key';
+      checkbox.value = column;
+      checkbox.checked = chosen.includes(column);
+      label.append(checkbox, ` ${column}`);
+      keys.appendChild(label);
+    }
+
+    const find = this.container.querySelector('.btn-find-duplicates');
+    const updateFind = () => {
+      find.disabled = this.getSelectedKeys().length === 0;
+    };
+    keys.addEventListener('change', updateFind);
+    updateFind();
+
+    find.addEventListener('click', () => {
+      const selected = this.getSelectedKeys();
+      this.keysByTable.set(this.tableName, selected);
+      if (this.onSearchCallback) {
+        this.onSearchCallback(this.tableName, selected);
+      }
+    });
+
+    this.container.querySelector('.btn-close-duplicates').addEventListener('click', () => {
+      this.hide();
+      if (this.onCloseCallback) {
+        this.onCloseCallback();
+      }
+    });
+  }
+
+  /**
+   * Show the duplicates panel
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the duplicates panel
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+    this.container.innerHTML = '';
+  }
+}
@@ -1,4 +1,6 @@
 import { CSS_CLASSES, MESSAGES } from '../shared/constants.js';
+import { formatFileSize } from '../shared/format.js';
+import { getQueryableTableNames } from '../files/table-manager.js';
 
 /**
  * File list UI component for displaying loaded tables
@@ -13,6 +15,7 @@ export class FileListUI {
     this.clearAllBtn = clearAllBtn;
     this.onRenameCallback = null;
     this.onRemoveCallback = null;
+    this.onEvictCallback = null;
   }
 
   /**
@@ -31,6 +34,14 @@ export class FileListUI {
     this.onRemoveCallback = callback;
   }
 
+  /**
+   * Set evict callback
+   * @param {Function} callback - (tableName) => void
+   */
+  onEvict(callback) {
+    this.onEvictCallback = callback;
+  }
+
   /**
    * Render file list
    * @param {Array<Object>} files - Array of file metadata
@@ -45,21 +56,54 @@ export class FileListUI {
     this.tbody.innerHTML = files.map(file => {
       const rowCount = file.rowCount || 0;
       const columnCount = file.columnCount || 0;
+      // Attached databases only know DuckDB's estimate of their row counts
+      const estimated = file.rowCountExact === false;
+
+      // Datasets show how many part files they span
+      const details = file.fileCount
+        ? ` <span class="${CSS_CLASSES.FILE_DETAILS}">(${file.fileCount} files, ${formatFileSize(file.fileSize || 0)})</span>`
+        : '';
+
+      // Attached databases list the qualified names of their tables, filled in below as text
+      const attached = file.attachedTables ? `<ul class="${CSS_CLASSES.ATTACHED_TABLES}"></ul>` : '';
+
+      // Tables cached in the browser are restored on the next visit and can be evicted
+      const badge = file.cached ? ` <span class="${CSS_CLASSES.CACHED_BADGE}">cached</span>` : '';
+      // Bundled nomenclatures are marked apart from the user's files, excerpts as samples
+      const sample = file.referenceSample ? ' title="Excerpt of the nomenclature, not the complete release"' : '';
+      const reference = file.reference
+        ? ` <span class="${CSS_CLASSES.REFERENCE_BADGE}"${sample}>${file.referenceSample ? 'reference sample' : 'reference'}</span>`
+        : '';
+      const evict = file.cached
+        ? `<button class="btn-small btn-evict" data-table="${file.tableName}">Evict</button>`
+        : '';
 
       return `
         <tr>
-          <td class="${CSS_CLASSES.TABLE_NAME}">${file.tableName}</td>
-          <td>${file.originalName}</td>
-          <td>${rowCount.toLocaleString()}</td>
+          <td><span class="${CSS_CLASSES.TABLE_NAME}">${file.tableName}</span>${reference}${badge}</td>
+          <td>${file.originalName}${details}${attached}</td>
+          <td${estimated ? ` class="${CSS_CLASSES.ESTIMATE}" title="Estimated by DuckDB, views not counted"` : ''}>${estimated ? '≈ ' : ''}${rowCount.toLocaleString()}</td>
           <td>${columnCount}</td>
           <td>
             <button class="btn-small btn-rename" data-table="${file.tableName}">Rename</button>
             <button class="btn-small btn-danger" data-table="${file.tableName}">Remove</button>
+            ${evict}
           </td>
         </tr>
       `;
     }).join('');
 
+    // Table names read from a database file are never parsed as markup
+    this.tbody.querySelectorAll(':scope > tr').forEach((row, index) => {
+      const list = row.querySelector(`.${CSS_CLASSES.ATTACHED_TABLES}`);
+      if (!list) return;
+      for (const name of getQueryableTableNames(files[index])) {
+        const item = document.createElement('li');
+        item.textContent = name;
+        list.appendChild(item);
+      }
+    });
+
     this.clearAllBtn.classList.add(CSS_CLASSES.VISIBLE);
     this.attachEventListeners();
   }
@@ -85,5 +129,14 @@ export class FileListUI {
         }
       });
     });
+
+    // Evict buttons
+    this.tbody.querySelectorAll('.btn-evict').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.onEvictCallback) {
+          this.onEvictCallback(btn.dataset.table);
+        }
+      });
+    });
   }
 }
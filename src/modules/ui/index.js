@@ -3,6 +3,22 @@
  */
 export { StatusIndicator } from './status.js';
 export { ResultsTableUI } from './results-table.js';
+export { VirtualGrid } from './virtual-grid.js';
 export { FileListUI } from './file-list.js';
 export { DiagnosticsUI } from './diagnostics.js';
+export { ProfileUI, createSparkline } from './profile.js';
+export { DuplicatesUI } from './duplicates.js';
+export { RelationshipsUI } from './relationships.js';
+export { SchemaDiffUI } from './schema-diff.js';
+export { RulesUI } from './rules.js';
+export { CodeQualityUI } from './code-quality.js';
 export { SQLEditor } from './sql-editor.js';
+export { CSVImportDialog } from './csv-import-dialog.js';
+export { ZipImportDialog } from './zip-import-dialog.js';
+export { StorageUsageUI } from './storage-usage.js';
+export { SavedQueriesUI } from './saved-queries.js';
+export { MacroLibraryUI } from './macro-library.js';
+export { CommandPaletteUI } from './command-palette.js';
+export { ParameterFormUI } from './parameter-form.js';
+export { TemplateEditorUI } from './template-editor.js';
+export { ReferenceTablesUI } from './reference-tables.js';
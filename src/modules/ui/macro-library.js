@@ -0,0 +1,65 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+
+/**
+ * Macro library UI component
+ * Lists the macros loaded from the .sql files with their registration status, so that failures are visible.
+ */
+export class MacroLibraryUI {
+  /**
+   * @param {HTMLElement} container - Macro library element
+   */
+  constructor(container) {
+    this.container = container;
+  }
+
+  /**
+   * Render the macros
+   * @param {Array<Object>} macros - Macros from DuckDBApp.getMacros
+   */
+  render(macros) {
+    if (macros.length === 0) {
+      this.container.innerHTML = '';
+      this.container.classList.remove(CSS_CLASSES.VISIBLE);
+      return;
+    }
+
+    const count = status => macros.filter(macro => macro.status === status).length;
+    const failed = count('error');
+
+    this.container.innerHTML = `
+      <details class="macro-library-details">
+        <summary></summary>
+        <ul class="macro-list"></ul>
+      </details>
+    `;
+    const details = this.container.querySelector('details');
+    // Failures are shown without the user having to look for them
+    details.open = failed > 0;
+    details.querySelector('summary').textContent =
+      `Macro library: ${count('registered')} registered, ${count('pending')} waiting for a table, ${failed} failed`;
+
+    const list = this.container.querySelector('.macro-list');
+    for (const macro of macros) {
+      const item = document.createElement('li');
+      item.className = `macro-item macro-${macro.status}`;
+      const name = document.createElement('code');
+      name.textContent = macro.name || '(statement)';
+      const file = document.createElement('span');
+      file.className = 'macro-file';
+      file.textContent = ` ${macro.file}`;
+      item.append(name, file);
+
+      if (macro.status !== 'registered') {
+        const message = document.createElement('div');
+        message.className = 'macro-message';
+        message.textContent = macro.status === 'pending'
+          ? `Registered once table ${macro.missingTable} is loaded`
+          : macro.error;
+        item.appendChild(message);
+      }
+      list.appendChild(item);
+    }
+
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+}
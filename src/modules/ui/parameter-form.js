@@ -0,0 +1,192 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { getParameterLabel, validateParameterValues } from '../templates/index.js';
+
+const INPUT_TYPES = { text: 'text', number: 'number', date: 'date' };
+
+/**
+ * Template parameter form UI component
+ * Generated from the parameters a template declares, shown before the template runs.
+ */
+export class ParameterFormUI {
+  /**
+   * @param {HTMLElement} container - Dialog container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.resolve = null;
+    this.parameters = [];
+  }
+
+  /**
+   * Open the form for a template and wait for the values
+   * @param {Object} template - Template with parameters
+   * @param {Object} [options]
+   * @param {Object} [options.values] - Values to prefill, by parameter name
+   * @param {Object} [options.choices] - Values enum and multi parameters can take, by parameter name
+   *   (defaults to the options the parameter declares)
+   * @returns {Promise<Object|null>} - Checked values from validateParameterValues, or null if cancelled
+   */
+  open(template, { values = {}, choices = {} } = {}) {
+    this.parameters = template.parameters;
+
+    this.render(template, values, choices);
+    this.show();
+    this.container.querySelector('[data-parameter] input, [data-parameter] select')?.focus();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the form
+   * @param {Object} template - Template with parameters
+   * @param {Object} values - Values to prefill
+   * @param {Object} choices - Values enum and multi parameters can take
+   */
+  render(template, values, choices) {
+    this.container.innerHTML = `
+      <form class="import-dialog-box parameter-form" novalidate>
+        <div class="import-dialog-title"></div>
+        <div class="parameter-fields"></div>
+        <div class="parameter-error"></div>
+        <div class="import-dialog-actions">
+          <button type="submit" class="btn-small btn-import btn-run-template">Run</button>
+          <button type="button" class="btn-small btn-cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+    this.container.querySelector('.import-dialog-title').textContent = template.title;
+
+    const fields = this.container.querySelector('.parameter-fields');
+    for (const parameter of this.parameters) {
+      fields.appendChild(this.renderField(
+        parameter,
+        values[parameter.name],
+        choices[parameter.name] ?? parameter.options ?? []
+      ));
+    }
+
+    const form = this.container.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    form.querySelector('.btn-cancel').addEventListener('click', () => this.close(null));
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close(null);
+      }
+    });
+  }
+
+  /**
+   * Render the input of a parameter
+   * @param {Object} parameter - Parameter
+   * @param {string|string[]|undefined} value - Value to prefill
+   * @param {string[]} choices - Values an enum or multi parameter can take
+   * @returns {HTMLElement}
+   */
+  renderField(parameter, value, choices) {
+    const field = document.createElement(parameter.type === 'multi' ? 'fieldset' : 'label');
+    field.className = 'parameter-field';
+    field.dataset.parameter = parameter.name;
+
+    const label = document.createElement(parameter.type === 'multi' ? 'legend' : 'span');
+    label.textContent = getParameterLabel(parameter);
+    field.appendChild(label);
+
+    if (parameter.type === 'multi') {
+      const selected = new Set(Array.isArray(value) ? value : []);
+      for (const choice of choices) {
+        const option = document.createElement('label');
+        option.className = 'parameter-choice';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = choice;
+        checkbox.checked = selected.has(choice);
+        option.append(checkbox, ` ${choice}`);
+        field.appendChild(option);
+      }
+    } else if (parameter.type === 'enum') {
+      const select = document.createElement('select');
+      for (const [text, optionValue] of [['Choose…', ''], ...choices.map(choice => [choice, choice])]) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = choices.includes(value) ? value : '';
+      field.appendChild(select);
+    } else {
+      const input = document.createElement('input');
+      input.type = INPUT_TYPES[parameter.type];
+      input.value = value ?? '';
+      field.appendChild(input);
+    }
+
+    return field;
+  }
+
+  /**
+   * Read the entered values by parameter name
+   * @returns {Object}
+   */
+  readForm() {
+    const values = {};
+    for (const parameter of this.parameters) {
+      const field = this.container.querySelector(`[data-parameter="${parameter.name}"]`);
+      values[parameter.name] = parameter.type === 'multi'
+        ? [...field.querySelectorAll('input:checked')].map(input => input.value)
+        : field.querySelector('input, select').value;
+    }
+    return values;
+  }
+
+  /**
+   * Check the entered values and close with them, or show what is wrong
+   */
+  submit() {
+    try {
+      this.close(validateParameterValues(this.parameters, this.readForm()));
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Show a validation error under the fields
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.container.querySelector('.parameter-error').textContent = message;
+  }
+
+  /**
+   * Close the form and resolve the pending open() call
+   * @param {Object|null} result - Checked values, or null if cancelled
+   */
+  close(result) {
+    this.hide();
+    this.container.innerHTML = '';
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Show the form
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the form
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+  }
+}
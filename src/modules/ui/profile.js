@@ -0,0 +1,253 @@
+import { CONFIG, CSS_CLASSES } from '../shared/constants.js';
+import { formatCellValue } from '../shared/format.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Create an inline bar chart of counts
+ * @param {number[]} counts - Bar heights, e.g. histogram buckets or value frequencies
+ * @param {Object} [size]
+ * @param {number} [size.width] - Width in pixels
+ * @param {number} [size.height] - Height in pixels
+ * @returns {SVGSVGElement}
+ */
+export function createSparkline(counts, { width = CONFIG.SPARKLINE_WIDTH, height = CONFIG.SPARKLINE_HEIGHT } = {}) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'sparkline');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const max = Math.max(0, ...counts);
+  const barWidth = counts.length > 0 ? width / counts.length : 0;
+
+  counts.forEach((count, index) => {
+    // Non-empty buckets keep at least one pixel so that they stay visible
+    const barHeight = max > 0 && count > 0 ? Math.max(1, (count / max) * height) : 0;
+    const bar = document.createElementNS(SVG_NS, 'rect');
+    bar.setAttribute('x', index * barWidth);
+    bar.setAttribute('y', height - barHeight);
+    bar.setAttribute('width', Math.max(1, barWidth - 1));
+    bar.setAttribute('height', barHeight);
+    svg.appendChild(bar);
+  });
+
+  return svg;
+}
+
+/**
+ * Format a statistic returned as text by SUMMARIZE
+ * @param {*} value - Statistic value
+ * @param {string} kind - Profile kind of the column
+ * @returns {string}
+ */
+function formatStat(value, kind) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+
+  const text = String(value);
+  if (kind === 'numeric' && text.trim() !== '' && !Number.isNaN(Number(text))) {
+    return new Intl.NumberFormat(CONFIG.LOCALE, { maximumFractionDigits: 2 }).format(Number(text));
+  }
+
+  const date = text.match(/^(\d{4}-\d{2}-\d{2})([ T](\d{2}:\d{2}:\d{2}))?/);
+  if (kind === 'temporal' && date) {
+    const time = Date.parse(`${date[1]}T${date[3] || '00:00:00'}Z`);
+    return formatCellValue(time, { kind: date[3] ? 'timestamp' : 'date', timezone: null });
+  }
+  return text;
+}
+
+/**
+ * Column profile UI component
+ * Shows one line per column of a table: type, missing and distinct values, statistics and distribution.
+ */
+export class ProfileUI {
+  /**
+   * @param {HTMLElement} container - Profile panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onCloseCallback = null;
+  }
+
+  /**
+   * Set close callback
+   * @param {Function} callback - () => void
+   */
+  onClose(callback) {
+    this.onCloseCallback = callback;
+  }
+
+  /**
+   * Show that a table is being profiled
+   * @param {string} tableName - Table name
+   */
+  showLoading(tableName) {
+    this.renderFrame(`Profiling ${tableName}…`);
+    this.show();
+  }
+
+  /**
+   * Show why profiling failed
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    const body = this.renderFrame('Column profile');
+    const error = document.createElement('div');
+    error.className = CSS_CLASSES.ERROR;
+    error.textContent = `Error: ${message}`;
+    body.appendChild(error);
+    this.show();
+  }
+
+  /**
+   * Render a table profile
+   * @param {Object} profile - { tableName, rowCount, columns } from DuckDBApp.profileTable
+   */
+  render(profile) {
+    const body = this.renderFrame(
+      `Profile of ${profile.tableName} — ${profile.rowCount.toLocaleString()} rows, ${profile.columns.length} columns`
+    );
+
+    const table = document.createElement('table');
+    table.className = 'profile-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Column</th>
+          <th>Type</th>
+          <th>Missing</th>
+          <th>Distinct</th>
+          <th>Summary</th>
+          <th>Distribution</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    for (const column of profile.columns) {
+      tbody.appendChild(this.createColumnRow(column, profile.rowCount));
+    }
+    table.appendChild(tbody);
+    body.appendChild(table);
+    this.show();
+  }
+
+  /**
+   * Create the line of one column
+   * @param {Object} column - Column profile
+   * @param {number} rowCount - Number of rows of the table
+   * @returns {HTMLTableRowElement}
+   */
+  createColumnRow(column, rowCount) {
+    const row = document.createElement('tr');
+    const addCell = (content, className = '') => {
+      const cell = document.createElement('td');
+      cell.className = className;
+      if (typeof content === 'string') {
+        cell.textContent = content;
+      } else {
+        cell.appendChild(content);
+      }
+      row.appendChild(cell);
+      return cell;
+    };
+
+    addCell(column.name, CSS_CLASSES.TABLE_NAME_COL);
+    addCell(column.type, 'profile-type');
+    const missing = addCell(
+      `${column.missing.toLocaleString()} (${(column.missingRate * 100).toFixed(1)}%)`,
+      CSS_CLASSES.NUMBER_COL
+    );
+    if (column.missing > 0) {
+      missing.classList.add('profile-missing');
+    }
+    const distinct = addCell(`≈ ${column.distinct.toLocaleString()}`, `${CSS_CLASSES.NUMBER_COL} ${CSS_CLASSES.ESTIMATE}`);
+    distinct.title = 'Estimated by DuckDB SUMMARIZE';
+    addCell(this.createSummary(column, rowCount), 'profile-summary');
+
+    const counts = column.histogram || (column.topValues || []).map(item => item.count);
+    const sparkline = addCell(createSparkline(counts), 'profile-distribution');
+    if (column.histogram) {
+      sparkline.title = `${column.histogram.length} equal-width buckets from ${formatStat(column.min, column.kind)} to ${formatStat(column.max, column.kind)}`;
+    }
+
+    return row;
+  }
+
+  /**
+   * Create the statistics of a column: quantiles for numbers, range for dates, top values otherwise
+   * @param {Object} column - Column profile
+   * @param {number} rowCount - Number of rows of the table
+   * @returns {HTMLElement}
+   */
+  createSummary(column, rowCount) {
+    const summary = document.createElement('div');
+    const stat = (label, value) => `${label} ${formatStat(value, column.kind)}`;
+
+    if (column.kind === 'numeric') {
+      summary.textContent = [
+        stat('min', column.min),
+        stat('q25', column.q25),
+        stat('median', column.q50),
+        stat('q75', column.q75),
+        stat('max', column.max),
+        `mean ${formatStat(column.mean, column.kind)} ± ${formatStat(column.sd, column.kind)}`
+      ].join(' · ');
+    } else if (column.kind === 'temporal') {
+      summary.textContent = `${stat('min', column.min)} · ${stat('max', column.max)}`;
+    } else {
+      const list = document.createElement('ol');
+      list.className = 'profile-top-values';
+      for (const { value, count } of column.topValues || []) {
+        const item = document.createElement('li');
+        const share = rowCount > 0 ? ` (${(count / rowCount * 100).toFixed(1)}%)` : '';
+        item.textContent = `${value === '' ? '""' : value} — ${count.toLocaleString()}${share}`;
+        list.appendChild(item);
+      }
+      summary.appendChild(list);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Replace the panel content with a title and a close button
+   * @param {string} title - Panel title
+   * @returns {HTMLElement} - Element to render the body into
+   */
+  renderFrame(title) {
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span class="profile-title"></span>
+        <button class="btn-small btn-close-profile">Close</button>
+      </div>
+      <div class="profile-body"></div>
+    `;
+    this.container.querySelector('.profile-title').textContent = title;
+    this.container.querySelector('.btn-close-profile').addEventListener('click', () => {
+      this.hide();
+      if (this.onCloseCallback) {
+        this.onCloseCallback();
+      }
+    });
+    return this.container.querySelector('.profile-body');
+  }
+
+  /**
+   * Show the profile panel
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the profile panel
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+    this.container.innerHTML = '';
+  }
+}
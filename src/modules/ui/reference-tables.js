@@ -0,0 +1,87 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { NOMENCLATURES } from '../files/reference.js';
+
+/**
+ * Reference tables UI component
+ * Offers the bundled nomenclatures, one year picker per nomenclature.
+ */
+export class ReferenceTablesUI {
+  /**
+   * @param {HTMLElement} container - Reference tables element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onLoadCallback = null;
+  }
+
+  /**
+   * Set load callback
+   * @param {Function} callback - (datasetId) => void
+   */
+  onLoad(callback) {
+    this.onLoadCallback = callback;
+  }
+
+  /**
+   * Render the nomenclatures and the years available for each
+   * @param {Array<Object>} datasets - Reference datasets, see listReferenceDatasets
+   * @param {Array<Object>} files - Loaded file metadata, to tell which datasets are loaded
+   */
+  render(datasets, files) {
+    const nomenclatures = NOMENCLATURES.filter(n => datasets.some(d => d.nomenclature === n.id));
+    if (nomenclatures.length === 0) {
+      this.container.innerHTML = '';
+      this.container.classList.remove(CSS_CLASSES.VISIBLE);
+      return;
+    }
+
+    // Loaded reference tables by dataset id
+    const loaded = new Map(files.filter(f => f.reference).map(f => [f.referenceId, f.tableName]));
+
+    // Excerpts only hold a few codes, they must not pass for the complete releases
+    const note = datasets.some(d => d.sample)
+      ? '<div class="reference-sample-note">Years marked sample are excerpts of a few codes, not the complete releases.</div>'
+      : '';
+    this.container.innerHTML = `
+      <div class="reference-tables-title">Reference tables</div>
+      ${note}
+      <ul class="reference-list"></ul>
+    `;
+    const list = this.container.querySelector('.reference-list');
+
+    for (const nomenclature of nomenclatures) {
+      const years = datasets.filter(d => d.nomenclature === nomenclature.id);
+      const item = document.createElement('li');
+      item.className = 'reference-item';
+      item.innerHTML = `
+        <strong>${nomenclature.label}</strong>
+        <span class="reference-description">${nomenclature.description}</span>
+        <select class="reference-year" aria-label="${nomenclature.label} year">
+          ${years.map(d => `<option value="${d.id}">${d.year}${d.sample ? ' (sample)' : ''}</option>`).join('')}
+        </select>
+        <button class="btn-small btn-load-reference">Load</button>
+        <span class="reference-loaded"></span>
+      `;
+
+      const select = item.querySelector('.reference-year');
+      const button = item.querySelector('.btn-load-reference');
+      const status = item.querySelector('.reference-loaded');
+      const update = () => {
+        button.disabled = loaded.has(select.value);
+        const tables = years.filter(d => loaded.has(d.id)).map(d => loaded.get(d.id));
+        status.textContent = tables.length > 0 ? `Loaded as ${tables.join(', ')}` : '';
+      };
+      select.addEventListener('change', update);
+      button.addEventListener('click', () => {
+        if (this.onLoadCallback) {
+          this.onLoadCallback(select.value);
+        }
+      });
+      update();
+
+      list.appendChild(item);
+    }
+
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+}
@@ -0,0 +1,275 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { formatCellValue } from '../shared/format.js';
+import { getRelationshipKey } from '../database/relationships.js';
+
+/**
+ * Relationship checker UI component
+ * Lists the declared foreign keys between tables, with the rows each one leaves unmatched.
+ */
+export class RelationshipsUI {
+  /**
+   * @param {HTMLElement} container - Relationships panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onAddCallback = null;
+    this.onRemoveCallback = null;
+    this.onCheckCallback = null;
+    this.onSuggestCallback = null;
+    this.onOpenRowsCallback = null;
+  }
+
+  /**
+   * Set add callback, for a relationship declared in the form or picked among the suggestions
+   * @param {Function} callback - (relationship) => void
+   */
+  onAdd(callback) {
+    this.onAddCallback = callback;
+  }
+
+  /**
+   * Set remove callback
+   * @param {Function} callback - (key) => void
+   */
+  onRemove(callback) {
+    this.onRemoveCallback = callback;
+  }
+
+  /**
+   * Set check callback
+   * @param {Function} callback - (relationship) => void
+   */
+  onCheck(callback) {
+    this.onCheckCallback = callback;
+  }
+
+  /**
+   * Set suggest callback
+   * @param {Function} callback - () => void
+   */
+  onSuggest(callback) {
+    this.onSuggestCallback = callback;
+  }
+
+  /**
+   * Set open rows callback, to show every unmatched row in the results grid
+   * @param {Function} callback - (sql) => void
+   */
+  onOpenRows(callback) {
+    this.onOpenRowsCallback = callback;
+  }
+
+  /**
+   * Render the relationships and the form declaring new ones
+   * @param {Object} state
+   * @param {string[]} state.tables - Names of the tables that can be related
+   * @param {Array<Object>} state.relationships - Declared relationships
+   * @param {Map<string, Object>} [state.reports] - By relationship key: a report from DuckDBApp.checkRelationship,
+   *   { loading: true } while checking or { error } when the check failed
+   * @param {Array<Object>} [state.suggestions] - Relationships suggested from matching column names
+   * @param {string} [state.error] - Why the last relationship could not be added
+   */
+  render({ tables, relationships, reports = new Map(), suggestions = [], error = null }) {
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span>Relationships</span>
+        <button class="btn-small btn-suggest-relationships">Suggest from column names</button>
+      </div>
+      <div class="relationship-list"></div>
+      <div class="relationship-suggestions"></div>
+      <div class="relationship-form">
+        <select class="relationship-from-table"></select>
+        <input type="text" class="relationship-from-columns" placeholder="columns, e.g. finess, num_rss">
+        <span>references</span>
+        <select class="relationship-to-table"></select>
+        <input type="text" class="relationship-to-columns" placeholder="same columns">
+        <button class="btn-small btn-add-relationship">Add</button>
+      </div>
+    `;
+
+    const list = this.container.querySelector('.relationship-list');
+    if (relationships.length === 0) {
+      list.innerHTML = `<p class="${CSS_CLASSES.EMPTY_MESSAGE}">No relationship declared</p>`;
+    }
+    for (const relationship of relationships) {
+      list.appendChild(this.createRelationship(relationship, reports.get(getRelationshipKey(relationship))));
+    }
+
+    const suggestionList = this.container.querySelector('.relationship-suggestions');
+    for (const suggestion of suggestions) {
+      const item = document.createElement('div');
+      item.className = 'relationship-suggestion';
+      item.textContent = `${getRelationshipKey(suggestion)} `;
+      item.appendChild(this.createButton('Add', 'btn-add-suggestion', () => this.emitAdd(suggestion)));
+      suggestionList.appendChild(item);
+    }
+
+    for (const select of this.container.querySelectorAll('select')) {
+      for (const table of tables) {
+        const option = document.createElement('option');
+        option.value = table;
+        option.textContent = table;
+        select.appendChild(option);
+      }
+    }
+
+    if (error) {
+      const message = document.createElement('div');
+      message.className = CSS_CLASSES.ERROR;
+      message.textContent = `Error: ${error}`;
+      this.container.querySelector('.relationship-form').after(message);
+    }
+
+    this.container.querySelector('.btn-add-relationship').addEventListener('click', () => {
+      const split = text => text.split(',').map(column => column.trim()).filter(Boolean);
+      const fromColumns = split(this.container.querySelector('.relationship-from-columns').value);
+      const toColumns = split(this.container.querySelector('.relationship-to-columns').value);
+      this.emitAdd({
+        fromTable: this.container.querySelector('.relationship-from-table').value,
+        fromColumns,
+        toTable: this.container.querySelector('.relationship-to-table').value,
+        toColumns: toColumns.length > 0 ? toColumns : fromColumns
+      });
+    });
+
+    this.container.querySelector('.btn-suggest-relationships').addEventListener('click', () => {
+      if (this.onSuggestCallback) {
+        this.onSuggestCallback();
+      }
+    });
+
+    this.container.classList.toggle(CSS_CLASSES.VISIBLE, tables.length > 0);
+  }
+
+  /**
+   * Create the line of a relationship, with its check report
+   * @param {Object} relationship - Declared relationship
+   * @param {Object} [report] - Check report, { loading: true } or { error }
+   * @returns {HTMLElement}
+   */
+  createRelationship(relationship, report) {
+    const item = document.createElement('div');
+    item.className = 'relationship';
+
+    const title = document.createElement('div');
+    title.className = 'relationship-title';
+    const name = document.createElement('code');
+    name.textContent = getRelationshipKey(relationship);
+    title.append(
+      name,
+      this.createButton('Check', 'btn-check-relationship', () => {
+        if (this.onCheckCallback) {
+          this.onCheckCallback(relationship);
+        }
+      }),
+      this.createButton('Remove', 'btn-remove-relationship', () => {
+        if (this.onRemoveCallback) {
+          this.onRemoveCallback(getRelationshipKey(relationship));
+        }
+      })
+    );
+    item.appendChild(title);
+
+    if (report?.loading) {
+      item.appendChild(this.createMessage('Checking…', CSS_CLASSES.MESSAGE));
+    } else if (report?.error) {
+      item.appendChild(this.createMessage(`Error: ${report.error}`, CSS_CLASSES.ERROR));
+    } else if (report) {
+      item.appendChild(this.createSide(
+        report.orphans,
+        `rows of ${relationship.fromTable} reference no row of ${relationship.toTable}`
+      ));
+      item.appendChild(this.createSide(
+        report.unreferenced,
+        `rows of ${relationship.toTable} are referenced by no row of ${relationship.fromTable}`
+      ));
+    }
+
+    return item;
+  }
+
+  /**
+   * Create one direction of a check report: the unmatched row count and a sample of them
+   * @param {Object} side - { count, sql, sample: { columns, rows, types } }
+   * @param {string} label - What the unmatched rows are
+   * @returns {HTMLElement}
+   */
+  createSide(side, label) {
+    const element = document.createElement('div');
+    element.className = 'relationship-side';
+
+    const summary = document.createElement('div');
+    summary.className = side.count > 0 ? 'relationship-unmatched' : 'relationship-matched';
+    summary.textContent = `${side.count.toLocaleString()} ${label}`;
+    element.appendChild(summary);
+    if (side.count === 0) {
+      return element;
+    }
+
+    summary.appendChild(this.createButton('Open all', 'btn-open-unmatched', () => {
+      if (this.onOpenRowsCallback) {
+        this.onOpenRowsCallback(side.sql);
+      }
+    }));
+
+    const table = document.createElement('table');
+    table.className = 'relationship-sample';
+    const header = document.createElement('tr');
+    for (const column of side.sample.columns) {
+      const th = document.createElement('th');
+      th.textContent = column;
+      header.appendChild(th);
+    }
+    table.appendChild(header);
+    for (const row of side.sample.rows) {
+      const tr = document.createElement('tr');
+      row.forEach((value, index) => {
+        const td = document.createElement('td');
+        td.textContent = formatCellValue(value, side.sample.types?.[index]);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    }
+    element.appendChild(table);
+
+    return element;
+  }
+
+  /**
+   * Create a small button
+   * @param {string} text - Button text
+   * @param {string} className - Button class
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, className, onClick) {
+    const button = document.createElement('button');
+    button.className = `btn-small ${className}`;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Create a message line
+   * @param {string} text - Message text
+   * @param {string} className - Message class
+   * @returns {HTMLElement}
+   */
+  createMessage(text, className) {
+    const message = document.createElement('div');
+    message.className = className;
+    message.textContent = text;
+    return message;
+  }
+
+  /**
+   * Emit a relationship to add
+   * @param {Object} relationship - { fromTable, fromColumns, toTable, toColumns }
+   */
+  emitAdd(relationship) {
+    if (this.onAddCallback) {
+      this.onAddCallback(relationship);
+    }
+  }
+}
@@ -1,5 +1,5 @@
-import { CSS_CLASSES, MESSAGES } from '../shared/constants.js';
-import { createResultsTable } from '../database/queries.js';
+import { CONFIG, CSS_CLASSES, MESSAGES } from '../shared/constants.js';
+import { VirtualGrid } from './virtual-grid.js';
 
 /**
  * Results table UI component
@@ -13,25 +13,305 @@ export class ResultsTableUI {
     this.container = container;
     this.exportBtn = exportBtn;
     this.lastResults = null;
+    this.columns = [];
+    this.types = [];
+    this.view = { sort: null, filters: {} };
+    this.hiddenColumns = new Set();
+    this.columnWidths = {};
+    this.highlightedColumns = new Set();
+    this.onErrorCallback = null;
+    this.onViewChangeCallback = null;
+    this.onPushToSQLCallback = null;
+    this.onPageChangeCallback = null;
+    this.onPageSizeChangeCallback = null;
+  }
+
+  /**
+   * Set error callback, for rows that fail to load while scrolling
+   * @param {Function} callback - (error) => void
+   */
+  onError(callback) {
+    this.onErrorCallback = callback;
+  }
+
+  /**
+   * Set view change callback, for sorting and filtering changes
+   * @param {Function} callback - (view) => void, with view = { sort, filters }
+   */
+  onViewChange(callback) {
+    this.onViewChangeCallback = callback;
+  }
+
+  /**
+   * Set push to SQL callback
+   * @param {Function} callback - (view) => void
+   */
+  onPushToSQL(callback) {
+    this.onPushToSQLCallback = callback;
+  }
+
+  /**
+   * Get the sorting and filtering applied to the results
+   * @returns {{sort: Object|null, filters: Object}}
+   */
+  getView() {
+    return { sort: this.view.sort, filters: { ...this.view.filters } };
+  }
+
+  /**
+   * Get the types of the displayed columns
+   * @returns {Object} - Column name => type from describeColumnType
+   */
+  getColumnTypes() {
+    return Object.fromEntries(this.columns.map((column, index) => [column, this.types[index] ?? null]));
+  }
+
+  /**
+   * Check whether sorting or filtering is applied
+   * @returns {boolean}
+   */
+  hasView() {
+    return this.view.sort !== null || Object.keys(this.view.filters).length > 0;
+  }
+
+  /**
+   * Forget sorting, filtering and column layout, e.g. before running a new query
+   */
+  resetView() {
+    this.columns = [];
+    this.types = [];
+    this.view = { sort: null, filters: {} };
+    this.hiddenColumns = new Set();
+    this.columnWidths = {};
+    this.highlightedColumns = new Set();
+  }
+
+  /**
+   * Highlight columns of the next results, until the view is reset
+   * @param {string[]} columns - Column names
+   */
+  setHighlightedColumns(columns) {
+    this.highlightedColumns = new Set(columns);
+  }
+
+  /**
+   * Set page change callback
+   * @param {Function} callback - (page) => void, with a zero-based page index
+   */
+  onPageChange(callback) {
+    this.onPageChangeCallback = callback;
+  }
+
+  /**
+   * Set page size change callback
+   * @param {Function} callback - (pageSize) => void
+   */
+  onPageSizeChange(callback) {
+    this.onPageSizeChangeCallback = callback;
   }
 
   /**
    * Render query results
-   * @param {Object} data - { columns: string[], rows: any[][] }
+   * @param {Object} data - { columns: string[], rows: any[][], types?: Array, rowCount?: number, fetchRows?: Function }
+   * @param {Object} [pagination] - { page, pageCount, pageSize, totalRows } from QueryPager.getState
+   * @param {Object} [options]
+   * @param {boolean} [options.queryable=false] - Whether sorting and filtering can be applied to the query
    */
-  render(data) {
+  render(data, pagination = null, { queryable = false } = {}) {
     this.container.innerHTML = '';
     this.lastResults = data;
 
-    if (!data || data.rows.length === 0) {
+    const empty = !data || (data.rowCount ?? data.rows.length) === 0;
+    // A filter matching nothing still shows the grid, so that the filter can be changed
+    if (!data || (empty && !(queryable && this.hasView() && this.columns.length > 0))) {
       this.container.innerHTML = `<p class="${CSS_CLASSES.MESSAGE}">${MESSAGES.NO_RESULTS}</p>`;
       this.hideExportButton();
       return;
     }
 
-    const table = createResultsTable(data);
-    this.container.appendChild(table);
-    this.showExportButton();
+    if (data.columns.length > 0) {
+      this.columns = data.columns;
+      this.types = data.types || [];
+    }
+
+    if (pagination) {
+      this.container.appendChild(this.createPagination(pagination));
+    }
+
+    const grid = new VirtualGrid(this.container, { ...data, columns: this.columns, types: this.types }, {
+      hiddenColumns: this.hiddenColumns,
+      columnWidths: this.columnWidths,
+      sort: this.view.sort,
+      filters: queryable ? this.view.filters : null,
+      highlightedColumns: this.highlightedColumns
+    });
+    grid.onError((error) => {
+      // Ignore failures from a grid that has since been replaced
+      if (this.container.contains(grid.viewport) && this.onErrorCallback) {
+        this.onErrorCallback(error);
+      }
+    });
+    grid.onSort((column) => this.toggleSort(column));
+    grid.onFilter((column, text) => this.setFilter(column, text));
+
+    this.container.insertBefore(this.createToolbar(grid, queryable), grid.viewport);
+
+    if (empty) {
+      this.hideExportButton();
+    } else {
+      this.showExportButton();
+    }
+  }
+
+  /**
+   * Create the column visibility menu and the view actions
+   * @param {VirtualGrid} grid - Grid showing the results
+   * @param {boolean} queryable - Whether sorting and filtering can be applied to the query
+   * @returns {HTMLElement}
+   */
+  createToolbar(grid, queryable) {
+    const element = document.createElement('div');
+    element.className = CSS_CLASSES.RESULTS_TOOLBAR;
+
+    const menu = document.createElement('details');
+    menu.className = 'column-menu';
+    const summary = document.createElement('summary');
+    const updateSummary = () => {
+      summary.textContent = this.hiddenColumns.size > 0 ? `Columns (${this.hiddenColumns.size} hidden)` : 'Columns';
+    };
+    updateSummary();
+    menu.appendChild(summary);
+
+    const list = document.createElement('div');
+    list.className = 'column-menu-list';
+    for (const column of this.columns) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.column = column;
+      checkbox.checked = !this.hiddenColumns.has(column);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.hiddenColumns.delete(column);
+        } else {
+          this.hiddenColumns.add(column);
+        }
+        updateSummary();
+        grid.setHiddenColumns(this.hiddenColumns);
+      });
+      label.append(checkbox, ` ${column}`);
+      list.appendChild(label);
+    }
+    menu.appendChild(list);
+    element.appendChild(menu);
+
+    if (queryable) {
+      const disabled = this.hasView() ? '' : ' disabled';
+      element.insertAdjacentHTML('beforeend', `
+        <button class="btn-small btn-clear-view"${disabled}>Clear sort &amp; filters</button>
+        <button class="btn-small btn-push-sql"${disabled} title="Rewrite the query with the equivalent WHERE and ORDER BY clauses">Push to SQL</button>
+      `);
+
+      element.querySelector('.btn-clear-view').addEventListener('click', () => {
+        this.view = { sort: null, filters: {} };
+        this.emitViewChange();
+      });
+      element.querySelector('.btn-push-sql').addEventListener('click', () => {
+        if (this.onPushToSQLCallback) {
+          this.onPushToSQLCallback(this.getView());
+        }
+      });
+    }
+
+    return element;
+  }
+
+  /**
+   * Cycle a column through ascending, descending and unsorted
+   * @param {string} column - Column name
+   */
+  toggleSort(column) {
+    const { sort } = this.view;
+    if (!sort || sort.column !== column) {
+      this.view.sort = { column, direction: 'asc' };
+    } else if (sort.direction === 'asc') {
+      this.view.sort = { column, direction: 'desc' };
+    } else {
+      this.view.sort = null;
+    }
+    this.emitViewChange();
+  }
+
+  /**
+   * Set or clear the filter of a column
+   * @param {string} column - Column name
+   * @param {string} text - Filter input text
+   */
+  setFilter(column, text) {
+    if (text.trim()) {
+      this.view.filters[column] = text.trim();
+    } else {
+      delete this.view.filters[column];
+    }
+    this.emitViewChange();
+  }
+
+  /**
+   * Notify that sorting or filtering changed
+   */
+  emitViewChange() {
+    if (this.onViewChangeCallback) {
+      this.onViewChangeCallback(this.getView());
+    }
+  }
+
+  /**
+   * Create the pagination controls
+   * @param {Object} pagination - { page, pageCount, pageSize, totalRows }
+   * @returns {HTMLElement}
+   */
+  createPagination({ page, pageCount, pageSize, totalRows }) {
+    const firstRow = Math.min(page * pageSize + 1, totalRows);
+    const lastRow = Math.min(totalRows, (page + 1) * pageSize);
+    const sizes = CONFIG.PAGE_SIZES.includes(pageSize) ? CONFIG.PAGE_SIZES : [...CONFIG.PAGE_SIZES, pageSize];
+
+    const element = document.createElement('div');
+    element.className = CSS_CLASSES.PAGINATION;
+    element.innerHTML = `
+      <span class="pagination-info">Rows ${firstRow.toLocaleString()}–${lastRow.toLocaleString()} of ${totalRows.toLocaleString()}</span>
+      <button class="btn-small btn-page-prev"${page === 0 ? ' disabled' : ''}>Previous</button>
+      <span>Page <input type="number" class="page-input" min="1" max="${pageCount}" value="${page + 1}"> of ${pageCount.toLocaleString()}</span>
+      <button class="btn-small btn-page-next"${page >= pageCount - 1 ? ' disabled' : ''}>Next</button>
+      <label>Rows per page
+        <select class="page-size-select">
+          ${sizes.map(size => `<option value="${size}"${size === pageSize ? ' selected' : ''}>${size}</option>`).join('')}
+        </select>
+      </label>
+    `;
+
+    const changePage = (target) => {
+      if (this.onPageChangeCallback) {
+        this.onPageChangeCallback(Math.min(Math.max(0, target), pageCount - 1));
+      }
+    };
+
+    element.querySelector('.btn-page-prev').addEventListener('click', () => changePage(page - 1));
+    element.querySelector('.btn-page-next').addEventListener('click', () => changePage(page + 1));
+    element.querySelector('.page-input').addEventListener('change', (e) => {
+      const target = parseInt(e.target.value, 10);
+      if (Number.isNaN(target)) {
+        e.target.value = page + 1;
+        return;
+      }
+      changePage(target - 1);
+    });
+    element.querySelector('.page-size-select').addEventListener('change', (e) => {
+      if (this.onPageSizeChangeCallback) {
+        this.onPageSizeChangeCallback(Number(e.target.value));
+      }
+    });
+
+    return element;
   }
 
   /**
@@ -43,6 +323,15 @@ export class ResultsTableUI {
     this.hideExportButton();
   }
 
+  /**
+   * Show that the query was cancelled
+   * @param {string} [message] - Cancellation message
+   */
+  showCancelled(message = MESSAGES.QUERY_CANCELLED) {
+    this.container.innerHTML = `<div class="${CSS_CLASSES.CANCELLED}">${message}</div>`;
+    this.hideExportButton();
+  }
+
   /**
    * Show success message
    * @param {string} message - Success message
@@ -0,0 +1,359 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { formatCellValue } from '../shared/format.js';
+import { RULE_TYPES, describeRule } from '../database/rules.js';
+
+/**
+ * Parameter expected by each rule type in the rule form
+ */
+const PARAMETER_HINTS = {
+  not_null: '',
+  unique: '',
+  range: 'min..max, e.g. 0..120',
+  regex: 'pattern, e.g. ^[0-9]{9}$',
+  allowed_values: 'values, e.g. 1, 2',
+  sql: 'condition rows must meet, e.g. date_sortie >= date_entree'
+};
+
+/**
+ * Read a range bound typed in the rule form
+ * @param {string} text - Bound text
+ * @returns {number|string|null} - A number when numeric, the text otherwise (dates), null when empty
+ */
+function parseBound(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  return Number.isNaN(Number(trimmed)) ? trimmed : Number(trimmed);
+}
+
+/**
+ * Build a rule from the rule form fields
+ * @param {Object} fields - { table, type, column, parameter, name }
+ * @returns {Object} - Rule, validated when added
+ */
+function buildRule({ table, type, column, parameter, name }) {
+  const rule = { table, type };
+  const list = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+  if (type === 'unique') {
+    rule.columns = list(column);
+  } else if (type === 'sql') {
+    rule.predicate = parameter.trim();
+  } else {
+    rule.column = column.trim();
+  }
+
+  if (type === 'range') {
+    const [min = '', max = ''] = parameter.split('..');
+    rule.min = parseBound(min);
+    rule.max = parseBound(max);
+  } else if (type === 'regex') {
+    rule.pattern = parameter;
+  } else if (type === 'allowed_values') {
+    rule.values = list(parameter);
+  }
+
+  if (name.trim()) {
+    rule.name = name.trim();
+  }
+  return rule;
+}
+
+/**
+ * Data-quality rules UI component
+ * Declares rules per table, runs them and shows a pass/fail report with sample failing rows.
+ */
+export class RulesUI {
+  /**
+   * @param {HTMLElement} container - Rules panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onAddCallback = null;
+    this.onRemoveCallback = null;
+    this.onRunCallback = null;
+    this.onImportCallback = null;
+    this.onExportCallback = null;
+    this.onOpenRowsCallback = null;
+  }
+
+  /**
+   * Set add callback
+   * @param {Function} callback - (rule) => void
+   */
+  onAdd(callback) {
+    this.onAddCallback = callback;
+  }
+
+  /**
+   * Set remove callback
+   * @param {Function} callback - (index) => void
+   */
+  onRemove(callback) {
+    this.onRemoveCallback = callback;
+  }
+
+  /**
+   * Set run callback, to run every rule
+   * @param {Function} callback - () => void
+   */
+  onRun(callback) {
+    this.onRunCallback = callback;
+  }
+
+  /**
+   * Set import callback, for a rule set file picked by the user
+   * @param {Function} callback - (json) => void, with the file text
+   */
+  onImport(callback) {
+    this.onImportCallback = callback;
+  }
+
+  /**
+   * Set export callback
+   * @param {Function} callback - () => void
+   */
+  onExport(callback) {
+    this.onExportCallback = callback;
+  }
+
+  /**
+   * Set open rows callback, to show every failing row of a rule in the results grid
+   * @param {Function} callback - (sql) => void
+   */
+  onOpenRows(callback) {
+    this.onOpenRowsCallback = callback;
+  }
+
+  /**
+   * Render the rules, the rule form and the last report
+   * @param {Object} state
+   * @param {string[]} state.tables - Names of the tables rules can check
+   * @param {Array<Object>} state.rules - Declared rules
+   * @param {Array<Object>} [state.results] - Report from DuckDBApp.runRules
+   * @param {{done: number, total: number}} [state.progress] - Progress of a running report
+   * @param {string} [state.error] - Why the last action failed
+   */
+  render({ tables, rules, results = null, progress = null, error = null }) {
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span>Data-quality rules</span>
+        <span class="rules-actions">
+          <button class="btn-small btn-run-rules">Run all</button>
+          <button class="btn-small btn-export-rules">Export JSON</button>
+          <button class="btn-small btn-import-rules">Import JSON</button>
+          <input type="file" class="rules-file-input" accept=".json,application/json" hidden>
+        </span>
+      </div>
+      <ul class="rule-list"></ul>
+      <div class="rule-form">
+        <select class="rule-table"></select>
+        <select class="rule-type"></select>
+        <input type="text" class="rule-column" placeholder="column">
+        <input type="text" class="rule-parameter">
+        <input type="text" class="rule-name" placeholder="name (optional)">
+        <button class="btn-small btn-add-rule">Add rule</button>
+      </div>
+      <div class="rules-report"></div>
+    `;
+
+    this.renderRules(rules);
+    this.renderForm(tables);
+
+    const run = this.container.querySelector('.btn-run-rules');
+    run.disabled = rules.length === 0 || progress !== null;
+    run.addEventListener('click', () => {
+      if (this.onRunCallback) {
+        this.onRunCallback();
+      }
+    });
+
+    const exportButton = this.container.querySelector('.btn-export-rules');
+    exportButton.disabled = rules.length === 0;
+    exportButton.addEventListener('click', () => {
+      if (this.onExportCallback) {
+        this.onExportCallback();
+      }
+    });
+
+    const fileInput = this.container.querySelector('.rules-file-input');
+    this.container.querySelector('.btn-import-rules').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      if (file && this.onImportCallback) {
+        this.onImportCallback(await file.text());
+      }
+    });
+
+    const report = this.container.querySelector('.rules-report');
+    if (error) {
+      report.appendChild(this.createMessage(`Error: ${error}`, CSS_CLASSES.ERROR));
+    }
+    if (progress) {
+      report.appendChild(this.createMessage(`Running rule ${progress.done + 1} of ${progress.total}…`, CSS_CLASSES.MESSAGE));
+    } else if (results) {
+      report.appendChild(this.createReport(results));
+    }
+
+    this.container.classList.toggle(CSS_CLASSES.VISIBLE, tables.length > 0);
+  }
+
+  /**
+   * Render the declared rules, each with a remove button
+   * @param {Array<Object>} rules - Declared rules
+   */
+  renderRules(rules) {
+    const list = this.container.querySelector('.rule-list');
+    if (rules.length === 0) {
+      list.innerHTML = `<li class="${CSS_CLASSES.EMPTY_MESSAGE}">No rule declared</li>`;
+      return;
+    }
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${rule.table}: ${describeRule(rule)}`;
+      const remove = document.createElement('button');
+      remove.className = 'btn-small btn-remove-rule';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        if (this.onRemoveCallback) {
+          this.onRemoveCallback(index);
+        }
+      });
+      item.append(text, ' ', remove);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Fill the rule form and handle its submission
+   * @param {string[]} tables - Table names
+   */
+  renderForm(tables) {
+    const addOption = (select, value, text = value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    };
+
+    const table = this.container.querySelector('.rule-table');
+    for (const name of tables) {
+      addOption(table, name);
+    }
+
+    const type = this.container.querySelector('.rule-type');
+    for (const name of RULE_TYPES) {
+      addOption(type, name, name.replace('_', ' '));
+    }
+
+    const column = this.container.querySelector('.rule-column');
+    const parameter = this.container.querySelector('.rule-parameter');
+    const updateFields = () => {
+      column.disabled = type.value === 'sql';
+      column.placeholder = type.value === 'unique' ? 'columns, e.g. finess, num_rss' : 'column';
+      parameter.disabled = PARAMETER_HINTS[type.value] === '';
+      parameter.placeholder = PARAMETER_HINTS[type.value];
+    };
+    type.addEventListener('change', updateFields);
+    updateFields();
+
+    this.container.querySelector('.btn-add-rule').addEventListener('click', () => {
+      if (this.onAddCallback) {
+        this.onAddCallback(buildRule({
+          table: table.value,
+          type: type.value,
+          column: column.value,
+          parameter: parameter.value,
+          name: this.container.querySelector('.rule-name').value
+        }));
+      }
+    });
+  }
+
+  /**
+   * Create the report of a run: one line per rule, with sample failing rows
+   * @param {Array<Object>} results - Report from DuckDBApp.runRules
+   * @returns {HTMLElement}
+   */
+  createReport(results) {
+    const report = document.createElement('div');
+    const failed = results.filter(result => result.status !== 'pass').length;
+    report.appendChild(this.createMessage(
+      failed === 0 ? `All ${results.length} rules pass` : `${failed} of ${results.length} rules fail`,
+      'rules-summary'
+    ));
+
+    for (const result of results) {
+      const line = document.createElement('div');
+      line.className = `rule-result rule-${result.status}`;
+
+      const title = document.createElement('div');
+      const status = document.createElement('span');
+      status.className = 'rule-status';
+      status.textContent = result.status.toUpperCase();
+      const text = document.createElement('span');
+      text.textContent = result.status === 'error'
+        ? ` ${result.rule.table}: ${result.description} — ${result.error}`
+        : ` ${result.rule.table}: ${result.description} — ${result.violations.toLocaleString()} violations`;
+      title.append(status, text);
+      line.appendChild(title);
+
+      if (result.status === 'fail') {
+        const open = document.createElement('button');
+        open.className = 'btn-small btn-open-violations';
+        open.textContent = 'Open all';
+        open.addEventListener('click', () => {
+          if (this.onOpenRowsCallback) {
+            this.onOpenRowsCallback(result.sql);
+          }
+        });
+        title.append(' ', open);
+        line.appendChild(this.createSample(result.sample));
+      }
+      report.appendChild(line);
+    }
+
+    return report;
+  }
+
+  /**
+   * Create the table of sample failing rows
+   * @param {Object} sample - { columns, rows, types }
+   * @returns {HTMLTableElement}
+   */
+  createSample(sample) {
+    const table = document.createElement('table');
+    table.className = 'relationship-sample rule-sample';
+    const header = document.createElement('tr');
+    for (const column of sample.columns) {
+      const th = document.createElement('th');
+      th.textContent = column;
+      header.appendChild(th);
+    }
+    table.appendChild(header);
+    for (const row of sample.rows) {
+      const tr = document.createElement('tr');
+      row.forEach((value, index) => {
+        const td = document.createElement('td');
+        td.textContent = formatCellValue(value, sample.types?.[index]);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    }
+    return table;
+  }
+
+  /**
+   * Create a message line
+   * @param {string} text - Message text
+   * @param {string} className - Message class
+   * @returns {HTMLElement}
+   */
+  createMessage(text, className) {
+    const message = document.createElement('div');
+    message.className = className;
+    message.textContent = text;
+    return message;
+  }
+}
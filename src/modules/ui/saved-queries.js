@@ -0,0 +1,83 @@
+/**
+ * Saved queries UI component: a picker with save and delete buttons
+ */
+export class SavedQueriesUI {
+  /**
+   * @param {HTMLSelectElement} select - Saved query picker
+   * @param {HTMLButtonElement} saveBtn - Save query button
+   * @param {HTMLButtonElement} deleteBtn - Delete query button
+   */
+  constructor(select, saveBtn, deleteBtn) {
+    this.select = select;
+    this.saveBtn = saveBtn;
+    this.deleteBtn = deleteBtn;
+    this.onSelectCallback = null;
+    this.onSaveCallback = null;
+    this.onDeleteCallback = null;
+
+    this.select.addEventListener('change', () => {
+      this.deleteBtn.disabled = !this.select.value;
+      if (this.select.value && this.onSelectCallback) {
+        this.onSelectCallback(this.select.value);
+      }
+    });
+
+    this.saveBtn.addEventListener('click', () => {
+      if (this.onSaveCallback) {
+        this.onSaveCallback(this.select.value);
+      }
+    });
+
+    this.deleteBtn.addEventListener('click', () => {
+      if (this.select.value && this.onDeleteCallback) {
+        this.onDeleteCallback(this.select.value);
+      }
+    });
+  }
+
+  /**
+   * Set select callback
+   * @param {Function} callback - (name) => void
+   */
+  onSelect(callback) {
+    this.onSelectCallback = callback;
+  }
+
+  /**
+   * Set save callback
+   * @param {Function} callback - (selectedName) => void
+   */
+  onSave(callback) {
+    this.onSaveCallback = callback;
+  }
+
+  /**
+   * Set delete callback
+   * @param {Function} callback - (name) => void
+   */
+  onDelete(callback) {
+    this.onDeleteCallback = callback;
+  }
+
+  /**
+   * Render the saved query picker
+   * @param {Array<{name: string, sql: string}>} queries - Saved queries
+   * @param {string} [selectedName] - Query to select
+   */
+  render(queries, selectedName = '') {
+    const options = queries.map(q => {
+      const option = document.createElement('option');
+      option.value = q.name;
+      option.textContent = q.name;
+      return option;
+    });
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = queries.length > 0 ? 'Saved queries...' : 'No saved queries';
+
+    this.select.replaceChildren(placeholder, ...options);
+    this.select.value = queries.some(q => q.name === selectedName) ? selectedName : '';
+    this.deleteBtn.disabled = !this.select.value;
+  }
+}
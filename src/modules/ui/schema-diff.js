@@ -0,0 +1,185 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+
+/**
+ * Format a share as a percentage
+ * @param {number} rate - Share between 0 and 1
+ * @returns {string}
+ */
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Schema comparison UI component
+ * Compares two loaded tables: added, removed and retyped columns, and how the shared columns are filled.
+ */
+export class SchemaDiffUI {
+  /**
+   * @param {HTMLElement} container - Schema diff panel element
+   */
+  constructor(container) {
+    this.container = container;
+    this.onCompareCallback = null;
+    this.onOpenUnionCallback = null;
+  }
+
+  /**
+   * Set compare callback
+   * @param {Function} callback - (leftTable, rightTable) => void
+   */
+  onCompare(callback) {
+    this.onCompareCallback = callback;
+  }
+
+  /**
+   * Set open union callback, to show both tables lined up in the results grid
+   * @param {Function} callback - (sql) => void
+   */
+  onOpenUnion(callback) {
+    this.onOpenUnionCallback = callback;
+  }
+
+  /**
+   * Render the table pickers and the last comparison
+   * @param {Object} state
+   * @param {string[]} state.tables - Names of the tables that can be compared
+   * @param {Object} [state.diff] - Comparison from DuckDBApp.compareTables
+   * @param {boolean} [state.loading] - Whether a comparison is running
+   * @param {string} [state.error] - Why the last comparison failed
+   */
+  render({ tables, diff = null, loading = false, error = null }) {
+    this.container.innerHTML = `
+      <div class="profile-header">
+        <span>Schema comparison</span>
+      </div>
+      <div class="schema-diff-form">
+        <select class="schema-diff-left"></select>
+        <span>with</span>
+        <select class="schema-diff-right"></select>
+        <button class="btn-small btn-compare-schemas">Compare</button>
+      </div>
+      <div class="schema-diff-result"></div>
+    `;
+
+    const left = this.container.querySelector('.schema-diff-left');
+    const right = this.container.querySelector('.schema-diff-right');
+    for (const select of [left, right]) {
+      for (const table of tables) {
+        const option = document.createElement('option');
+        option.value = table;
+        option.textContent = table;
+        select.appendChild(option);
+      }
+    }
+    // Default to the last comparison, or to the first two tables
+    left.value = diff && tables.includes(diff.leftTable) ? diff.leftTable : tables[0] || '';
+    right.value = diff && tables.includes(diff.rightTable) ? diff.rightTable : tables[1] || tables[0] || '';
+
+    const compare = this.container.querySelector('.btn-compare-schemas');
+    compare.disabled = loading || tables.length < 2;
+    compare.addEventListener('click', () => {
+      if (this.onCompareCallback) {
+        this.onCompareCallback(left.value, right.value);
+      }
+    });
+
+    const result = this.container.querySelector('.schema-diff-result');
+    if (loading) {
+      result.appendChild(this.createMessage('Comparing…', CSS_CLASSES.MESSAGE));
+    } else if (error) {
+      result.appendChild(this.createMessage(`Error: ${error}`, CSS_CLASSES.ERROR));
+    } else if (diff) {
+      this.renderDiff(result, diff);
+    }
+
+    this.container.classList.toggle(CSS_CLASSES.VISIBLE, tables.length >= 2);
+  }
+
+  /**
+   * Render a comparison
+   * @param {HTMLElement} result - Element to render into
+   * @param {Object} diff - Comparison from DuckDBApp.compareTables
+   */
+  renderDiff(result, diff) {
+    const summary = this.createMessage(
+      `${diff.leftTable} (${diff.leftRowCount.toLocaleString()} rows) → ${diff.rightTable} (${diff.rightRowCount.toLocaleString()} rows)`,
+      'schema-diff-summary'
+    );
+    const union = document.createElement('button');
+    union.className = 'btn-small btn-open-union';
+    union.textContent = 'UNION ALL BY NAME';
+    union.title = 'Show the rows of both tables in the results grid, lined up by column name';
+    union.addEventListener('click', () => {
+      if (this.onOpenUnionCallback) {
+        this.onOpenUnionCallback(diff.unionSQL);
+      }
+    });
+    summary.appendChild(union);
+    result.appendChild(summary);
+
+    const changes = [
+      ...diff.added.map(col => ['schema-added', `+ ${col.name}`, col.type]),
+      ...diff.removed.map(col => ['schema-removed', `− ${col.name}`, col.type]),
+      ...diff.retyped.map(col => ['schema-retyped', `~ ${col.name}`, `${col.leftType} → ${col.rightType}`])
+    ];
+    if (changes.length === 0) {
+      result.appendChild(this.createMessage('Same columns and types', 'schema-diff-same'));
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'schema-diff-changes';
+      for (const [className, name, type] of changes) {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = `${name} (${type})`;
+        list.appendChild(item);
+      }
+      result.appendChild(list);
+    }
+
+    if (diff.columns.length === 0) {
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'profile-table schema-diff-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Shared column</th>
+          <th>Null rate</th>
+          <th>Distinct values</th>
+        </tr>
+      </thead>
+    `;
+    const tbody = document.createElement('tbody');
+    for (const column of diff.columns) {
+      const row = document.createElement('tr');
+      row.classList.toggle('schema-changed', column.changed);
+      for (const text of [
+        column.name,
+        `${formatRate(column.left.nullRate)} → ${formatRate(column.right.nullRate)}`,
+        `${column.left.distinct.toLocaleString()} → ${column.right.distinct.toLocaleString()}`
+      ]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      tbody.appendChild(row);
+    }
+    table.appendChild(tbody);
+    result.appendChild(table);
+  }
+
+  /**
+   * Create a message line
+   * @param {string} text - Message text
+   * @param {string} className - Message class
+   * @returns {HTMLElement}
+   */
+  createMessage(text, className) {
+    const message = document.createElement('div');
+    message.className = className;
+    message.textContent = text;
+    return message;
+  }
+}
@@ -1,3 +1,6 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { getQueryableTableNames } from '../files/table-manager.js';
+
 /**
  * SQL Editor UI component
  */
@@ -5,13 +8,26 @@ export class SQLEditor {
   /**
    * @param {HTMLTextAreaElement} textarea - SQL input element
    * @param {HTMLButtonElement} executeBtn - Execute button element
+   * @param {HTMLButtonElement} [cancelBtn] - Cancel button element, shown while a query runs
    */
-  constructor(textarea, executeBtn) {
+  constructor(textarea, executeBtn, cancelBtn = null) {
     this.textarea = textarea;
     this.executeBtn = executeBtn;
+    this.cancelBtn = cancelBtn;
     this.onExecuteCallback = null;
+    this.onCancelCallback = null;
+    // Last example query written, replaced only while the editor still holds it
+    this.exampleQuery = '';
 
     this.setupKeyboardShortcuts();
+
+    if (this.cancelBtn) {
+      this.cancelBtn.addEventListener('click', () => {
+        if (this.onCancelCallback) {
+          this.onCancelCallback();
+        }
+      });
+    }
   }
 
   /**
@@ -19,10 +35,10 @@ export class SQLEditor {
    */
   setupKeyboardShortcuts() {
     this.textarea.addEventListener('keydown', (e) => {
-      // Ctrl+Enter to execute
+      // Ctrl+Enter to execute, unless a query is already running
       if (e.ctrlKey && e.key === 'Enter') {
         e.preventDefault();
-        if (this.onExecuteCallback) {
+        if (this.onExecuteCallback && !this.executeBtn.disabled) {
           this.onExecuteCallback();
         }
       }
@@ -37,6 +53,14 @@ export class SQLEditor {
     this.onExecuteCallback = callback;
   }
 
+  /**
+   * Set cancel callback
+   * @param {Function} callback - () => void
+   */
+  onCancel(callback) {
+    this.onCancelCallback = callback;
+  }
+
   /**
    * Get current SQL value
    * @returns {string}
@@ -67,6 +91,7 @@ export class SQLEditor {
   enableExecute() {
     this.executeBtn.disabled = false;
     this.executeBtn.textContent = 'Execute Query';
+    this.hideCancel();
   }
 
   /**
@@ -82,10 +107,35 @@ export class SQLEditor {
   setExecuting() {
     this.executeBtn.disabled = true;
     this.executeBtn.textContent = 'Executing...';
+    if (this.cancelBtn) {
+      this.cancelBtn.disabled = false;
+      this.cancelBtn.textContent = 'Cancel';
+      this.cancelBtn.classList.add(CSS_CLASSES.VISIBLE);
+    }
+  }
+
+  /**
+   * Set cancelling state, until the running query stops
+   */
+  setCancelling() {
+    if (this.cancelBtn) {
+      this.cancelBtn.disabled = true;
+      this.cancelBtn.textContent = 'Cancelling...';
+    }
+  }
+
+  /**
+   * Hide cancel button
+   */
+  hideCancel() {
+    if (this.cancelBtn) {
+      this.cancelBtn.classList.remove(CSS_CLASSES.VISIBLE);
+    }
   }
 
   /**
    * Update example query based on loaded tables
+   * SQL typed or restored by the user is kept: the editor is only written while empty or holding the last example.
    * @param {Array<Object>} files - Array of file metadata
    */
   updateExampleQuery(files) {
@@ -94,11 +144,20 @@ export class SQLEditor {
       return;
     }
 
-    if (files.length === 1) {
-      this.setValue(`SELECT * FROM ${files[0].tableName} LIMIT 10`);
+    // Attached databases contribute their qualified table names
+    const tableNames = files.flatMap(getQueryableTableNames);
+    let example;
+    if (tableNames.length === 0) {
+      example = `-- Database ${files[0].tableName} has no tables`;
+    } else if (tableNames.length === 1) {
+      example = `SELECT * FROM ${tableNames[0]} LIMIT 10`;
     } else {
-      const tableNames = files.map(f => f.tableName).join(', ');
-      this.setValue(`-- Available tables: ${tableNames}\nSELECT * FROM ${files[0].tableName} LIMIT 10`);
+      example = `-- Available tables: ${tableNames.join(', ')}\nSELECT * FROM ${tableNames[0]} LIMIT 10`;
+    }
+
+    if (this.textarea.value.trim() === '' || this.textarea.value === this.exampleQuery) {
+      this.setValue(example);
     }
+    this.exampleQuery = example;
   }
 }
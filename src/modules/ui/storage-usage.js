@@ -0,0 +1,31 @@
+import { CONFIG, CSS_CLASSES } from '../shared/constants.js';
+import { formatFileSize } from '../shared/format.js';
+
+/**
+ * Storage usage UI component showing how much of the browser quota the cache uses
+ */
+export class StorageUsageUI {
+  /**
+   * @param {HTMLElement} element - Usage text element
+   */
+  constructor(element) {
+    this.element = element;
+  }
+
+  /**
+   * Render storage usage
+   * @param {{usage: number, quota: number}|null} estimate - From getStorageEstimate, null when unknown
+   */
+  render(estimate) {
+    if (!estimate || !estimate.quota) {
+      this.element.textContent = '';
+      this.element.classList.remove(CSS_CLASSES.VISIBLE, CSS_CLASSES.STORAGE_WARNING);
+      return;
+    }
+
+    const ratio = estimate.usage / estimate.quota;
+    this.element.textContent = `Browser storage: ${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} used (${(ratio * 100).toFixed(1)}%)`;
+    this.element.classList.add(CSS_CLASSES.VISIBLE);
+    this.element.classList.toggle(CSS_CLASSES.STORAGE_WARNING, ratio >= CONFIG.STORAGE_WARNING_RATIO);
+  }
+}
@@ -0,0 +1,184 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { CATEGORIES, PARAMETER_TYPES, findPlaceholders, validateTemplate } from '../templates/index.js';
+
+/**
+ * Read the values field of an enum or multi parameter
+ * "table.column" picks from the distinct values of a column, anything else is a comma-separated list.
+ * @param {string} text - Field text
+ * @returns {Object} - { source } or { options }, empty when the field is empty
+ */
+function parseChoices(text) {
+  const value = text.trim();
+  const column = value.match(/^(\w+)\.(\w+)$/);
+  if (column) {
+    return { source: { table: column[1], column: column[2] } };
+  }
+  const options = value.split(',').map(option => option.trim()).filter(Boolean);
+  return options.length > 0 ? { options } : {};
+}
+
+/**
+ * Save-as-template dialog UI component
+ * Captures a name, category, description and the declaration of each $name placeholder of the SQL.
+ */
+export class TemplateEditorUI {
+  /**
+   * @param {HTMLElement} container - Dialog container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.resolve = null;
+    this.sql = '';
+  }
+
+  /**
+   * Open the dialog for a query and wait for the template
+   * @param {string} sql - Query to save
+   * @param {Object} [options]
+   * @param {string[]} [options.requiredTables] - Tables to prefill as required
+   * @returns {Promise<Object|null>} - Template from validateTemplate, or null if cancelled
+   */
+  open(sql, { requiredTables = [] } = {}) {
+    this.sql = sql;
+
+    this.render(requiredTables);
+    this.show();
+    this.container.querySelector('[name="title"]').focus();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the dialog form
+   * @param {string[]} requiredTables - Tables to prefill as required
+   */
+  render(requiredTables) {
+    const categoryOptions = CATEGORIES.map(c => `<option value="${c.id}">${c.label}</option>`).join('');
+    const typeOptions = PARAMETER_TYPES.map(t => `<option value="${t}">${t}</option>`).join('');
+    const placeholders = findPlaceholders(this.sql);
+
+    this.container.innerHTML = `
+      <form class="import-dialog-box template-editor" novalidate>
+        <div class="import-dialog-title">Save as template</div>
+        <div class="import-dialog-grid">
+          <label>Name <input type="text" name="title"></label>
+          <label>Category <select name="category">${categoryOptions}</select></label>
+          <label>Description <input type="text" name="description"></label>
+          <label>Required tables <input type="text" name="requiredTables" placeholder="fixe, um"></label>
+        </div>
+        ${placeholders.length > 0 ? `
+          <div class="import-dialog-subtitle">Parameters</div>
+          <table class="import-columns-table">
+            <tbody class="template-parameters">
+              ${placeholders.map(name => `
+                <tr data-parameter="${name}">
+                  <td class="${CSS_CLASSES.TABLE_NAME}">$${name}</td>
+                  <td><input type="text" name="label" placeholder="Label"></td>
+                  <td><select name="type">${typeOptions}</select></td>
+                  <td><input type="text" name="choices" placeholder="table.column or a, b, c"></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        <div class="parameter-error"></div>
+        <div class="import-dialog-actions">
+          <button type="submit" class="btn-small btn-import btn-save-template">Save</button>
+          <button type="button" class="btn-small btn-cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+    this.container.querySelector('[name="requiredTables"]').value = requiredTables.join(', ');
+
+    const form = this.container.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    form.querySelector('.btn-cancel').addEventListener('click', () => this.close(null));
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close(null);
+      }
+    });
+  }
+
+  /**
+   * Read the form into a template
+   * @returns {Object}
+   */
+  readForm() {
+    const form = this.container;
+    const parameters = [...form.querySelectorAll('.template-parameters tr')].map(row => {
+      const type = row.querySelector('[name="type"]').value;
+      const parameter = { name: row.dataset.parameter, type };
+      const label = row.querySelector('[name="label"]').value.trim();
+      if (label) {
+        parameter.label = label;
+      }
+      if (type === 'enum' || type === 'multi') {
+        Object.assign(parameter, parseChoices(row.querySelector('[name="choices"]').value));
+      }
+      return parameter;
+    });
+
+    return {
+      title: form.querySelector('[name="title"]').value,
+      category: form.querySelector('[name="category"]').value,
+      description: form.querySelector('[name="description"]').value,
+      requiredTables: form.querySelector('[name="requiredTables"]').value
+        .split(',').map(table => table.trim()).filter(Boolean),
+      sql: this.sql,
+      parameters
+    };
+  }
+
+  /**
+   * Check the template and close with it, or show what is wrong
+   */
+  submit() {
+    try {
+      this.close(validateTemplate(this.readForm()));
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Show a validation error
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.container.querySelector('.parameter-error').textContent = message;
+  }
+
+  /**
+   * Close the dialog and resolve the pending open() call
+   * @param {Object|null} result - Template, or null if cancelled
+   */
+  close(result) {
+    this.hide();
+    this.container.innerHTML = '';
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Show the dialog
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+  }
+}
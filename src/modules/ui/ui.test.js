@@ -1,10 +1,27 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { JSDOM } from 'jsdom';
+import { CONFIG } from '../shared/constants.js';
 import { StatusIndicator } from './status.js';
 import { FileListUI } from './file-list.js';
 import { DiagnosticsUI } from './diagnostics.js';
+import { ProfileUI, createSparkline } from './profile.js';
+import { DuplicatesUI } from './duplicates.js';
+import { RelationshipsUI } from './relationships.js';
+import { SchemaDiffUI } from './schema-diff.js';
+import { RulesUI } from './rules.js';
+import { CodeQualityUI } from './code-quality.js';
 import { SQLEditor } from './sql-editor.js';
 import { ResultsTableUI } from './results-table.js';
+import { VirtualGrid } from './virtual-grid.js';
+import { CSVImportDialog } from './csv-import-dialog.js';
+import { ZipImportDialog } from './zip-import-dialog.js';
+import { StorageUsageUI } from './storage-usage.js';
+import { SavedQueriesUI } from './saved-queries.js';
+import { MacroLibraryUI } from './macro-library.js';
+import { CommandPaletteUI } from './command-palette.js';
+import { ParameterFormUI } from './parameter-form.js';
+import { TemplateEditorUI } from './template-editor.js';
+import { ReferenceTablesUI } from './reference-tables.js';
 
 describe('StatusIndicator', () => {
   let element;
@@ -71,6 +88,92 @@ describe('FileListUI', () => {
     expect(clearAllBtn.classList.contains('visible')).toBe(true);
   });
 
+  it('should mark reference tables', () => {
+    fileListUI.render([
+      { tableName: 'ref_cim10_2024', originalName: 'CIM-10 2024', rowCount: 20, columnCount: 4, reference: true },
+      { tableName: 'fixe', originalName: 'rss.txt', rowCount: 10, columnCount: 12 }
+    ]);
+
+    const badges = tbody.querySelectorAll('.reference-badge');
+    expect(badges).toHaveLength(1);
+    expect(badges[0].closest('tr').textContent).toContain('ref_cim10_2024');
+  });
+
+  it('should mark reference samples as such', () => {
+    fileListUI.render([
+      { tableName: 'ref_ghm_2024_sample', originalName: 'GHM 2024 (sample)', rowCount: 14, columnCount: 5, reference: true, referenceSample: true }
+    ]);
+
+    expect(tbody.querySelector('.reference-badge').textContent).toBe('reference sample');
+  });
+
+  it('should show file count and size for datasets', () => {
+    const files = [
+      { tableName: 'rsa', originalName: 'rsa/', rowCount: 10, columnCount: 3, fileCount: 4, fileSize: 2048 }
+    ];
+    fileListUI.render(files);
+    expect(tbody.innerHTML).toContain('(4 files, 2.0 KB)');
+  });
+
+  it('should list tables of attached databases', () => {
+    const files = [{
+      tableName: 'prepared',
+      originalName: 'prepared.duckdb',
+      rowCount: 10,
+      columnCount: 3,
+      attachedTables: [{ schema: 'main', name: 'sejours' }, { schema: 'ref', name: 'cim10' }]
+    }];
+    fileListUI.render(files);
+    const items = Array.from(tbody.querySelectorAll('.attached-tables li')).map(li => li.textContent);
+    expect(items).toEqual(['"prepared"."sejours"', '"prepared"."ref"."cim10"']);
+  });
+
+  it('should show table names of attached databases as text', () => {
+    fileListUI.render([{
+      tableName: 'prepared',
+      originalName: 'prepared.duckdb',
+      attachedTables: [{ schema: 'main', name: '<img src=x onerror=alert(1)>' }]
+    }]);
+
+    const list = tbody.querySelector('.attached-tables');
+    expect(list.querySelector('img')).toBeNull();
+    expect(list.textContent).toBe('"prepared"."<img src=x onerror=alert(1)>"');
+  });
+
+  it('should label estimated row counts', () => {
+    fileListUI.render([
+      { tableName: 'prepared', originalName: 'prepared.duckdb', rowCount: 1200, rowCountExact: false, columnCount: 3 },
+      { tableName: 'fixe', originalName: 'fixe.parquet', rowCount: 1200, columnCount: 3 }
+    ]);
+    const [estimated, exact] = tbody.querySelectorAll('tr');
+    expect(estimated.querySelector('.estimate').textContent).toBe(`≈ ${(1200).toLocaleString()}`);
+    expect(exact.querySelector('.estimate')).toBeNull();
+  });
+
+  it('should show a cached badge and evict button for cached tables', () => {
+    const files = [
+      { tableName: 'fixe', originalName: 'fixe.parquet', rowCount: 10, columnCount: 3, cached: true },
+      { tableName: 'um', originalName: 'um.parquet', rowCount: 10, columnCount: 3, cached: false }
+    ];
+    fileListUI.render(files);
+    const rows = tbody.querySelectorAll('tr');
+
+    expect(rows[0].querySelector('.cached-badge').textContent).toBe('cached');
+    expect(rows[0].querySelector('.btn-evict')).not.toBeNull();
+    expect(rows[1].querySelector('.cached-badge')).toBeNull();
+    expect(rows[1].querySelector('.btn-evict')).toBeNull();
+  });
+
+  it('should call evict callback', () => {
+    const callback = vi.fn();
+    fileListUI.onEvict(callback);
+
+    fileListUI.render([{ tableName: 'fixe', originalName: 'fixe.parquet', rowCount: 10, columnCount: 3, cached: true }]);
+    tbody.querySelector('.btn-evict').click();
+
+    expect(callback).toHaveBeenCalledWith('fixe');
+  });
+
   it('should call rename callback', () => {
     const callback = vi.fn();
     fileListUI.onRename(callback);
@@ -98,6 +201,96 @@ describe('FileListUI', () => {
   });
 });
 
+describe('StorageUsageUI', () => {
+  let element;
+  let storageUsageUI;
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="storage-usage"></div>');
+    element = dom.window.document.getElementById('storage-usage');
+    storageUsageUI = new StorageUsageUI(element);
+  });
+
+  it('should show usage against the quota', () => {
+    storageUsageUI.render({ usage: 512 * 1024 * 1024, quota: 4 * 1024 * 1024 * 1024 });
+    expect(element.textContent).toBe('Browser storage: 512.0 MB of 4.0 GB used (12.5%)');
+    expect(element.classList.contains('visible')).toBe(true);
+    expect(element.classList.contains('storage-warning')).toBe(false);
+  });
+
+  it('should warn when approaching the quota', () => {
+    storageUsageUI.render({ usage: 90, quota: 100 });
+    expect(element.classList.contains('storage-warning')).toBe(true);
+  });
+
+  it('should hide when the estimate is unknown', () => {
+    storageUsageUI.render({ usage: 90, quota: 100 });
+    storageUsageUI.render(null);
+    expect(element.textContent).toBe('');
+    expect(element.classList.contains('visible')).toBe(false);
+  });
+});
+
+describe('SavedQueriesUI', () => {
+  let select;
+  let saveBtn;
+  let deleteBtn;
+  let savedQueriesUI;
+
+  beforeEach(() => {
+    const dom = new JSDOM(`
+      <select id="saved-queries-select"></select>
+      <button id="save-query-btn"></button>
+      <button id="delete-query-btn"></button>
+    `);
+    global.document = dom.window.document;
+    select = dom.window.document.getElementById('saved-queries-select');
+    saveBtn = dom.window.document.getElementById('save-query-btn');
+    deleteBtn = dom.window.document.getElementById('delete-query-btn');
+    savedQueriesUI = new SavedQueriesUI(select, saveBtn, deleteBtn);
+  });
+
+  const queries = [{ name: 'count', sql: 'SELECT 1' }, { name: 'top ghm', sql: 'SELECT 2' }];
+
+  it('should list saved queries after a placeholder', () => {
+    savedQueriesUI.render(queries);
+    const labels = Array.from(select.options).map(o => o.textContent);
+    expect(labels).toEqual(['Saved queries...', 'count', 'top ghm']);
+    expect(deleteBtn.disabled).toBe(true);
+  });
+
+  it('should select the given query', () => {
+    savedQueriesUI.render(queries, 'top ghm');
+    expect(select.value).toBe('top ghm');
+    expect(deleteBtn.disabled).toBe(false);
+  });
+
+  it('should call select callback when a query is picked', () => {
+    const callback = vi.fn();
+    savedQueriesUI.onSelect(callback);
+    savedQueriesUI.render(queries);
+
+    select.value = 'count';
+    select.dispatchEvent(new select.ownerDocument.defaultView.Event('change'));
+
+    expect(callback).toHaveBeenCalledWith('count');
+  });
+
+  it('should call save and delete callbacks with the selected query', () => {
+    const onSave = vi.fn();
+    const onDelete = vi.fn();
+    savedQueriesUI.onSave(onSave);
+    savedQueriesUI.onDelete(onDelete);
+    savedQueriesUI.render(queries, 'count');
+
+    saveBtn.click();
+    deleteBtn.click();
+
+    expect(onSave).toHaveBeenCalledWith('count');
+    expect(onDelete).toHaveBeenCalledWith('count');
+  });
+});
+
 describe('DiagnosticsUI', () => {
   let dashboard;
   let tbody;
@@ -157,6 +350,624 @@ describe('DiagnosticsUI', () => {
     diagnosticsUI.render([{ tableName: 'high', rowCount: 100, columnCount: 1, uniqueRowCount: 70 }]);
     expect(tbody.innerHTML).toContain('duplicate-high');
   });
+
+  it('should offer a profile for each table except attached databases', () => {
+    const onProfile = vi.fn();
+    diagnosticsUI.onProfile(onProfile);
+    diagnosticsUI.render([
+      { tableName: 'rsa', rowCount: 10, columnCount: 2, uniqueRowCount: 10 },
+      { tableName: 'base', format: 'duckdb', rowCount: 0, columnCount: 0 }
+    ]);
+
+    const buttons = tbody.querySelectorAll('.btn-profile');
+    expect(buttons).toHaveLength(1);
+    buttons[0].click();
+    expect(onProfile).toHaveBeenCalledWith('rsa');
+  });
+
+  it('should open the duplicate inspector of a table', () => {
+    const onDuplicates = vi.fn();
+    diagnosticsUI.onDuplicates(onDuplicates);
+    diagnosticsUI.render([
+      { tableName: 'rsa', rowCount: 10, columnCount: 2 },
+      { tableName: 'base', format: 'duckdb', rowCount: 0, columnCount: 0 }
+    ]);
+
+    const buttons = tbody.querySelectorAll('.btn-duplicates');
+    expect(buttons).toHaveLength(1);
+    buttons[0].click();
+    expect(onDuplicates).toHaveBeenCalledWith('rsa');
+  });
+
+  it('should mark estimated figures and offer an exact count', () => {
+    const onComputeExact = vi.fn();
+    diagnosticsUI.onComputeExact(onComputeExact);
+    diagnosticsUI.render([
+      { tableName: 'diag', rowCount: 100, columnCount: 5, uniqueRowCount: 80, uniqueRowCountExact: false },
+      { tableName: 'rsa', rowCount: 100, columnCount: 5, uniqueRowCount: 90, uniqueRowCountExact: true }
+    ]);
+
+    const [diag, rsa] = tbody.querySelectorAll('tr');
+    expect(diag.querySelectorAll('.estimate')).toHaveLength(2);
+    expect(diag.textContent).toContain('≈ 80');
+    expect(rsa.querySelectorAll('.estimate')).toHaveLength(0);
+    expect(rsa.querySelector('.btn-compute-exact')).toBeNull();
+
+    diag.querySelector('.btn-compute-exact').click();
+    expect(onComputeExact).toHaveBeenCalledWith('diag');
+  });
+
+  it('should show unique row counts still being estimated', () => {
+    diagnosticsUI.render([{ tableName: 'diag', rowCount: 100, columnCount: 5, uniqueRowCount: null, uniqueRowCountExact: false }]);
+
+    const cells = tbody.querySelectorAll('tr td');
+    expect(cells[3].textContent).toBe('…');
+    expect(cells[4].textContent).toBe('…');
+    expect(cells[3].title).toBe('Being estimated in the background');
+  });
+
+  it('should mark the estimated row counts of attached databases', () => {
+    diagnosticsUI.render([{ tableName: 'prepared', format: 'duckdb', rowCount: 1200, rowCountExact: false, columnCount: 5 }]);
+
+    const rows = tbody.querySelector('tr .estimate');
+    expect(rows.textContent).toBe(`≈ ${(1200).toLocaleString()}`);
+    expect(rows.title).toContain('Estimated by DuckDB');
+  });
+
+  it('should show a running exact count', () => {
+    const onCancelExact = vi.fn();
+    diagnosticsUI.onCancelExact(onCancelExact);
+    diagnosticsUI.render(
+      [{ tableName: 'diag', rowCount: 100, columnCount: 5, uniqueRowCount: 80, uniqueRowCountExact: false }],
+      new Set(['diag'])
+    );
+
+    expect(tbody.querySelector('progress')).not.toBeNull();
+    expect(tbody.querySelector('.btn-compute-exact')).toBeNull();
+
+    tbody.querySelector('.btn-cancel-exact').click();
+    expect(onCancelExact).toHaveBeenCalledWith('diag');
+  });
+
+  it('should show table names as text', () => {
+    const onProfile = vi.fn();
+    diagnosticsUI.onProfile(onProfile);
+    diagnosticsUI.render([{ tableName: '<b>rsa</b>" data-x="', rowCount: 10, columnCount: 2, uniqueRowCount: 10 }]);
+
+    expect(tbody.querySelector('b')).toBeNull();
+    expect(tbody.querySelector('td').textContent).toBe('<b>rsa</b>" data-x="');
+    tbody.querySelector('.btn-profile').click();
+    expect(onProfile).toHaveBeenCalledWith('<b>rsa</b>" data-x="');
+  });
+});
+
+describe('createSparkline', () => {
+  beforeEach(() => {
+    global.document = new JSDOM('').window.document;
+  });
+
+  it('should draw one bar per count, scaled to the largest', () => {
+    const svg = createSparkline([1, 0, 4], { width: 30, height: 20 });
+    const bars = svg.querySelectorAll('rect');
+
+    expect(bars).toHaveLength(3);
+    expect(bars[2].getAttribute('height')).toBe('20');
+    expect(bars[0].getAttribute('height')).toBe('5');
+    expect(bars[1].getAttribute('height')).toBe('0');
+  });
+
+  it('should draw nothing for empty counts', () => {
+    expect(createSparkline([]).querySelectorAll('rect')).toHaveLength(0);
+  });
+});
+
+describe('ProfileUI', () => {
+  let panel;
+  let profileUI;
+
+  const profile = {
+    tableName: 'rsa',
+    rowCount: 200,
+    columns: [
+      {
+        name: 'duree', type: 'INTEGER', kind: 'numeric', missing: 0, missingRate: 0, distinct: 40,
+        min: '0', max: '45', mean: '3.2456', sd: '4.1', q25: '1', q50: '2', q75: '4', histogram: [5, 3, 1]
+      },
+      {
+        name: 'sortie', type: 'DATE', kind: 'temporal', missing: 10, missingRate: 0.05, distinct: 300,
+        min: '2024-01-01', max: '2024-12-31', histogram: [1, 1]
+      },
+      {
+        name: 'dp', type: 'VARCHAR', kind: 'categorical', missing: 50, missingRate: 0.25, distinct: 90,
+        min: 'A', max: 'Z', topValues: [{ value: '<b>I500</b>', count: 30 }, { value: '', count: 10 }]
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="profile-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('profile-panel');
+    profileUI = new ProfileUI(panel);
+  });
+
+  it('should render one line per column', () => {
+    profileUI.render(profile);
+
+    expect(panel.classList.contains('visible')).toBe(true);
+    expect(panel.querySelector('.profile-title').textContent).toContain('Profile of rsa');
+    expect(panel.querySelectorAll('.profile-table tbody tr')).toHaveLength(3);
+  });
+
+  it('should show exact missing counts and estimated distinct counts', () => {
+    profileUI.render(profile);
+    const cells = panel.querySelectorAll('.profile-table tbody tr')[2].querySelectorAll('td');
+
+    expect(cells[2].textContent).toBe('50 (25.0%)');
+    expect(cells[2].classList.contains('profile-missing')).toBe(true);
+    expect(cells[2].classList.contains('estimate')).toBe(false);
+    expect(cells[3].textContent).toBe('≈ 90');
+    expect(cells[3].classList.contains('estimate')).toBe(true);
+  });
+
+  it('should summarize numbers with quantiles and dates with their range', () => {
+    profileUI.render(profile);
+    const [duree, sortie] = panel.querySelectorAll('.profile-summary');
+
+    expect(duree.textContent).toContain('median 2');
+    expect(duree.textContent).toContain('mean 3,25 ± 4,1');
+    expect(sortie.textContent).toBe('min 01/01/2024 · max 31/12/2024');
+  });
+
+  it('should list top values as text with their frequency', () => {
+    profileUI.render(profile);
+    const items = panel.querySelectorAll('.profile-top-values li');
+
+    expect(items[0].textContent).toBe('<b>I500</b> — 30 (15.0%)');
+    expect(items[0].querySelector('b')).toBeNull();
+    expect(items[1].textContent).toBe('"" — 10 (5.0%)');
+  });
+
+  it('should draw a sparkline for every column', () => {
+    profileUI.render(profile);
+    const sparklines = panel.querySelectorAll('.profile-distribution svg');
+
+    expect(sparklines).toHaveLength(3);
+    expect(sparklines[0].querySelectorAll('rect')).toHaveLength(3);
+  });
+
+  it('should show loading and errors', () => {
+    profileUI.showLoading('rsa');
+    expect(panel.textContent).toContain('Profiling rsa');
+
+    profileUI.showError('boom');
+    expect(panel.querySelector('.error').textContent).toBe('Error: boom');
+  });
+
+  it('should close', () => {
+    const onClose = vi.fn();
+    profileUI.onClose(onClose);
+    profileUI.render(profile);
+
+    panel.querySelector('.btn-close-profile').click();
+
+    expect(panel.classList.contains('visible')).toBe(false);
+    expect(onClose).toHaveBeenCalled();
+  });
+});
+
+describe('DuplicatesUI', () => {
+  let panel;
+  let duplicatesUI;
+
+  const result = {
+    tableName: 'rsa',
+    keys: ['finess', 'num_rss'],
+    groupCount: 3,
+    rowCount: 7,
+    groups: [
+      { values: ['750000001', '<b>42</b>'], count: 3 },
+      { values: ['750000001', null], count: 2 }
+    ]
+  };
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="duplicates-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('duplicates-panel');
+    duplicatesUI = new DuplicatesUI(panel);
+    duplicatesUI.open('rsa', ['finess', 'num_rss', 'dp']);
+  });
+
+  it('should search duplicates on the checked key columns', () => {
+    const onSearch = vi.fn();
+    duplicatesUI.onSearch(onSearch);
+    const find = panel.querySelector('.btn-find-duplicates');
+    expect(panel.classList.contains('visible')).toBe(true);
+    expect(find.disabled).toBe(true);
+
+    const [finess, numRss] = panel.querySelectorAll('.duplicate-key');
+    numRss.checked = true;
+    finess.checked = true;
+    finess.dispatchEvent(new panel.ownerDocument.defaultView.Event('change', { bubbles: true }));
+    expect(find.disabled).toBe(false);
+
+    find.click();
+    expect(onSearch).toHaveBeenCalledWith('rsa', ['finess', 'num_rss']);
+  });
+
+  it('should remember the keys chosen for a table', () => {
+    const finess = panel.querySelector('.duplicate-key');
+    finess.checked = true;
+    finess.dispatchEvent(new panel.ownerDocument.defaultView.Event('change', { bubbles: true }));
+    panel.querySelector('.btn-find-duplicates').click();
+
+    duplicatesUI.open('rsa', ['finess', 'num_rss', 'dp']);
+    expect(duplicatesUI.getSelectedKeys()).toEqual(['finess']);
+    duplicatesUI.open('ano', ['finess']);
+    expect(duplicatesUI.getSelectedKeys()).toEqual([]);
+  });
+
+  it('should list the most duplicated keys and open their rows', () => {
+    const onOpenGroup = vi.fn();
+    duplicatesUI.onOpenGroup(onOpenGroup);
+    duplicatesUI.render(result);
+
+    expect(panel.querySelector('.duplicates-summary').textContent).toContain('2 most duplicated shown');
+    const rows = panel.querySelectorAll('.duplicates-table tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].cells[1].textContent).toBe('<b>42</b>');
+    expect(rows[1].cells[1].textContent).toBe('NULL');
+    expect(rows[1].cells[2].textContent).toBe('2');
+
+    rows[1].querySelector('.btn-open-group').click();
+    expect(onOpenGroup).toHaveBeenCalledWith('rsa', ['finess', 'num_rss'], ['750000001', null]);
+  });
+
+  it('should say when a key has no duplicates', () => {
+    duplicatesUI.render({ ...result, groupCount: 0, rowCount: 0, groups: [] });
+    expect(panel.querySelector('.duplicates-summary').textContent).toBe('No duplicated (finess, num_rss)');
+    expect(panel.querySelector('.duplicates-table')).toBeNull();
+  });
+
+  it('should show errors and close', () => {
+    duplicatesUI.showError('Binder Error');
+    expect(panel.querySelector('.error').textContent).toBe('Error: Binder Error');
+
+    const onClose = vi.fn();
+    duplicatesUI.onClose(onClose);
+    panel.querySelector('.btn-close-duplicates').click();
+    expect(panel.classList.contains('visible')).toBe(false);
+    expect(onClose).toHaveBeenCalled();
+  });
+});
+
+describe('RelationshipsUI', () => {
+  let panel;
+  let relationshipsUI;
+
+  const relationship = { fromTable: 'diag', fromColumns: ['num_rss'], toTable: 'fixe', toColumns: ['num_rss'] };
+  const key = 'diag(num_rss) -> fixe(num_rss)';
+  const report = {
+    key,
+    orphans: {
+      count: 3,
+      sql: 'SELECT r.* FROM diag AS r WHERE ...',
+      sample: { columns: ['num_rss', 'diag'], rows: [['9', '<b>I10</b>']], types: [] }
+    },
+    unreferenced: { count: 0, sql: 'SELECT r.* FROM fixe AS r WHERE ...', sample: { columns: [], rows: [], types: [] } }
+  };
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="relationships-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('relationships-panel');
+    relationshipsUI = new RelationshipsUI(panel);
+  });
+
+  it('should declare a relationship from the form, defaulting to the same columns', () => {
+    const onAdd = vi.fn();
+    relationshipsUI.onAdd(onAdd);
+    relationshipsUI.render({ tables: ['fixe', 'diag'], relationships: [] });
+
+    expect(panel.classList.contains('visible')).toBe(true);
+    expect(panel.textContent).toContain('No relationship declared');
+    panel.querySelector('.relationship-from-table').value = 'diag';
+    panel.querySelector('.relationship-from-columns').value = 'finess, num_rss';
+    panel.querySelector('.relationship-to-table').value = 'fixe';
+    panel.querySelector('.btn-add-relationship').click();
+
+    expect(onAdd).toHaveBeenCalledWith({
+      fromTable: 'diag', fromColumns: ['finess', 'num_rss'], toTable: 'fixe', toColumns: ['finess', 'num_rss']
+    });
+  });
+
+  it('should add, check and remove relationships', () => {
+    const onAdd = vi.fn();
+    const onCheck = vi.fn();
+    const onRemove = vi.fn();
+    relationshipsUI.onAdd(onAdd);
+    relationshipsUI.onCheck(onCheck);
+    relationshipsUI.onRemove(onRemove);
+    relationshipsUI.render({ tables: ['fixe', 'diag'], relationships: [relationship], suggestions: [relationship] });
+
+    panel.querySelector('.btn-add-suggestion').click();
+    expect(onAdd).toHaveBeenCalledWith(relationship);
+    expect(panel.querySelector('.relationship-title code').textContent).toBe(key);
+    panel.querySelector('.btn-check-relationship').click();
+    expect(onCheck).toHaveBeenCalledWith(relationship);
+    panel.querySelector('.btn-remove-relationship').click();
+    expect(onRemove).toHaveBeenCalledWith(key);
+  });
+
+  it('should report unmatched rows in both directions with a sample', () => {
+    const onOpenRows = vi.fn();
+    relationshipsUI.onOpenRows(onOpenRows);
+    relationshipsUI.render({ tables: ['fixe', 'diag'], relationships: [relationship], reports: new Map([[key, report]]) });
+
+    const sides = panel.querySelectorAll('.relationship-side');
+    expect(sides[0].querySelector('.relationship-unmatched').textContent).toContain('3 rows of diag reference no row of fixe');
+    expect(sides[0].querySelector('.relationship-sample').textContent).toContain('<b>I10</b>');
+    expect(sides[1].querySelector('.relationship-matched').textContent).toContain('0 rows of fixe are referenced by no row of diag');
+    expect(sides[1].querySelector('.relationship-sample')).toBeNull();
+
+    sides[0].querySelector('.btn-open-unmatched').click();
+    expect(onOpenRows).toHaveBeenCalledWith(report.orphans.sql);
+  });
+
+  it('should show checks in progress and errors', () => {
+    relationshipsUI.render({
+      tables: ['fixe', 'diag'],
+      relationships: [relationship],
+      reports: new Map([[key, { error: 'Binder Error' }]]),
+      error: 'Column not found'
+    });
+
+    expect(panel.querySelector('.relationship .error').textContent).toBe('Error: Binder Error');
+    expect(panel.querySelector('.relationship-form + .error').textContent).toBe('Error: Column not found');
+
+    relationshipsUI.render({ tables: ['fixe'], relationships: [relationship], reports: new Map([[key, { loading: true }]]) });
+    expect(panel.querySelector('.relationship').textContent).toContain('Checking…');
+  });
+
+  it('should hide without tables', () => {
+    relationshipsUI.render({ tables: [], relationships: [] });
+    expect(panel.classList.contains('visible')).toBe(false);
+  });
+});
+
+describe('SchemaDiffUI', () => {
+  let panel;
+  let schemaDiffUI;
+
+  const diff = {
+    leftTable: 'fixe_2023',
+    rightTable: 'fixe_2024',
+    leftRowCount: 10,
+    rightRowCount: 20,
+    added: [{ name: 'uhcd', type: 'BOOLEAN' }],
+    removed: [{ name: 'mode_sortie', type: 'VARCHAR' }],
+    retyped: [{ name: 'duree', leftType: 'INTEGER', rightType: 'BIGINT' }],
+    columns: [
+      { name: 'finess', left: { nullRate: 0, distinct: 1 }, right: { nullRate: 0, distinct: 1 }, changed: false },
+      { name: 'duree', left: { nullRate: 0, distinct: 5 }, right: { nullRate: 0.5, distinct: 5 }, changed: true }
+    ],
+    unionSQL: 'SELECT ... UNION ALL BY NAME ...'
+  };
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="schema-diff-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('schema-diff-panel');
+    schemaDiffUI = new SchemaDiffUI(panel);
+  });
+
+  it('should compare the two picked tables', () => {
+    const onCompare = vi.fn();
+    schemaDiffUI.onCompare(onCompare);
+    schemaDiffUI.render({ tables: ['fixe_2023', 'fixe_2024', 'diag'] });
+
+    expect(panel.classList.contains('visible')).toBe(true);
+    expect(panel.querySelector('.schema-diff-left').value).toBe('fixe_2023');
+    expect(panel.querySelector('.schema-diff-right').value).toBe('fixe_2024');
+    panel.querySelector('.schema-diff-right').value = 'diag';
+    panel.querySelector('.btn-compare-schemas').click();
+    expect(onCompare).toHaveBeenCalledWith('fixe_2023', 'diag');
+  });
+
+  it('should hide with fewer than two tables', () => {
+    schemaDiffUI.render({ tables: ['fixe_2023'] });
+    expect(panel.classList.contains('visible')).toBe(false);
+    expect(panel.querySelector('.btn-compare-schemas').disabled).toBe(true);
+  });
+
+  it('should list column changes and flag shared columns filled differently', () => {
+    const onOpenUnion = vi.fn();
+    schemaDiffUI.onOpenUnion(onOpenUnion);
+    schemaDiffUI.render({ tables: ['fixe_2024', 'fixe_2023'], diff });
+
+    expect(panel.querySelector('.schema-diff-left').value).toBe('fixe_2023');
+    expect(panel.querySelector('.schema-added').textContent).toBe('+ uhcd (BOOLEAN)');
+    expect(panel.querySelector('.schema-removed').textContent).toBe('− mode_sortie (VARCHAR)');
+    expect(panel.querySelector('.schema-retyped').textContent).toBe('~ duree (INTEGER → BIGINT)');
+    const rows = panel.querySelectorAll('.schema-diff-table tbody tr');
+    expect(rows[1].classList.contains('schema-changed')).toBe(true);
+    expect(rows[1].cells[1].textContent).toBe('0.0% → 50.0%');
+    expect(rows[0].classList.contains('schema-changed')).toBe(false);
+
+    panel.querySelector('.btn-open-union').click();
+    expect(onOpenUnion).toHaveBeenCalledWith(diff.unionSQL);
+  });
+
+  it('should show identical schemas, progress and errors', () => {
+    schemaDiffUI.render({ tables: ['a', 'b'], diff: { ...diff, added: [], removed: [], retyped: [] } });
+    expect(panel.querySelector('.schema-diff-same')).not.toBeNull();
+
+    schemaDiffUI.render({ tables: ['a', 'b'], loading: true });
+    expect(panel.textContent).toContain('Comparing…');
+    expect(panel.querySelector('.btn-compare-schemas').disabled).toBe(true);
+
+    schemaDiffUI.render({ tables: ['a', 'b'], error: 'Catalog Error' });
+    expect(panel.querySelector('.error').textContent).toBe('Error: Catalog Error');
+  });
+});
+
+describe('RulesUI', () => {
+  let panel;
+  let rulesUI;
+
+  const rule = { table: 'fixe', type: 'not_null', column: 'num_rss' };
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="rules-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('rules-panel');
+    rulesUI = new RulesUI(panel);
+  });
+
+  const fillForm = (fields) => {
+    for (const [name, value] of Object.entries(fields)) {
+      const field = panel.querySelector(`.rule-${name}`);
+      field.value = value;
+      field.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+    }
+    panel.querySelector('.btn-add-rule').click();
+  };
+
+  it('should build rules from the form', () => {
+    const onAdd = vi.fn();
+    rulesUI.onAdd(onAdd);
+    rulesUI.render({ tables: ['fixe', 'diag'], rules: [] });
+
+    expect(panel.classList.contains('visible')).toBe(true);
+    expect(panel.querySelector('.rule-list').textContent).toBe('No rule declared');
+    expect(panel.querySelector('.btn-run-rules').disabled).toBe(true);
+
+    fillForm({ table: 'diag', type: 'range', column: 'age', parameter: '0..120', name: ' Plausible age ' });
+    expect(onAdd).toHaveBeenLastCalledWith({ table: 'diag', type: 'range', column: 'age', min: 0, max: 120, name: 'Plausible age' });
+
+    fillForm({ type: 'range', parameter: '2024-01-01..', name: '' });
+    expect(onAdd).toHaveBeenLastCalledWith({ table: 'diag', type: 'range', column: 'age', min: '2024-01-01', max: null });
+
+    fillForm({ type: 'unique', column: 'finess, num_rss' });
+    expect(onAdd).toHaveBeenLastCalledWith({ table: 'diag', type: 'unique', columns: ['finess', 'num_rss'] });
+    expect(panel.querySelector('.rule-parameter').disabled).toBe(true);
+
+    fillForm({ type: 'allowed_values', column: 'sexe', parameter: '1, 2' });
+    expect(onAdd).toHaveBeenLastCalledWith({ table: 'diag', type: 'allowed_values', column: 'sexe', values: ['1', '2'] });
+
+    fillForm({ type: 'sql', parameter: 'date_sortie >= date_entree' });
+    expect(onAdd).toHaveBeenLastCalledWith({ table: 'diag', type: 'sql', predicate: 'date_sortie >= date_entree' });
+    expect(panel.querySelector('.rule-column').disabled).toBe(true);
+  });
+
+  it('should list, remove, run and export rules', () => {
+    const onRemove = vi.fn();
+    const onRun = vi.fn();
+    const onExport = vi.fn();
+    rulesUI.onRemove(onRemove);
+    rulesUI.onRun(onRun);
+    rulesUI.onExport(onExport);
+    rulesUI.render({ tables: ['fixe'], rules: [rule, { ...rule, column: 'finess' }] });
+
+    const items = panel.querySelectorAll('.rule-list li');
+    expect(items[1].textContent).toContain('fixe: finess is not null');
+    items[1].querySelector('.btn-remove-rule').click();
+    expect(onRemove).toHaveBeenCalledWith(1);
+
+    panel.querySelector('.btn-run-rules').click();
+    expect(onRun).toHaveBeenCalled();
+    panel.querySelector('.btn-export-rules').click();
+    expect(onExport).toHaveBeenCalled();
+  });
+
+  it('should report passing, failing and broken rules', () => {
+    const onOpenRows = vi.fn();
+    rulesUI.onOpenRows(onOpenRows);
+    rulesUI.render({
+      tables: ['fixe'],
+      rules: [rule],
+      results: [
+        { rule, description: 'num_rss is not null', status: 'pass', violations: 0 },
+        {
+          rule,
+          description: 'sexe in (1, 2)',
+          status: 'fail',
+          violations: 2,
+          sql: 'SELECT * FROM fixe WHERE ...',
+          sample: { columns: ['sexe'], rows: [['3']], types: ['VARCHAR'] }
+        },
+        { rule, description: 'bad is not null', status: 'error', error: 'Binder Error' }
+      ]
+    });
+
+    expect(panel.querySelector('.rules-summary').textContent).toBe('2 of 3 rules fail');
+    expect(panel.querySelector('.rule-pass .rule-status').textContent).toBe('PASS');
+    expect(panel.querySelector('.rule-fail').textContent).toContain('2 violations');
+    expect(panel.querySelector('.rule-sample td').textContent).toBe('3');
+    expect(panel.querySelector('.rule-error').textContent).toContain('Binder Error');
+
+    panel.querySelector('.btn-open-violations').click();
+    expect(onOpenRows).toHaveBeenCalledWith('SELECT * FROM fixe WHERE ...');
+  });
+
+  it('should show progress and errors', () => {
+    rulesUI.render({ tables: ['fixe'], rules: [rule], progress: { done: 1, total: 3 }, error: 'Rule set has no rules' });
+
+    expect(panel.textContent).toContain('Running rule 2 of 3…');
+    expect(panel.querySelector('.error').textContent).toBe('Error: Rule set has no rules');
+    expect(panel.querySelector('.btn-run-rules').disabled).toBe(true);
+  });
+
+  it('should hide without tables', () => {
+    rulesUI.render({ tables: [], rules: [] });
+    expect(panel.classList.contains('visible')).toBe(false);
+  });
+});
+
+describe('CodeQualityUI', () => {
+  let panel;
+  let codeQualityUI;
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="code-quality-panel"></div>');
+    global.document = dom.window.document;
+    panel = dom.window.document.getElementById('code-quality-panel');
+    codeQualityUI = new CodeQualityUI(panel);
+  });
+
+  it('should show the invalid-code rate of each recognised column', () => {
+    const onOpenRows = vi.fn();
+    codeQualityUI.onOpenRows(onOpenRows);
+    codeQualityUI.render([
+      { tableName: 'fixe', codeQuality: [
+        { column: 'dp', kind: 'cim10', checked: 100, invalid: 10, invalidRate: 0.1 },
+        { column: 'ghm', kind: 'ghm', checked: 100, invalid: 0, invalidRate: 0, errors: 2 }
+      ] },
+      { tableName: 'diag', codeQuality: [] },
+      { tableName: 'old' }
+    ]);
+
+    expect(panel.classList.contains('visible')).toBe(true);
+    const rows = panel.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].cells[2].textContent).toBe('CIM-10');
+    expect(rows[0].cells[5].textContent).toBe('10.0%');
+    expect(rows[0].cells[5].classList.contains('duplicate-high')).toBe(true);
+    expect(rows[0].cells[6].textContent).toBe('');
+    expect(rows[1].cells[5].classList.contains('duplicate-low')).toBe(true);
+    expect(rows[1].querySelector('.btn-open-invalid')).toBeNull();
+
+    rows[0].querySelector('.btn-open-invalid').click();
+    expect(onOpenRows).toHaveBeenCalledWith('SELECT * FROM fixe WHERE NOT is_valid_cim10("dp")');
+    rows[1].querySelector('.btn-open-errors').click();
+    expect(onOpenRows).toHaveBeenCalledWith('SELECT * FROM fixe WHERE is_error_ghm("ghm")');
+  });
+
+  it('should hide without code columns', () => {
+    codeQualityUI.render([{ tableName: 'fixe', codeQuality: [] }]);
+    expect(panel.classList.contains('visible')).toBe(false);
+  });
 });
 
 describe('SQLEditor', () => {
@@ -205,6 +1016,42 @@ describe('SQLEditor', () => {
     expect(executeBtn.textContent).toBe('Executing...');
   });
 
+  it('should show the cancel button only while executing', () => {
+    const cancelBtn = dom.window.document.createElement('button');
+    const editor = new SQLEditor(textarea, executeBtn, cancelBtn);
+
+    editor.setExecuting();
+    expect(cancelBtn.classList.contains('visible')).toBe(true);
+
+    editor.setCancelling();
+    expect(cancelBtn.disabled).toBe(true);
+    expect(cancelBtn.textContent).toBe('Cancelling...');
+
+    editor.enableExecute();
+    expect(cancelBtn.classList.contains('visible')).toBe(false);
+  });
+
+  it('should call onCancel callback', () => {
+    const cancelBtn = dom.window.document.createElement('button');
+    const editor = new SQLEditor(textarea, executeBtn, cancelBtn);
+    const callback = vi.fn();
+    editor.onCancel(callback);
+
+    cancelBtn.click();
+
+    expect(callback).toHaveBeenCalled();
+  });
+
+  it('should not execute on Ctrl+Enter while a query is running', () => {
+    const callback = vi.fn();
+    sqlEditor.onExecute(callback);
+    sqlEditor.setExecuting();
+
+    textarea.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true }));
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
   it('should update example query for single file', () => {
     const files = [{ tableName: 'test' }];
     sqlEditor.updateExampleQuery(files);
@@ -217,9 +1064,36 @@ describe('SQLEditor', () => {
     expect(textarea.value).toContain('Available tables: test1, test2');
   });
 
-  it('should call onExecute callback on Ctrl+Enter', () => {
-    const callback = vi.fn();
-    sqlEditor.onExecute(callback);
+  it('should use qualified names for attached databases', () => {
+    const files = [{ tableName: 'prepared', attachedTables: [{ schema: 'main', name: 'sejours' }] }];
+    sqlEditor.updateExampleQuery(files);
+    expect(textarea.value).toBe('SELECT * FROM "prepared"."sejours" LIMIT 10');
+  });
+
+  it('should keep user SQL when the UI is updated after a background scan', () => {
+    sqlEditor.updateExampleQuery([{ tableName: 'fixe' }]);
+    textarea.value = 'SELECT ghm, COUNT(*) FROM fixe GROUP BY ghm';
+
+    // A scan finishing updates the UI with the same tables, loading another one adds a table
+    sqlEditor.updateExampleQuery([{ tableName: 'fixe', uniqueRowCount: 10 }]);
+    sqlEditor.updateExampleQuery([{ tableName: 'fixe' }, { tableName: 'diag' }]);
+
+    expect(textarea.value).toBe('SELECT ghm, COUNT(*) FROM fixe GROUP BY ghm');
+  });
+
+  it('should replace the example query while the user has not edited it', () => {
+    sqlEditor.updateExampleQuery([{ tableName: 'fixe' }]);
+    sqlEditor.updateExampleQuery([{ tableName: 'fixe' }, { tableName: 'diag' }]);
+    expect(textarea.value).toContain('Available tables: fixe, diag');
+
+    textarea.value = '';
+    sqlEditor.updateExampleQuery([{ tableName: 'diag' }]);
+    expect(textarea.value).toBe('SELECT * FROM diag LIMIT 10');
+  });
+
+  it('should call onExecute callback on Ctrl+Enter', () => {
+    const callback = vi.fn();
+    sqlEditor.onExecute(callback);
 
     const event = new dom.window.KeyboardEvent('keydown', {
       key: 'Enter',
@@ -254,16 +1128,154 @@ describe('ResultsTableUI', () => {
     expect(exportBtn.style.display).toBe('none');
   });
 
+  it('should highlight columns until the view is reset', () => {
+    resultsUI.setHighlightedColumns(['name']);
+    resultsUI.render({ columns: ['id', 'name'], rows: [[1, 'Alice']] });
+    expect(container.querySelector('.grid-header .column-highlighted').textContent).toBe('name');
+
+    resultsUI.resetView();
+    resultsUI.render({ columns: ['id', 'name'], rows: [[1, 'Alice']] });
+    expect(container.querySelector('.column-highlighted')).toBeNull();
+  });
+
   it('should render results table', () => {
     const data = {
       columns: ['id', 'name'],
       rows: [[1, 'Alice']]
     };
     resultsUI.render(data);
-    expect(container.querySelector('table')).not.toBeNull();
+    expect(container.querySelector('.virtual-grid')).not.toBeNull();
+    expect(container.querySelectorAll('.grid-row')).toHaveLength(1);
     expect(exportBtn.style.display).toBe('');
   });
 
+  it('should cycle sorting through ascending, descending and unsorted', () => {
+    const onViewChange = vi.fn();
+    resultsUI.onViewChange(onViewChange);
+    resultsUI.render({ columns: ['id'], rows: [[1]] }, null, { queryable: true });
+
+    const header = () => container.querySelector('.grid-header .grid-cell');
+    header().click();
+    expect(onViewChange).toHaveBeenLastCalledWith({ sort: { column: 'id', direction: 'asc' }, filters: {} });
+    header().click();
+    expect(onViewChange).toHaveBeenLastCalledWith({ sort: { column: 'id', direction: 'desc' }, filters: {} });
+    header().click();
+    expect(onViewChange).toHaveBeenLastCalledWith({ sort: null, filters: {} });
+  });
+
+  it('should set and clear column filters', () => {
+    const onViewChange = vi.fn();
+    resultsUI.onViewChange(onViewChange);
+    resultsUI.render({ columns: ['dp'], rows: [['I50']] }, null, { queryable: true });
+
+    const input = container.querySelector('.filter-input');
+    input.value = ' I5 ';
+    input.dispatchEvent(new dom.window.Event('change'));
+    expect(resultsUI.getView().filters).toEqual({ dp: 'I5' });
+
+    input.value = '';
+    input.dispatchEvent(new dom.window.Event('change'));
+    expect(resultsUI.getView().filters).toEqual({});
+    expect(onViewChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report the types of the displayed columns', () => {
+    const types = [{ kind: 'integer', name: 'Int32' }, { kind: 'string', name: 'Utf8' }];
+    resultsUI.render({ columns: ['age', 'dp'], rows: [[42, 'I50']], types }, null, { queryable: true });
+
+    expect(resultsUI.getColumnTypes()).toEqual({ age: types[0], dp: types[1] });
+  });
+
+  it('should keep the grid when a filter matches nothing', () => {
+    resultsUI.render({ columns: ['dp'], rows: [['I50']] }, null, { queryable: true });
+    resultsUI.setFilter('dp', 'Z99');
+
+    resultsUI.render({ columns: [], rows: [], rowCount: 0 }, { page: 0, pageCount: 1, pageSize: 50, totalRows: 0 }, { queryable: true });
+
+    expect(container.querySelector('.filter-input').value).toBe('Z99');
+    expect(container.querySelector('.pagination-info').textContent).toBe('Rows 0–0 of 0');
+    expect(exportBtn.style.display).toBe('none');
+  });
+
+  it('should push the view to SQL', () => {
+    const onPushToSQL = vi.fn();
+    resultsUI.onPushToSQL(onPushToSQL);
+    resultsUI.render({ columns: ['id'], rows: [[1]] }, null, { queryable: true });
+    expect(container.querySelector('.btn-push-sql').disabled).toBe(true);
+
+    resultsUI.toggleSort('id');
+    resultsUI.render({ columns: ['id'], rows: [[1]] }, null, { queryable: true });
+    container.querySelector('.btn-push-sql').click();
+
+    expect(onPushToSQL).toHaveBeenCalledWith({ sort: { column: 'id', direction: 'asc' }, filters: {} });
+  });
+
+  it('should clear sorting and filters', () => {
+    const onViewChange = vi.fn();
+    resultsUI.onViewChange(onViewChange);
+    resultsUI.render({ columns: ['id'], rows: [[1]] }, null, { queryable: true });
+    resultsUI.setFilter('id', '1');
+    resultsUI.render({ columns: ['id'], rows: [[1]] }, null, { queryable: true });
+
+    container.querySelector('.btn-clear-view').click();
+
+    expect(onViewChange).toHaveBeenLastCalledWith({ sort: null, filters: {} });
+  });
+
+  it('should hide columns from the column menu and keep them hidden across pages', () => {
+    resultsUI.render({ columns: ['id', 'dp'], rows: [[1, 'I50']] });
+
+    const checkbox = container.querySelector('.column-menu input[data-column="id"]');
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new dom.window.Event('change'));
+    expect(container.querySelector('.column-menu summary').textContent).toBe('Columns (1 hidden)');
+    expect(container.querySelectorAll('.grid-header .grid-cell')).toHaveLength(1);
+
+    resultsUI.render({ columns: ['id', 'dp'], rows: [[2, 'I10']] });
+    expect(container.querySelector('.grid-row').textContent).toBe('I10');
+
+    resultsUI.resetView();
+    resultsUI.render({ columns: ['id', 'dp'], rows: [[2, 'I10']] });
+    expect(container.querySelectorAll('.grid-header .grid-cell')).toHaveLength(2);
+  });
+
+  it('should not offer sorting and filters for statements that cannot be wrapped', () => {
+    resultsUI.render({ columns: ['name'], rows: [['rsa']] });
+    expect(container.querySelector('.filter-input')).toBeNull();
+    expect(container.querySelector('.btn-push-sql')).toBeNull();
+  });
+
+  it('should report rows that fail to load', async () => {
+    const onError = vi.fn();
+    resultsUI.onError(onError);
+    resultsUI.render({
+      columns: ['id'],
+      rows: [],
+      rowCount: 1000,
+      fetchRows: vi.fn().mockRejectedValue(new Error('boom'))
+    });
+
+    await vi.waitFor(() => expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' })));
+  });
+
+  it('should ignore failures from replaced results', async () => {
+    const onError = vi.fn();
+    let reject;
+    resultsUI.onError(onError);
+    resultsUI.render({
+      columns: ['id'],
+      rows: [],
+      rowCount: 1000,
+      fetchRows: () => new Promise((_, fail) => { reject = fail; })
+    });
+
+    resultsUI.showPlaceholder();
+    reject(new Error('late'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(onError).not.toHaveBeenCalled();
+  });
+
   it('should show error message', () => {
     resultsUI.showError('Test error');
     expect(container.innerHTML).toContain('Error: Test error');
@@ -274,9 +1286,782 @@ describe('ResultsTableUI', () => {
     expect(container.innerHTML).toContain('Success!');
   });
 
+  it('should show query cancelled message', () => {
+    resultsUI.showCancelled();
+    expect(container.querySelector('.cancelled').textContent).toBe('Query cancelled');
+    expect(exportBtn.style.display).toBe('none');
+  });
+
   it('should store last results', () => {
     const data = { columns: ['id'], rows: [[1]] };
     resultsUI.render(data);
     expect(resultsUI.getLastResults()).toEqual(data);
   });
+
+  describe('pagination', () => {
+    const data = { columns: ['id'], rows: [[51]] };
+    const pagination = { page: 1, pageCount: 25, pageSize: 50, totalRows: 1234 };
+
+    it('should not render controls without pagination state', () => {
+      resultsUI.render(data);
+      expect(container.querySelector('.pagination')).toBeNull();
+    });
+
+    it('should show the row range and total', () => {
+      resultsUI.render(data, pagination);
+      expect(container.querySelector('.pagination-info').textContent).toBe('Rows 51–100 of 1,234');
+      expect(container.querySelector('.page-input').value).toBe('2');
+    });
+
+    it('should disable previous on the first page and next on the last', () => {
+      resultsUI.render(data, { ...pagination, page: 0 });
+      expect(container.querySelector('.btn-page-prev').disabled).toBe(true);
+      expect(container.querySelector('.btn-page-next').disabled).toBe(false);
+
+      resultsUI.render(data, { ...pagination, page: 24 });
+      expect(container.querySelector('.btn-page-next').disabled).toBe(true);
+    });
+
+    it('should request the previous and next pages', () => {
+      const callback = vi.fn();
+      resultsUI.onPageChange(callback);
+      resultsUI.render(data, pagination);
+
+      container.querySelector('.btn-page-prev').click();
+      container.querySelector('.btn-page-next').click();
+
+      expect(callback.mock.calls).toEqual([[0], [2]]);
+    });
+
+    it('should jump to a page, clamped to the page count', () => {
+      const callback = vi.fn();
+      resultsUI.onPageChange(callback);
+      resultsUI.render(data, pagination);
+
+      const input = container.querySelector('.page-input');
+      input.value = '99';
+      input.dispatchEvent(new dom.window.Event('change'));
+
+      expect(callback).toHaveBeenCalledWith(24);
+    });
+
+    it('should request a new page size', () => {
+      const callback = vi.fn();
+      resultsUI.onPageSizeChange(callback);
+      resultsUI.render(data, pagination);
+
+      const select = container.querySelector('.page-size-select');
+      select.value = '100';
+      select.dispatchEvent(new dom.window.Event('change'));
+
+      expect(callback).toHaveBeenCalledWith(100);
+    });
+  });
+});
+
+describe('VirtualGrid', () => {
+  let container;
+  let dom;
+
+  const rows = (start, count) => Array.from({ length: count }, (_, i) => [start + i, `row ${start + i}`]);
+
+  /**
+   * Scroll the grid viewport (jsdom does not lay out, so scrollTop is set directly)
+   */
+  function scrollTo(grid, top) {
+    Object.defineProperty(grid.viewport, 'scrollTop', { value: top, configurable: true });
+    grid.viewport.dispatchEvent(new dom.window.Event('scroll'));
+  }
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="results-box"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('results-box');
+  });
+
+  it('should render a fixed header and only the rows in view', () => {
+    const grid = new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 10000) });
+
+    const header = container.querySelectorAll('.grid-header .grid-cell');
+    expect(Array.from(header).map(cell => cell.textContent)).toEqual(['id', 'label']);
+    expect(container.querySelectorAll('.grid-row').length).toBeLessThan(50);
+    expect(grid.body.style.height).toBe(`${10000 * CONFIG.GRID_ROW_HEIGHT}px`);
+    expect(container.querySelector('.grid-row .grid-cell').textContent).toBe('0');
+  });
+
+  it('should size header and rows for horizontal scrolling over wide tables', () => {
+    const columns = Array.from({ length: 150 }, (_, i) => `col${i}`);
+    new VirtualGrid(container, { columns, rows: [columns.map(() => 1)] });
+
+    const width = `${150 * CONFIG.GRID_COLUMN_WIDTH}px`;
+    expect(container.querySelector('.grid-header').style.width).toBe(width);
+    expect(container.querySelector('.grid-body').style.width).toBe(width);
+  });
+
+  it('should show NULL for missing values', () => {
+    new VirtualGrid(container, { columns: ['a'], rows: [[null]] });
+    expect(container.querySelector('.grid-row .grid-cell').textContent).toBe('NULL');
+  });
+
+  it('should leave hidden columns out of the header and rows', () => {
+    const grid = new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 5) }, {
+      hiddenColumns: new Set(['id'])
+    });
+
+    expect(Array.from(container.querySelectorAll('.grid-header .grid-cell'), cell => cell.textContent)).toEqual(['label']);
+    expect(container.querySelector('.grid-row').textContent).toBe('row 0');
+
+    grid.setHiddenColumns(new Set());
+    expect(container.querySelectorAll('.grid-header .grid-cell')).toHaveLength(2);
+  });
+
+  it('should apply column widths', () => {
+    new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 1) }, { columnWidths: { id: 60 } });
+
+    expect(container.querySelector('.grid-row .grid-cell').style.width).toBe('60px');
+    expect(container.querySelector('.grid-body').style.width).toBe(`${60 + CONFIG.GRID_COLUMN_WIDTH}px`);
+  });
+
+  it('should resize columns by dragging the header edge', () => {
+    const columnWidths = {};
+    new VirtualGrid(container, { columns: ['id'], rows: rows(0, 1) }, { columnWidths });
+
+    const handle = container.querySelector('.resize-handle');
+    handle.dispatchEvent(new dom.window.MouseEvent('mousedown', { clientX: 100, bubbles: true }));
+    document.dispatchEvent(new dom.window.MouseEvent('mousemove', { clientX: 150 }));
+    document.dispatchEvent(new dom.window.MouseEvent('mouseup'));
+    document.dispatchEvent(new dom.window.MouseEvent('mousemove', { clientX: 400 }));
+
+    expect(columnWidths.id).toBe(CONFIG.GRID_COLUMN_WIDTH + 50);
+    expect(container.querySelector('.grid-header .grid-cell').style.width).toBe(`${CONFIG.GRID_COLUMN_WIDTH + 50}px`);
+  });
+
+  it('should show the sort direction and report header clicks', () => {
+    const grid = new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 1) }, {
+      sort: { column: 'label', direction: 'desc' },
+      filters: {}
+    });
+    const onSort = vi.fn();
+    grid.onSort(onSort);
+
+    const [id, label] = container.querySelectorAll('.grid-header-row:first-child .grid-cell');
+    expect(label.classList.contains('sorted-desc')).toBe(true);
+
+    id.click();
+    expect(onSort).toHaveBeenCalledWith('id');
+  });
+
+  it('should report filter edits', () => {
+    const grid = new VirtualGrid(container, { columns: ['id'], rows: rows(0, 1) }, { filters: { id: '1..5' } });
+    const onFilter = vi.fn();
+    grid.onFilter(onFilter);
+
+    const input = container.querySelector('.filter-input');
+    expect(input.value).toBe('1..5');
+    input.value = '=3';
+    input.dispatchEvent(new dom.window.Event('change'));
+
+    expect(onFilter).toHaveBeenCalledWith('id', '=3');
+  });
+
+  it('should not offer sorting or filters without query controls', () => {
+    new VirtualGrid(container, { columns: ['id'], rows: rows(0, 1) });
+
+    expect(container.querySelector('.filter-input')).toBeNull();
+    expect(container.querySelector('.sortable')).toBeNull();
+  });
+
+  it('should format cells by column type and mark NULLs apart from empty strings', () => {
+    new VirtualGrid(container, {
+      columns: ['n', 'sortie', 'dp', 'das'],
+      types: [{ kind: 'bigint' }, { kind: 'date' }, { kind: 'string' }, { kind: 'string' }],
+      rows: [[1234567n, Date.UTC(2024, 0, 31), null, '']]
+    });
+
+    const [n, sortie, dp, das] = container.querySelectorAll('.grid-row .grid-cell');
+    expect(n.textContent).toMatch(/^1\s234\s567$/);
+    expect(n.classList.contains('cell-number')).toBe(true);
+    expect(sortie.textContent).toBe('31/01/2024');
+    expect(dp.classList.contains('cell-null')).toBe(true);
+    expect(das.classList.contains('cell-empty')).toBe(true);
+    expect(das.textContent).toBe('');
+  });
+
+  it('should expand nested values in place', () => {
+    new VirtualGrid(container, {
+      columns: ['diagnostics'],
+      types: [{ kind: 'list' }],
+      rows: [[['I500', 'E119']]]
+    });
+
+    const cell = () => container.querySelector('.grid-row .grid-cell');
+    expect(cell().textContent).toContain('["I500","E119"]');
+    expect(cell().querySelector('pre')).toBeNull();
+
+    cell().querySelector('.cell-expand').click();
+    expect(cell().classList.contains('cell-expanded')).toBe(true);
+    expect(cell().querySelector('pre').textContent).toBe('[\n  "I500",\n  "E119"\n]');
+
+    cell().querySelector('.cell-expand').click();
+    expect(cell().classList.contains('cell-expanded')).toBe(false);
+  });
+
+  it('should highlight the chosen columns in the header and rows', () => {
+    new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 3) }, { highlightedColumns: new Set(['label']) });
+
+    const header = container.querySelectorAll('.grid-header .grid-cell');
+    expect(header[1].classList.contains('column-highlighted')).toBe(true);
+    expect(header[0].classList.contains('column-highlighted')).toBe(false);
+    const cells = container.querySelectorAll('.grid-row .grid-cell.column-highlighted');
+    expect(Array.from(cells, c => c.textContent)).toEqual(['row 0', 'row 1', 'row 2']);
+  });
+
+  it('should show the column type in the header tooltip', () => {
+    new VirtualGrid(container, { columns: ['n'], types: [{ kind: 'bigint', name: 'Int64' }], rows: [[1n]] });
+    expect(container.querySelector('.grid-header .grid-cell').title).toBe('n (Int64)');
+  });
+
+  it('should render the rows scrolled into view', () => {
+    const grid = new VirtualGrid(container, { columns: ['id', 'label'], rows: rows(0, 10000) });
+
+    scrollTo(grid, 5000 * CONFIG.GRID_ROW_HEIGHT);
+
+    const ids = Array.from(container.querySelectorAll('.grid-row'), row => Number(row.firstChild.textContent));
+    expect(ids).toContain(5000);
+    expect(ids).not.toContain(0);
+  });
+
+  it('should fetch missing blocks as they scroll into view', async () => {
+    const fetchRows = vi.fn(async (start, count) => rows(start, count));
+    const grid = new VirtualGrid(container, {
+      columns: ['id', 'label'],
+      rows: rows(0, CONFIG.GRID_BLOCK_SIZE),
+      rowCount: 200000,
+      fetchRows
+    });
+    expect(fetchRows).not.toHaveBeenCalled();
+
+    scrollTo(grid, 150000 * CONFIG.GRID_ROW_HEIGHT);
+    expect(container.querySelector('.grid-row-loading')).not.toBeNull();
+
+    await vi.waitFor(() => expect(container.querySelector('.grid-row-loading')).toBeNull());
+    const block = Math.floor((150000 - CONFIG.GRID_OVERSCAN_ROWS) / CONFIG.GRID_BLOCK_SIZE);
+    expect(fetchRows).toHaveBeenCalledWith(block * CONFIG.GRID_BLOCK_SIZE, CONFIG.GRID_BLOCK_SIZE);
+  });
+
+  it('should fetch one block at a time', () => {
+    const fetchRows = vi.fn(() => new Promise(() => {}));
+    const grid = new VirtualGrid(container, { columns: ['id'], rows: [], rowCount: 1000, fetchRows });
+
+    scrollTo(grid, 500 * CONFIG.GRID_ROW_HEIGHT);
+
+    expect(fetchRows).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep a bounded number of blocks', async () => {
+    const grid = new VirtualGrid(container, {
+      columns: ['id'],
+      rows: [],
+      rowCount: 100000,
+      fetchRows: async (start, count) => rows(start, count)
+    });
+
+    for (let block = 0; block <= CONFIG.GRID_MAX_BLOCKS + 5; block++) {
+      scrollTo(grid, block * CONFIG.GRID_BLOCK_SIZE * CONFIG.GRID_ROW_HEIGHT);
+      await vi.waitFor(() => expect(grid.loading).toBe(false));
+    }
+
+    expect(grid.blocks.size).toBeLessThanOrEqual(CONFIG.GRID_MAX_BLOCKS);
+    expect(grid.blocks.has(0)).toBe(false);
+  });
+});
+
+describe('CSVImportDialog', () => {
+  let container;
+  let dialog;
+  let dom;
+  const buffer = new TextEncoder().encode('finess;age\n750000001;42\n').buffer;
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="csv-import-dialog"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('csv-import-dialog');
+    dialog = new CSVImportDialog(container);
+  });
+
+  it('should show the dialog when opened', () => {
+    dialog.open('rsa.csv', buffer);
+    expect(container.classList.contains('visible')).toBe(true);
+    expect(container.innerHTML).toContain('Import rsa.csv');
+  });
+
+  it('should resolve with null when cancelled', async () => {
+    const pending = dialog.open('rsa.csv', buffer);
+    container.querySelector('.btn-cancel').click();
+
+    await expect(pending).resolves.toBeNull();
+    expect(container.classList.contains('visible')).toBe(false);
+  });
+
+  it('should list columns detected with the chosen delimiter', () => {
+    dialog.open('rsa.csv', buffer);
+    const delimiter = container.querySelector('[name="delimiter"]');
+    delimiter.value = encodeURIComponent(';');
+    delimiter.dispatchEvent(new dom.window.Event('change'));
+
+    const columns = Array.from(container.querySelectorAll('.import-columns select'))
+      .map(s => decodeURIComponent(s.dataset.column));
+    expect(columns).toEqual(['finess', 'age']);
+  });
+
+  it('should resolve with the selected options on import', async () => {
+    const pending = dialog.open('rsa.csv', buffer);
+    const delimiter = container.querySelector('[name="delimiter"]');
+    delimiter.value = encodeURIComponent(';');
+    delimiter.dispatchEvent(new dom.window.Event('change'));
+
+    container.querySelector('[name="encoding"]').value = 'latin1';
+    container.querySelector('[name="decimalSeparator"]').value = ',';
+    container.querySelector('.import-columns select').value = 'VARCHAR';
+    container.querySelector('.btn-import').click();
+
+    await expect(pending).resolves.toEqual({
+      delimiter: ';',
+      encoding: 'latin1',
+      decimalSeparator: ',',
+      header: true,
+      columnTypes: { finess: 'VARCHAR' }
+    });
+  });
+
+  it('should keep picked column types when the options change', () => {
+    dialog.open('rsa.csv', buffer);
+    const delimiter = container.querySelector('[name="delimiter"]');
+    delimiter.value = encodeURIComponent(';');
+    delimiter.dispatchEvent(new dom.window.Event('change'));
+    container.querySelector('.import-columns select').value = 'VARCHAR';
+
+    const encoding = container.querySelector('[name="encoding"]');
+    encoding.value = 'latin1';
+    encoding.dispatchEvent(new dom.window.Event('change'));
+
+    expect(container.querySelector('.import-columns select').value).toBe('VARCHAR');
+  });
+
+  it('should show header names as text', () => {
+    const markup = new TextEncoder().encode('<img src=x onerror=alert(1)>;age\n1;2\n').buffer;
+    dialog.open('<b>rsa</b>.csv', markup);
+    const delimiter = container.querySelector('[name="delimiter"]');
+    delimiter.value = encodeURIComponent(';');
+    delimiter.dispatchEvent(new dom.window.Event('change'));
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('b')).toBeNull();
+    expect(container.querySelector('.import-columns td').textContent).toBe('<img src=x onerror=alert(1)>');
+  });
+});
+
+describe('ZipImportDialog', () => {
+  let container;
+  let dialog;
+  let dom;
+  const entries = [
+    { name: 'fixe.parquet', size: 2048 },
+    { name: 'out/750000001.rsa', size: 100 },
+    { name: 'readme.pdf', size: 10 }
+  ];
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="zip-import-dialog"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('zip-import-dialog');
+    dialog = new ZipImportDialog(container);
+  });
+
+  it('should list members with checkboxes', () => {
+    dialog.open('out.zip', entries);
+    expect(container.classList.contains('visible')).toBe(true);
+    expect(container.querySelectorAll('input[type="checkbox"]')).toHaveLength(3);
+    expect(container.innerHTML).toContain('2.0 KB');
+  });
+
+  it('should disable unsupported members', () => {
+    dialog.open('out.zip', entries);
+    const boxes = container.querySelectorAll('input[type="checkbox"]');
+    expect(boxes[0].checked).toBe(true);
+    expect(boxes[2].disabled).toBe(true);
+    expect(container.innerHTML).toContain('unsupported');
+  });
+
+  it('should resolve with the checked members', async () => {
+    const pending = dialog.open('out.zip', entries);
+    container.querySelectorAll('input[type="checkbox"]')[1].checked = false;
+    container.querySelector('.btn-import').click();
+
+    await expect(pending).resolves.toEqual([entries[0]]);
+    expect(container.classList.contains('visible')).toBe(false);
+  });
+
+  it('should resolve with null when cancelled', async () => {
+    const pending = dialog.open('out.zip', entries);
+    container.querySelector('.btn-cancel').click();
+    await expect(pending).resolves.toBeNull();
+  });
+});
+
+describe('MacroLibraryUI', () => {
+  let container;
+  let macroLibraryUI;
+
+  beforeEach(() => {
+    const dom = new JSDOM('<div id="macro-library"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('macro-library');
+    macroLibraryUI = new MacroLibraryUI(container);
+  });
+
+  it('should list macros with their registration status', () => {
+    macroLibraryUI.render([
+      { name: 'get_casemix', file: 'casemix.sql', status: 'registered', error: null, missingTable: null },
+      { name: 'get_diag', file: 'diag.sql', status: 'pending', error: 'Catalog Error', missingTable: 'diag' },
+      { name: 'broken', file: 'broken.sql', status: 'error', error: 'Parser Error: syntax error', missingTable: null }
+    ]);
+
+    expect(container.classList.contains('visible')).toBe(true);
+    expect(container.querySelector('summary').textContent)
+      .toBe('Macro library: 1 registered, 1 waiting for a table, 1 failed');
+    expect(container.querySelector('details').open).toBe(true);
+    expect(container.querySelector('.macro-registered .macro-message')).toBeNull();
+    expect(container.querySelector('.macro-pending .macro-message').textContent).toBe('Registered once table diag is loaded');
+    expect(container.querySelector('.macro-error').textContent).toContain('broken broken.sql');
+    expect(container.querySelector('.macro-error .macro-message').textContent).toBe('Parser Error: syntax error');
+  });
+
+  it('should stay folded when every macro is fine, and hide without macros', () => {
+    macroLibraryUI.render([{ name: 'get_casemix', file: 'casemix.sql', status: 'registered', error: null, missingTable: null }]);
+    expect(container.querySelector('details').open).toBe(false);
+
+    macroLibraryUI.render([]);
+    expect(container.classList.contains('visible')).toBe(false);
+  });
+});
+
+describe('CommandPaletteUI', () => {
+  let dom;
+  let palette;
+  let commandPaletteUI;
+
+  const templates = [
+    { id: 'casemix', title: 'Casemix by GHM', description: 'Stays by GHM', category: 'casemix', requiredTables: ['fixe'], sql: 'SELECT * FROM get_casemix()' },
+    { id: 'top-dp', title: 'Top principal diagnoses', description: 'Most frequent DP', category: 'diagnoses', requiredTables: ['um'], sql: 'SELECT dp FROM um' },
+    { id: 'top-da', title: 'Top associated diagnoses', description: 'Most frequent DA', category: 'diagnoses', requiredTables: ['diag'], sql: 'SELECT code_diag FROM diag' }
+  ];
+
+  const press = (key) => {
+    const input = palette.querySelector('.command-palette-input');
+    input.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true }));
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="command-palette"></div>');
+    global.document = dom.window.document;
+    palette = dom.window.document.getElementById('command-palette');
+    commandPaletteUI = new CommandPaletteUI(palette);
+  });
+
+  it('should list templates by category and grey out those missing tables', () => {
+    commandPaletteUI.open(templates, ['fixe', 'diag']);
+
+    expect(commandPaletteUI.isOpen()).toBe(true);
+    expect([...palette.querySelectorAll('.command-palette-category')].map(h => h.textContent)).toEqual(['Casemix', 'Diagnoses']);
+    const items = palette.querySelectorAll('.command-palette-item');
+    expect(items).toHaveLength(3);
+    expect(items[1].classList.contains('template-unavailable')).toBe(true);
+    expect(items[1].getAttribute('aria-disabled')).toBe('true');
+    expect(items[1].textContent).toContain('needs um');
+    expect(items[0].classList.contains('active')).toBe(true);
+  });
+
+  it('should filter as the user types', () => {
+    commandPaletteUI.open(templates, ['fixe', 'um', 'diag']);
+    const input = palette.querySelector('.command-palette-input');
+    input.value = 'associated';
+    input.dispatchEvent(new dom.window.Event('input'));
+
+    const items = palette.querySelectorAll('.command-palette-item');
+    expect(items).toHaveLength(1);
+    expect(items[0].textContent).toContain('Top associated diagnoses');
+    expect(palette.querySelector('.command-palette-category')).toBeNull();
+
+    input.value = 'qwxz';
+    input.dispatchEvent(new dom.window.Event('input'));
+    expect(palette.querySelector('.empty-message').textContent).toBe('No template found');
+  });
+
+  it('should pick the highlighted template with the keyboard, skipping unavailable ones', () => {
+    const onSelect = vi.fn();
+    commandPaletteUI.onSelect(onSelect);
+    commandPaletteUI.open(templates, ['fixe', 'diag']);
+
+    press('ArrowDown');
+    expect(palette.querySelectorAll('.command-palette-item')[2].classList.contains('active')).toBe(true);
+    press('Enter');
+
+    expect(onSelect).toHaveBeenCalledWith(templates[2]);
+    expect(commandPaletteUI.isOpen()).toBe(false);
+  });
+
+  it('should ignore clicks on unavailable templates', () => {
+    const onSelect = vi.fn();
+    commandPaletteUI.onSelect(onSelect);
+    commandPaletteUI.open(templates, ['fixe']);
+
+    const items = palette.querySelectorAll('.command-palette-item');
+    items[1].dispatchEvent(new dom.window.MouseEvent('mousedown', { bubbles: true }));
+    expect(onSelect).not.toHaveBeenCalled();
+
+    items[0].dispatchEvent(new dom.window.MouseEvent('mousedown', { bubbles: true }));
+    expect(onSelect).toHaveBeenCalledWith(templates[0]);
+  });
+
+  it('should let user templates be deleted', () => {
+    const onSelect = vi.fn();
+    const onDelete = vi.fn();
+    const mine = { id: 'user-mine', title: 'Mine', description: 'My query', category: 'casemix', requiredTables: [], sql: 'SELECT 1', user: true };
+    commandPaletteUI.onSelect(onSelect);
+    commandPaletteUI.onDelete(onDelete);
+    commandPaletteUI.open([...templates, mine], ['fixe']);
+
+    const buttons = palette.querySelectorAll('.btn-delete-template');
+    expect(buttons).toHaveLength(1);
+    buttons[0].dispatchEvent(new dom.window.MouseEvent('mousedown', { bubbles: true }));
+
+    expect(onDelete).toHaveBeenCalledWith(mine);
+    expect(onSelect).not.toHaveBeenCalled();
+    expect(commandPaletteUI.isOpen()).toBe(false);
+  });
+
+  it('should close on Escape and on a backdrop click', () => {
+    commandPaletteUI.open(templates, []);
+    press('Escape');
+    expect(commandPaletteUI.isOpen()).toBe(false);
+
+    commandPaletteUI.open(templates, []);
+    palette.dispatchEvent(new dom.window.MouseEvent('mousedown', { bubbles: true }));
+    expect(commandPaletteUI.isOpen()).toBe(false);
+  });
+});
+
+describe('ParameterFormUI', () => {
+  let dom;
+  let container;
+  let parameterFormUI;
+
+  const template = {
+    id: 'stays-in-period',
+    title: 'Stays in units over a period',
+    parameters: [
+      { name: 'year', label: 'Year', type: 'number' },
+      { name: 'finess', label: 'FINESS', type: 'enum', source: { table: 'um', column: 'finess' } },
+      { name: 'units', label: 'Units', type: 'multi', options: ['U1', 'U2', 'U3'] }
+    ]
+  };
+
+  const field = (name) => container.querySelector(`[data-parameter="${name}"]`);
+  const submit = () => container.querySelector('form').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="parameter-form"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('parameter-form');
+    parameterFormUI = new ParameterFormUI(container);
+  });
+
+  it('should render a typed input for each parameter, prefilled with the last values', () => {
+    parameterFormUI.open(template, {
+      values: { year: 2024, finess: '750000002', units: ['U2'] },
+      choices: { finess: ['750000001', '750000002'] }
+    });
+
+    expect(container.classList.contains('visible')).toBe(true);
+    expect(container.querySelector('.import-dialog-title').textContent).toBe('Stays in units over a period');
+    expect(field('year').querySelector('input').type).toBe('number');
+    expect(field('year').querySelector('input').value).toBe('2024');
+    expect([...field('finess').querySelectorAll('option')].map(o => o.value)).toEqual(['', '750000001', '750000002']);
+    expect(field('finess').querySelector('select').value).toBe('750000002');
+    expect([...field('units').querySelectorAll('input:checked')].map(i => i.value)).toEqual(['U2']);
+  });
+
+  it('should resolve with the checked values on submit', async () => {
+    const opening = parameterFormUI.open(template, { choices: { finess: ['750000001'] } });
+    field('year').querySelector('input').value = '2023';
+    field('finess').querySelector('select').value = '750000001';
+    field('units').querySelectorAll('input')[0].checked = true;
+    field('units').querySelectorAll('input')[2].checked = true;
+    submit();
+
+    expect(await opening).toEqual({ year: 2023, finess: '750000001', units: ['U1', 'U3'] });
+    expect(container.classList.contains('visible')).toBe(false);
+  });
+
+  it('should show what is missing and stay open', () => {
+    parameterFormUI.open(template, { choices: { finess: ['750000001'] } });
+    field('year').querySelector('input').value = '2023';
+    submit();
+
+    expect(container.querySelector('.parameter-error').textContent).toBe('Fill in FINESS');
+    expect(container.classList.contains('visible')).toBe(true);
+  });
+
+  it('should resolve with null when cancelled', async () => {
+    const opening = parameterFormUI.open(template);
+    container.querySelector('.btn-cancel').click();
+
+    expect(await opening).toBeNull();
+    expect(container.innerHTML).toBe('');
+  });
+});
+
+describe('TemplateEditorUI', () => {
+  let dom;
+  let container;
+  let templateEditorUI;
+
+  const sql = `SELECT * FROM um WHERE um IN (SELECT unnest($units)) AND year(date_sortie) = $year AND finess = '$x'`;
+  const row = (name) => container.querySelector(`.template-parameters tr[data-parameter="${name}"]`);
+  const fill = (selector, value) => {
+    container.querySelector(selector).value = value;
+  };
+  const submit = () => container.querySelector('form').dispatchEvent(new dom.window.Event('submit', { cancelable: true }));
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="template-editor"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('template-editor');
+    templateEditorUI = new TemplateEditorUI(container);
+  });
+
+  it('should list the placeholders of the query and prefill the required tables', () => {
+    templateEditorUI.open(sql, { requiredTables: ['um'] });
+
+    expect(container.classList.contains('visible')).toBe(true);
+    expect([...container.querySelectorAll('.template-parameters tr')].map(r => r.dataset.parameter)).toEqual(['units', 'year']);
+    expect(container.querySelector('[name="requiredTables"]').value).toBe('um');
+  });
+
+  it('should resolve with the template and its parameter declarations', async () => {
+    const opening = templateEditorUI.open(sql, { requiredTables: ['um'] });
+    fill('[name="title"]', 'Discharges of units');
+    fill('[name="category"]', 'stays');
+    fill('[name="description"]', 'For a year');
+    row('units').querySelector('[name="type"]').value = 'multi';
+    row('units').querySelector('[name="choices"]').value = 'um.um';
+    row('year').querySelector('[name="type"]').value = 'number';
+    row('year').querySelector('[name="label"]').value = 'Year';
+    submit();
+
+    expect(await opening).toEqual({
+      id: 'user-discharges-of-units',
+      title: 'Discharges of units',
+      description: 'For a year',
+      category: 'stays',
+      requiredTables: ['um'],
+      sql,
+      parameters: [
+        { name: 'units', type: 'multi', source: { table: 'um', column: 'um' } },
+        { name: 'year', type: 'number', label: 'Year' }
+      ],
+      user: true
+    });
+  });
+
+  it('should read a list of options and show what is wrong', () => {
+    templateEditorUI.open(sql);
+    fill('[name="title"]', 'Discharges of units');
+    row('units').querySelector('[name="type"]').value = 'enum';
+    submit();
+
+    expect(container.querySelector('.parameter-error').textContent).toBe("Parameter 'units' needs options or a source column");
+
+    row('units').querySelector('[name="choices"]').value = 'U1, U2,';
+    expect(templateEditorUI.readForm().parameters[0].options).toEqual(['U1', 'U2']);
+  });
+
+  it('should resolve with null when cancelled', async () => {
+    const opening = templateEditorUI.open('SELECT 1');
+    expect(container.querySelector('.template-parameters')).toBeNull();
+    container.querySelector('.btn-cancel').click();
+
+    expect(await opening).toBeNull();
+  });
+});
+
+describe('ReferenceTablesUI', () => {
+  let dom;
+  let container;
+  let referenceTablesUI;
+
+  const datasets = [
+    { id: 'cim10-2024', nomenclature: 'cim10', year: 2024, file: 'cim10-2024.tsv' },
+    { id: 'cim10-2023', nomenclature: 'cim10', year: 2023, file: 'cim10-2023.tsv' },
+    { id: 'ghm-2024', nomenclature: 'ghm', year: 2024, file: 'ghm-2024.tsv' },
+    { id: 'ghm-2024-sample', nomenclature: 'ghm', year: 2024, sample: true, file: 'ghm-2024.sample.tsv' }
+  ];
+  const item = (label) => [...container.querySelectorAll('.reference-item')].find(i => i.textContent.includes(label));
+
+  beforeEach(() => {
+    dom = new JSDOM('<div id="reference-tables"></div>');
+    global.document = dom.window.document;
+    container = dom.window.document.getElementById('reference-tables');
+    referenceTablesUI = new ReferenceTablesUI(container);
+  });
+
+  it('should offer each bundled nomenclature with its years', () => {
+    referenceTablesUI.render(datasets, []);
+
+    expect(container.classList.contains('visible')).toBe(true);
+    expect(container.querySelectorAll('.reference-item')).toHaveLength(2);
+    expect([...item('CIM-10').querySelectorAll('option')].map(o => o.textContent)).toEqual(['2024', '2023']);
+  });
+
+  it('should label samples and say they are not the complete releases', () => {
+    referenceTablesUI.render(datasets, []);
+
+    expect([...item('GHM').querySelectorAll('option')].map(o => o.textContent)).toEqual(['2024', '2024 (sample)']);
+    expect(container.querySelector('.reference-sample-note').textContent).toContain('not the complete releases');
+
+    referenceTablesUI.render(datasets.filter(d => !d.sample), []);
+    expect(container.querySelector('.reference-sample-note')).toBeNull();
+  });
+
+  it('should load the selected year', () => {
+    const onLoad = vi.fn();
+    referenceTablesUI.onLoad(onLoad);
+    referenceTablesUI.render(datasets, []);
+
+    const select = item('CIM-10').querySelector('.reference-year');
+    select.value = 'cim10-2023';
+    select.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    item('CIM-10').querySelector('.btn-load-reference').click();
+
+    expect(onLoad).toHaveBeenCalledWith('cim10-2023');
+  });
+
+  it('should show loaded years and disable loading them again', () => {
+    referenceTablesUI.render(datasets, [{ tableName: 'ref_cim10_2024', reference: true, referenceId: 'cim10-2024' }]);
+
+    expect(item('CIM-10').querySelector('.reference-loaded').textContent).toBe('Loaded as ref_cim10_2024');
+    expect(item('CIM-10').querySelector('.btn-load-reference').disabled).toBe(true);
+    expect(item('GHM').querySelector('.btn-load-reference').disabled).toBe(false);
+
+    const select = item('CIM-10').querySelector('.reference-year');
+    select.value = 'cim10-2023';
+    select.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    expect(item('CIM-10').querySelector('.btn-load-reference').disabled).toBe(false);
+  });
+
+  it('should hide without datasets', () => {
+    referenceTablesUI.render([], []);
+    expect(container.classList.contains('visible')).toBe(false);
+  });
 });
@@ -0,0 +1,393 @@
+import { CONFIG, CSS_CLASSES } from '../shared/constants.js';
+import { formatCellValue, formatNestedValue, isNestedValue } from '../shared/format.js';
+
+// Column kinds shown right-aligned
+const NUMBER_KINDS = ['integer', 'bigint', 'float', 'decimal'];
+
+/**
+ * Virtualized results grid UI component
+ * Only the rows in view are in the DOM; rows are pulled from the result in blocks as the user scrolls.
+ */
+export class VirtualGrid {
+  /**
+   * @param {HTMLElement} container - Element the grid is rendered into
+   * @param {Object} data - Result to display
+   * @param {string[]} data.columns - Column names
+   * @param {Array<Object|null>} [data.types] - Column types from describeColumnType, used to format cells
+   * @param {any[][]} data.rows - Rows already fetched, starting at the first row
+   * @param {number} [data.rowCount] - Total number of rows (defaults to rows.length)
+   * @param {Function} [data.fetchRows] - (start, count) => Promise<any[][]>, fetches rows past the ones given
+   * @param {Object} [options] - Column layout and query controls
+   * @param {Set<string>} [options.hiddenColumns] - Columns left out of the grid
+   * @param {Object} [options.columnWidths] - Width in pixels by column name, updated as columns are resized
+   * @param {Object|null} [options.sort] - { column, direction } shown in the header
+   * @param {Object|null} [options.filters] - Filter text by column name, null to hide the filter row
+   * @param {Set<string>} [options.highlightedColumns] - Columns to draw attention to, e.g. values differing between duplicates
+   */
+  constructor(container, { columns, types = [], rows, rowCount = rows.length, fetchRows = null }, options = {}) {
+    this.container = container;
+    this.columns = columns;
+    this.types = types;
+    this.hiddenColumns = options.hiddenColumns || new Set();
+    this.columnWidths = options.columnWidths || {};
+    this.sort = options.sort || null;
+    this.filters = options.filters || null;
+    this.highlightedColumns = options.highlightedColumns || new Set();
+    this.rowCount = rowCount;
+    this.fetchRows = fetchRows;
+    this.blockSize = CONFIG.GRID_BLOCK_SIZE;
+    this.rowHeight = CONFIG.GRID_ROW_HEIGHT;
+    this.blocks = new Map();
+    // Nested cells shown expanded, as 'row:column' keys
+    this.expandedCells = new Set();
+    this.loading = false;
+    this.onErrorCallback = null;
+    this.onSortCallback = null;
+    this.onFilterCallback = null;
+
+    // The rows given up front seed the block cache
+    for (let start = 0; start < rows.length; start += this.blockSize) {
+      this.blocks.set(start / this.blockSize, rows.slice(start, start + this.blockSize));
+    }
+
+    this.render();
+  }
+
+  /**
+   * Set error callback, for failed block fetches
+   * @param {Function} callback - (error) => void
+   */
+  onError(callback) {
+    this.onErrorCallback = callback;
+  }
+
+  /**
+   * Set sort callback, for clicks on a column header
+   * @param {Function} callback - (column) => void
+   */
+  onSort(callback) {
+    this.onSortCallback = callback;
+  }
+
+  /**
+   * Set filter callback, for edits of a column filter input
+   * @param {Function} callback - (column, text) => void
+   */
+  onFilter(callback) {
+    this.onFilterCallback = callback;
+  }
+
+  /**
+   * Build the grid skeleton: scroll viewport, fixed header and a body sized for every row
+   */
+  render() {
+    this.viewport = document.createElement('div');
+    this.viewport.className = CSS_CLASSES.VIRTUAL_GRID;
+
+    this.header = document.createElement('div');
+    this.header.className = 'grid-header';
+
+    this.body = document.createElement('div');
+    this.body.className = 'grid-body';
+    this.body.style.height = `${this.rowCount * this.rowHeight}px`;
+
+    this.viewport.append(this.header, this.body);
+    this.container.appendChild(this.viewport);
+
+    this.viewport.addEventListener('scroll', () => this.renderRows());
+    this.renderColumns();
+  }
+
+  /**
+   * Get the indexes of the columns shown in the grid
+   * @returns {number[]}
+   */
+  getVisibleColumns() {
+    return this.columns
+      .map((column, index) => index)
+      .filter(index => !this.hiddenColumns.has(this.columns[index]));
+  }
+
+  /**
+   * Get the width of a column
+   * @param {string} column - Column name
+   * @returns {number} - Width in pixels
+   */
+  getColumnWidth(column) {
+    return this.columnWidths[column] || CONFIG.GRID_COLUMN_WIDTH;
+  }
+
+  /**
+   * Change which columns are hidden
+   * @param {Set<string>} hiddenColumns - Columns left out of the grid
+   */
+  setHiddenColumns(hiddenColumns) {
+    this.hiddenColumns = hiddenColumns;
+    this.renderColumns();
+  }
+
+  /**
+   * Render the header for the visible columns, then the rows
+   */
+  renderColumns() {
+    const visible = this.getVisibleColumns();
+    const width = visible.reduce((sum, index) => sum + this.getColumnWidth(this.columns[index]), 0);
+
+    const titles = document.createElement('div');
+    titles.className = 'grid-header-row';
+    for (const index of visible) {
+      titles.appendChild(this.createHeaderCell(this.columns[index], this.types[index]));
+    }
+    this.header.replaceChildren(titles);
+
+    if (this.filters) {
+      const filters = document.createElement('div');
+      filters.className = 'grid-header-row grid-filters';
+      for (const index of visible) {
+        filters.appendChild(this.createFilterCell(this.columns[index]));
+      }
+      this.header.appendChild(filters);
+    }
+
+    this.header.style.width = `${width}px`;
+    this.body.style.width = `${width}px`;
+    this.renderRows();
+  }
+
+  /**
+   * Create a header cell with its sort indicator and resize handle
+   * @param {string} column - Column name
+   * @param {Object|null} [type] - Column type, shown in the tooltip
+   * @returns {HTMLElement}
+   */
+  createHeaderCell(column, type = null) {
+    const cell = this.createCell(column, this.getColumnWidth(column));
+    cell.title = type ? `${column} (${type.name})` : column;
+
+    if (this.sort && this.sort.column === column) {
+      cell.classList.add(this.sort.direction === 'desc' ? 'sorted-desc' : 'sorted-asc');
+    }
+    if (this.highlightedColumns.has(column)) {
+      cell.classList.add('column-highlighted');
+    }
+
+    if (this.filters) {
+      cell.classList.add('sortable');
+      cell.addEventListener('click', () => {
+        if (this.onSortCallback) {
+          this.onSortCallback(column);
+        }
+      });
+    }
+
+    const handle = document.createElement('span');
+    handle.className = 'resize-handle';
+    handle.addEventListener('click', (e) => e.stopPropagation());
+    handle.addEventListener('mousedown', (e) => this.startResize(e, column));
+    cell.appendChild(handle);
+
+    return cell;
+  }
+
+  /**
+   * Create a filter input cell
+   * @param {string} column - Column name
+   * @returns {HTMLElement}
+   */
+  createFilterCell(column) {
+    const cell = this.createCell('', this.getColumnWidth(column));
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'filter-input';
+    input.dataset.column = column;
+    input.value = this.filters[column] || '';
+    input.placeholder = 'contains, =value, min..max';
+    input.title = `Filter ${column}: text matches a substring, =value matches exactly, min..max matches a range`;
+    input.addEventListener('change', () => {
+      if (this.onFilterCallback) {
+        this.onFilterCallback(column, input.value);
+      }
+    });
+    cell.appendChild(input);
+    return cell;
+  }
+
+  /**
+   * Resize a column by dragging its header edge
+   * @param {MouseEvent} event - mousedown on the resize handle
+   * @param {string} column - Column name
+   */
+  startResize(event, column) {
+    event.preventDefault();
+    const startX = event.clientX;
+    const startWidth = this.getColumnWidth(column);
+
+    const move = (e) => {
+      this.columnWidths[column] = Math.max(CONFIG.GRID_MIN_COLUMN_WIDTH, startWidth + e.clientX - startX);
+      this.renderColumns();
+    };
+    const stop = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', stop);
+    };
+
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', stop);
+  }
+
+  /**
+   * Get the range of rows in view, plus a margin above and below
+   * @returns {{first: number, last: number}} - Row indexes, last excluded
+   */
+  getVisibleRange() {
+    const height = this.viewport.clientHeight || CONFIG.GRID_HEIGHT;
+    const overscan = CONFIG.GRID_OVERSCAN_ROWS;
+    const first = Math.max(0, Math.floor(this.viewport.scrollTop / this.rowHeight) - overscan);
+    const last = Math.min(this.rowCount, Math.ceil((this.viewport.scrollTop + height) / this.rowHeight) + overscan);
+    return { first, last };
+  }
+
+  /**
+   * Get a row from the block cache
+   * @param {number} index - Row index
+   * @returns {any[]|undefined} - undefined while its block is not loaded
+   */
+  getRow(index) {
+    const block = this.blocks.get(Math.floor(index / this.blockSize));
+    return Array.isArray(block) ? block[index % this.blockSize] : undefined;
+  }
+
+  /**
+   * Render the rows in view and request the blocks they need
+   */
+  renderRows() {
+    const { first, last } = this.getVisibleRange();
+    const visible = this.getVisibleColumns();
+    const fragment = document.createDocumentFragment();
+
+    for (let index = first; index < last; index++) {
+      const row = this.getRow(index);
+      const element = document.createElement('div');
+      element.className = row ? 'grid-row' : 'grid-row grid-row-loading';
+      element.style.top = `${index * this.rowHeight}px`;
+      element.style.height = `${this.rowHeight}px`;
+
+      for (const i of visible) {
+        const width = this.getColumnWidth(this.columns[i]);
+        const cell = row ? this.createValueCell(row[i], index, i, width) : this.createCell('…', width);
+        cell.classList.toggle('column-highlighted', this.highlightedColumns.has(this.columns[i]));
+        element.appendChild(cell);
+      }
+      fragment.appendChild(element);
+    }
+
+    this.body.replaceChildren(fragment);
+    this.loadMissingBlock(first, last);
+  }
+
+  /**
+   * Fetch the first missing block of a row range
+   * Blocks are fetched one at a time since the connection runs one query at a time.
+   * @param {number} first - First row index
+   * @param {number} last - Last row index, excluded
+   */
+  loadMissingBlock(first, last) {
+    if (this.loading || !this.fetchRows || first >= last) return;
+
+    const firstBlock = Math.floor(first / this.blockSize);
+    const lastBlock = Math.floor((last - 1) / this.blockSize);
+    let block = firstBlock;
+    while (block <= lastBlock && this.blocks.has(block)) block++;
+    if (block > lastBlock) return;
+
+    this.loading = true;
+    this.fetchRows(block * this.blockSize, this.blockSize)
+      .then(rows => {
+        this.blocks.set(block, rows);
+        this.evictBlocks(block);
+        this.loading = false;
+        this.renderRows();
+      })
+      .catch(error => {
+        this.loading = false;
+        if (this.onErrorCallback) {
+          this.onErrorCallback(error);
+        }
+      });
+  }
+
+  /**
+   * Drop the cached blocks farthest from the one just loaded, keeping memory bounded
+   * @param {number} current - Block index in view
+   */
+  evictBlocks(current) {
+    while (this.blocks.size > CONFIG.GRID_MAX_BLOCKS) {
+      let farthest = current;
+      for (const block of this.blocks.keys()) {
+        if (Math.abs(block - current) > Math.abs(farthest - current)) farthest = block;
+      }
+      this.blocks.delete(farthest);
+    }
+  }
+
+  /**
+   * Create a grid cell
+   * @param {string} text - Cell text
+   * @param {number} width - Width in pixels
+   * @returns {HTMLElement}
+   */
+  createCell(text, width) {
+    const cell = document.createElement('div');
+    cell.className = 'grid-cell';
+    cell.style.width = `${width}px`;
+    cell.textContent = text;
+    return cell;
+  }
+
+  /**
+   * Create a cell showing a value formatted for its column type
+   * NULLs and numbers are styled apart; lists, structs and maps can be expanded in place.
+   * @param {*} value - Cell value
+   * @param {number} rowIndex - Row index
+   * @param {number} columnIndex - Column index
+   * @param {number} width - Width in pixels
+   * @returns {HTMLElement}
+   */
+  createValueCell(value, rowIndex, columnIndex, width) {
+    const type = this.types[columnIndex] || null;
+    const cell = this.createCell(formatCellValue(value, type), width);
+
+    if (value === null || value === undefined) {
+      cell.classList.add('cell-null');
+    } else if (value === '') {
+      cell.classList.add('cell-empty');
+    } else if (NUMBER_KINDS.includes(type?.kind) || typeof value === 'bigint') {
+      cell.classList.add('cell-number');
+    } else if (isNestedValue(value, type)) {
+      const key = `${rowIndex}:${columnIndex}`;
+      const expanded = this.expandedCells.has(key);
+      cell.classList.add('cell-nested');
+      cell.classList.toggle('cell-expanded', expanded);
+
+      const toggle = document.createElement('button');
+      toggle.className = 'cell-expand';
+      toggle.textContent = expanded ? '▾' : '▸';
+      toggle.title = expanded ? 'Collapse' : 'Expand';
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (expanded) {
+          this.expandedCells.delete(key);
+        } else {
+          this.expandedCells.add(key);
+        }
+        this.renderRows();
+      });
+
+      const content = document.createElement(expanded ? 'pre' : 'span');
+      content.textContent = expanded ? formatNestedValue(value, true) : cell.textContent;
+      cell.replaceChildren(toggle, content);
+    }
+
+    return cell;
+  }
+}
@@ -0,0 +1,103 @@
+import { CSS_CLASSES } from '../shared/constants.js';
+import { formatFileSize } from '../shared/format.js';
+import { getFileFormat } from '../files/table-manager.js';
+
+/**
+ * ZIP archive member selection dialog UI component
+ */
+export class ZipImportDialog {
+  /**
+   * @param {HTMLElement} container - Dialog container element
+   */
+  constructor(container) {
+    this.container = container;
+    this.resolve = null;
+    this.entries = [];
+  }
+
+  /**
+   * Open the dialog for an archive and wait for the user's selection
+   * @param {string} archiveName - Archive filename
+   * @param {Array<Object>} entries - Members returned by readZipEntries
+   * @returns {Promise<Array<Object>|null>} - Selected entries, or null if cancelled
+   */
+  open(archiveName, entries) {
+    this.entries = entries;
+    this.render(archiveName);
+    this.show();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the member list
+   * @param {string} archiveName - Archive filename
+   */
+  render(archiveName) {
+    const rows = this.entries.map((entry, index) => {
+      const format = getFileFormat(entry.name);
+      const supported = format !== null && format !== 'zip';
+
+      return `
+        <tr>
+          <td><input type="checkbox" data-index="${index}"${supported ? ' checked' : ' disabled'}></td>
+          <td class="${CSS_CLASSES.TABLE_NAME}">${entry.name}</td>
+          <td>${supported ? format : 'unsupported'}</td>
+          <td>${formatFileSize(entry.size)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="import-dialog-box">
+        <div class="import-dialog-title">Load from ${archiveName}</div>
+        <table class="import-columns-table">
+          <tbody class="zip-members">${rows}</tbody>
+        </table>
+        <div class="import-dialog-actions">
+          <button class="btn-small btn-import">Load selected</button>
+          <button class="btn-small btn-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    this.container.querySelector('.btn-import').addEventListener('click', () => {
+      const selected = Array.from(this.container.querySelectorAll('.zip-members input:checked'))
+        .map(input => this.entries[Number(input.dataset.index)]);
+      this.close(selected);
+    });
+
+    this.container.querySelector('.btn-cancel').addEventListener('click', () => {
+      this.close(null);
+    });
+  }
+
+  /**
+   * Close the dialog and resolve the pending open() call
+   * @param {Array<Object>|null} result - Selected entries, or null if cancelled
+   */
+  close(result) {
+    this.hide();
+    this.container.innerHTML = '';
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Show the dialog
+   */
+  show() {
+    this.container.classList.add(CSS_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    this.container.classList.remove(CSS_CLASSES.VISIBLE);
+  }
+}
@@ -0,0 +1,38 @@
+import { createRequire } from 'module';
+import * as duckdb from '@duckdb/duckdb-wasm/blocking';
+import { ATIH_LAYOUTS, ATIH_COLUMN_TYPES, getLayoutTables } from '../modules/files/atih-parser.js';
+import { quoteIdentifier } from '../modules/database/queries.js';
+import { buildValidatorMacrosSQL } from '../modules/database/validators.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Open an in-memory database on the blocking Node build of DuckDB-WASM, for tests that need a real SQL binder
+ * @returns {Promise<Object>} - Connection whose query() and prepare() run synchronously
+ */
+export async function createTestConnection() {
+  const resolve = (file) => require.resolve(`@duckdb/duckdb-wasm/dist/${file}`);
+  const db = await duckdb.createDuckDB({
+    mvp: { mainModule: resolve('duckdb-mvp.wasm'), mainWorker: resolve('duckdb-node-mvp.worker.cjs') },
+    eh: { mainModule: resolve('duckdb-eh.wasm'), mainWorker: resolve('duckdb-node-eh.worker.cjs') }
+  }, new duckdb.VoidLogger(), duckdb.NODE_RUNTIME);
+  await db.instantiate();
+  return db.connect();
+}
+
+/**
+ * Create the empty tables an ATIH file loads into (fixe, um, diag, acte...), with the code validators
+ * @param {Object} conn - Connection from createTestConnection
+ * @param {string} [format] - Layout format, e.g. rss or rsa
+ */
+export function createATIHTables(conn, format = 'rss') {
+  for (const sql of buildValidatorMacrosSQL()) {
+    conn.query(sql);
+  }
+
+  const layout = ATIH_LAYOUTS.find(candidate => candidate.format === format);
+  for (const [name, columns] of Object.entries(getLayoutTables(layout))) {
+    const definitions = columns.map(column => `${quoteIdentifier(column.name)} ${ATIH_COLUMN_TYPES[column.type] || 'VARCHAR'}`);
+    conn.query(`CREATE TABLE ${name} (${definitions.join(', ')})`);
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Create an in-memory Storage, standing in for localStorage in tests
+ * @param {Object} [initial] - Stored strings by key
+ * @returns {{getItem: Function, setItem: Function, items: Map<string, string>}}
+ */
+export function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    items
+  };
+}